@@ -0,0 +1,35 @@
+/**
+ * Home feed ranking configuration
+ * A post's score is affinity * engagement * decay, where affinity starts at 1 and adds the
+ * weight of every signal the post matches, engagement is 1 + likes + comments (weighted)
+ * and decay halves the score every FEED_HALF_LIFE_HOURS.
+ */
+
+const FEED_WEIGHTS = {
+  // Author is the user or someone they follow
+  following: parseFloat(process.env.FEED_WEIGHT_FOLLOWING || '2'),
+  // Post is about a place the user saved
+  saved_place: parseFloat(process.env.FEED_WEIGHT_SAVED_PLACE || '1'),
+  // Post is about a place the user checked into
+  checked_in_place: parseFloat(process.env.FEED_WEIGHT_CHECKED_IN_PLACE || '0.75'),
+  // Per matching value of user_preferences.food_type / place_value on the place
+  food_type: parseFloat(process.env.FEED_WEIGHT_FOOD_TYPE || '0.5'),
+  place_value: parseFloat(process.env.FEED_WEIGHT_PLACE_VALUE || '0.5'),
+  // Engagement weights
+  like: parseFloat(process.env.FEED_WEIGHT_LIKE || '1'),
+  comment: parseFloat(process.env.FEED_WEIGHT_COMMENT || '2')
+};
+
+const FEED_HALF_LIFE_HOURS = parseFloat(process.env.FEED_HALF_LIFE_HOURS || '24');
+
+// Only posts from the last FEED_WINDOW_DAYS are ranked, newest FEED_MAX_CANDIDATES of them;
+// older posts follow in recency order
+const FEED_WINDOW_DAYS = parseInt(process.env.FEED_WINDOW_DAYS || '14', 10);
+const FEED_MAX_CANDIDATES = parseInt(process.env.FEED_MAX_CANDIDATES || '500', 10);
+
+module.exports = {
+  FEED_WEIGHTS,
+  FEED_HALF_LIFE_HOURS,
+  FEED_WINDOW_DAYS,
+  FEED_MAX_CANDIDATES
+};
@@ -0,0 +1,70 @@
+/**
+ * Gamification configuration
+ * Base check-in rewards come from places.coin_reward / places.exp_reward;
+ * the multipliers below are applied on top and can be tuned via env.
+ */
+
+const CHECKIN_REWARD_MULTIPLIERS = {
+  // Places with partnership_status = true
+  partner: parseFloat(process.env.CHECKIN_PARTNER_MULTIPLIER || '1.5'),
+  // User's first ever check-in at the place
+  first_visit: parseFloat(process.env.CHECKIN_FIRST_VISIT_MULTIPLIER || '2')
+};
+
+// Default check-in geofence in meters, overridable per place via additional_info.checkin_radius
+const DEFAULT_CHECKIN_RADIUS = parseInt(process.env.CHECKIN_RADIUS_METERS || '150', 10);
+
+/**
+ * Level curve: total EXP needed to reach level n is
+ * round(base_exp * (n - 1) ^ exponent), capped at max_level.
+ */
+const LEVEL_CURVE = {
+  base_exp: parseInt(process.env.LEVEL_BASE_EXP || '100', 10),
+  exponent: parseFloat(process.env.LEVEL_EXPONENT || '1.5'),
+  max_level: parseInt(process.env.LEVEL_MAX || '50', 10)
+};
+
+// Titles unlocked from min_level onwards, ordered by min_level
+const LEVEL_TITLES = [
+  { min_level: 1, title: 'Newcomer' },
+  { min_level: 5, title: 'Explorer' },
+  { min_level: 10, title: 'Foodie' },
+  { min_level: 20, title: 'Connoisseur' },
+  { min_level: 35, title: 'Tastemaker' },
+  { min_level: 50, title: 'Legend' }
+];
+
+// Days a redeemed voucher stays valid, overridable per reward via additional_info.voucher_valid_days
+const VOUCHER_VALID_DAYS = parseInt(process.env.VOUCHER_VALID_DAYS || '30', 10);
+
+// Hour of day (server time) the nightly coin reconciliation runs
+const COIN_RECONCILE_HOUR = parseInt(process.env.COIN_RECONCILE_HOUR || '3', 10);
+
+// How often closed leaderboard competitions are checked for payout
+const COMPETITION_SETTLE_INTERVAL_MINUTES = parseInt(process.env.COMPETITION_SETTLE_INTERVAL_MINUTES || '60', 10);
+
+// Timezone used for streak days when the user has not set user_settings.timezone
+const DEFAULT_TIMEZONE = process.env.DEFAULT_TIMEZONE || 'Asia/Jakarta';
+
+// Bonus coins for reaching a daily check-in streak, paid once per streak
+const STREAK_MILESTONES = [
+  { days: 7, coins: parseInt(process.env.STREAK_7_DAY_COINS || '50', 10) },
+  { days: 30, coins: parseInt(process.env.STREAK_30_DAY_COINS || '250', 10) },
+  { days: 100, coins: parseInt(process.env.STREAK_100_DAY_COINS || '1000', 10) }
+];
+
+// Rewards with additional_info.item = 'streak_freeze' are streak freezes; this caps how many a user can hold
+const STREAK_FREEZE_MAX_OWNED = parseInt(process.env.STREAK_FREEZE_MAX_OWNED || '2', 10);
+
+module.exports = {
+  CHECKIN_REWARD_MULTIPLIERS,
+  DEFAULT_CHECKIN_RADIUS,
+  LEVEL_CURVE,
+  LEVEL_TITLES,
+  VOUCHER_VALID_DAYS,
+  COIN_RECONCILE_HOUR,
+  COMPETITION_SETTLE_INTERVAL_MINUTES,
+  DEFAULT_TIMEZONE,
+  STREAK_MILESTONES,
+  STREAK_FREEZE_MAX_OWNED
+};
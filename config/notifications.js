@@ -0,0 +1,59 @@
+/**
+ * Notification delivery configuration
+ * Every notification that passes the recipient's preferences is delivered
+ * through each channel in NOTIFICATION_CHANNELS (comma separated: log, push, email, webhook).
+ */
+
+const NOTIFICATION_CHANNELS = (process.env.NOTIFICATION_CHANNELS || 'log')
+  .split(',')
+  .map(channel => channel.trim())
+  .filter(Boolean);
+
+// FCM/APNs-style HTTP push gateway, called once per registered device token
+const PUSH_CONFIG = {
+  url: process.env.PUSH_API_URL || 'https://fcm.googleapis.com/fcm/send',
+  server_key: process.env.PUSH_SERVER_KEY || ''
+};
+
+// Transactional email HTTP API (JSON body: from, to, subject, text)
+const EMAIL_CONFIG = {
+  url: process.env.EMAIL_API_URL || '',
+  api_key: process.env.EMAIL_API_KEY || '',
+  from: process.env.EMAIL_FROM || 'no-reply@snappie.app'
+};
+
+// Outgoing webhook; the body is signed with HMAC-SHA256 when a secret is set
+const WEBHOOK_CONFIG = {
+  url: process.env.NOTIFICATION_WEBHOOK_URL || '',
+  secret: process.env.NOTIFICATION_WEBHOOK_SECRET || ''
+};
+
+// The log channel appends JSON lines to this file, or writes to the console when empty
+const NOTIFICATION_LOG_FILE = process.env.NOTIFICATION_LOG_FILE || '';
+
+// Timeout for a single outgoing HTTP request
+const DELIVERY_HTTP_TIMEOUT_MS = parseInt(process.env.DELIVERY_HTTP_TIMEOUT_MS || '10000', 10);
+
+/**
+ * Failed deliveries are retried after base_delay_seconds * 2 ^ (attempt - 1),
+ * capped at max_delay_seconds, until max_attempts is reached.
+ */
+const DELIVERY_RETRY = {
+  max_attempts: parseInt(process.env.DELIVERY_MAX_ATTEMPTS || '5', 10),
+  base_delay_seconds: parseInt(process.env.DELIVERY_BASE_DELAY_SECONDS || '30', 10),
+  max_delay_seconds: parseInt(process.env.DELIVERY_MAX_DELAY_SECONDS || '3600', 10)
+};
+
+// How often the retry queue is checked for due deliveries
+const DELIVERY_INTERVAL_SECONDS = parseInt(process.env.DELIVERY_INTERVAL_SECONDS || '60', 10);
+
+module.exports = {
+  NOTIFICATION_CHANNELS,
+  PUSH_CONFIG,
+  EMAIL_CONFIG,
+  WEBHOOK_CONFIG,
+  NOTIFICATION_LOG_FILE,
+  DELIVERY_HTTP_TIMEOUT_MS,
+  DELIVERY_RETRY,
+  DELIVERY_INTERVAL_SECONDS
+};
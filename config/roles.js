@@ -0,0 +1,35 @@
+/**
+ * Role configuration
+ * Roles are stored on users.role; abilities are written to personal_access_tokens.abilities
+ * (Laravel Sanctum style) when a token is issued.
+ */
+
+const ROLES = {
+  USER: 'user',
+  MODERATOR: 'moderator',
+  PARTNER: 'partner',
+  ADMIN: 'admin'
+};
+
+// Abilities granted to tokens per role ('*' grants every ability)
+const ROLE_ABILITIES = {
+  [ROLES.USER]: ['role:user'],
+  [ROLES.MODERATOR]: ['role:user', 'role:moderator'],
+  [ROLES.PARTNER]: ['role:user', 'role:partner'],
+  [ROLES.ADMIN]: ['*']
+};
+
+/**
+ * Get token abilities for a role
+ * @param {string} role - User role
+ * @returns {Array<string>}
+ */
+const abilitiesForRole = (role) => {
+  return ROLE_ABILITIES[role] || ROLE_ABILITIES[ROLES.USER];
+};
+
+module.exports = {
+  ROLES,
+  ROLE_ABILITIES,
+  abilitiesForRole
+};
@@ -0,0 +1,48 @@
+/**
+ * Search configuration
+ * Each query token scores its best match in a document (exact > prefix > typo) times the
+ * weight of the field it matched in; the sum is scaled by the share of query tokens that
+ * matched, plus a bonus when the whole query appears as a phrase.
+ */
+
+const SEARCH_FIELD_WEIGHTS = {
+  // Place name / article title
+  title: parseFloat(process.env.SEARCH_WEIGHT_TITLE || '3'),
+  // Place additionalInfo.food_type / article category
+  tags: parseFloat(process.env.SEARCH_WEIGHT_TAGS || '2'),
+  // Place description / article content
+  body: parseFloat(process.env.SEARCH_WEIGHT_BODY || '1')
+};
+
+// Token match quality
+const SEARCH_MATCH_SCORES = {
+  exact: 1,
+  prefix: 0.8,
+  typo: 0.6
+};
+
+// Extra score when the normalised query appears as a phrase
+const SEARCH_PHRASE_BONUS = {
+  title: parseFloat(process.env.SEARCH_PHRASE_BONUS_TITLE || '3'),
+  body: parseFloat(process.env.SEARCH_PHRASE_BONUS_BODY || '1')
+};
+
+// Most index rows scored per query
+const SEARCH_MAX_CANDIDATES = parseInt(process.env.SEARCH_MAX_CANDIDATES || '500', 10);
+
+// Snippet length (characters) and highlight markup
+const SEARCH_SNIPPET_LENGTH = parseInt(process.env.SEARCH_SNIPPET_LENGTH || '160', 10);
+const SEARCH_HIGHLIGHT_TAGS = ['<mark>', '</mark>'];
+
+// Full reindex interval; also runs once at startup to backfill rows saved outside this API
+const SEARCH_REINDEX_INTERVAL_MINUTES = parseInt(process.env.SEARCH_REINDEX_INTERVAL_MINUTES || '60', 10);
+
+module.exports = {
+  SEARCH_FIELD_WEIGHTS,
+  SEARCH_MATCH_SCORES,
+  SEARCH_PHRASE_BONUS,
+  SEARCH_MAX_CANDIDATES,
+  SEARCH_SNIPPET_LENGTH,
+  SEARCH_HIGHLIGHT_TAGS,
+  SEARCH_REINDEX_INTERVAL_MINUTES
+};
@@ -37,14 +37,14 @@ const getAllArticles = async (req, res) => {
 };
 /**
  * Get article by ID
- * @route GET /api/v1/articles/:id
+ * @route GET /api/v1/articles/id/:article_id
  * @access Public
  */
 const getArticleById = async (req, res) => {
   try {
     const { article_id } = req.params;
 
-    const article = await ArticleService.getArticleById(article_id);
+    const article = await ArticleService.getArticleById(article_id, req.user.id);
 
     if (!article) {
       return res.status(404).json({
@@ -114,7 +114,7 @@ const createArticle = async (req, res) => {
 
 /**
  * Update article
- * @route PUT /api/v1/articles/:id
+ * @route PUT /api/v1/articles/id/:article_id
  * @access Private (Auth required, owner only)
  */
 const updateArticle = async (req, res) => {
@@ -129,7 +129,7 @@ const updateArticle = async (req, res) => {
       });
     }
 
-    const { id } = req.params;
+    const { article_id } = req.params;
     const { title, category, content, image_urls } = req.body;
     const user_id = req.user.id;
 
@@ -140,7 +140,7 @@ const updateArticle = async (req, res) => {
       image_urls
     };
 
-    const article = await ArticleService.updateArticle(id, updateData, user_id);
+    const article = await ArticleService.updateArticle(article_id, updateData, user_id);
 
     res.status(200).json({
       success: true,
@@ -174,15 +174,15 @@ const updateArticle = async (req, res) => {
 
 /**
  * Delete article
- * @route DELETE /api/v1/articles/:id
+ * @route DELETE /api/v1/articles/id/:article_id
  * @access Private (Auth required, owner only)
  */
 const deleteArticle = async (req, res) => {
   try {
-    const { id } = req.params;
+    const { article_id } = req.params;
     const user_id = req.user.id;
 
-    await ArticleService.deleteArticle(id, user_id);
+    await ArticleService.deleteArticle(article_id, user_id);
 
     res.status(200).json({
       success: true,
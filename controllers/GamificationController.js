@@ -1,6 +1,10 @@
 const { validationResult } = require('express-validator');
 const ReviewService = require('../services/ReviewService');
 const GamificationService = require('../services/GamificationService');
+const LevelService = require('../services/LevelService');
+const RewardService = require('../services/RewardService');
+const { validatePagination } = require('../utils/validation');
+const { respondWithError } = require('../utils/errors');
 
 /**
  * Create checkin
@@ -41,6 +45,8 @@ const createCheckin = async (req, res) => {
     return res.status(status).json({
       success: false,
       message: status === 500 ? 'Internal server error' : error.message,
+      code: error.code,
+      details: error.details,
       error: process.env.NODE_ENV === 'development' ? error.message : undefined,
     });
   }
@@ -111,10 +117,11 @@ const createReview = async (req, res) => {
  */
 const getCoinTransactions = async (req, res) => {
   try {
-    const { page = 1, limit = 20, type } = req.query;
+    const { page, limit } = validatePagination({ limit: 20, ...req.query });
+    const { type, cursor } = req.query;
     const user_id = req.user.id;
 
-    const result = await GamificationService.getCoinTransactions(user_id, { page, limit, type });
+    const result = await GamificationService.getCoinTransactions(user_id, { page, limit, type, cursor });
     return res.status(200).json({
       success: true,
       message: 'Coin transactions retrieved successfully',
@@ -122,9 +129,10 @@ const getCoinTransactions = async (req, res) => {
     });
   } catch (error) {
     console.error('Error in getCoinTransactions:', error);
-    return res.status(500).json({
+    const status = error.statusCode || 500;
+    return res.status(status).json({
       success: false,
-      message: 'Internal server error',
+      message: status === 500 ? 'Internal server error' : error.message,
       error: process.env.NODE_ENV === 'development' ? error.message : undefined,
     });
   }
@@ -137,10 +145,11 @@ const getCoinTransactions = async (req, res) => {
  */
 const getExpTransactions = async (req, res) => {
   try {
-    const { page = 1, limit = 20, type } = req.query;
+    const { page, limit } = validatePagination({ limit: 20, ...req.query });
+    const { type, cursor } = req.query;
     const user_id = req.user.id;
 
-    const result = await GamificationService.getExpTransactions(user_id, { page, limit, type });
+    const result = await GamificationService.getExpTransactions(user_id, { page, limit, type, cursor });
     return res.status(200).json({
       success: true,
       message: 'Experience transactions retrieved successfully',
@@ -148,9 +157,10 @@ const getExpTransactions = async (req, res) => {
     });
   } catch (error) {
     console.error('Error in getExpTransactions:', error);
-    return res.status(500).json({
+    const status = error.statusCode || 500;
+    return res.status(status).json({
       success: false,
-      message: 'Internal server error',
+      message: status === 500 ? 'Internal server error' : error.message,
       error: process.env.NODE_ENV === 'development' ? error.message : undefined,
     });
   }
@@ -230,13 +240,38 @@ const getRewards = async (req, res) => {
 };
 
 /**
- * Grant achievement to user
- * @route POST /api/v1/gamification/achievements/:achievement_id/grant
+ * Get the level curve, titles and the current user's level progress
+ * @route GET /api/v1/gamification/levels
  * @access Private (Auth required)
  */
+const getLevels = async (req, res) => {
+  try {
+    return res.status(200).json({
+      success: true,
+      message: 'Levels retrieved successfully',
+      data: {
+        ...LevelService.getCurve(),
+        current: LevelService.getLevelInfo(req.user.totalExp),
+      },
+    });
+  } catch (error) {
+    console.error('Error in getLevels:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined,
+    });
+  }
+};
+
+/**
+ * Grant achievement to user (defaults to the admin itself when body.user_id is omitted)
+ * @route POST /api/v1/gamification/achievements/:achievement_id/grant
+ * @access Private (Admin only)
+ */
 const grantAchievement = async (req, res) => {
   try {
-    const user_id = req.user.id;
+    const user_id = req.body.user_id || req.user.id;
     const { achievement_id } = req.params;
 
     console.log('Granting achievement:', { user_id, achievement_id });
@@ -251,26 +286,7 @@ const grantAchievement = async (req, res) => {
     });
   } catch (error) {
     console.error('Error in grantAchievement:', error);
-    
-    if (error.message === 'User or achievement not found') {
-      return res.status(404).json({
-        success: false,
-        message: error.message
-      });
-    }
-    
-    if (error.message === 'You already have this achievement.') {
-      return res.status(400).json({
-        success: false,
-        message: error.message
-      });
-    }
-    
-    return res.status(500).json({
-      success: false,
-      message: 'Internal server error',
-      error: process.env.NODE_ENV === 'development' ? error.message : undefined,
-    });
+    return respondWithError(res, error);
   }
 };
 
@@ -293,24 +309,10 @@ const completeChallenge = async (req, res) => {
     });
   } catch (error) {
     console.error('Error in completeChallenge:', error);
-    
-    if (error.message === 'User or challenge not found') {
-      return res.status(404).json({
-        success: false,
-        message: error.message
-      });
-    }
-    
-    if (error.message === 'You already completed this challenge.') {
-      return res.status(400).json({
-        success: false,
-        message: error.message
-      });
-    }
-    
-    return res.status(500).json({
+    const status = error.statusCode || 500;
+    return res.status(status).json({
       success: false,
-      message: 'Internal server error',
+      message: status === 500 ? 'Internal server error' : error.message,
       error: process.env.NODE_ENV === 'development' ? error.message : undefined,
     });
   }
@@ -353,24 +355,96 @@ const redeemReward = async (req, res) => {
     });
   } catch (error) {
     console.error('Error in redeemReward:', error);
-    
-    if (error.message === 'User or reward not found') {
-      return res.status(404).json({
-        success: false,
-        message: error.message
-      });
-    }
-    
-    if (error.message === 'Insufficient coins' || error.message === 'Reward out of stock') {
-      return res.status(400).json({
-        success: false,
-        message: error.message
-      });
-    }
-    
-    return res.status(500).json({
+    const status = error.statusCode || 500;
+    return res.status(status).json({
       success: false,
-      message: 'Internal server error',
+      message: status === 500 ? 'Internal server error' : error.message,
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined,
+    });
+  }
+};
+
+/**
+ * Get rewards redeemed by the current user with voucher status
+ * @route GET /api/v1/gamification/rewards/redeemed
+ * @access Private (Auth required)
+ */
+const getRedeemedRewards = async (req, res) => {
+  try {
+    const { page, limit } = validatePagination(req.query);
+    const result = await RewardService.getRedeemedRewards(req.user.id, {
+      status: req.query.status,
+      page,
+      limit,
+    });
+
+    return res.status(200).json({
+      success: true,
+      message: 'Redeemed rewards retrieved successfully',
+      data: result,
+    });
+  } catch (error) {
+    console.error('Error in getRedeemedRewards:', error);
+    const status = error.statusCode || 500;
+    return res.status(status).json({
+      success: false,
+      message: status === 500 ? 'Internal server error' : error.message,
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined,
+    });
+  }
+};
+
+/**
+ * Cancel an unused voucher; the coins are refunded
+ * @route POST /api/v1/gamification/rewards/redeemed/:user_reward_id/cancel
+ * @access Private (owner only)
+ */
+const cancelRedeemedReward = async (req, res) => {
+  try {
+    const result = await RewardService.cancelRedeemedReward(req.user.id, req.params.user_reward_id);
+
+    return res.status(200).json({
+      success: true,
+      message: 'Voucher cancelled and coins refunded',
+      data: result,
+    });
+  } catch (error) {
+    console.error('Error in cancelRedeemedReward:', error);
+    const status = error.statusCode || 500;
+    return res.status(status).json({
+      success: false,
+      message: status === 500 ? 'Internal server error' : error.message,
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined,
+    });
+  }
+};
+
+/**
+ * Verify a voucher code at a partner place and consume it
+ * Send consume=false to only check the code.
+ * @route POST /api/v1/gamification/rewards/verify
+ * @access Partner staff / Admin
+ */
+const verifyReward = async (req, res) => {
+  try {
+    const { code, place_id, consume } = req.body;
+    const result = await RewardService.verifyVoucher(req.user, {
+      code,
+      place_id,
+      consume: consume === undefined ? true : consume === true || consume === 'true',
+    });
+
+    return res.status(200).json({
+      success: true,
+      message: result.consumed ? 'Voucher claimed successfully' : 'Voucher is valid',
+      data: result,
+    });
+  } catch (error) {
+    console.error('Error in verifyReward:', error);
+    const status = error.statusCode || 500;
+    return res.status(status).json({
+      success: false,
+      message: status === 500 ? 'Internal server error' : error.message,
       error: process.env.NODE_ENV === 'development' ? error.message : undefined,
     });
   }
@@ -384,8 +458,12 @@ module.exports = {
   getAchievements,
   getChallenges,
   getRewards,
+  getLevels,
   grantAchievement,
   completeChallenge,
   redeemReward,
+  getRedeemedRewards,
+  cancelRedeemedReward,
+  verifyReward,
   testGrant
 };
\ No newline at end of file
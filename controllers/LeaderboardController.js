@@ -2,22 +2,39 @@ const User = require('../models/User');
 const Leaderboard = require('../models/Leaderboard');
 const { Op } = require('sequelize');
 const { sequelize } = require('../config/database');
+const LevelService = require('../services/LevelService');
+const LeaderboardService = require('../services/LeaderboardService');
+const { validatePagination } = require('../utils/validation');
+const { respondWithError } = require('../utils/errors');
+
+/**
+ * Serialize a leaderboard user with level, title and progress
+ * @param {Object} user - User instance
+ * @returns {Object}
+ */
+const withLevelInfo = (user) => ({
+  ...user.toJSON(),
+  level_info: LevelService.getLevelInfo(user.totalExp)
+});
 
 /**
  * Get top users leaderboard
+ * scope=following ranks only the users the caller follows (and the caller)
  * @route GET /api/v1/leaderboard/top-users
- * @access Public
+ * @access Public (scope=following requires authentication)
  */
 const getTopUsers = async (req, res) => {
   try {
     const {
       type = 'all_time',
       metric = 'totalExp',
+      scope = 'global',
       limit = 50,
       period
     } = req.query;
 
-    let whereClause = {};
+    const userIds = await LeaderboardService.resolveScope(scope, req.user);
+    let whereClause = userIds ? { id: userIds } : {};
     let orderField = metric;
 
     // Handle time-based filtering
@@ -67,7 +84,7 @@ const getTopUsers = async (req, res) => {
     // Add ranking to each user
     const rankedUsers = users.map((user, index) => ({
       rank: index + 1,
-      ...user.toJSON()
+      ...withLevelInfo(user)
     }));
 
     res.status(200).json({
@@ -78,6 +95,7 @@ const getTopUsers = async (req, res) => {
         metadata: {
           type,
           metric,
+          scope,
           total_users: rankedUsers.length,
           generated_at: new Date()
         }
@@ -85,23 +103,22 @@ const getTopUsers = async (req, res) => {
     });
   } catch (error) {
     console.error('Error in getTopUsers:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Internal server error',
-      error: process.env.NODE_ENV === 'development' ? error.message : undefined
-    });
+    respondWithError(res, error);
   }
 };
 
 /**
  * Get user rank
+ * scope=following ranks the user among the people the caller follows
  * @route GET /api/v1/leaderboard/user-rank/:user_id
- * @access Public
+ * @access Public (scope=following requires authentication)
  */
 const getUserRank = async (req, res) => {
   try {
     const { user_id } = req.params;
-    const { metric = 'totalExp', type = 'all_time' } = req.query;
+    const { metric = 'totalExp', type = 'all_time', scope = 'global' } = req.query;
+    const userIds = await LeaderboardService.resolveScope(scope, req.user);
+    const scopeWhere = userIds ? { id: userIds } : {};
 
     // Validate metric field
     const validMetrics = ['totalExp', 'totalCoin', 'totalCheckin', 'totalReview', 'totalPost'];
@@ -132,16 +149,18 @@ const getUserRank = async (req, res) => {
     const userMetricValue = user[metric];
     const rank = await User.count({
       where: {
+        ...scopeWhere,
         [metric]: { [Op.gt]: userMetricValue }
       }
     }) + 1;
 
     // Get total users count
-    const totalUsers = await User.count();
+    const totalUsers = await User.count({ where: scopeWhere });
 
     // Get users around this user's rank (for context)
     const contextLimit = 5;
     const contextUsers = await User.findAll({
+      where: scopeWhere,
       attributes: [
           'id', 'name', 'username', 'imageUrl',
           'totalExp', 'totalCoin', 'totalCheckin',
@@ -155,7 +174,7 @@ const getUserRank = async (req, res) => {
     // Add ranking to context users
     const rankedContextUsers = contextUsers.map((contextUser, index) => ({
       rank: Math.max(1, rank - contextLimit) + index,
-      ...contextUser.toJSON(),
+      ...withLevelInfo(contextUser),
       is_current_user: contextUser.id === parseInt(user_id)
     }));
 
@@ -167,149 +186,156 @@ const getUserRank = async (req, res) => {
           rank,
           total_users: totalUsers,
           percentile: Math.round((1 - (rank - 1) / totalUsers) * 100),
-          user: user.toJSON()
+          user: withLevelInfo(user)
         },
         context: rankedContextUsers,
         metadata: {
           metric,
           type,
+          scope,
           generated_at: new Date()
         }
       }
     });
   } catch (error) {
     console.error('Error in getUserRank:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Internal server error',
-      error: process.env.NODE_ENV === 'development' ? error.message : undefined
-    });
+    respondWithError(res, error);
   }
 };
 
 /**
- * Get weekly leaderboard
- * @route GET /api/v1/leaderboard/weekly
- * @access Public
+ * Respond with a weekly or monthly leaderboard ranked by activity within the period
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {string} type - weekly or monthly
+ * @param {string} label - Label used in the response message
  */
-const getWeeklyLeaderboard = async (req, res) => {
+const respondWithPeriodLeaderboard = async (req, res, type, label) => {
   try {
-    const { metric = 'totalExp', limit = 50 } = req.query;
-
-    // Get start of current week (Monday)
-    const now = new Date();
-    const startOfWeek = new Date(now);
-    const day = now.getDay();
-    const diff = now.getDate() - day + (day === 0 ? -6 : 1); // Adjust when day is Sunday
-    startOfWeek.setDate(diff);
-    startOfWeek.setHours(0, 0, 0, 0);
-
-    // For weekly leaderboard, we need to calculate gains since start of week
-    // This is a simplified version - in production, you'd want to track weekly stats separately
-    const users = await User.findAll({
-      attributes: [
-          'id', 'name', 'username', 'imageUrl',
-          'totalExp', 'totalCoin', 'totalCheckin',
-          'totalReview', 'totalPost'
-        ],
-      where: {
-        updated_at: { [Op.gte]: startOfWeek }
-      },
-      order: [[metric, 'DESC']],
-      limit: parseInt(limit)
+    const { metric = 'totalExp', scope = 'global', limit = 50 } = req.query;
+
+    const result = await LeaderboardService.getPeriodLeaderboard({
+      type,
+      metric,
+      limit: Math.min(parseInt(limit) || 50, 100),
+      user_id: req.user ? req.user.id : null,
+      userIds: await LeaderboardService.resolveScope(scope, req.user)
     });
 
-    // Add ranking to each user
-    const rankedUsers = users.map((user, index) => ({
-      rank: index + 1,
-      ...user.toJSON()
+    const rankedUsers = result.leaderboard.map(({ user, position }) => ({
+      rank: position.rank,
+      ...withLevelInfo(user),
+      ...position
     }));
 
     res.status(200).json({
       success: true,
-      message: 'Weekly leaderboard retrieved successfully',
+      message: `${label} leaderboard retrieved successfully`,
       data: {
         leaderboard: rankedUsers,
+        current_user: result.current_user,
         metadata: {
-          type: 'weekly',
+          type,
           metric,
-          period: {
-            start: startOfWeek,
-            end: new Date()
-          },
-          total_users: rankedUsers.length,
+          scope,
+          period: result.period,
+          previous_period: result.previous_period,
+          total_users: result.total_users,
           generated_at: new Date()
         }
       }
     });
   } catch (error) {
-    console.error('Error in getWeeklyLeaderboard:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Internal server error',
-      error: process.env.NODE_ENV === 'development' ? error.message : undefined
-    });
+    console.error(`Error in get${label}Leaderboard:`, error);
+    respondWithError(res, error);
   }
 };
 
+/**
+ * Get weekly leaderboard
+ * Ranked by EXP/coins earned and activity since Monday, with the change vs last week
+ * @route GET /api/v1/leaderboard/weekly
+ * @access Public (current_user is filled when authenticated)
+ */
+const getWeeklyLeaderboard = (req, res) => respondWithPeriodLeaderboard(req, res, 'weekly', 'Weekly');
+
 /**
  * Get monthly leaderboard
+ * Ranked by EXP/coins earned and activity this month, with the change vs last month
  * @route GET /api/v1/leaderboard/monthly
+ * @access Public (current_user is filled when authenticated)
+ */
+const getMonthlyLeaderboard = (req, res) => respondWithPeriodLeaderboard(req, res, 'monthly', 'Monthly');
+
+/**
+ * Get leaderboard competitions
+ * @route GET /api/v1/leaderboard/competitions
  * @access Public
  */
-const getMonthlyLeaderboard = async (req, res) => {
+const getCompetitions = async (req, res) => {
   try {
-    const { metric = 'totalExp', limit = 50 } = req.query;
-
-    // Get start of current month
-    const now = new Date();
-    const startOfMonth = new Date(now.getFullYear(), now.getMonth(), 1);
+    const { page, limit } = validatePagination(req.query);
+    const result = await LeaderboardService.getCompetitions({ status: req.query.status, page, limit });
 
-    // For monthly leaderboard, we need to calculate gains since start of month
-    // This is a simplified version - in production, you'd want to track monthly stats separately
-    const users = await User.findAll({
-      attributes: [
-          'id', 'name', 'username', 'imageUrl',
-          'totalExp', 'totalCoin', 'totalCheckin',
-          'totalReview', 'totalPost'
-        ],
-      where: {
-        updated_at: { [Op.gte]: startOfMonth }
-      },
-      order: [[metric, 'DESC']],
-      limit: parseInt(limit)
+    res.status(200).json({
+      success: true,
+      message: 'Competitions retrieved successfully',
+      data: result
     });
+  } catch (error) {
+    console.error('Error in getCompetitions:', error);
+    respondWithError(res, error);
+  }
+};
 
-    // Add ranking to each user
-    const rankedUsers = users.map((user, index) => ({
-      rank: index + 1,
-      ...user.toJSON()
-    }));
+/**
+ * Get a competition with its standings
+ * @route GET /api/v1/leaderboard/competitions/:id
+ * @access Public
+ */
+const getCompetitionById = async (req, res) => {
+  try {
+    const result = await LeaderboardService.getCompetition(req.params.id);
 
     res.status(200).json({
       success: true,
-      message: 'Monthly leaderboard retrieved successfully',
+      message: 'Competition retrieved successfully',
       data: {
-        leaderboard: rankedUsers,
+        competition: result.competition,
+        leaderboard: result.leaderboard.map(({ user, ...standing }) => ({
+          rank: standing.rank,
+          ...withLevelInfo(user),
+          ...standing
+        })),
         metadata: {
-          type: 'monthly',
-          metric,
-          period: {
-            start: startOfMonth,
-            end: new Date()
-          },
-          total_users: rankedUsers.length,
+          total_participants: result.total_participants,
           generated_at: new Date()
         }
       }
     });
   } catch (error) {
-    console.error('Error in getMonthlyLeaderboard:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Internal server error',
-      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    console.error('Error in getCompetitionById:', error);
+    respondWithError(res, error);
+  }
+};
+
+/**
+ * Get the authenticated user's position in a competition
+ * @route GET /api/v1/leaderboard/competitions/:id/me
+ * @access Private
+ */
+const getMyCompetitionPosition = async (req, res) => {
+  try {
+    const result = await LeaderboardService.getCompetitionPosition(req.params.id, req.user.id);
+
+    res.status(200).json({
+      success: true,
+      message: 'Competition position retrieved successfully',
+      data: result
     });
+  } catch (error) {
+    console.error('Error in getMyCompetitionPosition:', error);
+    respondWithError(res, error);
   }
 };
 
@@ -376,12 +402,26 @@ const getLeaderboardCategories = async (req, res) => {
       }
     ];
 
+    const scopes = [
+      {
+        id: 'global',
+        name: 'Everyone',
+        description: 'Rankings among all users'
+      },
+      {
+        id: 'following',
+        name: 'Following',
+        description: 'Rankings among the users you follow (requires login)'
+      }
+    ];
+
     res.status(200).json({
       success: true,
       message: 'Leaderboard categories retrieved successfully',
       data: {
         categories,
-        periods
+        periods,
+        scopes
       }
     });
   } catch (error) {
@@ -399,5 +439,8 @@ module.exports = {
   getUserRank,
   getWeeklyLeaderboard,
   getMonthlyLeaderboard,
+  getCompetitions,
+  getCompetitionById,
+  getMyCompetitionPosition,
   getLeaderboardCategories
 };
\ No newline at end of file
@@ -0,0 +1,117 @@
+const User = require('../models/User');
+const NotificationService = require('../services/NotificationService');
+const { validatePagination, validateIds } = require('../utils/validation');
+const { respondWithError } = require('../utils/errors');
+
+/**
+ * Get the authenticated user's notifications with the unread count
+ * @route GET /api/v1/notifications
+ * @access Private (Auth required)
+ */
+const getNotifications = async (req, res) => {
+  try {
+    const { page, limit } = validatePagination(req.query);
+    const unreadOnly = req.query.unread_only === 'true' || req.query.unread_only === '1';
+
+    const result = await NotificationService.getNotifications(req.user.id, {
+      page,
+      limit,
+      unread_only: unreadOnly
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Notifications retrieved successfully',
+      data: result
+    });
+  } catch (error) {
+    console.error('Error in getNotifications:', error);
+    respondWithError(res, error);
+  }
+};
+
+/**
+ * Mark notifications as read; all unread notifications when no ids are given
+ * @route POST /api/v1/notifications/read
+ * @access Private (Auth required)
+ */
+const markNotificationsAsRead = async (req, res) => {
+  try {
+    let ids = null;
+    if (req.body.ids !== undefined) {
+      const validation = validateIds(req.body.ids);
+      if (!validation.isValid) {
+        return res.status(400).json({
+          success: false,
+          message: validation.error
+        });
+      }
+      ids = validation.ids;
+    }
+
+    const result = await NotificationService.markAsRead(req.user.id, ids);
+
+    res.status(200).json({
+      success: true,
+      message: 'Notifications marked as read',
+      data: result
+    });
+  } catch (error) {
+    console.error('Error in markNotificationsAsRead:', error);
+    respondWithError(res, error);
+  }
+};
+
+/**
+ * Get notification preferences
+ * @route GET /api/v1/notifications/preferences
+ * @access Private (Auth required)
+ */
+const getNotificationPreferences = async (req, res) => {
+  try {
+    const user = await User.findByPk(req.user.id, { attributes: ['id', 'additionalInfo'] });
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Notification preferences retrieved successfully',
+      data: NotificationService.getPreferences(user)
+    });
+  } catch (error) {
+    console.error('Error in getNotificationPreferences:', error);
+    respondWithError(res, error);
+  }
+};
+
+/**
+ * Toggle notification types, push notifications and quiet hours
+ * @route PUT /api/v1/notifications/preferences
+ * @access Private (Auth required)
+ */
+const updateNotificationPreferences = async (req, res) => {
+  try {
+    const { push_notification, quiet_hours, types } = req.body;
+    const preferences = await NotificationService.updatePreferences(req.user.id, { push_notification, quiet_hours, types });
+
+    res.status(200).json({
+      success: true,
+      message: 'Notification preferences updated successfully',
+      data: preferences
+    });
+  } catch (error) {
+    console.error('Error in updateNotificationPreferences:', error);
+    respondWithError(res, error);
+  }
+};
+
+module.exports = {
+  getNotifications,
+  markNotificationsAsRead,
+  getNotificationPreferences,
+  updateNotificationPreferences
+};
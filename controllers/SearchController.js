@@ -0,0 +1,46 @@
+const SearchService = require('../services/SearchService');
+const { validatePagination } = require('../utils/validation');
+const { respondWithError } = require('../utils/errors');
+
+/**
+ * Search places, users, articles and posts at once, grouped by type with per-group counts.
+ * `types` (comma separated) narrows the groups; page/limit apply to every group.
+ * @route GET /api/v1/search
+ * @access Private (Auth required)
+ */
+const globalSearch = async (req, res) => {
+  try {
+    const query = String(req.query.q || '').trim();
+    if (query.length < 2) {
+      return res.status(400).json({
+        success: false,
+        message: 'Search query must be at least 2 characters long'
+      });
+    }
+
+    const { page, limit } = validatePagination({ limit: 5, ...req.query });
+    const groups = req.query.types
+      ? String(req.query.types).split(',').map(type => type.trim()).filter(Boolean)
+      : undefined;
+
+    const result = await SearchService.globalSearch(query, {
+      groups,
+      page,
+      limit,
+      user_id: req.user.id
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Search completed successfully',
+      data: result
+    });
+  } catch (error) {
+    console.error('Error in globalSearch:', error);
+    respondWithError(res, error);
+  }
+};
+
+module.exports = {
+  globalSearch
+};
@@ -1,5 +1,14 @@
 const { validationResult } = require('express-validator');
 const SocialMediaService = require('../services/SocialMediaService');
+const { validatePagination } = require('../utils/validation');
+const { respondWithError } = require('../utils/errors');
+
+// Route segment -> content type understood by SocialMediaService
+const CONTENT_TYPES = {
+  posts: 'post',
+  reviews: 'review',
+  articles: 'article'
+};
 
 /**
  * Follow a user
@@ -83,17 +92,13 @@ const unfollowUser = async (req, res) => {
 const getUserFollowers = async (req, res) => {
   try {
     const { user_id } = req.params;
-    const { page = 1, limit = 20 } = req.query;
+    const { page, limit } = validatePagination({ limit: 20, ...req.query });
 
-    const result = await SocialMediaService.getUserFollowers(user_id, page, limit);
+    const result = await SocialMediaService.getUserFollowers(user_id, page, limit, req.query.cursor || null);
     res.status(200).json(result);
   } catch (error) {
     console.error('Error in getUserFollowers:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Internal server error',
-      error: process.env.NODE_ENV === 'development' ? error.message : undefined
-    });
+    respondWithError(res, error);
   }
 };
 
@@ -105,17 +110,13 @@ const getUserFollowers = async (req, res) => {
 const getUserFollowing = async (req, res) => {
   try {
     const { user_id } = req.params;
-    const { page = 1, limit = 20 } = req.query;
+    const { page, limit } = validatePagination({ limit: 20, ...req.query });
 
-    const result = await SocialMediaService.getUserFollowing(user_id, page, limit);
+    const result = await SocialMediaService.getUserFollowing(user_id, page, limit, req.query.cursor || null);
     res.status(200).json(result);
   } catch (error) {
     console.error('Error in getUserFollowing:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Internal server error',
-      error: process.env.NODE_ENV === 'development' ? error.message : undefined
-    });
+    respondWithError(res, error);
   }
 };
 
@@ -158,24 +159,21 @@ const createPost = async (req, res) => {
 };
 
 /**
- * Get posts feed (all posts, newest first)
+ * Get personalised posts feed, ranked by affinity and time-decayed engagement
+ * Supports cursor (next_cursor of the previous page) and, for older clients, page
  * @route GET /api/v1/social/posts
  * @access Private (Auth required)
  */
 const getFeed = async (req, res) => {
   try {
-    const { page = 1, limit = 10 } = req.query;
-    const user_id = req.user.id;
+    const { page, limit } = validatePagination(req.query);
+    const cursor = req.query.cursor || null;
 
-    const result = await SocialMediaService.getFeed(user_id, page, limit);
+    const result = await SocialMediaService.getFeed(req.user.id, page, limit, cursor);
     res.status(200).json(result);
   } catch (error) {
     console.error('Error in getFeed:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Internal server error',
-      error: process.env.NODE_ENV === 'development' ? error.message : undefined
-    });
+    respondWithError(res, error);
   }
 };
 
@@ -186,40 +184,32 @@ const getFeed = async (req, res) => {
  */
 const getFollowingFeed = async (req, res) => {
   try {
-    const { page = 1, limit = 10 } = req.query;
-    const user_id = req.user.id;
+    const { page, limit } = validatePagination(req.query);
 
-    const result = await SocialMediaService.getFollowingFeed(user_id, page, limit);
+    const result = await SocialMediaService.getFollowingFeed(req.user.id, page, limit, req.query.cursor || null);
     res.status(200).json(result);
   } catch (error) {
     console.error('Error in getFollowingFeed:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Internal server error',
-      error: process.env.NODE_ENV === 'development' ? error.message : undefined
-    });
+    respondWithError(res, error);
   }
 };
 
 /**
- * Get trending feed (posts with most interactions)
+ * Get trending feed (time-decayed engagement)
+ * Supports cursor (next_cursor of the previous page) and, for older clients, page
  * @route GET /api/v1/social/posts/trending
  * @access Private (Auth required)
  */
 const getTrendingFeed = async (req, res) => {
   try {
-    const { page = 1, limit = 10 } = req.query;
-    const user_id = req.user.id;
+    const { page, limit } = validatePagination(req.query);
+    const cursor = req.query.cursor || null;
 
-    const result = await SocialMediaService.getTrendingFeed(user_id, page, limit);
+    const result = await SocialMediaService.getTrendingFeed(req.user.id, page, limit, cursor);
     res.status(200).json(result);
   } catch (error) {
     console.error('Error in getTrendingFeed:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Internal server error',
-      error: process.env.NODE_ENV === 'development' ? error.message : undefined
-    });
+    respondWithError(res, error);
   }
 };
 
@@ -296,7 +286,7 @@ const addPostComment = async (req, res) => {
     const { content, parent_id } = req.body;
     const user_id = req.user.id;
 
-    const result = await SocialMediaService.addPostComment(user_id, post_id, content, parent_id);
+    const result = await SocialMediaService.addPostComment(user_id, post_id, { content, parent_id });
     res.status(201).json(result);
   } catch (error) {
     console.error('Error in addPostComment:', error);
@@ -324,24 +314,147 @@ const addPostComment = async (req, res) => {
 };
 
 /**
- * Get post comments
+ * Get post comments with reply counts and the first replies of each thread
  * @route GET /api/v1/social/posts/:post_id/comments
  * @access Public
  */
 const getPostComments = async (req, res) => {
   try {
     const { post_id } = req.params;
-    const { page = 1, limit = 20 } = req.query;
+    const { page, limit } = validatePagination({ limit: 20, ...req.query });
+    const replyLimit = Math.min(Math.max(parseInt(req.query.reply_limit, 10) || 3, 0), 20);
 
-    const result = await SocialMediaService.getPostComments(post_id, page, limit);
+    const result = await SocialMediaService.getPostComments(post_id, page, limit, replyLimit, req.query.cursor || null);
     res.status(200).json(result);
   } catch (error) {
     console.error('Error in getPostComments:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Internal server error',
-      error: process.env.NODE_ENV === 'development' ? error.message : undefined
-    });
+    respondWithError(res, error);
+  }
+};
+
+/**
+ * Content type from the route (posts, reviews, articles) as used by SocialMediaService
+ * @param {Object} req - Express request
+ * @returns {string}
+ */
+const getContentType = (req) => CONTENT_TYPES[req.params.content_type];
+
+/**
+ * Like/Unlike a review or article
+ * @route POST /api/v1/social/:content_type/id/:content_id/like
+ * @access Private (Auth required)
+ */
+const toggleContentLike = async (req, res) => {
+  try {
+    const result = await SocialMediaService.toggleLike(getContentType(req), req.user.id, req.params.content_id);
+    res.status(200).json(result);
+  } catch (error) {
+    console.error('Error in toggleContentLike:', error);
+    respondWithError(res, error);
+  }
+};
+
+/**
+ * Comment on (or reply to a comment on) a review or article
+ * @route POST /api/v1/social/:content_type/id/:content_id/comments
+ * @access Private (Auth required)
+ */
+const addContentComment = async (req, res) => {
+  try {
+    const { content, parent_id } = req.body;
+
+    const result = await SocialMediaService.addComment(getContentType(req), req.user.id, req.params.content_id, { content, parent_id });
+    res.status(201).json(result);
+  } catch (error) {
+    console.error('Error in addContentComment:', error);
+    respondWithError(res, error);
+  }
+};
+
+/**
+ * Get comments of a review or article with reply counts and the first replies of each thread
+ * @route GET /api/v1/social/:content_type/id/:content_id/comments
+ * @access Private (Auth required)
+ */
+const getContentComments = async (req, res) => {
+  try {
+    const { page, limit } = validatePagination(req.query);
+    const replyLimit = Math.min(Math.max(parseInt(req.query.reply_limit, 10) || 3, 0), 20);
+
+    const result = await SocialMediaService.getComments(getContentType(req), req.params.content_id, page, limit, replyLimit, req.query.cursor || null);
+    res.status(200).json(result);
+  } catch (error) {
+    console.error('Error in getContentComments:', error);
+    respondWithError(res, error);
+  }
+};
+
+/**
+ * Get users who liked a review or article
+ * @route GET /api/v1/social/:content_type/id/:content_id/likes
+ * @access Private (Auth required)
+ */
+const getContentLikes = async (req, res) => {
+  try {
+    const { page, limit } = validatePagination(req.query);
+
+    const result = await SocialMediaService.getLikes(getContentType(req), req.params.content_id, page, limit);
+    res.status(200).json(result);
+  } catch (error) {
+    console.error('Error in getContentLikes:', error);
+    respondWithError(res, error);
+  }
+};
+
+/**
+ * Get replies to a comment
+ * @route GET /api/v1/social/:content_type/id/:content_id/comments/id/:comment_id/replies
+ * @access Private (Auth required)
+ */
+const getCommentReplies = async (req, res) => {
+  try {
+    const { content_id, comment_id } = req.params;
+    const { page, limit } = validatePagination(req.query);
+
+    const result = await SocialMediaService.getCommentReplies(getContentType(req), content_id, comment_id, page, limit, req.query.cursor || null);
+    res.status(200).json(result);
+  } catch (error) {
+    console.error('Error in getCommentReplies:', error);
+    respondWithError(res, error);
+  }
+};
+
+/**
+ * Edit own comment
+ * @route PUT /api/v1/social/:content_type/id/:content_id/comments/id/:comment_id
+ * @access Private (Auth required)
+ */
+const updateComment = async (req, res) => {
+  try {
+    const { content_id, comment_id } = req.params;
+
+    const result = await SocialMediaService.updateComment(getContentType(req), req.user.id, content_id, comment_id, req.body.content);
+    res.status(200).json(result);
+  } catch (error) {
+    console.error('Error in updateComment:', error);
+    respondWithError(res, error);
+  }
+};
+
+/**
+ * Delete a comment; allowed for the comment author and the author of the post, review or article
+ * @route DELETE /api/v1/social/:content_type/id/:content_id/comments/id/:comment_id
+ * @access Private (Auth required)
+ */
+const deleteComment = async (req, res) => {
+  try {
+    const { content_id, comment_id } = req.params;
+
+    const result = await SocialMediaService.deleteComment(getContentType(req), req.user.id, content_id, comment_id);
+    res.status(200).json(result);
+  } catch (error) {
+    console.error('Error in deleteComment:', error);
+    respondWithError(res, error);
   }
 };
 
@@ -388,5 +501,12 @@ module.exports = {
   togglePostLike,
   addPostComment,
   getPostComments,
-  getPostLikes
+  getPostLikes,
+  toggleContentLike,
+  addContentComment,
+  getContentComments,
+  getContentLikes,
+  getCommentReplies,
+  updateComment,
+  deleteComment
 };
\ No newline at end of file
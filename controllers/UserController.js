@@ -1,6 +1,8 @@
 const UserService = require('../services/UserService');
+const SavedItemService = require('../services/SavedItemService');
+const NotificationDeliveryService = require('../services/NotificationDeliveryService');
 const { validationResult } = require('express-validator');
-const { validateId } = require('../utils/validation');
+const { validateId, validatePagination } = require('../utils/validation');
 
 /**
  * Get user by ID
@@ -225,6 +227,174 @@ const searchUsers = async (req, res) => {
   }
 };
 
+/**
+ * Get current user's saved places, posts or articles
+ * @route GET /api/v1/users/saved?kind=places
+ * @access Private (Auth required)
+ */
+const getSavedItems = async (req, res) => {
+  try {
+    const { page, limit } = validatePagination(req.query);
+    const kind = req.query.kind || 'places';
+
+    const result = await SavedItemService.getSavedItems(req.user.id, { kind, page, limit });
+
+    res.status(200).json({
+      success: true,
+      message: 'Saved items retrieved successfully',
+      data: result
+    });
+  } catch (error) {
+    console.error('Error in getSavedItems:', error);
+    const status = error.statusCode || 500;
+    res.status(status).json({
+      success: false,
+      message: status === 500 ? 'Internal server error' : error.message,
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Save a place, post or article
+ * @route POST /api/v1/users/saved/:kind/:id
+ * @access Private (Auth required)
+ */
+const saveItem = async (req, res) => {
+  try {
+    const validation = validateId(req.params.id);
+    if (!validation.isValid) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid item ID'
+      });
+    }
+
+    const result = await SavedItemService.saveItem(req.user.id, req.params.kind, validation.id);
+
+    res.status(result.created ? 201 : 200).json({
+      success: true,
+      message: result.created ? 'Item saved successfully' : 'Item is already saved',
+      data: result
+    });
+  } catch (error) {
+    console.error('Error in saveItem:', error);
+    const status = error.statusCode || 500;
+    res.status(status).json({
+      success: false,
+      message: status === 500 ? 'Internal server error' : error.message,
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Remove a saved place, post or article
+ * @route DELETE /api/v1/users/saved/:kind/:id
+ * @access Private (Auth required)
+ */
+const unsaveItem = async (req, res) => {
+  try {
+    const validation = validateId(req.params.id);
+    if (!validation.isValid) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid item ID'
+      });
+    }
+
+    const result = await SavedItemService.unsaveItem(req.user.id, req.params.kind, validation.id);
+
+    res.status(200).json({
+      success: true,
+      message: 'Item removed from saved successfully',
+      data: result
+    });
+  } catch (error) {
+    console.error('Error in unsaveItem:', error);
+    const status = error.statusCode || 500;
+    res.status(status).json({
+      success: false,
+      message: status === 500 ? 'Internal server error' : error.message,
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * List the current user's push devices
+ * @route GET /api/v1/users/devices
+ * @access Private (Auth required)
+ */
+const getDevices = async (req, res) => {
+  try {
+    const devices = await NotificationDeliveryService.getDevices(req.user.id);
+
+    res.status(200).json({
+      success: true,
+      message: 'Devices retrieved successfully',
+      data: devices
+    });
+  } catch (error) {
+    console.error('Error in getDevices:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Register a push device token for the current user
+ * @route POST /api/v1/users/devices
+ * @access Private (Auth required)
+ */
+const registerDevice = async (req, res) => {
+  try {
+    const { token, platform } = req.body;
+    const device = await NotificationDeliveryService.registerDevice(req.user.id, { token, platform });
+
+    res.status(201).json({
+      success: true,
+      message: 'Device registered successfully',
+      data: device
+    });
+  } catch (error) {
+    console.error('Error in registerDevice:', error);
+    const status = error.statusCode || 500;
+    res.status(status).json({
+      success: false,
+      message: status === 500 ? 'Internal server error' : error.message,
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Remove a push device token, e.g. on logout
+ * @route DELETE /api/v1/users/devices/:token
+ * @access Private (Auth required)
+ */
+const removeDevice = async (req, res) => {
+  try {
+    await NotificationDeliveryService.removeDevice(req.user.id, req.params.token);
+
+    res.status(200).json({
+      success: true,
+      message: 'Device removed successfully'
+    });
+  } catch (error) {
+    console.error('Error in removeDevice:', error);
+    const status = error.statusCode || 500;
+    res.status(status).json({
+      success: false,
+      message: status === 500 ? 'Internal server error' : error.message,
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
 module.exports = {
   searchUsers,
   getUserById,
@@ -232,4 +402,10 @@ module.exports = {
   updateUserProfile,
   getUserActivities,
   getUserStats,
+  getSavedItems,
+  saveItem,
+  unsaveItem,
+  getDevices,
+  registerDevice,
+  removeDevice,
 };
\ No newline at end of file
@@ -4,6 +4,18 @@ const jwt = require('jsonwebtoken');
 const { validationResult } = require('express-validator');
 const { Op } = require('sequelize');
 const { generateAccessToken, generateRefreshToken, verifyToken } = require('../utils/jwt');
+const { abilitiesForRole } = require('../config/roles');
+const LevelService = require('../services/LevelService');
+
+/**
+ * User profile with level progress, as returned by the auth endpoints
+ * @param {Object} user - User instance
+ * @returns {Object}
+ */
+const describeUser = (user) => ({
+  ...user.getProfile(),
+  level_info: LevelService.getLevelInfo(user.totalExp)
+});
 
 /**
  * Register new user (Social Login)
@@ -80,7 +92,7 @@ const register = async (req, res) => {
       success: true,
       message: 'User berhasil didaftarkan',
       data: {
-        user: newUser.getProfile(),
+        user: describeUser(newUser),
       }
     });
 
@@ -185,13 +197,13 @@ const login = async (req, res) => {
     const accessToken = generateAccessToken(user);
     
     // Also create database token for Laravel Sanctum compatibility
-    const tokenRecord = await PersonalAccessToken.createToken(user, 'API Login');
+    const tokenRecord = await PersonalAccessToken.createToken(user, 'API Login', abilitiesForRole(user.role));
 
     res.json({
       success: true,
       message: 'Login berhasil',
       data: {
-        user: user.getProfile(),
+        user: describeUser(user),
         token: tokenRecord.token, // Gunakan token dari database untuk compatibility
         jwtToken: accessToken // Keep JWT for backward compatibility
       }
@@ -285,7 +297,7 @@ const checkAuthStatus = async (req, res) => {
         success: true,
         message: 'Token valid',
         data: {
-          user: user.getProfile()
+          user: describeUser(user)
         }
       });
 
@@ -345,7 +357,7 @@ const getProfile = async (req, res) => {
         success: true,
         message: 'Profile berhasil diambil',
         data: {
-          user: user.getProfile()
+          user: describeUser(user)
         }
       });
 
@@ -434,7 +446,7 @@ const updateProfile = async (req, res) => {
         success: true,
         message: 'Profile berhasil diperbarui',
         data: {
-          user: user.getProfile()
+          user: describeUser(user)
         }
       });
 
@@ -1,5 +1,8 @@
 const PlaceService = require('../services/PlaceService');
-const { validateId } = require('../utils/validation');
+const ReviewService = require('../services/ReviewService');
+const LeaderboardService = require('../services/LeaderboardService');
+const LevelService = require('../services/LevelService');
+const { validateId, validatePagination } = require('../utils/validation');
 
 /**
  * Get paginated places with optional filters
@@ -28,6 +31,11 @@ const getWithFilters = async (req, res) => {
       filters.radius = req.query.radius;
     }
     if (req.query.page) filters.page = parseInt(req.query.page);
+    if (req.query.sort) filters.sort = String(req.query.sort);
+    if (String(req.query.include || '').split(',').includes('reviews')) {
+      filters.includeReviews = true;
+      if (req.query.reviews_limit) filters.reviewsLimit = parseInt(req.query.reviews_limit);
+    }
     if (Array.isArray(req.query.food_type)) {
       if (req.query.food_type.length > 0) filters.foodType = req.query.food_type;
     } else if (req.query.food_type) {
@@ -132,7 +140,9 @@ const getReviewsByPlaceId = async (req, res) => {
       page,
       limit,
       sort_by: sortBy,
-      sort_order: sortOrder
+      sort_order: sortOrder,
+      user_id: req.user.id,
+      cursor: req.query.cursor || null
     });
 
     res.status(200).json({
@@ -143,21 +153,275 @@ const getReviewsByPlaceId = async (req, res) => {
         current_page: reviews.current_page,
         per_page: reviews.per_page,
         total: reviews.total,
-        last_page: reviews.last_page
+        last_page: reviews.last_page,
+        next_cursor: reviews.next_cursor
       }
     });
   } catch (error) {
     console.error('Error in getReviewsByPlaceId:', error);
+    const status = error.statusCode || 500;
+    res.status(status).json({
+      success: false,
+      message: status === 500 ? 'Failed to retrieve reviews' : error.message,
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Update own review of a place
+ * @route PUT /api/v1/places/id/:place_id/reviews/:review_id
+ * @access Protected (owner only)
+ */
+const updateReview = async (req, res) => {
+  try {
+    const { place_id, review_id } = req.params;
+    const { rating, content, image_urls, additional_info } = req.body;
+
+    const review = await ReviewService.updateReview(
+      review_id,
+      { rating, content, image_urls, additional_info },
+      req.user.id,
+      place_id
+    );
+
+    res.status(200).json({
+      success: true,
+      message: 'Review updated successfully',
+      data: review
+    });
+  } catch (error) {
+    console.error('Error in updateReview:', error);
+    const status = error.statusCode || 500;
+    res.status(status).json({
+      success: false,
+      message: status === 500 ? 'Failed to update review' : error.message,
+      error: status === 500 ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Delete own review of a place
+ * Coins/EXP awarded for the review are reversed.
+ * @route DELETE /api/v1/places/id/:place_id/reviews/:review_id
+ * @access Protected (owner only)
+ */
+const deleteReview = async (req, res) => {
+  try {
+    const { place_id, review_id } = req.params;
+
+    const reversed = await ReviewService.deleteReview(review_id, req.user.id, place_id);
+
+    res.status(200).json({
+      success: true,
+      message: 'Review deleted successfully',
+      data: reversed
+    });
+  } catch (error) {
+    console.error('Error in deleteReview:', error);
+    const status = error.statusCode || 500;
+    res.status(status).json({
+      success: false,
+      message: status === 500 ? 'Failed to delete review' : error.message,
+      error: status === 500 ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Like/Unlike a review of a place
+ * @route POST /api/v1/places/id/:place_id/reviews/:review_id/like
+ * @access Protected
+ */
+const toggleReviewLike = async (req, res) => {
+  try {
+    const { place_id, review_id } = req.params;
+
+    const result = await ReviewService.toggleLike(review_id, req.user.id, place_id);
+
+    res.status(200).json({
+      success: true,
+      message: result.is_liked ? 'Review liked successfully' : 'Review unliked successfully',
+      data: result
+    });
+  } catch (error) {
+    console.error('Error in toggleReviewLike:', error);
+    const status = error.statusCode || 500;
+    res.status(status).json({
+      success: false,
+      message: status === 500 ? 'Failed to toggle review like' : error.message,
+      error: status === 500 ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Create a place
+ * @route POST /api/v1/places
+ * @access Admin
+ */
+const createPlace = async (req, res) => {
+  try {
+    const place = await PlaceService.createPlace(req.body, req.user.id);
+
+    res.status(201).json({
+      success: true,
+      message: 'Tempat berhasil dibuat',
+      data: { place }
+    });
+  } catch (error) {
+    console.error('Error in createPlace:', error);
+    const status = error.statusCode || 500;
+    res.status(status).json({
+      success: false,
+      message: status === 500 ? 'Failed to create place' : error.message,
+      error: status === 500 ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Update a place. PUT replaces every editable field (missing fields fall back to their
+ * defaults), PATCH only the given ones. Every changed field is written to the audit trail.
+ * @route PUT|PATCH /api/v1/places/id/:place_id
+ * @access Admin
+ */
+const updatePlace = async (req, res) => {
+  try {
+    const { place, changes } = await PlaceService.updatePlace(req.params.place_id, req.body, req.user.id, {
+      replace: req.method === 'PUT'
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Tempat berhasil diperbarui',
+      data: {
+        place,
+        changes
+      }
+    });
+  } catch (error) {
+    console.error('Error in updatePlace:', error);
+    const status = error.statusCode || 500;
+    res.status(status).json({
+      success: false,
+      message: status === 500 ? 'Failed to update place' : error.message,
+      error: status === 500 ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Deactivate a place. Places are never hard deleted because
+ * check-ins, reviews and coin history still point at them.
+ * @route DELETE /api/v1/places/id/:place_id
+ * @access Admin
+ */
+const deactivatePlace = async (req, res) => {
+  try {
+    const place = await PlaceService.deactivatePlace(req.params.place_id, req.user.id);
+
+    res.status(200).json({
+      success: true,
+      message: 'Tempat berhasil dinonaktifkan',
+      data: { place }
+    });
+  } catch (error) {
+    console.error('Error in deactivatePlace:', error);
+    const status = error.statusCode || 500;
+    res.status(status).json({
+      success: false,
+      message: status === 500 ? 'Failed to deactivate place' : error.message,
+      error: status === 500 ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Get the audit trail of a place
+ * @route GET /api/v1/places/id/:place_id/audits
+ * @access Admin
+ */
+const getPlaceAudits = async (req, res) => {
+  try {
+    const { page, limit } = validatePagination(req.query);
+
+    const result = await PlaceService.getPlaceAudits(req.params.place_id, { page, limit });
+
+    res.status(200).json({
+      success: true,
+      message: 'Place audit trail retrieved successfully',
+      data: result
+    });
+  } catch (error) {
+    console.error('Error in getPlaceAudits:', error);
     res.status(500).json({
       success: false,
-      message: 'Failed to retrieve reviews',
+      message: 'Failed to get place audit trail',
       error: error.message
     });
   }
 };
 
+/**
+ * Get the top visitors of a place
+ * Metrics match GET /leaderboard/top-users, counted only at this place
+ * @route GET /api/v1/places/id/:place_id/leaderboard
+ * @access Protected
+ */
+const getPlaceLeaderboard = async (req, res) => {
+  try {
+    const { metric = 'totalCheckin', type = 'all_time', limit = 50 } = req.query;
+
+    const result = await LeaderboardService.getPlaceLeaderboard({
+      place_id: req.params.place_id,
+      metric,
+      type,
+      limit: Math.min(parseInt(limit) || 50, 100)
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Place leaderboard retrieved successfully',
+      data: {
+        place: result.place,
+        leaderboard: result.leaderboard.map(({ user, rank, score }) => ({
+          rank,
+          ...user.toJSON(),
+          level_info: LevelService.getLevelInfo(user.totalExp),
+          score
+        })),
+        metadata: {
+          type,
+          metric,
+          period: result.period,
+          total_users: result.total_users,
+          generated_at: new Date()
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Error in getPlaceLeaderboard:', error);
+    const status = error.statusCode || 500;
+    res.status(status).json({
+      success: false,
+      message: status === 500 ? 'Failed to get place leaderboard' : error.message,
+      error: status === 500 ? error.message : undefined
+    });
+  }
+};
+
 module.exports = {
   getWithFilters,
   getById,
   getReviewsByPlaceId,
+  updateReview,
+  deleteReview,
+  toggleReviewLike,
+  createPlace,
+  updatePlace,
+  deactivatePlace,
+  getPlaceAudits,
+  getPlaceLeaderboard,
 };
\ No newline at end of file
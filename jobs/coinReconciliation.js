@@ -0,0 +1,155 @@
+require('dotenv').config();
+const { Op } = require('sequelize');
+const { sequelize } = require('../config/database');
+const User = require('../models/User');
+const CoinTransaction = require('../models/CoinTransaction');
+const { COIN_RECONCILE_HOUR } = require('../config/gamification');
+
+const BATCH_SIZE = 500;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Sum of the coin ledger for a set of users, keyed by user id
+ * @param {Array<number>} userIds
+ * @param {Object} transaction - Optional Sequelize transaction
+ * @returns {Promise<Map<number, number>>}
+ */
+const sumLedger = async (userIds, transaction) => {
+  const rows = await CoinTransaction.findAll({
+    attributes: ['user_id', [sequelize.fn('SUM', sequelize.col('amount')), 'ledger_total']],
+    where: { user_id: userIds },
+    group: ['user_id'],
+    raw: true,
+    transaction
+  });
+  return new Map(rows.map(row => [parseInt(row.user_id), parseInt(row.ledger_total) || 0]));
+};
+
+/**
+ * Compare every user's totalCoin with the sum of their coin transactions.
+ * With `fix`, mismatched balances are reset to the ledger total under a row lock.
+ * @param {Object} options - { fix }
+ * @returns {Promise<{ checked: number, mismatches: Array<Object>, fixed: number }>}
+ */
+const reconcileCoinBalances = async ({ fix = false } = {}) => {
+  const mismatches = [];
+  let checked = 0;
+  let fixed = 0;
+  let lastId = 0;
+
+  for (;;) {
+    const users = await User.findAll({
+      attributes: ['id', 'totalCoin'],
+      where: { id: { [Op.gt]: lastId } },
+      order: [['id', 'ASC']],
+      limit: BATCH_SIZE
+    });
+    if (users.length === 0) {
+      break;
+    }
+    lastId = users[users.length - 1].id;
+    checked += users.length;
+
+    const ledger = await sumLedger(users.map(user => user.id));
+    for (const user of users) {
+      const ledgerTotal = ledger.get(parseInt(user.id)) || 0;
+      if ((user.totalCoin || 0) === ledgerTotal) {
+        continue;
+      }
+
+      const mismatch = {
+        user_id: user.id,
+        total_coin: user.totalCoin || 0,
+        ledger_total: ledgerTotal,
+        difference: (user.totalCoin || 0) - ledgerTotal
+      };
+      mismatches.push(mismatch);
+
+      if (fix && await fixBalance(user.id)) {
+        fixed++;
+      }
+    }
+  }
+
+  return { checked, mismatches, fixed };
+};
+
+/**
+ * Reset a user's totalCoin to the ledger total; the balance is re-read under
+ * the same lock the ledger uses, so concurrent coin changes are not lost.
+ * @param {number} userId
+ * @returns {Promise<boolean>} Whether the balance was changed
+ */
+const fixBalance = async (userId) => {
+  const transaction = await sequelize.transaction();
+  try {
+    const user = await User.findByPk(userId, { transaction, lock: transaction.LOCK.UPDATE });
+    const ledgerTotal = (await sumLedger([userId], transaction)).get(parseInt(userId)) || 0;
+
+    let changed = false;
+    if (user && (user.totalCoin || 0) !== ledgerTotal) {
+      await user.update({ totalCoin: ledgerTotal }, { transaction });
+      changed = true;
+    }
+
+    await transaction.commit();
+    return changed;
+  } catch (error) {
+    await transaction.rollback();
+    throw error;
+  }
+};
+
+/**
+ * Run the reconciliation and log the outcome
+ * @param {Object} options - { fix }
+ * @returns {Promise<Object|null>}
+ */
+const runCoinReconciliation = async (options = {}) => {
+  try {
+    const result = await reconcileCoinBalances(options);
+    if (result.mismatches.length > 0) {
+      console.warn('⚠️  Coin balance mismatches found:', JSON.stringify(result.mismatches));
+    }
+    console.log(`🪙 Coin reconciliation: ${result.checked} users checked, ${result.mismatches.length} mismatches, ${result.fixed} fixed`);
+    return result;
+  } catch (error) {
+    console.error('❌ Coin reconciliation failed:', error.message);
+    return null;
+  }
+};
+
+/**
+ * Schedule the reconciliation every night at COIN_RECONCILE_HOUR (server time).
+ * Mismatches are only reported; run `npm run reconcile:coins -- --fix` to repair them.
+ * @returns {Object} Timer handle
+ */
+const scheduleCoinReconciliation = () => {
+  const now = new Date();
+  const next = new Date(now.getFullYear(), now.getMonth(), now.getDate(), COIN_RECONCILE_HOUR);
+  if (next <= now) {
+    next.setTime(next.getTime() + DAY_MS);
+  }
+
+  const timer = setTimeout(async () => {
+    await runCoinReconciliation();
+    scheduleCoinReconciliation();
+  }, next - now);
+
+  // Do not keep the process alive just for this job
+  timer.unref();
+  return timer;
+};
+
+if (require.main === module) {
+  require('../models');
+
+  runCoinReconciliation({ fix: process.argv.includes('--fix') })
+    .then(result => sequelize.close().then(() => process.exit(result ? 0 : 1)));
+}
+
+module.exports = {
+  reconcileCoinBalances,
+  runCoinReconciliation,
+  scheduleCoinReconciliation
+};
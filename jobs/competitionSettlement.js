@@ -0,0 +1,74 @@
+require('dotenv').config();
+const { sequelize } = require('../config/database');
+const LeaderboardService = require('../services/LeaderboardService');
+const { COMPETITION_SETTLE_INTERVAL_MINUTES } = require('../config/gamification');
+
+/**
+ * Pay out every closed competition that has not been settled yet.
+ * Settlement is idempotent, so overlapping or repeated runs are harmless.
+ * @param {Date} now
+ * @returns {Promise<{ settled: Array<Object>, failed: Array<Object> }>}
+ */
+const settleClosedCompetitions = async (now = new Date()) => {
+  const settled = [];
+  const failed = [];
+
+  const competitions = await LeaderboardService.findUnsettledCompetitions(now);
+  for (const competition of competitions) {
+    try {
+      const result = await LeaderboardService.settleCompetition(competition.id, now);
+      if (!result.already_settled) {
+        settled.push({ competition_id: competition.id, payouts: result.payouts.length });
+      }
+    } catch (error) {
+      failed.push({ competition_id: competition.id, error: error.message });
+    }
+  }
+
+  return { settled, failed };
+};
+
+/**
+ * Run the settlement and log the outcome
+ * @returns {Promise<Object|null>}
+ */
+const runCompetitionSettlement = async () => {
+  try {
+    const result = await settleClosedCompetitions();
+    if (result.failed.length > 0) {
+      console.error('❌ Competition settlement failures:', JSON.stringify(result.failed));
+    }
+    if (result.settled.length > 0) {
+      console.log(`🏆 Competitions settled: ${JSON.stringify(result.settled)}`);
+    }
+    return result;
+  } catch (error) {
+    console.error('❌ Competition settlement failed:', error.message);
+    return null;
+  }
+};
+
+/**
+ * Check for closed competitions every COMPETITION_SETTLE_INTERVAL_MINUTES
+ * @returns {Object} Timer handle
+ */
+const scheduleCompetitionSettlement = () => {
+  const timer = setInterval(runCompetitionSettlement, COMPETITION_SETTLE_INTERVAL_MINUTES * 60 * 1000);
+
+  // Do not keep the process alive just for this job
+  timer.unref();
+  return timer;
+};
+
+if (require.main === module) {
+  require('../models');
+
+  runCompetitionSettlement()
+    .then(result => sequelize.close().then(() => process.exit(result && result.failed.length === 0 ? 0 : 1)));
+}
+
+module.exports = {
+  settleClosedCompetitions,
+  runCompetitionSettlement,
+  scheduleCompetitionSettlement
+};
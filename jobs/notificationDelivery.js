@@ -0,0 +1,45 @@
+require('dotenv').config();
+const { sequelize } = require('../config/database');
+const NotificationDeliveryService = require('../services/NotificationDeliveryService');
+const { DELIVERY_INTERVAL_SECONDS } = require('../config/notifications');
+
+/**
+ * Retry due notification deliveries and log the outcome
+ * @returns {Promise<Object|null>}
+ */
+const runNotificationDelivery = async () => {
+  try {
+    const result = await NotificationDeliveryService.processDue();
+    if (result.sent + result.skipped + result.failed + result.retrying > 0) {
+      console.log(`🔔 Notification deliveries processed: ${JSON.stringify(result)}`);
+    }
+    return result;
+  } catch (error) {
+    console.error('❌ Notification delivery failed:', error.message);
+    return null;
+  }
+};
+
+/**
+ * Check the retry queue every DELIVERY_INTERVAL_SECONDS
+ * @returns {Object} Timer handle
+ */
+const scheduleNotificationDelivery = () => {
+  const timer = setInterval(runNotificationDelivery, DELIVERY_INTERVAL_SECONDS * 1000);
+
+  // Do not keep the process alive just for this job
+  timer.unref();
+  return timer;
+};
+
+if (require.main === module) {
+  require('../models');
+
+  runNotificationDelivery()
+    .then(result => sequelize.close().then(() => process.exit(result ? 0 : 1)));
+}
+
+module.exports = {
+  runNotificationDelivery,
+  scheduleNotificationDelivery
+};
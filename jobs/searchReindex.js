@@ -0,0 +1,50 @@
+require('dotenv').config();
+const { sequelize } = require('../config/database');
+const SearchService = require('../services/SearchService');
+const { SEARCH_REINDEX_INTERVAL_MINUTES } = require('../config/search');
+
+/**
+ * Rebuild the search index for places and articles and log the outcome.
+ * Records are indexed as they are saved; run this to backfill or repair the index.
+ * @returns {Promise<Object|null>}
+ */
+const runSearchReindex = async () => {
+  try {
+    const result = {
+      place: await SearchService.reindex('place'),
+      article: await SearchService.reindex('article')
+    };
+    console.log(`🔎 Search index rebuilt: ${JSON.stringify(result)}`);
+    return result;
+  } catch (error) {
+    console.error('❌ Search reindex failed:', error.message);
+    return null;
+  }
+};
+
+/**
+ * Backfill the index right after startup, then rebuild it every SEARCH_REINDEX_INTERVAL_MINUTES
+ * so places and articles written outside this API (Laravel app, seeders) become searchable
+ * @returns {Object} Timer handle
+ */
+const scheduleSearchReindex = () => {
+  const startup = setTimeout(runSearchReindex, 0);
+  const timer = setInterval(runSearchReindex, SEARCH_REINDEX_INTERVAL_MINUTES * 60 * 1000);
+
+  // Do not keep the process alive just for this job
+  startup.unref();
+  timer.unref();
+  return timer;
+};
+
+if (require.main === module) {
+  require('../models');
+
+  runSearchReindex()
+    .then(result => sequelize.close().then(() => process.exit(result ? 0 : 1)));
+}
+
+module.exports = {
+  runSearchReindex,
+  scheduleSearchReindex
+};
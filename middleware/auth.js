@@ -201,7 +201,10 @@ const optionalAuth = async (req, res, next) => {
 };
 
 /**
- * Check if user has specific role (for future use)
+ * Check if user has one of the given roles
+ * The user's current role and the token's abilities must both allow access,
+ * so tokens issued before a role change do not gain new privileges.
+ * @param {...string} roles - Allowed roles (e.g. 'admin', 'moderator')
  */
 const authorize = (...roles) => {
   return (req, res, next) => {
@@ -212,8 +215,21 @@ const authorize = (...roles) => {
       });
     }
 
-    // For now, all authenticated users have access
-    // This can be extended with role-based access control
+    if (roles.length === 0) {
+      return next();
+    }
+
+    const hasRole = req.user.hasRole(...roles);
+    const tokenAllowed = !req.tokenRecord ||
+      roles.some(role => req.tokenRecord.can(`role:${role}`));
+
+    if (!hasRole || !tokenAllowed) {
+      return res.status(403).json({
+        success: false,
+        message: 'Akses ditolak. Anda tidak memiliki izin untuk aksi ini.'
+      });
+    }
+
     next();
   };
 };
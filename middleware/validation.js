@@ -268,6 +268,109 @@ const validateUpdatePlace = [
   handleValidationErrors
 ];
 
+/**
+ * Validation rules for creating an article
+ */
+const validateCreateArticle = [
+  body('title')
+    .trim()
+    .notEmpty()
+    .withMessage('Judul artikel harus diisi')
+    .isLength({ max: 255 })
+    .withMessage('Judul artikel maksimal 255 karakter'),
+    
+  body('category')
+    .trim()
+    .notEmpty()
+    .withMessage('Kategori artikel harus diisi')
+    .isLength({ max: 255 })
+    .withMessage('Kategori artikel maksimal 255 karakter'),
+    
+  body('content')
+    .trim()
+    .notEmpty()
+    .withMessage('Konten artikel harus diisi'),
+    
+  body('image_urls')
+    .optional()
+    .isArray()
+    .withMessage('Image URLs harus berupa array'),
+    
+  body('image_urls.*')
+    .optional()
+    .isURL()
+    .withMessage('Setiap image URL harus valid'),
+
+  handleValidationErrors
+];
+
+/**
+ * Validation rules for updating an article
+ */
+const validateUpdateArticle = [
+  body('title')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 255 })
+    .withMessage('Judul artikel harus antara 1-255 karakter'),
+    
+  body('category')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 255 })
+    .withMessage('Kategori artikel harus antara 1-255 karakter'),
+    
+  body('content')
+    .optional()
+    .trim()
+    .notEmpty()
+    .withMessage('Konten artikel tidak boleh kosong'),
+    
+  body('image_urls')
+    .optional()
+    .isArray()
+    .withMessage('Image URLs harus berupa array'),
+    
+  body('image_urls.*')
+    .optional()
+    .isURL()
+    .withMessage('Setiap image URL harus valid'),
+
+  handleValidationErrors
+];
+
+/**
+ * Validation rules for updating a review
+ */
+const validateUpdateReview = [
+  body('rating')
+    .optional()
+    .isInt({ min: 1, max: 5 })
+    .withMessage('Rating harus antara 1-5'),
+    
+  body('content')
+    .optional()
+    .isLength({ max: 1000 })
+    .withMessage('Konten review maksimal 1000 karakter'),
+    
+  body('image_urls')
+    .optional()
+    .isArray()
+    .withMessage('Image URLs harus berupa array'),
+    
+  body('image_urls.*')
+    .optional()
+    .isURL()
+    .withMessage('Setiap image URL harus valid'),
+    
+  body('additional_info')
+    .optional()
+    .isObject()
+    .withMessage('Additional info harus berupa object'),
+
+  handleValidationErrors
+];
+
 /**
  * Middleware to validate ID parameter
  * @param {string} paramName - Name of the parameter to validate (default: 'id')
@@ -310,6 +413,11 @@ const validatePostIdParam = validateIdParam('post_id');
  */
 const validateArticleIdParam = validateIdParam('article_id');
 
+/**
+ * Middleware to validate review ID parameter
+ */
+const validateReviewIdParam = validateIdParam('review_id');
+
 /**
  * Middleware to validate pagination query parameters
  */
@@ -327,11 +435,15 @@ module.exports = {
   validateProfileUpdate,
   validateCreatePlace,
   validateUpdatePlace,
+  validateCreateArticle,
+  validateUpdateArticle,
+  validateUpdateReview,
   handleValidationErrors,
   validateIdParam,
   validateUserIdParam,
   validatePlaceIdParam,
   validatePostIdParam,
   validateArticleIdParam,
+  validateReviewIdParam,
   validatePaginationQuery
 };
\ No newline at end of file
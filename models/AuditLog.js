@@ -0,0 +1,61 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+const AuditLog = sequelize.define('AuditLog', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  user_id: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'users',
+      key: 'id'
+    },
+    comment: 'User who made the change'
+  },
+  auditable_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    comment: 'ID of the changed record'
+  },
+  auditable_type: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    comment: 'Type of the changed record (Place, etc.)'
+  },
+  action: {
+    type: DataTypes.ENUM('create', 'update', 'deactivate'),
+    allowNull: false
+  },
+  changes: {
+    type: DataTypes.JSON,
+    allowNull: true,
+    comment: 'Changed fields as { field: { from, to } }'
+  }
+}, {
+  tableName: 'audit_logs',
+  timestamps: true,
+  createdAt: 'created_at',
+  updatedAt: false,
+  indexes: [
+    {
+      fields: ['auditable_type', 'auditable_id']
+    },
+    {
+      fields: ['user_id']
+    }
+  ]
+});
+
+// Associations
+AuditLog.associate = (models) => {
+  AuditLog.belongsTo(models.User, {
+    foreignKey: 'user_id',
+    as: 'user'
+  });
+};
+
+module.exports = AuditLog;
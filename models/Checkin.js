@@ -32,6 +32,11 @@ const Checkin = sequelize.define('Checkin', {
     type: DataTypes.DECIMAL(10, 6),
     allowNull: true
   },
+  // Meters between the submitted coordinates and the place, kept for fraud review
+  distance: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: true
+  },
   image_url: {
     type: DataTypes.TEXT,
     allowNull: true
@@ -50,6 +50,11 @@ const Leaderboard = sequelize.define('Leaderboard', {
     allowNull: true,
     comment: 'Rewards for top positions'
   },
+  settled_at: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    comment: 'When reward_config was paid out to the winners'
+  },
   additional_info: {
     type: DataTypes.JSON,
     allowNull: true,
@@ -65,4 +70,12 @@ const Leaderboard = sequelize.define('Leaderboard', {
   updatedAt: 'updated_at'
 });
 
+// Associations
+Leaderboard.associate = (models) => {
+  Leaderboard.hasMany(models.LeaderboardPayout, {
+    foreignKey: 'leaderboard_id',
+    as: 'payouts'
+  });
+};
+
 module.exports = Leaderboard;
\ No newline at end of file
@@ -0,0 +1,77 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+const LeaderboardPayout = sequelize.define('LeaderboardPayout', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  leaderboard_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'leaderboards',
+      key: 'id'
+    }
+  },
+  user_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  },
+  rank: {
+    type: DataTypes.INTEGER,
+    allowNull: false
+  },
+  score: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0
+  },
+  coins: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0
+  },
+  achievement_id: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'achievements',
+      key: 'id'
+    }
+  }
+}, {
+  tableName: 'leaderboard_payouts',
+  timestamps: true,
+  createdAt: 'created_at',
+  updatedAt: 'updated_at',
+  indexes: [
+    {
+      unique: true,
+      fields: ['leaderboard_id', 'user_id']
+    }
+  ]
+});
+
+// Associations
+LeaderboardPayout.associate = (models) => {
+  LeaderboardPayout.belongsTo(models.Leaderboard, {
+    foreignKey: 'leaderboard_id',
+    as: 'leaderboard'
+  });
+  LeaderboardPayout.belongsTo(models.User, {
+    foreignKey: 'user_id',
+    as: 'user'
+  });
+  LeaderboardPayout.belongsTo(models.Achievement, {
+    foreignKey: 'achievement_id',
+    as: 'achievement'
+  });
+};
+
+module.exports = LeaderboardPayout;
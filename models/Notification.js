@@ -0,0 +1,76 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+const Notification = sequelize.define('Notification', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  // Recipient
+  user_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  },
+  // User that triggered the notification; null for system events
+  actor_id: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  },
+  type: {
+    type: DataTypes.STRING(50),
+    allowNull: false
+  },
+  related_to_id: {
+    type: DataTypes.INTEGER,
+    allowNull: true
+  },
+  related_to_type: {
+    type: DataTypes.STRING,
+    allowNull: true
+  },
+  data: {
+    type: DataTypes.JSON,
+    allowNull: true,
+    defaultValue: {}
+  },
+  read_at: {
+    type: DataTypes.DATE,
+    allowNull: true
+  }
+}, {
+  tableName: 'notifications',
+  timestamps: true,
+  createdAt: 'created_at',
+  updatedAt: 'updated_at',
+  indexes: [
+    {
+      fields: ['user_id', 'created_at']
+    },
+    {
+      fields: ['user_id', 'read_at']
+    }
+  ]
+});
+
+// Associations
+Notification.associate = (models) => {
+  Notification.belongsTo(models.User, {
+    foreignKey: 'user_id',
+    as: 'user'
+  });
+  Notification.belongsTo(models.User, {
+    foreignKey: 'actor_id',
+    as: 'actor'
+  });
+};
+
+module.exports = Notification;
@@ -0,0 +1,81 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+const NotificationDelivery = sequelize.define('NotificationDelivery', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  notification_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'notifications',
+      key: 'id'
+    }
+  },
+  user_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  },
+  channel: {
+    type: DataTypes.STRING(20),
+    allowNull: false
+  },
+  // pending deliveries are (re)tried once next_attempt_at has passed
+  status: {
+    type: DataTypes.ENUM('pending', 'sent', 'skipped', 'failed'),
+    allowNull: false,
+    defaultValue: 'pending'
+  },
+  attempts: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0
+  },
+  next_attempt_at: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  last_error: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  sent_at: {
+    type: DataTypes.DATE,
+    allowNull: true
+  }
+}, {
+  tableName: 'notification_deliveries',
+  timestamps: true,
+  createdAt: 'created_at',
+  updatedAt: 'updated_at',
+  indexes: [
+    {
+      unique: true,
+      fields: ['notification_id', 'channel']
+    },
+    {
+      fields: ['status', 'next_attempt_at']
+    }
+  ]
+});
+
+// Associations
+NotificationDelivery.associate = (models) => {
+  NotificationDelivery.belongsTo(models.Notification, {
+    foreignKey: 'notification_id',
+    as: 'notification'
+  });
+  NotificationDelivery.belongsTo(models.User, {
+    foreignKey: 'user_id',
+    as: 'user'
+  });
+};
+
+module.exports = NotificationDelivery;
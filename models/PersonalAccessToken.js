@@ -8,6 +8,29 @@ class PersonalAccessToken extends Model {
     return !this.expires_at || new Date() < this.expires_at;
   }
 
+  getAbilities() {
+    if (!this.abilities) {
+      return [];
+    }
+
+    // Laravel Sanctum stores a JSON array, tokens issued here store a comma separated list
+    try {
+      const parsed = JSON.parse(this.abilities);
+      if (Array.isArray(parsed)) {
+        return parsed;
+      }
+    } catch (error) {
+      // Not JSON, fall through to comma separated format
+    }
+
+    return this.abilities.split(',').map(ability => ability.trim()).filter(Boolean);
+  }
+
+  can(ability) {
+    const abilities = this.getAbilities();
+    return abilities.includes('*') || abilities.includes(ability);
+  }
+
   markAsRevoked() {
     // Since Laravel Sanctum doesn't have 'revoked' column, we can delete the token
     return this.destroy();
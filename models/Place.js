@@ -1,6 +1,9 @@
 const { DataTypes, Model } = require("sequelize");
 const { sequelize } = require("../config/database");
 const { parseAdditionalInfo } = require('../utils/jsonHelper');
+const { DEFAULT_CHECKIN_RADIUS } = require('../config/gamification');
+
+const EARTH_RADIUS_KM = 6371;
 
 class Place extends Model {
   // Instance methods
@@ -19,6 +22,34 @@ class Place extends Model {
     };
   }
 
+  /**
+   * Distance in meters from this place to a coordinate.
+   * Same great-circle formula as findNearby, evaluated in JS.
+   * @returns {number|null} null when the place has no coordinates
+   */
+  distanceTo(latitude, longitude) {
+    if (this.latitude === null || this.longitude === null) {
+      return null;
+    }
+
+    const toRadians = (degrees) => (parseFloat(degrees) * Math.PI) / 180;
+    const lat1 = toRadians(latitude);
+    const lat2 = toRadians(this.latitude);
+    const deltaLng = toRadians(this.longitude) - toRadians(longitude);
+
+    const cosine = Math.cos(lat1) * Math.cos(lat2) * Math.cos(deltaLng) + Math.sin(lat1) * Math.sin(lat2);
+    // Rounding can push the cosine slightly past 1 for identical points
+    return EARTH_RADIUS_KM * Math.acos(Math.min(1, Math.max(-1, cosine))) * 1000;
+  }
+
+  /**
+   * Check-in radius in meters (additional_info.checkin_radius or the default)
+   */
+  getCheckinRadius() {
+    const radius = parseFloat((this.additionalInfo || {}).checkin_radius);
+    return radius > 0 ? radius : DEFAULT_CHECKIN_RADIUS;
+  }
+
   // Static methods
   static async findByName(name) {
     return await Place.findOne({
@@ -260,6 +291,15 @@ Place.associate = (models) => {
     foreignKey: "place_id",
     as: "checkins",
   });
+
+  // Users who saved this place
+  Place.hasMany(models.UserSavedItem, {
+    foreignKey: "related_to_id",
+    as: "saves",
+    scope: {
+      related_to_type: "Place",
+    },
+  });
 };
 
 module.exports = Place;
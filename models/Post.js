@@ -75,11 +75,12 @@ Post.associate = (models) => {
     as: 'place'
   });
   
+  // Likes are stored with the Laravel morph class, unlike comments
   Post.hasMany(models.UserLike, {
     foreignKey: 'related_to_id',
     as: 'likes',
     scope: {
-      related_to_type: 'Post'
+      related_to_type: 'App\\Models\\Post'
     }
   });
   
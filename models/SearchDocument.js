@@ -0,0 +1,50 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+// Search index entry for a place or article, maintained by SearchService.
+// terms holds the normalised tokens, space separated and padded with spaces.
+const SearchDocument = sequelize.define('SearchDocument', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  document_type: {
+    type: DataTypes.STRING(50),
+    allowNull: false,
+    comment: 'Place or Article'
+  },
+  document_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false
+  },
+  title: {
+    type: DataTypes.STRING(255),
+    allowNull: false
+  },
+  body: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  tags: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  terms: {
+    type: DataTypes.TEXT,
+    allowNull: false
+  }
+}, {
+  tableName: 'search_documents',
+  timestamps: true,
+  createdAt: 'created_at',
+  updatedAt: 'updated_at',
+  indexes: [
+    {
+      unique: true,
+      fields: ['document_type', 'document_id']
+    }
+  ]
+});
+
+module.exports = SearchDocument;
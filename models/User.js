@@ -1,6 +1,7 @@
 const { DataTypes, Model } = require('sequelize');
 const { sequelize } = require('../config/database');
 const { parseAdditionalInfo } = require('../utils/jsonHelper');
+const { ROLES } = require('../config/roles');
 
 class User extends Model {
   // Instance methods
@@ -8,6 +9,10 @@ class User extends Model {
     return this.status === true;
   }
 
+  hasRole(...roles) {
+    return roles.includes(this.role || ROLES.USER);
+  }
+
   async updateLastLogin() {
     this.lastLoginAt = new Date();
     await this.save();
@@ -83,6 +88,11 @@ User.init({
     defaultValue: 0,
     field: 'total_exp'
   },
+  level: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 1
+  },
   totalFollowing: {
     type: DataTypes.INTEGER,
     defaultValue: 0,
@@ -127,6 +137,14 @@ User.init({
     type: DataTypes.BOOLEAN,
     defaultValue: true
   },
+  role: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    defaultValue: ROLES.USER,
+    validate: {
+      isIn: [Object.values(ROLES)]
+    }
+  },
   lastLoginAt: {
     type: DataTypes.DATE,
     allowNull: true,
@@ -210,6 +228,12 @@ User.associate = (models) => {
     as: 'comments'
   });
   
+  // Saved places, posts and articles
+  User.hasMany(models.UserSavedItem, {
+    foreignKey: 'user_id',
+    as: 'savedItems'
+  });
+  
   // Transactions
   User.hasMany(models.CoinTransaction, {
     foreignKey: 'user_id',
@@ -220,6 +244,11 @@ User.associate = (models) => {
     foreignKey: 'user_id',
     as: 'expTransactions'
   });
+
+  User.hasMany(models.UserLevelUp, {
+    foreignKey: 'user_id',
+    as: 'levelUps'
+  });
   
   // Achievements
   User.hasMany(models.UserAchievement, {
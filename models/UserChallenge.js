@@ -28,6 +28,21 @@ const UserChallenge = sequelize.define('UserChallenge', {
     type: DataTypes.BOOLEAN,
     defaultValue: false
   },
+  // Period this row counts for: YYYY-MM-DD (daily), YYYY-MM-DD of the week's Monday (weekly), 'once' (special)
+  period_key: {
+    type: DataTypes.STRING(20),
+    allowNull: false,
+    defaultValue: 'once'
+  },
+  progress: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0
+  },
+  completed_at: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
   additional_info: {
     type: DataTypes.JSON,
     allowNull: true,
@@ -44,7 +59,7 @@ const UserChallenge = sequelize.define('UserChallenge', {
   indexes: [
     {
       unique: true,
-      fields: ['user_id', 'challenge_id']
+      fields: ['user_id', 'challenge_id', 'period_key']
     }
   ]
 });
@@ -39,11 +39,28 @@ const UserComment = sequelize.define('UserComment', {
       key: 'id'
     }
   },
+  edited_at: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  // Soft delete: the row stays so replies keep their place in the thread
+  deleted_at: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
 }, {
   tableName: 'user_comments',
   timestamps: true,
   createdAt: 'created_at',
-  updatedAt: 'updated_at'
+  updatedAt: 'updated_at',
+  indexes: [
+    {
+      fields: ['related_to_type', 'related_to_id', 'parent_id']
+    },
+    {
+      fields: ['parent_id']
+    }
+  ]
 });
 
 // Associations
@@ -0,0 +1,55 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+const UserDevice = sequelize.define('UserDevice', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  user_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  },
+  // Push token issued by FCM/APNs; belongs to the user that registered it last
+  token: {
+    type: DataTypes.STRING(512),
+    allowNull: false
+  },
+  platform: {
+    type: DataTypes.ENUM('android', 'ios', 'web'),
+    allowNull: false
+  },
+  last_used_at: {
+    type: DataTypes.DATE,
+    allowNull: true
+  }
+}, {
+  tableName: 'user_devices',
+  timestamps: true,
+  createdAt: 'created_at',
+  updatedAt: 'updated_at',
+  indexes: [
+    {
+      unique: true,
+      fields: ['token']
+    },
+    {
+      fields: ['user_id']
+    }
+  ]
+});
+
+// Associations
+UserDevice.associate = (models) => {
+  UserDevice.belongsTo(models.User, {
+    foreignKey: 'user_id',
+    as: 'user'
+  });
+};
+
+module.exports = UserDevice;
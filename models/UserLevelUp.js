@@ -0,0 +1,61 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+const UserLevelUp = sequelize.define('UserLevelUp', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  user_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  },
+  from_level: {
+    type: DataTypes.INTEGER,
+    allowNull: false
+  },
+  to_level: {
+    type: DataTypes.INTEGER,
+    allowNull: false
+  },
+  total_exp: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    comment: 'User total EXP right after the level-up'
+  },
+  related_to_id: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    comment: 'ID of the object whose EXP caused the level-up'
+  },
+  related_to_type: {
+    type: DataTypes.STRING,
+    allowNull: true,
+    comment: 'Type of the object whose EXP caused the level-up (Checkin, Review, ...)'
+  }
+}, {
+  tableName: 'user_level_ups',
+  timestamps: true,
+  createdAt: 'created_at',
+  updatedAt: false,
+  indexes: [
+    {
+      fields: ['user_id', 'to_level']
+    }
+  ]
+});
+
+// Associations
+UserLevelUp.associate = (models) => {
+  UserLevelUp.belongsTo(models.User, {
+    foreignKey: 'user_id',
+    as: 'user'
+  });
+};
+
+module.exports = UserLevelUp;
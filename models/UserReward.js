@@ -28,6 +28,43 @@ const UserReward = sequelize.define('UserReward', {
     type: DataTypes.BOOLEAN,
     defaultValue: false
   },
+  // Voucher code shown to partner staff, unique and random
+  code: {
+    type: DataTypes.STRING(32),
+    allowNull: true,
+    unique: true
+  },
+  redemption_status: {
+    type: DataTypes.ENUM('redeemed', 'claimed', 'expired', 'cancelled'),
+    allowNull: false,
+    defaultValue: 'redeemed'
+  },
+  coins_spent: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0
+  },
+  expires_at: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  claimed_at: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  // Staff user who consumed the voucher and the place it was consumed at
+  claimed_by: {
+    type: DataTypes.INTEGER,
+    allowNull: true
+  },
+  claimed_place_id: {
+    type: DataTypes.INTEGER,
+    allowNull: true
+  },
+  cancelled_at: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
   additional_info: {
     type: DataTypes.JSON,
     allowNull: true,
@@ -40,7 +77,12 @@ const UserReward = sequelize.define('UserReward', {
   tableName: 'user_rewards',
   timestamps: true,
   createdAt: 'created_at',
-  updatedAt: 'updated_at'
+  updatedAt: 'updated_at',
+  indexes: [
+    {
+      fields: ['user_id', 'redemption_status']
+    }
+  ]
 });
 
 // Associations
@@ -54,6 +96,11 @@ UserReward.associate = (models) => {
     foreignKey: 'reward_id',
     as: 'reward'
   });
+
+  UserReward.belongsTo(models.Place, {
+    foreignKey: 'claimed_place_id',
+    as: 'claimedPlace'
+  });
 };
 
 module.exports = UserReward;
\ No newline at end of file
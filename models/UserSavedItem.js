@@ -0,0 +1,52 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+const UserSavedItem = sequelize.define('UserSavedItem', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  user_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  },
+  related_to_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    comment: 'ID of the saved record (place_id, post_id, article_id)'
+  },
+  related_to_type: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    comment: 'Type of the saved record (Place, Post, Article)'
+  },
+}, {
+  tableName: 'user_saved_items',
+  timestamps: true,
+  createdAt: 'created_at',
+  updatedAt: 'updated_at',
+  indexes: [
+    {
+      unique: true,
+      fields: ['user_id', 'related_to_id', 'related_to_type']
+    },
+    {
+      fields: ['related_to_type', 'related_to_id']
+    }
+  ]
+});
+
+// Associations
+UserSavedItem.associate = (models) => {
+  UserSavedItem.belongsTo(models.User, {
+    foreignKey: 'user_id',
+    as: 'user'
+  });
+};
+
+module.exports = UserSavedItem;
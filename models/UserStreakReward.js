@@ -0,0 +1,54 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+const UserStreakReward = sequelize.define('UserStreakReward', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  user_id: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  },
+  milestone: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    comment: 'Streak length in days that earned the reward'
+  },
+  // First day of the streak in the user's timezone; identifies the streak
+  streak_started_on: {
+    type: DataTypes.DATEONLY,
+    allowNull: false
+  },
+  coins: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0
+  }
+}, {
+  tableName: 'user_streak_rewards',
+  timestamps: true,
+  createdAt: 'created_at',
+  updatedAt: false,
+  indexes: [
+    {
+      unique: true,
+      fields: ['user_id', 'streak_started_on', 'milestone']
+    }
+  ]
+});
+
+// Associations
+UserStreakReward.associate = (models) => {
+  UserStreakReward.belongsTo(models.User, {
+    foreignKey: 'user_id',
+    as: 'user'
+  });
+};
+
+module.exports = UserStreakReward;
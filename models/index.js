@@ -10,6 +10,7 @@ const Checkin = require('./Checkin');
 const UserFollow = require('./UserFollow');
 const UserLike = require('./UserLike');
 const UserComment = require('./UserComment');
+const UserSavedItem = require('./UserSavedItem');
 const CoinTransaction = require('./CoinTransaction');
 const ExpTransaction = require('./ExpTransaction');
 const Achievement = require('./Achievement');
@@ -20,6 +21,14 @@ const UserChallenge = require('./UserChallenge');
 const UserReward = require('./UserReward');
 const Leaderboard = require('./Leaderboard');
 const PersonalAccessToken = require('./PersonalAccessToken');
+const AuditLog = require('./AuditLog');
+const UserLevelUp = require('./UserLevelUp');
+const LeaderboardPayout = require('./LeaderboardPayout');
+const UserStreakReward = require('./UserStreakReward');
+const Notification = require('./Notification');
+const NotificationDelivery = require('./NotificationDelivery');
+const UserDevice = require('./UserDevice');
+const SearchDocument = require('./SearchDocument');
 
 // Create models object
 const models = {
@@ -32,6 +41,7 @@ const models = {
   UserFollow,
   UserLike,
   UserComment,
+  UserSavedItem,
   CoinTransaction,
   ExpTransaction,
   Achievement,
@@ -42,6 +52,14 @@ const models = {
   UserReward,
   Leaderboard,
   PersonalAccessToken,
+  AuditLog,
+  UserLevelUp,
+  LeaderboardPayout,
+  UserStreakReward,
+  Notification,
+  NotificationDelivery,
+  UserDevice,
+  SearchDocument,
   sequelize
 };
 
@@ -5,10 +5,18 @@ const router = express.Router();
 const {
   getAllArticles,
   getArticleById,
+  createArticle,
+  updateArticle,
+  deleteArticle,
 } = require('../controllers/ArticleController');
 
 // Import middleware
 const { authenticate } = require('../middleware/auth');
+const {
+  validateCreateArticle,
+  validateUpdateArticle,
+  validateArticleIdParam
+} = require('../middleware/validation');
 
 /**
  * Protected Routes (require authentication)
@@ -20,4 +28,13 @@ router.get('/', authenticate, getAllArticles);
 // Get article by ID
 router.get('/id/:article_id', authenticate, getArticleById);
 
-module.exports = router;
\ No newline at end of file
+// Create article
+router.post('/', authenticate, validateCreateArticle, createArticle);
+
+// Update article (owner only)
+router.put('/id/:article_id', authenticate, validateArticleIdParam, validateUpdateArticle, updateArticle);
+
+// Delete article (owner only)
+router.delete('/id/:article_id', authenticate, validateArticleIdParam, deleteArticle);
+
+module.exports = router;
@@ -10,14 +10,19 @@ const {
   getAchievements,
   getChallenges,
   getRewards,
+  getLevels,
   grantAchievement,
   completeChallenge,
   redeemReward,
+  getRedeemedRewards,
+  cancelRedeemedReward,
+  verifyReward,
   testGrant
 } = require('../controllers/GamificationController');
 
 // Import middleware
-const { authenticate } = require('../middleware/auth');
+const { authenticate, authorize } = require('../middleware/auth');
+const { ROLES } = require('../config/roles');
 
 /**
  * All routes require authentication
@@ -33,6 +38,9 @@ router.post('/review', authenticate, createReview);
 router.get('/coins/transactions', authenticate, getCoinTransactions);
 router.get('/exp/transactions', authenticate, getExpTransactions);
 
+// Level endpoints
+router.get('/levels', authenticate, getLevels);
+
 // Achievement endpoints
 router.get('/achievements', authenticate, getAchievements);
 
@@ -42,8 +50,8 @@ router.get('/challenges', authenticate, getChallenges);
 // Reward endpoints
 router.get('/rewards', authenticate, getRewards);
 
-// Achievement action endpoints
-router.post('/achievements/:achievement_id/grant', authenticate, grantAchievement);
+// Achievement action endpoints (admin only)
+router.post('/achievements/:achievement_id/grant', authenticate, authorize(ROLES.ADMIN), grantAchievement);
 
 // Challenge action endpoints
 router.post('/challenges/:challenge_id/complete', authenticate, completeChallenge);
@@ -51,7 +59,12 @@ router.post('/challenges/:challenge_id/complete', authenticate, completeChalleng
 // Reward action endpoints
 router.post('/rewards/:reward_id/redeem', authenticate, redeemReward);
 
-// Test endpoint
-router.post('/test-grant', authenticate, testGrant);
+// Voucher endpoints
+router.get('/rewards/redeemed', authenticate, getRedeemedRewards);
+router.post('/rewards/redeemed/:user_reward_id/cancel', authenticate, cancelRedeemedReward);
+router.post('/rewards/verify', authenticate, authorize(ROLES.PARTNER, ROLES.ADMIN), verifyReward);
+
+// Test endpoint (admin only)
+router.post('/test-grant', authenticate, authorize(ROLES.ADMIN), testGrant);
 
 module.exports = router;
\ No newline at end of file
@@ -7,8 +7,13 @@ const {
   getUserRank,
   getWeeklyLeaderboard,
   getMonthlyLeaderboard,
+  getCompetitions,
+  getCompetitionById,
+  getMyCompetitionPosition,
   getLeaderboardCategories
 } = require('../controllers/LeaderboardController');
+const { authenticate, optionalAuth } = require('../middleware/auth');
+const { validateIdParam } = require('../utils/validation');
 
 /**
  * Public Routes
@@ -18,15 +23,26 @@ const {
 router.get('/categories', getLeaderboardCategories);
 
 // Get top users leaderboard
-router.get('/top-users', getTopUsers);
+router.get('/top-users', optionalAuth, getTopUsers);
 
 // Get weekly leaderboard
-router.get('/weekly', getWeeklyLeaderboard);
+router.get('/weekly', optionalAuth, getWeeklyLeaderboard);
 
 // Get monthly leaderboard
-router.get('/monthly', getMonthlyLeaderboard);
+router.get('/monthly', optionalAuth, getMonthlyLeaderboard);
+
+// Admin-defined competitions
+router.get('/competitions', getCompetitions);
+router.get('/competitions/:id', validateIdParam('id'), getCompetitionById);
 
 // Get user rank
-router.get('/user-rank/id/:user_id', getUserRank);
+router.get('/user-rank/id/:user_id', optionalAuth, getUserRank);
+
+/**
+ * Protected Routes
+ */
+
+// Get own position in a competition
+router.get('/competitions/:id/me', authenticate, validateIdParam('id'), getMyCompetitionPosition);
 
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,27 @@
+const express = require('express');
+const router = express.Router();
+
+// Import controllers
+const {
+  getNotifications,
+  markNotificationsAsRead,
+  getNotificationPreferences,
+  updateNotificationPreferences
+} = require('../controllers/NotificationController');
+const { authenticate } = require('../middleware/auth');
+
+/**
+ * Protected Routes
+ */
+
+// Get notifications with unread count
+router.get('/', authenticate, getNotifications);
+
+// Mark notifications as read
+router.post('/read', authenticate, markNotificationsAsRead);
+
+// Per-type notification preferences
+router.get('/preferences', authenticate, getNotificationPreferences);
+router.put('/preferences', authenticate, updateNotificationPreferences);
+
+module.exports = router;
@@ -6,15 +6,30 @@ const {
   getWithFilters,
   getById,
   getReviewsByPlaceId,
+  updateReview,
+  deleteReview,
+  toggleReviewLike,
+  createPlace,
+  updatePlace,
+  deactivatePlace,
+  getPlaceAudits,
+  getPlaceLeaderboard,
 } = require('../controllers/placeController');
 
 // Import middleware
-const { authenticate } = require('../middleware/auth');
+const { authenticate, authorize } = require('../middleware/auth');
+const { ROLES } = require('../config/roles');
+const {
+  validateCreatePlace,
+  validateUpdatePlace,
+  validatePlaceIdParam,
+  validateReviewIdParam,
+  validateUpdateReview
+} = require('../middleware/validation');
 
 /**
  * Protected Routes (require authentication)
- * Note: In a real application, you might want to add admin role checking
- * for create, update, and delete operations
+ * Create, update and deactivate are admin only
  */
 
 // Get all places with pagination and filtering
@@ -25,4 +40,19 @@ router.get('/id/:place_id', authenticate, getById);
 
 router.get('/id/:place_id/reviews', authenticate, getReviewsByPlaceId);
 
-module.exports = router;
\ No newline at end of file
+// Top visitors of a place
+router.get('/id/:place_id/leaderboard', authenticate, validatePlaceIdParam, getPlaceLeaderboard);
+
+// Review actions (edit/delete are owner only)
+router.put('/id/:place_id/reviews/:review_id', authenticate, validatePlaceIdParam, validateReviewIdParam, validateUpdateReview, updateReview);
+router.delete('/id/:place_id/reviews/:review_id', authenticate, validatePlaceIdParam, validateReviewIdParam, deleteReview);
+router.post('/id/:place_id/reviews/:review_id/like', authenticate, validatePlaceIdParam, validateReviewIdParam, toggleReviewLike);
+
+// Admin place management (DELETE only deactivates the place)
+router.post('/', authenticate, authorize(ROLES.ADMIN), validateCreatePlace, createPlace);
+router.put('/id/:place_id', authenticate, authorize(ROLES.ADMIN), validatePlaceIdParam, validateCreatePlace, updatePlace);
+router.patch('/id/:place_id', authenticate, authorize(ROLES.ADMIN), validatePlaceIdParam, validateUpdatePlace, updatePlace);
+router.delete('/id/:place_id', authenticate, authorize(ROLES.ADMIN), validatePlaceIdParam, deactivatePlace);
+router.get('/id/:place_id/audits', authenticate, authorize(ROLES.ADMIN), validatePlaceIdParam, getPlaceAudits);
+
+module.exports = router;
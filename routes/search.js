@@ -0,0 +1,15 @@
+const express = require('express');
+const router = express.Router();
+
+// Import controllers
+const { globalSearch } = require('../controllers/SearchController');
+const { authenticate } = require('../middleware/auth');
+
+/**
+ * Protected Routes
+ */
+
+// Search places, users, articles and posts (q, types, page, limit)
+router.get('/', authenticate, globalSearch);
+
+module.exports = router;
@@ -15,11 +15,19 @@ const {
   togglePostLike,
   addPostComment,
   getPostComments,
-  getPostLikes
+  getPostLikes,
+  toggleContentLike,
+  addContentComment,
+  getContentComments,
+  getContentLikes,
+  getCommentReplies,
+  updateComment,
+  deleteComment
 } = require('../controllers/SocialMediaController');
 
 // Import middleware
 const { authenticate } = require('../middleware/auth');
+const { validateIdParam } = require('../utils/validation');
 
 /**
  * All routes require authentication
@@ -44,4 +52,15 @@ router.post('/posts/id/:post_id/comments', authenticate, addPostComment);
 router.get('/posts/id/:post_id/comments', authenticate, getPostComments);
 router.get('/posts/id/:post_id/likes', authenticate, getPostLikes);
 
+// Review & article interaction endpoints (same response shape as posts)
+router.post('/:content_type(reviews|articles)/id/:content_id/like', authenticate, validateIdParam('content_id'), toggleContentLike);
+router.post('/:content_type(reviews|articles)/id/:content_id/comments', authenticate, validateIdParam('content_id'), addContentComment);
+router.get('/:content_type(reviews|articles)/id/:content_id/comments', authenticate, validateIdParam('content_id'), getContentComments);
+router.get('/:content_type(reviews|articles)/id/:content_id/likes', authenticate, validateIdParam('content_id'), getContentLikes);
+
+// Comment thread endpoints
+router.get('/:content_type(posts|reviews|articles)/id/:content_id/comments/id/:comment_id/replies', authenticate, validateIdParam('content_id'), validateIdParam('comment_id'), getCommentReplies);
+router.put('/:content_type(posts|reviews|articles)/id/:content_id/comments/id/:comment_id', authenticate, validateIdParam('content_id'), validateIdParam('comment_id'), updateComment);
+router.delete('/:content_type(posts|reviews|articles)/id/:content_id/comments/id/:comment_id', authenticate, validateIdParam('content_id'), validateIdParam('comment_id'), deleteComment);
+
 module.exports = router;
\ No newline at end of file
@@ -9,6 +9,12 @@ const {
   updateUserProfile,
   getUserActivities,
   getUserStats,
+  getSavedItems,
+  saveItem,
+  unsaveItem,
+  getDevices,
+  registerDevice,
+  removeDevice,
 } = require('../controllers/UserController');
 
 // Import middleware
@@ -30,6 +36,16 @@ router.get('/profile', authenticate, getUserProfile);
 // Update user profile
 router.post('/profile', authenticate, updateUserProfile);
 
+// Saved places, posts and articles of the current user
+router.get('/saved', authenticate, getSavedItems);
+router.post('/saved/:kind/:id', authenticate, saveItem);
+router.delete('/saved/:kind/:id', authenticate, unsaveItem);
+
+// Push device tokens of the current user
+router.get('/devices', authenticate, getDevices);
+router.post('/devices', authenticate, registerDevice);
+router.delete('/devices/:token', authenticate, removeDevice);
+
 // Get user activities
 router.get('/id/:user_id/activities', authenticate, getUserActivities);
 
@@ -57,6 +57,8 @@ app.use(`${API_PREFIX}/users`, require('./routes/users'));
 app.use(`${API_PREFIX}/gamification`, require('./routes/gamification'));
 app.use(`${API_PREFIX}/social`, require('./routes/social'));
 app.use(`${API_PREFIX}/leaderboard`, require('./routes/leaderboard'));
+app.use(`${API_PREFIX}/notifications`, require('./routes/notifications'));
+app.use(`${API_PREFIX}/search`, require('./routes/search'));
 app.use(`${API_PREFIX}/upload`, require('./routes/upload'));
 
 // Root endpoint
@@ -92,6 +94,14 @@ app.use((err, req, res, next) => {
   });
 });
 
+// Background jobs
+if (process.env.NODE_ENV !== 'test') {
+  require('./jobs/coinReconciliation').scheduleCoinReconciliation();
+  require('./jobs/competitionSettlement').scheduleCompetitionSettlement();
+  require('./jobs/notificationDelivery').scheduleNotificationDelivery();
+  require('./jobs/searchReindex').scheduleSearchReindex();
+}
+
 // Start server
 app.listen(PORT, () => {
   console.log(`🚀 Snappie API Server berjalan di port ${PORT}`);
@@ -0,0 +1,189 @@
+const User = require('../models/User');
+const Place = require('../models/Place');
+const Checkin = require('../models/Checkin');
+const Review = require('../models/Review');
+const Achievement = require('../models/Achievement');
+const UserAchievement = require('../models/UserAchievement');
+const LevelService = require('./LevelService');
+
+/**
+ * Count distinct places for a user, optionally only partner places
+ */
+const countDistinctPlaces = (model, user_id, { where = {}, partnerOnly = false } = {}) => model.count({
+  where: { user_id, ...where },
+  distinct: true,
+  col: 'place_id',
+  ...(partnerOnly && {
+    include: [{ model: Place, as: 'place', attributes: [], where: { partnershipStatus: true } }],
+  }),
+});
+
+/**
+ * Metrics that achievement criteria can refer to.
+ * `events` lists the activities that can move the metric, so only relevant
+ * achievements are evaluated after each activity.
+ */
+const METRICS = {
+  totalCheckin: { events: ['checkin'], resolve: (user) => user.totalCheckin || 0 },
+  totalReview: { events: ['review'], resolve: (user) => user.totalReview || 0 },
+  totalPost: { events: ['post'], resolve: (user) => user.totalPost || 0 },
+  totalFollower: { events: ['follow'], resolve: (user) => user.totalFollower || 0 },
+  totalFollowing: { events: ['follow'], resolve: (user) => user.totalFollowing || 0 },
+  totalExp: { events: ['checkin', 'review'], resolve: (user) => user.totalExp || 0 },
+  totalCoin: { events: ['checkin', 'review'], resolve: (user) => user.totalCoin || 0 },
+  level: { events: ['checkin', 'review'], resolve: (user) => LevelService.levelForExp(user.totalExp) },
+  distinct_places_checked_in: {
+    events: ['checkin'],
+    resolve: (user) => countDistinctPlaces(Checkin, user.id),
+  },
+  distinct_places_reviewed: {
+    events: ['review'],
+    resolve: (user) => countDistinctPlaces(Review, user.id, { where: { status: true } }),
+  },
+  partner_places_checked_in: {
+    events: ['checkin'],
+    resolve: (user) => countDistinctPlaces(Checkin, user.id, { partnerOnly: true }),
+  },
+};
+
+/**
+ * AchievementService
+ * Rule engine achievement: kriteria dibaca dari achievements.additional_info.criteria
+ * dan achievement diberikan otomatis setelah aktivitas pengguna.
+ *
+ * Contoh additional_info:
+ *   { "criteria": [{ "metric": "totalCheckin", "target": 10 }] }
+ *   { "criteria": [{ "metric": "partner_places_checked_in", "target": 3 }] }
+ * Semua kriteria harus terpenuhi.
+ */
+class AchievementService {
+  /**
+   * Daftar metric yang didukung beserta event pemicunya.
+   * @returns {Array<{ metric: string, events: Array<string> }>}
+   */
+  static getSupportedMetrics() {
+    return Object.keys(METRICS).map((metric) => ({ metric, events: METRICS[metric].events }));
+  }
+
+  /**
+   * Ambil kriteria valid dari sebuah achievement.
+   * Kriteria dengan metric yang tidak dikenal diabaikan.
+   * @param {object} achievement
+   * @returns {Array<{ metric: string, target: number }>}
+   */
+  static parseCriteria(achievement) {
+    const info = achievement.additional_info || {};
+    const criteria = Array.isArray(info.criteria) ? info.criteria : (info.criteria ? [info.criteria] : []);
+
+    return criteria
+      .filter((criterion) => criterion && METRICS[criterion.metric] && parseInt(criterion.target) > 0)
+      .map((criterion) => ({ metric: criterion.metric, target: parseInt(criterion.target) }));
+  }
+
+  /**
+   * Hitung progres pengguna untuk sekumpulan achievement.
+   * Nilai metric dihitung sekali per pemanggilan.
+   * @param {object} user - Instance User
+   * @param {Array<object>} achievements
+   * @returns {Promise<Map<number, { current: number, target: number, percent: number, completed: boolean, criteria: Array }>>}
+   */
+  static async getProgress(user, achievements) {
+    const metricCache = new Map();
+    const resolveMetric = (metric) => {
+      if (!metricCache.has(metric)) {
+        metricCache.set(metric, Promise.resolve(METRICS[metric].resolve(user)));
+      }
+      return metricCache.get(metric);
+    };
+
+    const progress = new Map();
+    for (const achievement of achievements) {
+      const criteria = this.parseCriteria(achievement);
+      if (criteria.length === 0) {
+        continue;
+      }
+
+      const detailed = await Promise.all(criteria.map(async (criterion) => {
+        const value = await resolveMetric(criterion.metric);
+        return { ...criterion, current: Math.min(value, criterion.target) };
+      }));
+
+      // Progres gabungan, mis. 7/10
+      const current = detailed.reduce((sum, criterion) => sum + criterion.current, 0);
+      const target = detailed.reduce((sum, criterion) => sum + criterion.target, 0);
+
+      progress.set(achievement.id, {
+        current,
+        target,
+        percent: Math.floor((current / target) * 100),
+        completed: detailed.every((criterion) => criterion.current >= criterion.target),
+        criteria: detailed,
+      });
+    }
+
+    return progress;
+  }
+
+  /**
+   * Evaluasi achievement setelah sebuah aktivitas dan berikan yang sudah terpenuhi.
+   * Kegagalan evaluasi dicatat di log dan tidak menggagalkan aktivitas pemicu.
+   * @param {number} user_id
+   * @param {string} event - checkin, review, post, follow
+   * @returns {Promise<Array<{ id: number, name: string, coin_reward: number }>>} Achievement yang baru didapat
+   */
+  static async evaluate(user_id, event) {
+    try {
+      // Di-require di sini karena GamificationService juga memakai service ini
+      const GamificationService = require('./GamificationService');
+
+      const [user, achievements, owned] = await Promise.all([
+        User.findByPk(user_id),
+        Achievement.findAll({ where: { status: true } }),
+        UserAchievement.findAll({ where: { user_id, status: true }, attributes: ['achievement_id'] }),
+      ]);
+
+      if (!user) {
+        return [];
+      }
+
+      const ownedIds = new Set(owned.map((row) => parseInt(row.achievement_id)));
+      const candidates = achievements.filter((achievement) =>
+        !ownedIds.has(parseInt(achievement.id)) &&
+        this.parseCriteria(achievement).some((criterion) => METRICS[criterion.metric].events.includes(event))
+      );
+
+      if (candidates.length === 0) {
+        return [];
+      }
+
+      const progress = await this.getProgress(user, candidates);
+      const unlocked = [];
+
+      for (const achievement of candidates) {
+        const achievementProgress = progress.get(achievement.id);
+        if (!achievementProgress || !achievementProgress.completed) {
+          continue;
+        }
+
+        try {
+          await GamificationService.grantAchievement(user_id, achievement.id);
+          unlocked.push({
+            id: achievement.id,
+            name: achievement.name,
+            coin_reward: achievement.coin_reward,
+          });
+        } catch (error) {
+          // Bisa terjadi jika achievement diberikan bersamaan oleh request lain
+          console.error('Error granting achievement:', { user_id, achievement_id: achievement.id, error: error.message });
+        }
+      }
+
+      return unlocked;
+    } catch (error) {
+      console.error('Error evaluating achievements:', { user_id, event, error: error.message });
+      return [];
+    }
+  }
+}
+
+module.exports = AchievementService;
@@ -1,7 +1,10 @@
 const BaseService = require('./BaseService');
 const Article = require('../models/Article');
 const User = require('../models/User');
+const SocialMediaService = require('./SocialMediaService');
+const SearchService = require('./SearchService');
 const { Op } = require('sequelize');
+const { httpError } = require('../utils/errors');
 
 class ArticleService extends BaseService {
   constructor() {
@@ -9,7 +12,9 @@ class ArticleService extends BaseService {
   }
 
   /**
-   * Get all articles with pagination and filtering
+   * Get all articles with pagination and filtering.
+   * search goes through the search index; without sort_by the results are ordered by
+   * relevance and carry search_score and highlight.
    * @param {Object} filters - Filter options
    * @returns {Promise<Object>}
    */
@@ -21,7 +26,7 @@ class ArticleService extends BaseService {
         search,
         category,
         user_id,
-        sort_by = 'created_at',
+        sort_by,
         sort_order = 'DESC'
       } = filters;
 
@@ -29,11 +34,11 @@ class ArticleService extends BaseService {
       const whereClause = {};
 
       // Apply filters
+      let searchResults = null;
       if (search) {
-        whereClause[Op.or] = [
-          { title: { [Op.iLike]: `%${search}%` } },
-          { content: { [Op.iLike]: `%${search}%` } }
-        ];
+        const ranked = await SearchService.rank(search, ['article']);
+        searchResults = new Map(ranked.map(result => [result.id, result]));
+        whereClause.id = { [Op.in]: [...searchResults.keys()] };
       }
 
       if (category) {
@@ -51,6 +56,10 @@ class ArticleService extends BaseService {
       const sortField = validSortFields.includes(sort_by) ? sort_by : 'created_at';
       const sortOrderValue = validSortOrders.includes(sort_order.toUpperCase()) ? sort_order.toUpperCase() : 'DESC';
 
+      const order = searchResults && !sort_by
+        ? [[SearchService.relevanceOrder(Article, [...searchResults.keys()]), 'ASC']]
+        : [[sortField, sortOrderValue]];
+
       const { count, rows: articles } = await Article.findAndCountAll({
         where: whereClause,
         include: [
@@ -62,12 +71,14 @@ class ArticleService extends BaseService {
         ],
         limit: parseInt(limit),
         offset: parseInt(offset),
-        order: [[sortField, sortOrderValue]],
+        order,
         distinct: true
       });
 
       return {
-        articles,
+        articles: searchResults
+          ? articles.map(article => this.withSearchMatch(article, searchResults))
+          : articles,
         pagination: this.buildPagination(count, page, limit)
       };
     } catch (error) {
@@ -76,13 +87,29 @@ class ArticleService extends BaseService {
   }
 
   /**
-   * Get article by ID with author information
+   * Article JSON with its search_score and highlight
+   * @param {Object} article - Article instance
+   * @param {Map<number, Object>} searchResults - SearchService results by article ID
+   * @returns {Object}
+   */
+  withSearchMatch(article, searchResults) {
+    const match = searchResults.get(parseInt(article.id));
+    return {
+      ...article.toJSON(),
+      search_score: match.score,
+      highlight: match.highlight
+    };
+  }
+
+  /**
+   * Get article by ID with author information, like/comment counts and is_liked
    * @param {number} articleId - Article ID
+   * @param {number|null} userId - Requesting user, for is_liked
    * @returns {Promise<Object|null>}
    */
-  async getArticleById(articleId) {
+  async getArticleById(articleId, userId = null) {
     try {
-      return await Article.findByPk(articleId, {
+      const article = await Article.findByPk(articleId, {
         include: [
           {
             model: User,
@@ -91,6 +118,15 @@ class ArticleService extends BaseService {
           }
         ]
       });
+      if (!article) {
+        return null;
+      }
+
+      const interactions = await SocialMediaService.getInteractionSummary('article', article.id, userId);
+      return {
+        ...article.toJSON(),
+        ...interactions
+      };
     } catch (error) {
       throw new Error(`Error getting article by ID: ${error.message}`);
     }
@@ -141,8 +177,9 @@ class ArticleService extends BaseService {
 
       // Update user statistics
       await this.updateUserArticleCount(user_id, 1);
+      await SearchService.indexRecord('article', article);
 
-      return await this.getArticleById(article.id);
+      return await this.getArticleById(article.id, user_id);
     } catch (error) {
       throw new Error(`Error creating article: ${error.message}`);
     }
@@ -159,12 +196,12 @@ class ArticleService extends BaseService {
     try {
       const article = await Article.findByPk(articleId);
       if (!article) {
-        throw new Error('Article not found');
+        throw httpError('Article not found', 404);
       }
 
-      // Check if user owns the article
-      if (article.user_id !== userId) {
-        throw new Error('Unauthorized to update this article');
+      // Check if user owns the article (BIGINT ids may come back as strings)
+      if (parseInt(article.user_id) !== parseInt(userId)) {
+        throw httpError('You are not authorized to update this article', 403);
       }
 
       const { title, category, content, image_urls } = updateData;
@@ -194,9 +231,11 @@ class ArticleService extends BaseService {
         ...(content !== undefined && { content: content.trim() }),
         ...(image_urls !== undefined && { image_urls })
       });
+      await SearchService.indexRecord('article', updatedArticle);
 
-      return await this.getArticleById(updatedArticle.id);
+      return await this.getArticleById(updatedArticle.id, userId);
     } catch (error) {
+      if (error.statusCode) throw error;
       throw new Error(`Error updating article: ${error.message}`);
     }
   }
@@ -211,21 +250,23 @@ class ArticleService extends BaseService {
     try {
       const article = await Article.findByPk(articleId);
       if (!article) {
-        throw new Error('Article not found');
+        throw httpError('Article not found', 404);
       }
 
-      // Check if user owns the article
-      if (article.user_id !== userId) {
-        throw new Error('Unauthorized to delete this article');
+      // Check if user owns the article (BIGINT ids may come back as strings)
+      if (parseInt(article.user_id) !== parseInt(userId)) {
+        throw httpError('You are not authorized to delete this article', 403);
       }
 
       await article.destroy();
+      await SearchService.removeRecord('article', article.id);
 
       // Update user statistics
       await this.updateUserArticleCount(article.user_id, -1);
 
       return true;
     } catch (error) {
+      if (error.statusCode) throw error;
       throw new Error(`Error deleting article: ${error.message}`);
     }
   }
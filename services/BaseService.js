@@ -98,12 +98,25 @@ class BaseService {
 
   /**
    * Build pagination metadata
-   * @param {number} count - Total count
-   * @param {number} page - Current page
+   * @param {number|null} count - Total count (null on cursor pages)
+   * @param {number|null} page - Current page (null on cursor pages)
    * @param {number} limit - Items per page
+   * @param {Object} cursor - { has_next, next_cursor } from utils/pagination paginate(), for cursor support
    * @returns {Object}
    */
-  buildPagination(count, page, limit) {
+  buildPagination(count, page, limit, cursor = {}) {
+    if (count === null) {
+      return {
+        currentPage: null,
+        totalPages: null,
+        totalItems: null,
+        itemsPerPage: parseInt(limit),
+        hasNextPage: Boolean(cursor.has_next),
+        hasPrevPage: true,
+        nextCursor: cursor.next_cursor || null
+      };
+    }
+
     const totalPages = Math.ceil(count / limit);
     return {
       currentPage: parseInt(page),
@@ -111,7 +124,8 @@ class BaseService {
       totalItems: count,
       itemsPerPage: parseInt(limit),
       hasNextPage: page < totalPages,
-      hasPrevPage: page > 1
+      hasPrevPage: page > 1,
+      nextCursor: cursor.next_cursor || null
     };
   }
 }
@@ -0,0 +1,197 @@
+const { Op } = require('sequelize');
+const { sequelize } = require('../config/database');
+const Challenge = require('../models/Challenge');
+const UserChallenge = require('../models/UserChallenge');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Format a date as YYYY-MM-DD in server time
+ */
+const formatDate = (date) => [
+  date.getFullYear(),
+  String(date.getMonth() + 1).padStart(2, '0'),
+  String(date.getDate()).padStart(2, '0'),
+].join('-');
+
+/**
+ * ChallengeService
+ * Progres challenge per periode. Kriteria dibaca dari challenges.additional_info.criteria:
+ *   { "criteria": { "event": "checkin", "target": 3 } }
+ * Challenge daily/weekly dapat diselesaikan sekali per hari/minggu, challenge special sekali saja.
+ */
+class ChallengeService {
+  /**
+   * Periode berjalan sebuah challenge.
+   * Minggu dimulai hari Senin, sama seperti leaderboard mingguan.
+   * @param {object} challenge
+   * @param {Date} now
+   * @returns {{ key: string, start: Date|null, end: Date|null }}
+   */
+  static getPeriod(challenge, now = new Date()) {
+    let start = null;
+    let end = null;
+    let key = 'once';
+
+    if (challenge.challenge_type === 'daily') {
+      start = new Date(now.getFullYear(), now.getMonth(), now.getDate());
+      end = new Date(start.getTime() + DAY_MS);
+      key = formatDate(start);
+    } else if (challenge.challenge_type === 'weekly') {
+      const day = now.getDay();
+      start = new Date(now.getFullYear(), now.getMonth(), now.getDate() - (day === 0 ? 6 : day - 1));
+      end = new Date(start.getFullYear(), start.getMonth(), start.getDate() + 7);
+      key = formatDate(start);
+    } else {
+      start = challenge.started_at ? new Date(challenge.started_at) : null;
+      end = challenge.ended_at ? new Date(challenge.ended_at) : null;
+    }
+
+    // Periode tidak boleh melewati jendela challenge
+    if (challenge.started_at && (!start || start < new Date(challenge.started_at))) {
+      start = new Date(challenge.started_at);
+    }
+    if (challenge.ended_at && (!end || end > new Date(challenge.ended_at))) {
+      end = new Date(challenge.ended_at);
+    }
+
+    return { key, start, end };
+  }
+
+  /**
+   * Apakah challenge sedang berjalan.
+   * @param {object} challenge
+   * @param {Date} now
+   * @returns {boolean}
+   */
+  static isActive(challenge, now = new Date()) {
+    if (!challenge.status) return false;
+    if (challenge.started_at && new Date(challenge.started_at) > now) return false;
+    if (challenge.ended_at && new Date(challenge.ended_at) < now) return false;
+    return true;
+  }
+
+  /**
+   * Ambil kriteria challenge, null jika challenge diklaim manual.
+   * @param {object} challenge
+   * @returns {{ event: string, target: number }|null}
+   */
+  static getCriteria(challenge) {
+    const criteria = (challenge.additional_info || {}).criteria;
+    if (!criteria || !criteria.event || !(parseInt(criteria.target) > 0)) {
+      return null;
+    }
+    return { event: criteria.event, target: parseInt(criteria.target) };
+  }
+
+  /**
+   * Ambil atau buat baris UserChallenge untuk periode berjalan.
+   * @param {number} user_id
+   * @param {object} challenge
+   * @param {object} options - { now, transaction }
+   * @returns {Promise<object>}
+   */
+  static async findOrCreateForPeriod(user_id, challenge, { now = new Date(), transaction } = {}) {
+    const period = this.getPeriod(challenge, now);
+    const [userChallenge] = await UserChallenge.findOrCreate({
+      where: { user_id, challenge_id: challenge.id, period_key: period.key },
+      defaults: { status: false, progress: 0 },
+      transaction,
+    });
+    return userChallenge;
+  }
+
+  /**
+   * Ringkasan progres & sisa waktu sebuah challenge untuk periode berjalan.
+   * @param {object} challenge
+   * @param {object|null} userChallenge - Baris UserChallenge periode berjalan
+   * @param {Date} now
+   * @returns {object}
+   */
+  static describeProgress(challenge, userChallenge, now = new Date()) {
+    const criteria = this.getCriteria(challenge);
+    const period = this.getPeriod(challenge, now);
+    const completed = Boolean(userChallenge && userChallenge.status);
+    const current = userChallenge ? userChallenge.progress : 0;
+
+    return {
+      event: criteria ? criteria.event : null,
+      current: criteria ? Math.min(current, criteria.target) : (completed ? 1 : 0),
+      target: criteria ? criteria.target : 1,
+      completed,
+      completed_at: userChallenge ? userChallenge.completed_at : null,
+      period: {
+        key: period.key,
+        start: period.start,
+        end: period.end,
+      },
+      time_remaining_seconds: period.end ? Math.max(0, Math.floor((period.end - now) / 1000)) : null,
+    };
+  }
+
+  /**
+   * Catat sebuah aktivitas ke semua challenge aktif yang memakainya,
+   * dan selesaikan challenge yang targetnya tercapai.
+   * Kegagalan dicatat di log dan tidak menggagalkan aktivitas pemicu.
+   * @param {number} user_id
+   * @param {string} event - checkin, review, post, follow
+   * @returns {Promise<Array<{ id: number, name: string, exp_reward: number }>>} Challenge yang baru selesai
+   */
+  static async recordEvent(user_id, event) {
+    try {
+      // Di-require di sini karena GamificationService juga memakai service ini
+      const GamificationService = require('./GamificationService');
+      const now = new Date();
+
+      const challenges = await Challenge.findAll({
+        where: {
+          status: true,
+          [Op.and]: [
+            { [Op.or]: [{ started_at: null }, { started_at: { [Op.lte]: now } }] },
+            { [Op.or]: [{ ended_at: null }, { ended_at: { [Op.gte]: now } }] },
+          ],
+        },
+      });
+
+      const completed = [];
+      for (const challenge of challenges) {
+        const criteria = this.getCriteria(challenge);
+        if (!criteria || criteria.event !== event) {
+          continue;
+        }
+
+        try {
+          const transaction = await sequelize.transaction();
+          let reachedTarget = false;
+          try {
+            const userChallenge = await this.findOrCreateForPeriod(user_id, challenge, { now, transaction });
+            if (!userChallenge.status) {
+              // Postgres menulis ulang nilai hasil increment ke instance, jadi simpan nilai awal
+              const previousProgress = userChallenge.progress || 0;
+              await userChallenge.increment('progress', { by: 1, transaction });
+              reachedTarget = previousProgress + 1 >= criteria.target;
+            }
+            await transaction.commit();
+          } catch (error) {
+            await transaction.rollback();
+            throw error;
+          }
+
+          if (reachedTarget) {
+            await GamificationService.completeChallenge(user_id, challenge.id);
+            completed.push({ id: challenge.id, name: challenge.name, exp_reward: challenge.exp_reward });
+          }
+        } catch (error) {
+          console.error('Error updating challenge progress:', { user_id, challenge_id: challenge.id, error: error.message });
+        }
+      }
+
+      return completed;
+    } catch (error) {
+      console.error('Error recording challenge progress:', { user_id, event, error: error.message });
+      return [];
+    }
+  }
+}
+
+module.exports = ChallengeService;
@@ -0,0 +1,308 @@
+const { Op } = require('sequelize');
+const { sequelize } = require('../config/database');
+const User = require('../models/User');
+const Place = require('../models/Place');
+const Post = require('../models/Post');
+const UserFollow = require('../models/UserFollow');
+const UserLike = require('../models/UserLike');
+const UserComment = require('../models/UserComment');
+const UserSavedItem = require('../models/UserSavedItem');
+const Checkin = require('../models/Checkin');
+const {
+  FEED_WEIGHTS,
+  FEED_HALF_LIFE_HOURS,
+  FEED_WINDOW_DAYS,
+  FEED_MAX_CANDIDATES
+} = require('../config/feed');
+const { encodeCursor, decodeCursor } = require('../utils/pagination');
+const { httpError } = require('../utils/errors');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+/**
+ * Preference values as a list; registration stores a comma separated string, clients may send arrays
+ */
+const toList = (value) => {
+  const values = Array.isArray(value) ? value : String(value || '').split(',');
+  return values.map(item => String(item).trim().toLowerCase()).filter(Boolean);
+};
+
+/**
+ * FeedService
+ * Feed beranda yang diurutkan per pengguna: engagement yang meluruh terhadap waktu,
+ * dikalikan afinitas (user yang diikuti, tempat yang disimpan/di-check-in, dan
+ * user_preferences.food_type / place_value). Pagination memakai cursor yang menyimpan
+ * waktu acuan skor. Engagement dihitung sampai waktu acuan itu, sehingga post baru
+ * maupun like/komentar baru tidak menggeser halaman berikutnya.
+ * Post di luar FEED_WINDOW_DAYS/FEED_MAX_CANDIDATES menyusul urut dari yang terbaru.
+ */
+class FeedService {
+  /**
+   * Decode cursor feed: { as_of, score, id } di bagian yang diurutkan skor,
+   * atau { as_of, created_at, id } setelah masuk ke post lama yang urut waktu.
+   * @param {string} cursor
+   * @returns {{ as_of: number, score?: number, created_at?: number, id: number }}
+   */
+  static decodeCursor(cursor) {
+    const position = decodeCursor(cursor);
+    const key = position.created_at !== undefined ? position.created_at : position.score;
+    if (!Number.isFinite(position.as_of) || !Number.isFinite(key) || !Number.isInteger(position.id)) {
+      throw httpError('Invalid cursor', 400);
+    }
+    return position;
+  }
+
+  /**
+   * Kondisi post aktif yang lebih lama dari posisi (created_at, id) tertentu.
+   * @param {Date|number} created_at
+   * @param {number} id
+   * @returns {object}
+   */
+  static olderThan(created_at, id) {
+    const date = new Date(created_at);
+    return {
+      status: true,
+      [Op.or]: [
+        { created_at: { [Op.lt]: date } },
+        { created_at: date, id: { [Op.lt]: id } }
+      ]
+    };
+  }
+
+  /**
+   * Sinyal personalisasi pengguna.
+   * @param {number} user_id
+   * @returns {Promise<object>} { user_id, following_ids, saved_place_ids, checked_in_place_ids, food_type, place_value }
+   */
+  static async getSignals(user_id) {
+    const [user, follows, saved, checkins] = await Promise.all([
+      User.findByPk(user_id, { attributes: ['id', 'additionalInfo'] }),
+      UserFollow.findAll({ where: { follower_id: user_id }, attributes: ['following_id'], raw: true }),
+      UserSavedItem.findAll({ where: { user_id, related_to_type: 'Place' }, attributes: ['related_to_id'], raw: true }),
+      Checkin.findAll({ where: { user_id }, attributes: ['place_id'], group: ['place_id'], raw: true })
+    ]);
+    const preferences = ((user && user.additionalInfo) || {}).user_preferences || {};
+
+    return {
+      user_id: parseInt(user_id),
+      following_ids: new Set(follows.map(follow => parseInt(follow.following_id))),
+      saved_place_ids: new Set(saved.map(item => parseInt(item.related_to_id))),
+      checked_in_place_ids: new Set(checkins.map(checkin => parseInt(checkin.place_id))),
+      food_type: toList(preferences.food_type),
+      place_value: toList(preferences.place_value)
+    };
+  }
+
+  /**
+   * Jumlah like & komentar per post sampai waktu acuan as_of, agar skor sebuah
+   * halaman cursor tidak berubah karena engagement yang masuk setelahnya.
+   * @param {Array<number>} postIds
+   * @param {number} as_of - Waktu acuan (ms)
+   * @returns {Promise<Map<number, { total_like: number, total_comment: number }>>}
+   */
+  static async getEngagementAsOf(postIds, as_of) {
+    const engagement = new Map(postIds.map(id => [parseInt(id), { total_like: 0, total_comment: 0 }]));
+    if (postIds.length === 0) {
+      return engagement;
+    }
+
+    const asOf = new Date(as_of);
+    const countPerPost = {
+      attributes: ['related_to_id', [sequelize.fn('COUNT', sequelize.col('id')), 'count']],
+      group: ['related_to_id'],
+      raw: true
+    };
+    const [likes, comments] = await Promise.all([
+      UserLike.findAll({
+        where: {
+          related_to_type: 'App\\Models\\Post',
+          related_to_id: { [Op.in]: postIds },
+          created_at: { [Op.lte]: asOf }
+        },
+        ...countPerPost
+      }),
+      UserComment.findAll({
+        where: {
+          related_to_type: 'Post',
+          related_to_id: { [Op.in]: postIds },
+          created_at: { [Op.lte]: asOf },
+          [Op.or]: [{ deleted_at: null }, { deleted_at: { [Op.gt]: asOf } }]
+        },
+        ...countPerPost
+      })
+    ]);
+
+    likes.forEach(row => { engagement.get(parseInt(row.related_to_id)).total_like = parseInt(row.count); });
+    comments.forEach(row => { engagement.get(parseInt(row.related_to_id)).total_comment = parseInt(row.count); });
+    return engagement;
+  }
+
+  /**
+   * Skor sebuah post pada waktu acuan as_of.
+   * @param {object} post - { user_id, place_id, total_like, total_comment, created_at }
+   * @param {object|null} signals - Hasil getSignals; null untuk feed non-personal (trending)
+   * @param {Map<number, object>} places - additionalInfo tempat per ID
+   * @param {number} as_of - Waktu acuan (ms)
+   * @returns {number}
+   */
+  static scorePost(post, signals, places, as_of) {
+    const engagement = 1 +
+      FEED_WEIGHTS.like * (post.total_like || 0) +
+      FEED_WEIGHTS.comment * (post.total_comment || 0);
+    const ageHours = Math.max(0, as_of - new Date(post.created_at).getTime()) / HOUR_MS;
+    const decay = Math.pow(0.5, ageHours / FEED_HALF_LIFE_HOURS);
+
+    let affinity = 1;
+    if (signals) {
+      const authorId = parseInt(post.user_id);
+      const placeId = parseInt(post.place_id);
+      const placeInfo = places.get(placeId) || {};
+
+      if (authorId === signals.user_id || signals.following_ids.has(authorId)) {
+        affinity += FEED_WEIGHTS.following;
+      }
+      if (signals.saved_place_ids.has(placeId)) {
+        affinity += FEED_WEIGHTS.saved_place;
+      }
+      if (signals.checked_in_place_ids.has(placeId)) {
+        affinity += FEED_WEIGHTS.checked_in_place;
+      }
+      const foodTypes = toList(placeInfo.food_type);
+      const placeValues = toList(placeInfo.place_value);
+      affinity += FEED_WEIGHTS.food_type * signals.food_type.filter(value => foodTypes.includes(value)).length;
+      affinity += FEED_WEIGHTS.place_value * signals.place_value.filter(value => placeValues.includes(value)).length;
+    }
+
+    return affinity * engagement * decay;
+  }
+
+  /**
+   * Post yang sudah diurutkan berdasarkan skor, satu halaman.
+   * Setelah kandidat yang diberi skor habis, halaman diisi post yang lebih lama urut waktu.
+   * Tanpa cursor, page/limit tetap didukung (offset di dalam daftar yang sudah diurutkan).
+   * @param {number} user_id
+   * @param {object} options - { page, limit, cursor, personalised }
+   * @returns {Promise<{ posts: Array<object>, pagination: object }>}
+   */
+  static async getRankedFeed(user_id, { page = 1, limit = 10, cursor = null, personalised = true } = {}) {
+    const position = cursor ? this.decodeCursor(cursor) : null;
+    const as_of = position ? position.as_of : Date.now();
+    limit = parseInt(limit);
+    page = parseInt(page);
+
+    const candidates = await Post.findAll({
+      where: {
+        status: true,
+        created_at: {
+          [Op.gte]: new Date(as_of - FEED_WINDOW_DAYS * 24 * HOUR_MS),
+          [Op.lte]: new Date(as_of)
+        }
+      },
+      attributes: ['id', 'user_id', 'place_id', 'created_at'],
+      order: [['created_at', 'DESC'], ['id', 'DESC']],
+      limit: FEED_MAX_CANDIDATES,
+      raw: true
+    });
+
+    const signals = personalised ? await this.getSignals(user_id) : null;
+    const places = new Map();
+    if (signals && (signals.food_type.length > 0 || signals.place_value.length > 0)) {
+      const placeIds = [...new Set(candidates.map(post => post.place_id))];
+      const rows = await Place.findAll({ where: { id: { [Op.in]: placeIds } }, attributes: ['id', 'additionalInfo'] });
+      rows.forEach(place => places.set(parseInt(place.id), place.additionalInfo || {}));
+    }
+
+    const engagement = await this.getEngagementAsOf(candidates.map(post => parseInt(post.id)), as_of);
+    const ranked = candidates
+      .map(post => ({
+        id: parseInt(post.id),
+        score: this.scorePost({ ...post, ...engagement.get(parseInt(post.id)) }, signals, places, as_of)
+      }))
+      .sort((a, b) => b.score - a.score || b.id - a.id);
+
+    // Kandidat adalah post terbaru sampai as_of, jadi sisanya adalah semua post yang lebih lama
+    const oldest = candidates[candidates.length - 1];
+    const tailWhere = oldest
+      ? this.olderThan(oldest.created_at, oldest.id)
+      : { status: true, created_at: { [Op.lte]: new Date(as_of) } };
+    const olderTotal = await Post.count({ where: tailWhere });
+    const total = ranked.length + olderTotal;
+
+    let rankedStart;
+    let olderWhere = tailWhere;
+    let olderOffset = 0;
+    if (position && position.created_at !== undefined) {
+      rankedStart = ranked.length;
+      olderWhere = this.olderThan(position.created_at, position.id);
+    } else if (position) {
+      rankedStart = ranked.filter(item => item.score > position.score || (item.score === position.score && item.id >= position.id)).length;
+    } else {
+      rankedStart = Math.min((page - 1) * limit, ranked.length);
+      olderOffset = (page - 1) * limit - rankedStart;
+    }
+
+    const rankedSlice = ranked.slice(rankedStart, rankedStart + limit);
+    const remaining = limit - rankedSlice.length;
+    const older = remaining > 0
+      ? await Post.findAll({
+        where: olderWhere,
+        attributes: ['id', 'created_at'],
+        order: [['created_at', 'DESC'], ['id', 'DESC']],
+        offset: olderOffset,
+        limit: remaining + 1,
+        raw: true
+      })
+      : [];
+    const olderSlice = older.slice(0, remaining);
+    const slice = [...rankedSlice, ...olderSlice.map(post => ({ id: parseInt(post.id), created_at: post.created_at }))];
+
+    const last = slice[slice.length - 1];
+    const hasNext = remaining > 0 ? older.length > remaining : rankedStart + limit < ranked.length || olderTotal > 0;
+    let nextCursor = null;
+    if (hasNext && last) {
+      nextCursor = last.created_at !== undefined
+        ? encodeCursor({ as_of, created_at: new Date(last.created_at).getTime(), id: last.id })
+        : encodeCursor({ as_of, score: last.score, id: last.id });
+    }
+
+    const posts = await Post.findAll({
+      where: { id: { [Op.in]: slice.map(item => item.id) } },
+      include: [
+        {
+          model: User,
+          as: 'user',
+          attributes: ['id', 'name', 'username', 'imageUrl']
+        },
+        {
+          model: Place,
+          as: 'place',
+          attributes: ['id', 'name', 'latitude', 'longitude'],
+          required: false
+        },
+        {
+          model: UserLike,
+          as: 'likes',
+          where: { user_id },
+          required: false
+        }
+      ]
+    });
+    const byId = new Map(posts.map(post => [parseInt(post.id), post]));
+    const totalPages = Math.ceil(total / limit);
+
+    return {
+      posts: slice.map(item => byId.get(item.id)).filter(Boolean),
+      pagination: {
+        current_page: position ? null : page,
+        total_pages: totalPages,
+        total_items: total,
+        items_per_page: limit,
+        has_next: hasNext,
+        has_prev: position ? true : page > 1,
+        next_cursor: nextCursor
+      }
+    };
+  }
+}
+
+module.exports = FeedService;
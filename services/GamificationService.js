@@ -11,139 +11,241 @@ const Reward = require('../models/Reward');
 const UserAchievement = require('../models/UserAchievement');
 const UserChallenge = require('../models/UserChallenge');
 const UserReward = require('../models/UserReward');
-const Review = require('../models/Review');
+const { CHECKIN_REWARD_MULTIPLIERS, STREAK_FREEZE_MAX_OWNED } = require('../config/gamification');
+const { validateCoordinates } = require('../utils/validation');
+const { httpError } = require('../utils/errors');
+const LevelService = require('./LevelService');
+const AchievementService = require('./AchievementService');
+const ChallengeService = require('./ChallengeService');
+const RewardService = require('./RewardService');
+const StreakService = require('./StreakService');
+const NotificationService = require('./NotificationService');
+const { paginate, buildPaginationMeta } = require('../utils/pagination');
 
 /**
  * GamificationService
  * Mengelola logika bisnis untuk fitur gamification (checkin, transaksi, achievements, challenges, rewards)
  */
 class GamificationService {
+  /**
+   * Kunci baris user di dalam transaction pemanggil.
+   * Semua perubahan saldo mengunci baris user lebih dulu agar request yang bersamaan
+   * diproses berurutan dan urutan lock (user -> reward/voucher) konsisten.
+   * @param {number} user_id
+   * @param {object} transaction - Transaction milik pemanggil
+   * @returns {Promise<object>}
+   */
+  static async lockUser(user_id, transaction) {
+    if (!transaction) {
+      throw new Error('Ledger changes must run inside a transaction.');
+    }
+
+    const user = await User.findByPk(user_id, { transaction, lock: transaction.LOCK.UPDATE });
+    if (!user) {
+      throw httpError('User not found', 404);
+    }
+    return user;
+  }
+
   /**
    * Berikan koin kepada pengguna dan catat transaksinya.
-   * Menggunakan database transaction untuk memastikan integritas data.
+   * Berjalan di dalam transaction pemanggil dengan lock baris user.
    * @param {number} user_id
    * @param {number} amount
    * @param {object} relatedObject - Objek yang menjadi sumber koin
    * @param {string} relatedObject.type - Tipe objek (e.g., 'Achievement', 'Checkin')
    * @param {number} relatedObject.id - ID objek
+   * @param {object} transaction - Transaction milik pemanggil
    * @returns {Promise<object>}
    */
-  static async addCoins(user_id, amount, relatedObject) {
+  static async addCoins(user_id, amount, relatedObject, transaction) {
     if (amount <= 0) {
       throw new Error('Coin amount must be greater than 0.');
     }
 
-    const transaction = await sequelize.transaction();
-    try {
-      const user = await User.findByPk(user_id, { transaction });
-      if (!user) {
-        throw new Error('User not found');
-      }
-
-      // Tambah total koin pengguna
-      await user.increment('totalCoin', { by: amount, transaction });
+    const user = await this.lockUser(user_id, transaction);
 
-      // Buat catatan transaksi
-      const coinTransaction = await CoinTransaction.create({
-        user_id,
-        amount,
-        related_to_id: relatedObject.id,
-        related_to_type: relatedObject.type,
-      }, { transaction });
+    // Tambah total koin pengguna
+    await user.increment('totalCoin', { by: amount, transaction });
 
-      await transaction.commit();
-      return coinTransaction;
-    } catch (error) {
-      await transaction.rollback();
-      throw error;
-    }
+    // Buat catatan transaksi
+    return await CoinTransaction.create({
+      user_id,
+      amount,
+      related_to_id: relatedObject.id,
+      related_to_type: relatedObject.type,
+    }, { transaction });
   }
 
   /**
    * Kurangi koin pengguna dan catat transaksinya.
+   * Saldo dicek setelah baris user dikunci, sehingga dua penukaran bersamaan
+   * tidak bisa memakai koin yang sama.
    * @param {number} user_id
    * @param {number} amount
    * @param {object} relatedObject - Objek yang menjadi sumber pengurangan koin
    * @param {string} relatedObject.type - Tipe objek
    * @param {number} relatedObject.id - ID objek
+   * @param {object} transaction - Transaction milik pemanggil
    * @returns {Promise<object>}
    */
-  static async useCoins(user_id, amount, relatedObject) {
-    const user = await User.findByPk(user_id);
-    if (!user) {
-      throw new Error('User not found');
+  static async useCoins(user_id, amount, relatedObject, transaction) {
+    if (amount <= 0) {
+      throw new Error('Coin amount must be greater than 0.');
     }
 
-    if (user.totalCoin < amount) {
-      throw new Error('User does not have enough coins.');
+    const user = await this.lockUser(user_id, transaction);
+
+    if ((user.totalCoin || 0) < amount) {
+      throw httpError('Koin tidak mencukupi.', 400);
     }
 
-    const transaction = await sequelize.transaction();
-    try {
-      // Kurangi total koin pengguna
-      await user.decrement('totalCoin', { by: amount, transaction });
+    // Kurangi total koin pengguna
+    await user.decrement('totalCoin', { by: amount, transaction });
 
-      // Buat catatan transaksi
-      const coinTransaction = await CoinTransaction.create({
-        user_id,
-        amount: -amount,
-        related_to_id: relatedObject.id,
-        related_to_type: relatedObject.type,
-      }, { transaction });
-
-      await transaction.commit();
-      return coinTransaction;
-    } catch (error) {
-      await transaction.rollback();
-      throw error;
-    }
+    // Buat catatan transaksi
+    return await CoinTransaction.create({
+      user_id,
+      amount: -amount,
+      related_to_id: relatedObject.id,
+      related_to_type: relatedObject.type,
+    }, { transaction });
   }
 
   /**
    * Berikan EXP kepada pengguna dan catat transaksinya.
+   * Berjalan di dalam transaction pemanggil; level-up yang terjadi dicatat di user_level_ups.
    * @param {number} user_id
    * @param {number} amount
    * @param {object} relatedObject - Objek yang menjadi sumber EXP
    * @param {string} relatedObject.type - Tipe objek
    * @param {number} relatedObject.id - ID objek
-   * @returns {Promise<object>}
+   * @param {object} transaction - Transaction milik pemanggil
+   * @returns {Promise<{ expTransaction: object, levelUp: object|null, totalExp: number }>}
    */
-  static async addExp(user_id, amount, relatedObject) {
+  static async addExp(user_id, amount, relatedObject, transaction) {
     if (amount <= 0) {
       throw new Error('EXP amount must be greater than zero.');
     }
 
-    const transaction = await sequelize.transaction();
-    try {
-      const user = await User.findByPk(user_id, { transaction });
-      if (!user) {
-        throw new Error('User not found');
-      }
+    const user = await this.lockUser(user_id, transaction);
 
-      // Tambah total EXP pengguna
-      await user.increment('totalExp', { by: amount, transaction });
+    // Postgres menulis ulang nilai hasil increment ke instance, jadi simpan nilai awal
+    const totalExp = (user.totalExp || 0) + amount;
 
-      // Buat catatan transaksi
-      const expTransaction = await ExpTransaction.create({
-        user_id,
-        amount,
-        related_to_id: relatedObject.id,
-        related_to_type: relatedObject.type,
-      }, { transaction });
+    // Tambah total EXP pengguna
+    await user.increment('totalExp', { by: amount, transaction });
 
-      await transaction.commit();
-      return expTransaction;
-    } catch (error) {
-      await transaction.rollback();
-      throw error;
+    // Buat catatan transaksi
+    const expTransaction = await ExpTransaction.create({
+      user_id,
+      amount,
+      related_to_id: relatedObject.id,
+      related_to_type: relatedObject.type,
+    }, { transaction });
+
+    // Naikkan level jika EXP melewati batas level berikutnya
+    const levelUp = await LevelService.syncLevel(user, totalExp - amount, totalExp, relatedObject, transaction);
+
+    return { expTransaction, levelUp, totalExp };
+  }
+
+  /**
+   * Tarik kembali koin & EXP yang pernah diberikan untuk sebuah objek (mis. review yang dihapus).
+   * Jumlah yang ditarik dihitung dari transaksi yang tercatat, lalu dicatat sebagai transaksi negatif.
+   * Saldo pengguna tidak akan dibuat negatif.
+   * @param {number} user_id
+   * @param {object} relatedObject - Objek yang reward-nya ditarik
+   * @param {string} relatedObject.type - Tipe objek
+   * @param {number} relatedObject.id - ID objek
+   * @param {object} transaction - Transaction milik pemanggil
+   * @returns {Promise<{ coins_reversed: number, exp_reversed: number }>}
+   */
+  static async reverseRewards(user_id, relatedObject, transaction) {
+    const where = {
+      user_id,
+      related_to_id: relatedObject.id,
+      related_to_type: relatedObject.type,
+    };
+
+    const user = await this.lockUser(user_id, transaction);
+    const [coinsAwarded, expAwarded] = await Promise.all([
+      CoinTransaction.sum('amount', { where, transaction }),
+      ExpTransaction.sum('amount', { where, transaction }),
+    ]);
+
+    const coinsReversed = Math.min(Math.max(0, coinsAwarded || 0), user.totalCoin || 0);
+    const expReversed = Math.min(Math.max(0, expAwarded || 0), user.totalExp || 0);
+
+    if (coinsReversed > 0) {
+      await user.decrement('totalCoin', { by: coinsReversed, transaction });
+      await CoinTransaction.create({ ...where, amount: -coinsReversed }, { transaction });
     }
+
+    if (expReversed > 0) {
+      const previousExp = user.totalExp || 0;
+      await user.decrement('totalExp', { by: expReversed, transaction });
+      await ExpTransaction.create({ ...where, amount: -expReversed }, { transaction });
+      await LevelService.syncLevel(user, previousExp, previousExp - expReversed, relatedObject, transaction);
+    }
+
+    return { coins_reversed: coinsReversed, exp_reversed: expReversed };
+  }
+
+  /**
+   * Perbarui progres challenge lalu evaluasi achievement setelah sebuah aktivitas pengguna.
+   * Dipanggil setelah transaction aktivitas di-commit.
+   * @param {number} user_id
+   * @param {string} event - checkin, review, post, follow
+   * @returns {Promise<{ challenges_completed: Array, achievements_unlocked: Array }>}
+   */
+  static async processActivity(user_id, event) {
+    const challengesCompleted = await ChallengeService.recordEvent(user_id, event);
+    const achievementsUnlocked = await AchievementService.evaluate(user_id, event);
+
+    return {
+      challenges_completed: challengesCompleted,
+      achievements_unlocked: achievementsUnlocked,
+    };
   }
+
+  /**
+   * Hitung reward check-in berdasarkan coin_reward/exp_reward tempat.
+   * Multiplier partner dan kunjungan pertama dikalikan bersama, hasil dibulatkan.
+   * @param {object} place - Instance Place
+   * @param {object} options - { isFirstVisit }
+   * @returns {{ coins_earned: number, exp_earned: number, base_coins: number, base_exp: number, multipliers: Array<{ type: string, value: number }>, total_multiplier: number }}
+   */
+  static calculateCheckinRewards(place, { isFirstVisit = false } = {}) {
+    const baseCoins = place.coinReward || 0;
+    const baseExp = place.expReward || 0;
+
+    const multipliers = [];
+    if (place.partnershipStatus) {
+      multipliers.push({ type: 'partner', value: CHECKIN_REWARD_MULTIPLIERS.partner });
+    }
+    if (isFirstVisit) {
+      multipliers.push({ type: 'first_visit', value: CHECKIN_REWARD_MULTIPLIERS.first_visit });
+    }
+
+    const totalMultiplier = multipliers.reduce((total, multiplier) => total * multiplier.value, 1);
+
+    return {
+      coins_earned: Math.round(baseCoins * totalMultiplier),
+      exp_earned: Math.round(baseExp * totalMultiplier),
+      base_coins: baseCoins,
+      base_exp: baseExp,
+      multipliers,
+      total_multiplier: totalMultiplier,
+    };
+  }
+
   /**
    * Melakukan proses check-in untuk pengguna di sebuah tempat.
    * Menerapkan aturan: 1 check-in per tempat per bulan kalender.
    * @param {number} user_id
    * @param {object} payload - { place_id, latitude, longitude, proof_image_url, additional_info }
-   * @returns {Promise<{ checkin: object, rewards: { coins_earned: number, exp_earned: number, new_level: number } }>} 
+   * @returns {Promise<{ checkin: object, streak: object|null, rewards: { coins_earned: number, exp_earned: number, base_coins: number, base_exp: number, multipliers: Array, total_multiplier: number, new_level: number, level_up: object|null, level_info: object } }>}
    */
   static async createCheckin(user_id, payload) {
     const transaction = await sequelize.transaction();
@@ -154,20 +256,31 @@ class GamificationService {
       const place = await Place.findByPk(place_id, { transaction });
       if (!place) {
         await transaction.rollback();
-        const err = new Error('Place not found');
-        err.statusCode = 404;
-        throw err;
+        throw httpError('Place not found', 404);
       }
 
       // 1. Cek status tempat (place)
       if (!place.status) {
         await transaction.rollback();
-        const err = new Error('This place is currently not active.');
-        err.statusCode = 400;
-        throw err;
+        throw httpError('This place is currently not active.', 400);
+      }
+
+      // 2. Verifikasi lokasi pengguna berada di dalam radius check-in tempat
+      const coordinates = validateCoordinates(latitude, longitude);
+      if (!coordinates.isValid) {
+        throw httpError(`A valid location is required to check in: ${coordinates.error}`, 400, { code: 'CHECKIN_LOCATION_REQUIRED' });
+      }
+
+      const distance = place.distanceTo(coordinates.lat, coordinates.lng);
+      const radius = place.getCheckinRadius();
+      if (distance !== null && distance > radius) {
+        throw httpError(`You are too far from this place to check in (${Math.round(distance)} m away, max ${radius} m).`, 400, {
+          code: 'CHECKIN_OUT_OF_RANGE',
+          details: { distance: Math.round(distance), radius }
+        });
       }
 
-      // 2. Cek apakah pengguna sudah check-in di tempat ini pada bulan kalender yang sama
+      // 3. Cek apakah pengguna sudah check-in di tempat ini pada bulan kalender yang sama
       const now = new Date();
       const startOfMonth = new Date(now.getFullYear(), now.getMonth(), 1);
       const endOfMonth = new Date(now.getFullYear(), now.getMonth() + 1, 0, 23, 59, 59);
@@ -184,26 +297,20 @@ class GamificationService {
         transaction,
       });
 
-      // 3. Jika sudah, lewati proses dan berikan pesan error
+      // 4. Jika sudah, lewati proses dan berikan pesan error
       if (hasCheckedInThisMonth) {
         await transaction.rollback();
-        const err = new Error('You have already checked in at this place this month.');
-        err.statusCode = 400;
-        throw err;
+        throw httpError('You have already checked in at this place this month.', 400);
       }
 
-      // Hitung reward sederhana
-      const coinsEarned = 10;
-      const expEarned = 5;
+      // Hitung reward dari konfigurasi tempat
+      const previousVisits = await Checkin.count({ where: { user_id, place_id }, transaction });
+      const rewardBreakdown = this.calculateCheckinRewards(place, { isFirstVisit: previousVisits === 0 });
+      const coinsEarned = rewardBreakdown.coins_earned;
+      const expEarned = rewardBreakdown.exp_earned;
 
-      // Ambil user
-      const user = await User.findByPk(user_id, { transaction });
-      if (!user) {
-        await transaction.rollback();
-        const err = new Error('User not found');
-        err.statusCode = 404;
-        throw err;
-      }
+      // Kunci baris user sebelum mengubah saldo
+      const user = await this.lockUser(user_id, transaction);
 
       // Buat checkin
       const checkin = await Checkin.create(
@@ -212,6 +319,7 @@ class GamificationService {
           place_id,
           latitude,
           longitude,
+          distance: distance !== null ? Math.round(distance * 100) / 100 : null,
           image_url: proof_image_url,
           additional_info: additional_info || {},
         },
@@ -219,41 +327,19 @@ class GamificationService {
       );
 
       // Update statistik user
-      const newCoinBalance = (user.totalCoin || 0) + coinsEarned;
-      const newExpBalance = (user.totalExp || 0) + expEarned;
-      const newCheckinsCount = (user.totalCheckin || 0) + 1;
-      const newLevel = Math.floor(newExpBalance / 100) + 1; // perhitungan level sederhana
-
-      await user.update(
-        {
-          totalCoin: newCoinBalance,
-          totalExp: newExpBalance,
-          totalCheckin: newCheckinsCount,
-        },
-        { transaction }
-      );
+      await user.increment('totalCheckin', { by: 1, transaction });
 
-      // Transaksi coin
-      await CoinTransaction.create(
-        {
-          user_id,
-          amount: coinsEarned,
-          related_to_id: checkin.id,
-          related_to_type: 'Checkin',
-        },
-        { transaction }
-      );
+      // Transaksi coin & exp lewat ledger di transaction yang sama
+      const relatedObject = { type: 'Checkin', id: checkin.id };
+      if (coinsEarned > 0) {
+        await this.addCoins(user_id, coinsEarned, relatedObject, transaction);
+      }
 
-      // Transaksi exp
-      await ExpTransaction.create(
-        {
-          user_id,
-          amount: expEarned,
-          related_to_id: checkin.id,
-          related_to_type: 'Checkin',
-        },
-        { transaction }
-      );
+      let newExpBalance = user.totalExp || 0;
+      let levelUp = null;
+      if (expEarned > 0) {
+        ({ totalExp: newExpBalance, levelUp } = await this.addExp(user_id, expEarned, relatedObject, transaction));
+      }
 
       await transaction.commit();
 
@@ -268,12 +354,18 @@ class GamificationService {
         ],
       });
 
+      const activity = await this.processActivity(user_id, 'checkin');
+      const streak = await StreakService.recordCheckin(user_id);
+
       return {
         checkin: createdCheckin,
+        ...activity,
+        streak,
         rewards: {
-          coins_earned: coinsEarned,
-          exp_earned: expEarned,
-          new_level: newLevel,
+          ...rewardBreakdown,
+          new_level: LevelService.levelForExp(newExpBalance),
+          level_up: levelUp,
+          level_info: LevelService.getLevelInfo(newExpBalance),
         },
       };
     } catch (error) {
@@ -283,110 +375,24 @@ class GamificationService {
     }
   }
 
-  /**
-   * Menambahkan ulasan baru dan memastikan statistik tempat diperbarui.
-   * @param {number} user_id
-   * @param {number} place_id
-   * @param {object} data - { content, rating, image_urls, additional_info }
-   * @returns {Promise<object>}
-   */
-  static async createReview(user_id, place_id, data) {
-    const transaction = await sequelize.transaction();
-    try {
-      const place = await Place.findByPk(place_id, { transaction });
-      if (!place) {
-        throw new Error('Place not found');
-      }
-
-      // 1. Cek status tempat (place)
-      if (!place.status) {
-        throw new Error('This place is currently not active.');
-      }
-
-      // 2. Cek apakah pengguna sudah review tempat ini pada bulan kalender yang sama
-      const now = new Date();
-      const startOfMonth = new Date(now.getFullYear(), now.getMonth(), 1);
-      const endOfMonth = new Date(now.getFullYear(), now.getMonth() + 1, 0, 23, 59, 59);
-
-      const hasReviewedInThisMonth = await Review.findOne({
-        where: {
-          user_id,
-          place_id,
-          created_at: {
-            [Op.gte]: startOfMonth,
-            [Op.lte]: endOfMonth,
-          },
-        },
-        transaction,
-      });
-
-      // 3. Jika sudah, lewati proses dan berikan pesan error
-      if (hasReviewedInThisMonth) {
-        throw new Error('You have already reviewed this place this month.');
-      }
-
-      // 4. Buat ulasan baru
-      const review = await Review.create({
-        user_id,
-        place_id,
-        content: data.content,
-        rating: data.rating,
-        image_urls: data.image_urls || null,
-        additional_info: data.additional_info || {},
-        status: true,
-      }, { transaction });
-
-      // Update statistik pengguna dan tempat
-      await User.increment('totalReview', { by: 1, where: { id: user_id }, transaction });
-      await Place.increment('totalReview', { by: 1, where: { id: place_id }, transaction });
-
-      // Hitung ulang rata-rata rating
-      const reviewStats = await Review.findOne({
-        attributes: [
-          [sequelize.fn('COUNT', sequelize.col('id')), 'review_count'],
-          [sequelize.fn('SUM', sequelize.col('rating')), 'total_rating']
-        ],
-        where: { place_id },
-        transaction,
-      });
-
-      const newAvgRating = reviewStats.dataValues.review_count > 0
-        ? reviewStats.dataValues.total_rating / reviewStats.dataValues.review_count
-        : 0;
-
-      await place.update({
-        avgRating: Math.round(newAvgRating * 100) / 100
-      }, { transaction });
-
-      // Berikan reward (koin & EXP)
-      await this.addCoins(user_id, place.coin_reward, { type: 'Review', id: review.id });
-      await this.addExp(user_id, place.exp_reward, { type: 'Review', id: review.id });
-
-      await transaction.commit();
-      return review;
-    } catch (error) {
-      await transaction.rollback();
-      throw error;
-    }
-  }
-
   /**
    * Memberikan achievement kepada pengguna jika belum dimiliki.
    * @param {number} user_id
    * @param {number} achievement_id
+   * @param {object} callerTransaction - Opsional; jika ada, ikut transaction pemanggil dan tidak di-commit di sini
    * @returns {Promise<object>}
    */
-  static async grantAchievement(user_id, achievement_id) {
-    const transaction = await sequelize.transaction();
+  static async grantAchievement(user_id, achievement_id, callerTransaction = null) {
+    const transaction = callerTransaction || await sequelize.transaction();
     try {
       console.log('Starting grantAchievement service:', { user_id, achievement_id });
-      const user = await User.findByPk(user_id, { transaction });
       const achievement = await Achievement.findByPk(achievement_id, { transaction });
-
-      if (!user || !achievement) {
-        throw new Error('User or achievement not found');
+      if (!achievement) {
+        throw httpError('User or achievement not found', 404);
       }
 
+      const user = await this.lockUser(user_id, transaction);
+
       // Cek apakah pengguna sudah memiliki achievement ini
       const hasAchievement = await UserAchievement.findOne({
         where: {
@@ -398,7 +404,7 @@ class GamificationService {
       });
 
       if (hasAchievement) {
-        throw new Error('You already have this achievement.');
+        throw httpError('You already have this achievement.', 400);
       }
 
       // Catat di tabel pivot user_achievements
@@ -411,22 +417,34 @@ class GamificationService {
       console.log('User achievement created:', userAchievement.toJSON());
 
       // Tambah counter di tabel user
-      await user.increment('totalAchievement');
+      await user.increment('totalAchievement', { transaction });
 
-      // Berikan reward
-      await this.addCoins(user_id, achievement.coin_reward, { type: 'Achievement', id: achievement.id });
+      // Achievement tanpa koin tetap boleh diberikan
+      if (achievement.coin_reward > 0) {
+        await this.addCoins(user_id, achievement.coin_reward, { type: 'Achievement', id: achievement.id }, transaction);
+      }
 
-      await transaction.commit();
-      console.log('Transaction committed successfully');
+      // Notifikasi dikirim setelah commit, termasuk saat ikut transaction pemanggil
+      transaction.afterCommit(() => NotificationService.notify(user_id, 'achievement_unlocked', {
+        related: { type: 'Achievement', id: achievement.id },
+        data: { name: achievement.name, coin_reward: achievement.coin_reward }
+      }));
+
+      if (!callerTransaction) {
+        await transaction.commit();
+        console.log('Transaction committed successfully');
+      }
       return userAchievement;
     } catch (error) {
-      await transaction.rollback();
+      if (!callerTransaction && !transaction.finished) await transaction.rollback();
       throw error;
     }
   }
 
   /**
-   * Menyelesaikan challenge untuk pengguna jika belum pernah diselesaikan.
+   * Menyelesaikan challenge untuk periode berjalan.
+   * Challenge daily/weekly dapat diselesaikan sekali per periode, special sekali saja.
+   * Challenge dengan kriteria hanya bisa diselesaikan setelah progres mencapai target.
    * @param {number} user_id
    * @param {number} challenge_id
    * @returns {Promise<object>}
@@ -434,44 +452,52 @@ class GamificationService {
   static async completeChallenge(user_id, challenge_id) {
     const transaction = await sequelize.transaction();
     try {
-      const user = await User.findByPk(user_id, { transaction });
+      const now = new Date();
       const challenge = await Challenge.findByPk(challenge_id, { transaction });
+      if (!challenge) {
+        throw httpError('User or challenge not found', 404);
+      }
 
-      if (!user || !challenge) {
-        throw new Error('User or challenge not found');
+      const user = await this.lockUser(user_id, transaction);
+
+      if (!ChallengeService.isActive(challenge, now)) {
+        throw httpError('This challenge is not active.', 400);
       }
 
-      // Cek apakah user sudah menyelesaikan challenge ini
-      const hasCompleted = await UserChallenge.findOne({
-        where: {
-          user_id,
-          challenge_id,
-          status: true,
-        },
-        transaction,
-      });
+      const userChallenge = await ChallengeService.findOrCreateForPeriod(user_id, challenge, { now, transaction });
 
-      if (hasCompleted) {
-        throw new Error('You have already completed this challenge.');
+      // Cek apakah user sudah menyelesaikan challenge ini pada periode berjalan
+      if (userChallenge.status) {
+        throw httpError('You already completed this challenge.', 400);
       }
 
-      // Catat di tabel pivot user_challenges
-      const userChallenge = await UserChallenge.create({
-        user_id,
-        challenge_id,
-        status: true,
-      }, { transaction });
+      const criteria = ChallengeService.getCriteria(challenge);
+      if (criteria && userChallenge.progress < criteria.target) {
+        throw httpError(`Challenge progress is not complete yet (${userChallenge.progress}/${criteria.target}).`, 400);
+      }
+
+      await userChallenge.update({ status: true, completed_at: now }, { transaction });
 
       // Tambah counter di tabel user
-      await user.increment('totalChallenge');
+      await user.increment('totalChallenge', { transaction });
 
-      // Berikan reward
-      await this.addExp(user_id, challenge.exp_reward, { type: 'Challenge', id: challenge.id });
+      if (challenge.exp_reward > 0) {
+        await this.addExp(user_id, challenge.exp_reward, { type: 'Challenge', id: challenge.id }, transaction);
+      }
 
       await transaction.commit();
-      return userChallenge;
+
+      await NotificationService.notify(user_id, 'challenge_completed', {
+        related: { type: 'Challenge', id: challenge.id },
+        data: { name: challenge.name, exp_reward: challenge.exp_reward }
+      });
+
+      return {
+        ...userChallenge.toJSON(),
+        progress_info: ChallengeService.describeProgress(challenge, userChallenge, now),
+      };
     } catch (error) {
-      await transaction.rollback();
+      if (!transaction.finished) await transaction.rollback();
       throw error;
     }
   }
@@ -485,99 +511,98 @@ class GamificationService {
   static async redeemReward(user_id, reward_id) {
     const transaction = await sequelize.transaction();
     try {
-      const user = await User.findByPk(user_id, { transaction });
-      const reward = await Reward.findByPk(reward_id, { transaction });
+      const now = new Date();
 
-      if (!user || !reward) {
-        throw new Error('User or reward not found');
+      // Kunci user lalu reward (urutan sama dengan pembatalan voucher) agar
+      // penukaran bersamaan tidak memakai koin atau stok yang sama
+      const user = await this.lockUser(user_id, transaction);
+      const reward = await Reward.findByPk(reward_id, { transaction, lock: transaction.LOCK.UPDATE });
+
+      if (!reward) {
+        throw httpError('User or reward not found', 404);
       }
 
-      // 1. Validasi
-      if (user.totalCoin < reward.coin_requirement) {
-        throw new Error('Koin tidak mencukupi.');
+      // 1. Validasi (stock null berarti tidak terbatas)
+      if (!reward.status ||
+        (reward.started_at && new Date(reward.started_at) > now) ||
+        (reward.ended_at && new Date(reward.ended_at) < now)) {
+        throw httpError('Hadiah ini tidak aktif.', 400);
       }
-      if (reward.stock <= 0) {
-        throw new Error('Stok hadiah habis.');
+      if (reward.stock !== null && reward.stock <= 0) {
+        throw httpError('Stok hadiah habis.', 400);
       }
-      if (!reward.status) {
-        throw new Error('Hadiah ini tidak aktif.');
+      if (user.totalCoin < reward.coin_requirement) {
+        throw httpError('Koin tidak mencukupi.', 400);
       }
 
-      // 2. Kurangi koin pengguna & stok reward
-      await this.useCoins(user_id, reward.coin_requirement, { type: 'Reward', id: reward.id });
-      await reward.decrement('stock');
+      const isStreakFreeze = RewardService.isStreakFreeze(reward);
+      if (isStreakFreeze) {
+        const { available } = await StreakService.getFreezes(user_id, { transaction });
+        if (available.length >= STREAK_FREEZE_MAX_OWNED) {
+          throw httpError(`Kamu hanya bisa menyimpan ${STREAK_FREEZE_MAX_OWNED} streak freeze.`, 400);
+        }
+      }
 
-      // 3. Catat di tabel user_rewards
+      // 2. Kurangi koin pengguna & stok reward di transaction yang sama
+      if (reward.coin_requirement > 0) {
+        await this.useCoins(user_id, reward.coin_requirement, { type: 'Reward', id: reward.id }, transaction);
+      }
+      if (reward.stock !== null) {
+        await reward.decrement('stock', { by: 1, transaction });
+      }
+
+      // 3. Catat voucher di tabel user_rewards
       const userReward = await UserReward.create({
         user_id,
         reward_id,
         status: true,
-        additional_info: { redemption_code: 'XYZ-' + Date.now() }
+        // Streak freeze dipakai otomatis, jadi tanpa kode voucher dan tidak kedaluwarsa
+        code: isStreakFreeze ? null : await RewardService.generateUniqueCode(transaction),
+        redemption_status: 'redeemed',
+        coins_spent: reward.coin_requirement,
+        expires_at: isStreakFreeze ? null : RewardService.getVoucherExpiry(reward, now),
+        additional_info: {},
       }, { transaction });
 
       await transaction.commit();
+
+      await NotificationService.notify(user_id, 'reward_redeemed', {
+        related: { type: 'UserReward', id: userReward.id },
+        data: { name: reward.name, reward_id: reward.id, coins_spent: reward.coin_requirement }
+      });
+
       return userReward;
     } catch (error) {
-      await transaction.rollback();
+      if (!transaction.finished) await transaction.rollback();
       throw error;
     }
   }
 
   /**
-   * Ambil transaksi coin user dengan pagination dan filter tipe.
+   * Ambil transaksi coin user dengan pagination (page atau cursor) dan filter tipe.
    */
-  static async getCoinTransactions(user_id, { page = 1, limit = 20, type } = {}) {
-    const offset = (page - 1) * limit;
+  static async getCoinTransactions(user_id, { page = 1, limit = 20, type, cursor = null } = {}) {
     const whereClause = { user_id };
     if (type) whereClause.type = type;
 
-    const transactions = await CoinTransaction.findAndCountAll({
-      where: whereClause,
-      limit: parseInt(limit),
-      offset: parseInt(offset),
-      order: [['created_at', 'DESC']],
-    });
-
-    const totalPages = Math.ceil(transactions.count / limit);
+    const result = await paginate(CoinTransaction, { where: whereClause }, { page, limit, cursor });
     return {
-      transactions: transactions.rows,
-      pagination: {
-        current_page: parseInt(page),
-        total_pages: totalPages,
-        total_items: transactions.count,
-        items_per_page: parseInt(limit),
-        has_next: page < totalPages,
-        has_prev: page > 1,
-      },
+      transactions: result.rows,
+      pagination: buildPaginationMeta(result),
     };
   }
 
   /**
-   * Ambil transaksi exp user dengan pagination dan filter tipe.
+   * Ambil transaksi exp user dengan pagination (page atau cursor) dan filter tipe.
    */
-  static async getExpTransactions(user_id, { page = 1, limit = 20, type } = {}) {
-    const offset = (page - 1) * limit;
+  static async getExpTransactions(user_id, { page = 1, limit = 20, type, cursor = null } = {}) {
     const whereClause = { user_id };
     if (type) whereClause.type = type;
 
-    const transactions = await ExpTransaction.findAndCountAll({
-      where: whereClause,
-      limit: parseInt(limit),
-      offset: parseInt(offset),
-      order: [['created_at', 'DESC']],
-    });
-
-    const totalPages = Math.ceil(transactions.count / limit);
+    const result = await paginate(ExpTransaction, { where: whereClause }, { page, limit, cursor });
     return {
-      transactions: transactions.rows,
-      pagination: {
-        current_page: parseInt(page),
-        total_pages: totalPages,
-        total_items: transactions.count,
-        items_per_page: parseInt(limit),
-        has_next: page < totalPages,
-        has_prev: page > 1,
-      },
+      transactions: result.rows,
+      pagination: buildPaginationMeta(result),
     };
   }
 
@@ -585,33 +610,53 @@ class GamificationService {
    * Ambil achievements aktif beserta progress user.
    */
   static async getAchievements(user_id) {
-    const achievements = await Achievement.findAll({
-      where: { status: true },
-      include: [
-        {
-          model: UserAchievement,
-          as: 'userAchievements',
-          where: { user_id },
-          required: false,
-        },
-      ],
-      order: [['name', 'ASC']],
-    });
+    const [user, achievements] = await Promise.all([
+      User.findByPk(user_id),
+      Achievement.findAll({
+        where: { status: true },
+        include: [
+          {
+            model: UserAchievement,
+            as: 'userAchievements',
+            where: { user_id },
+            required: false,
+          },
+        ],
+        order: [['name', 'ASC']],
+      }),
+    ]);
+
+    const progress = user ? await AchievementService.getProgress(user, achievements) : new Map();
+
+    return achievements.map((achievement) => {
+      const isUnlocked = achievement.userAchievements.some((userAchievement) => userAchievement.status);
+      const achievementProgress = progress.get(achievement.id) || null;
 
-    return achievements;
+      return {
+        ...achievement.toJSON(),
+        is_unlocked: isUnlocked,
+        // Achievement yang sudah didapat selalu dianggap 100%
+        progress: achievementProgress && isUnlocked
+          ? { ...achievementProgress, current: achievementProgress.target, percent: 100, completed: true }
+          : achievementProgress,
+      };
+    });
   }
 
   /**
-   * Ambil challenges berdasarkan status (active: dalam rentang tanggal saat ini).
+   * Ambil challenges berdasarkan status (active: dalam rentang tanggal saat ini,
+   * tanggal kosong berarti tidak dibatasi) beserta progres periode berjalan.
    */
   static async getChallenges(user_id, { status = 'active' } = {}) {
+    const now = new Date();
     let whereClause = { status: true };
     if (status === 'active') {
-      const now = new Date();
       whereClause = {
         ...whereClause,
-        started_at: { [Op.lte]: now },
-        ended_at: { [Op.gte]: now },
+        [Op.and]: [
+          { [Op.or]: [{ started_at: null }, { started_at: { [Op.lte]: now } }] },
+          { [Op.or]: [{ ended_at: null }, { ended_at: { [Op.gte]: now } }] },
+        ],
       };
     }
 
@@ -628,7 +673,16 @@ class GamificationService {
       order: [['started_at', 'DESC']],
     });
 
-    return challenges;
+    return challenges.map((challenge) => {
+      const periodKey = ChallengeService.getPeriod(challenge, now).key;
+      const current = challenge.userChallenges.find((userChallenge) => userChallenge.period_key === periodKey) || null;
+
+      return {
+        ...challenge.toJSON(),
+        is_active: ChallengeService.isActive(challenge, now),
+        progress: ChallengeService.describeProgress(challenge, current, now),
+      };
+    });
   }
 
   /**
@@ -637,7 +691,7 @@ class GamificationService {
   static async getRewards({ status } = {}) {
     const whereClause = {
       status: true,
-      stock: { [Op.gt]: 0 },
+      [Op.or]: [{ stock: null }, { stock: { [Op.gt]: 0 } }],
     };
     if (status) whereClause.status = status;
 
@@ -0,0 +1,612 @@
+const { Op } = require('sequelize');
+const { sequelize } = require('../config/database');
+const User = require('../models/User');
+const Checkin = require('../models/Checkin');
+const Review = require('../models/Review');
+const Post = require('../models/Post');
+const CoinTransaction = require('../models/CoinTransaction');
+const ExpTransaction = require('../models/ExpTransaction');
+const Place = require('../models/Place');
+const UserFollow = require('../models/UserFollow');
+const Leaderboard = require('../models/Leaderboard');
+const LeaderboardPayout = require('../models/LeaderboardPayout');
+const UserAchievement = require('../models/UserAchievement');
+const { parseAdditionalInfo } = require('../utils/jsonHelper');
+const GamificationService = require('./GamificationService');
+const { httpError } = require('../utils/errors');
+
+const LEADERBOARD_USER_ATTRIBUTES = [
+  'id', 'name', 'username', 'imageUrl',
+  'totalExp', 'totalCoin', 'totalCheckin',
+  'totalReview', 'totalPost'
+];
+
+/**
+ * Restrict EXP/coin transactions to those earned by check-ins and reviews at one place
+ * @param {number} placeId
+ * @returns {Object} Sequelize where clause
+ */
+const earnedAtPlace = (placeId) => {
+  const id = sequelize.escape(parseInt(placeId));
+  return {
+    [Op.or]: [
+      {
+        related_to_type: 'Checkin',
+        related_to_id: { [Op.in]: sequelize.literal(`(SELECT id FROM checkins WHERE place_id = ${id})`) }
+      },
+      {
+        related_to_type: 'Review',
+        related_to_id: { [Op.in]: sequelize.literal(`(SELECT id FROM reviews WHERE place_id = ${id})`) }
+      }
+    ]
+  };
+};
+
+/**
+ * How each leaderboard metric is scored within a period.
+ * Coins spent on or refunded from rewards and competition prizes are not
+ * activity, so they are left out. `placeWhere` narrows a metric to one place.
+ */
+const PERIOD_METRICS = {
+  totalExp: { model: ExpTransaction, aggregate: 'SUM', column: 'amount', placeWhere: earnedAtPlace },
+  totalCoin: {
+    model: CoinTransaction,
+    aggregate: 'SUM',
+    column: 'amount',
+    where: { related_to_type: { [Op.notIn]: ['Reward', 'Leaderboard'] } },
+    placeWhere: earnedAtPlace
+  },
+  totalCheckin: { model: Checkin, aggregate: 'COUNT', column: 'id', placeWhere: (placeId) => ({ place_id: placeId }) },
+  totalReview: { model: Review, aggregate: 'COUNT', column: 'id', where: { status: true }, placeWhere: (placeId) => ({ place_id: placeId }) },
+  totalPost: { model: Post, aggregate: 'COUNT', column: 'id', where: { status: true }, placeWhere: (placeId) => ({ place_id: placeId }) }
+};
+
+const SCOPES = ['global', 'following'];
+const PLACE_LEADERBOARD_TYPES = ['all_time', 'weekly', 'monthly'];
+
+const PERIOD_TYPES = ['weekly', 'monthly'];
+
+// leaderboards.metric values mapped to the metrics above
+const COMPETITION_METRICS = {
+  total_exp: 'totalExp',
+  total_coins: 'totalCoin',
+  checkins_count: 'totalCheckin',
+  reviews_count: 'totalReview',
+  posts_count: 'totalPost'
+};
+
+const COMPETITION_STATUSES = ['upcoming', 'active', 'closed', 'settled'];
+
+/**
+ * LeaderboardService
+ * Leaderboard mingguan/bulanan dihitung dari riwayat transaksi & aktivitas dalam periode,
+ * bukan dari total seumur hidup.
+ */
+class LeaderboardService {
+  /**
+   * Daftar metric leaderboard yang valid.
+   * @returns {Array<string>}
+   */
+  static getMetrics() {
+    return Object.keys(PERIOD_METRICS);
+  }
+
+  /**
+   * Rentang sebuah periode; offset -1 berarti periode sebelumnya.
+   * Minggu dimulai hari Senin, sama seperti challenge mingguan.
+   * @param {string} type - weekly atau monthly
+   * @param {Date} now
+   * @param {number} offset
+   * @returns {{ start: Date, end: Date }}
+   */
+  static getPeriodRange(type, now = new Date(), offset = 0) {
+    if (type === 'yearly') {
+      const start = new Date(now.getFullYear() + offset, 0, 1);
+      return { start, end: new Date(start.getFullYear() + 1, 0, 1) };
+    }
+
+    if (type === 'weekly') {
+      const day = now.getDay();
+      const start = new Date(now.getFullYear(), now.getMonth(), now.getDate() - (day === 0 ? 6 : day - 1) + offset * 7);
+      return { start, end: new Date(start.getFullYear(), start.getMonth(), start.getDate() + 7) };
+    }
+
+    const start = new Date(now.getFullYear(), now.getMonth() + offset, 1);
+    return { start, end: new Date(start.getFullYear(), start.getMonth() + 1, 1) };
+  }
+
+  /**
+   * Skor semua pengguna yang aktif dalam rentang waktu, urut dari yang tertinggi.
+   * Skor sama diurutkan berdasarkan user id agar urutan stabil.
+   * @param {string} metric
+   * @param {{ start: Date|null, end: Date|null }} range - null berarti tanpa batas
+   * @param {object} filters - { userIds, placeId }; userIds null berarti semua pengguna
+   * @returns {Promise<Array<{ user_id: number, score: number }>>}
+   */
+  static async getPeriodScores(metric, { start, end }, { userIds = null, placeId = null } = {}) {
+    const config = PERIOD_METRICS[metric];
+    const createdAt = {};
+    if (start) createdAt[Op.gte] = start;
+    if (end) createdAt[Op.lt] = end;
+
+    const rows = await config.model.findAll({
+      attributes: [
+        'user_id',
+        [sequelize.fn(config.aggregate, sequelize.col(config.column)), 'score']
+      ],
+      where: {
+        ...(config.where || {}),
+        ...(placeId && config.placeWhere(placeId)),
+        ...(userIds && { user_id: userIds }),
+        ...((start || end) && { created_at: createdAt })
+      },
+      group: ['user_id'],
+      raw: true
+    });
+
+    return rows
+      .map(row => ({ user_id: parseInt(row.user_id), score: parseInt(row.score) || 0 }))
+      .filter(row => row.score > 0)
+      .sort((a, b) => b.score - a.score || a.user_id - b.user_id);
+  }
+
+  /**
+   * Beri peringkat; skor sama mendapat peringkat yang sama (1, 2, 2, 4).
+   * @param {Array<{ user_id: number, score: number }>} scores - Sudah terurut
+   * @returns {Map<number, { rank: number, score: number }>}
+   */
+  static rankScores(scores) {
+    const ranks = new Map();
+    scores.forEach((row, index) => {
+      const rank = index > 0 && scores[index - 1].score === row.score
+        ? ranks.get(scores[index - 1].user_id).rank
+        : index + 1;
+      ranks.set(row.user_id, { rank, score: row.score });
+    });
+    return ranks;
+  }
+
+  /**
+   * Posisi satu pengguna beserta perubahan dibanding periode sebelumnya.
+   * @param {number} user_id
+   * @param {Map} current - Hasil rankScores periode berjalan
+   * @param {Map} previous - Hasil rankScores periode sebelumnya
+   * @returns {{ rank: number|null, score: number, previous_rank: number|null, previous_score: number, rank_change: number|null, score_change: number }}
+   */
+  static describePosition(user_id, current, previous) {
+    const now = current.get(parseInt(user_id));
+    const before = previous.get(parseInt(user_id));
+    const score = now ? now.score : 0;
+    const previousScore = before ? before.score : 0;
+
+    return {
+      rank: now ? now.rank : null,
+      score,
+      previous_rank: before ? before.rank : null,
+      previous_score: previousScore,
+      // Positif berarti naik peringkat
+      rank_change: now && before ? before.rank - now.rank : null,
+      score_change: score - previousScore
+    };
+  }
+
+  /**
+   * Leaderboard sebuah periode beserta posisi pengguna yang meminta.
+   * @param {object} options - { type, metric, limit, user_id, userIds, now }; userIds membatasi peserta (scope=following)
+   * @returns {Promise<{ leaderboard: Array<{ user: object, position: object }>, current_user: object|null, period: object, previous_period: object, total_users: number }>}
+   */
+  static async getPeriodLeaderboard({ type, metric = 'totalExp', limit = 50, user_id = null, userIds = null, now = new Date() }) {
+    if (!PERIOD_TYPES.includes(type)) {
+      throw httpError(`Invalid period. Valid options: ${PERIOD_TYPES.join(', ')}`, 400);
+    }
+    if (!PERIOD_METRICS[metric]) {
+      throw httpError('Invalid metric. Valid options: ' + this.getMetrics().join(', '), 400);
+    }
+
+    const period = this.getPeriodRange(type, now);
+    const previousPeriod = this.getPeriodRange(type, now, -1);
+
+    const [scores, previousScores] = await Promise.all([
+      this.getPeriodScores(metric, period, { userIds }),
+      this.getPeriodScores(metric, previousPeriod, { userIds })
+    ]);
+    const current = this.rankScores(scores);
+    const previous = this.rankScores(previousScores);
+
+    const top = scores.slice(0, parseInt(limit));
+    const users = top.length > 0
+      ? await User.findAll({
+        where: { id: top.map(row => row.user_id) },
+        attributes: LEADERBOARD_USER_ATTRIBUTES
+      })
+      : [];
+    const userMap = new Map(users.map(user => [parseInt(user.id), user]));
+
+    const leaderboard = top
+      .filter(row => userMap.has(row.user_id))
+      .map(row => ({
+        user: userMap.get(row.user_id),
+        position: this.describePosition(row.user_id, current, previous)
+      }));
+
+    return {
+      leaderboard,
+      current_user: user_id ? this.describePosition(user_id, current, previous) : null,
+      period,
+      previous_period: previousPeriod,
+      total_users: scores.length
+    };
+  }
+
+  /**
+   * Peserta leaderboard untuk sebuah scope.
+   * scope=following berisi pengguna yang diikuti beserta pengguna itu sendiri.
+   * @param {string} scope - global atau following
+   * @param {object|null} user - Pengguna yang meminta
+   * @returns {Promise<Array<number>|null>} null berarti semua pengguna
+   */
+  static async resolveScope(scope = 'global', user = null) {
+    if (!SCOPES.includes(scope)) {
+      throw httpError(`Invalid scope. Valid options: ${SCOPES.join(', ')}`, 400);
+    }
+    if (scope === 'global') {
+      return null;
+    }
+    if (!user) {
+      throw httpError('Login is required for scope=following', 401);
+    }
+
+    const follows = await UserFollow.findAll({
+      where: { follower_id: user.id },
+      attributes: ['following_id']
+    });
+    return [parseInt(user.id), ...follows.map(follow => parseInt(follow.following_id))];
+  }
+
+  /**
+   * Leaderboard pengunjung teratas sebuah tempat, dihitung dari check-in, review,
+   * post, serta EXP/koin yang didapat di tempat tersebut.
+   * @param {object} options - { place_id, metric, type, limit, now }
+   * @returns {Promise<{ place: object, leaderboard: Array<{ user: object, rank: number, score: number }>, period: object, total_users: number }>}
+   */
+  static async getPlaceLeaderboard({ place_id, metric = 'totalCheckin', type = 'all_time', limit = 50, now = new Date() }) {
+    if (!PERIOD_METRICS[metric]) {
+      throw httpError('Invalid metric. Valid options: ' + this.getMetrics().join(', '), 400);
+    }
+    if (!PLACE_LEADERBOARD_TYPES.includes(type)) {
+      throw httpError(`Invalid type. Valid options: ${PLACE_LEADERBOARD_TYPES.join(', ')}`, 400);
+    }
+
+    const place = await Place.findByPk(place_id, { attributes: ['id', 'name', 'partnershipStatus'] });
+    if (!place) {
+      throw httpError('Place not found', 404);
+    }
+
+    const period = type === 'all_time' ? { start: null, end: null } : this.getPeriodRange(type, now);
+    const scores = await this.getPeriodScores(metric, period, { placeId: place.id });
+    const ranks = this.rankScores(scores);
+
+    const top = scores.slice(0, parseInt(limit));
+    const users = top.length > 0
+      ? await User.findAll({ where: { id: top.map(row => row.user_id) }, attributes: LEADERBOARD_USER_ATTRIBUTES })
+      : [];
+    const userMap = new Map(users.map(user => [parseInt(user.id), user]));
+
+    return {
+      place,
+      leaderboard: top
+        .filter(row => userMap.has(row.user_id))
+        .map(row => ({ user: userMap.get(row.user_id), rank: ranks.get(row.user_id).rank, score: row.score })),
+      period,
+      total_users: scores.length
+    };
+  }
+
+  /**
+   * Rentang waktu sebuah kompetisi.
+   * start_date/end_date dipakai jika diisi; jika tidak, periode sesuai type saat kompetisi
+   * dibuat (created_at), sehingga kompetisi tetap berakhir dan bisa dibayar.
+   * @param {object} competition - Instance Leaderboard
+   * @returns {{ start: Date|null, end: Date|null }}
+   */
+  static getCompetitionRange(competition) {
+    const fallback = ['weekly', 'monthly', 'yearly'].includes(competition.type)
+      ? this.getPeriodRange(competition.type, new Date(competition.created_at))
+      : { start: null, end: null };
+
+    return {
+      start: competition.start_date ? new Date(competition.start_date) : fallback.start,
+      end: competition.end_date ? new Date(competition.end_date) : fallback.end
+    };
+  }
+
+  /**
+   * Status kompetisi: upcoming, active, closed (belum dibayar) atau settled.
+   * @param {object} competition
+   * @param {Date} now
+   * @returns {string}
+   */
+  static getCompetitionStatus(competition, now = new Date()) {
+    if (competition.settled_at) return 'settled';
+
+    const { start, end } = this.getCompetitionRange(competition);
+    if (start && start > now) return 'upcoming';
+    if (end && end <= now) return 'closed';
+    return 'active';
+  }
+
+  /**
+   * Tingkatan hadiah dari reward_config, mis.
+   *   { "payouts": [{ "rank_from": 1, "rank_to": 1, "coins": 500, "achievement_id": 7 },
+   *                 { "rank_from": 2, "rank_to": 10, "coins": 100 }] }
+   * Tingkatan tanpa koin maupun achievement diabaikan.
+   * @param {object} competition
+   * @returns {Array<{ rank_from: number, rank_to: number, coins: number, achievement_id: number|null }>}
+   */
+  static getRewardTiers(competition) {
+    const config = parseAdditionalInfo(competition.reward_config) || {};
+    const tiers = Array.isArray(config) ? config : (config.payouts || []);
+
+    return tiers
+      .map(tier => {
+        const rankFrom = parseInt(tier.rank_from || tier.rank) || 0;
+        return {
+          rank_from: rankFrom,
+          rank_to: parseInt(tier.rank_to || tier.rank_from || tier.rank) || rankFrom,
+          coins: Math.max(0, parseInt(tier.coins) || 0),
+          achievement_id: parseInt(tier.achievement_id) || null
+        };
+      })
+      .filter(tier => tier.rank_from > 0 && tier.rank_to >= tier.rank_from && (tier.coins > 0 || tier.achievement_id));
+  }
+
+  /**
+   * Hadiah untuk sebuah peringkat, null jika tidak mendapat hadiah.
+   * @param {Array} tiers - Hasil getRewardTiers
+   * @param {number|null} rank
+   * @returns {object|null}
+   */
+  static getRewardForRank(tiers, rank) {
+    if (!rank) return null;
+    return tiers.find(tier => rank >= tier.rank_from && rank <= tier.rank_to) || null;
+  }
+
+  /**
+   * Ringkasan kompetisi untuk response API.
+   * @param {object} competition
+   * @param {Date} now
+   * @returns {object}
+   */
+  static describeCompetition(competition, now = new Date()) {
+    const { start, end } = this.getCompetitionRange(competition);
+    const { reward_config: rewardConfig, ...attributes } = competition.toJSON();
+
+    return {
+      ...attributes,
+      competition_status: this.getCompetitionStatus(competition, now),
+      period: { start, end },
+      time_remaining_seconds: end && end > now ? Math.floor((end - now) / 1000) : 0,
+      rewards: this.getRewardTiers({ reward_config: rewardConfig })
+    };
+  }
+
+  /**
+   * Ambil kompetisi aktif (status true) berdasarkan id.
+   * @param {number} id
+   * @param {object} options - Opsi findOne tambahan, mis. { transaction, lock }
+   * @returns {Promise<object>}
+   */
+  static async findCompetition(id, options = {}) {
+    const competition = await Leaderboard.findOne({ where: { id, status: true }, ...options });
+    if (!competition) {
+      throw httpError('Competition not found', 404);
+    }
+    return competition;
+  }
+
+  /**
+   * Skor & peringkat seluruh peserta sebuah kompetisi.
+   * Kompetisi yang belum dimulai belum memiliki peserta.
+   * @param {object} competition
+   * @param {Date} now
+   * @returns {Promise<{ scores: Array, ranks: Map }>}
+   */
+  static async getCompetitionStandings(competition, now = new Date()) {
+    const metric = COMPETITION_METRICS[competition.metric];
+    const { start, end } = this.getCompetitionRange(competition);
+
+    if (start && start > now) {
+      return { scores: [], ranks: new Map() };
+    }
+
+    const scores = await this.getPeriodScores(metric, { start, end: end && end < now ? end : now });
+    return { scores, ranks: this.rankScores(scores) };
+  }
+
+  /**
+   * Daftar kompetisi beserta statusnya.
+   * @param {object} options - { status, page, limit, now }
+   * @returns {Promise<{ competitions: Array, pagination: object }>}
+   */
+  static async getCompetitions({ status, page = 1, limit = 20, now = new Date() } = {}) {
+    if (status && !COMPETITION_STATUSES.includes(status)) {
+      throw httpError(`Invalid status. Valid options: ${COMPETITION_STATUSES.join(', ')}`, 400);
+    }
+
+    const competitions = await Leaderboard.findAll({
+      where: { status: true },
+      order: [['start_date', 'DESC'], ['id', 'DESC']]
+    });
+
+    // Status bergantung pada tanggal & type, jadi disaring setelah dihitung
+    const described = competitions
+      .map(competition => this.describeCompetition(competition, now))
+      .filter(competition => !status || competition.competition_status === status);
+
+    const offset = (page - 1) * limit;
+    const totalPages = Math.ceil(described.length / limit);
+    return {
+      competitions: described.slice(offset, offset + parseInt(limit)),
+      pagination: {
+        current_page: parseInt(page),
+        total_pages: totalPages,
+        total_items: described.length,
+        items_per_page: parseInt(limit),
+        has_next: page < totalPages,
+        has_prev: page > 1
+      }
+    };
+  }
+
+  /**
+   * Detail kompetisi dengan papan peringkat hingga max_participants.
+   * Setelah settlement, hadiah yang dibayarkan ikut ditampilkan.
+   * @param {number} id
+   * @param {Date} now
+   * @returns {Promise<{ competition: object, leaderboard: Array<{ user: object, rank: number, score: number, reward: object|null }>, total_participants: number }>}
+   */
+  static async getCompetition(id, now = new Date()) {
+    const competition = await this.findCompetition(id);
+    const tiers = this.getRewardTiers(competition);
+    const { scores, ranks } = await this.getCompetitionStandings(competition, now);
+
+    const top = scores.slice(0, competition.max_participants || 100);
+    const [users, payouts] = await Promise.all([
+      top.length > 0
+        ? User.findAll({ where: { id: top.map(row => row.user_id) }, attributes: LEADERBOARD_USER_ATTRIBUTES })
+        : [],
+      competition.settled_at ? LeaderboardPayout.findAll({ where: { leaderboard_id: competition.id } }) : []
+    ]);
+    const userMap = new Map(users.map(user => [parseInt(user.id), user]));
+    const payoutMap = new Map(payouts.map(payout => [parseInt(payout.user_id), payout]));
+
+    return {
+      competition: this.describeCompetition(competition, now),
+      leaderboard: top
+        .filter(row => userMap.has(row.user_id))
+        .map(row => ({
+          user: userMap.get(row.user_id),
+          rank: ranks.get(row.user_id).rank,
+          score: row.score,
+          reward: this.getRewardForRank(tiers, ranks.get(row.user_id).rank),
+          payout: payoutMap.get(row.user_id) || null
+        })),
+      total_participants: scores.length
+    };
+  }
+
+  /**
+   * Posisi pengguna dalam sebuah kompetisi dan hadiah yang (akan) didapat.
+   * @param {number} id
+   * @param {number} user_id
+   * @param {Date} now
+   * @returns {Promise<object>}
+   */
+  static async getCompetitionPosition(id, user_id, now = new Date()) {
+    const competition = await this.findCompetition(id);
+    const { scores, ranks } = await this.getCompetitionStandings(competition, now);
+    const position = ranks.get(parseInt(user_id));
+
+    const payout = competition.settled_at
+      ? await LeaderboardPayout.findOne({ where: { leaderboard_id: competition.id, user_id } })
+      : null;
+
+    return {
+      competition: this.describeCompetition(competition, now),
+      rank: position ? position.rank : null,
+      score: position ? position.score : 0,
+      total_participants: scores.length,
+      reward: this.getRewardForRank(this.getRewardTiers(competition), position ? position.rank : null),
+      payout
+    };
+  }
+
+  /**
+   * Bayarkan reward_config kepada pemenang kompetisi yang sudah ditutup.
+   * Seluruh pembayaran berjalan dalam satu transaction dengan lock baris kompetisi,
+   * dan settled_at menandai kompetisi yang sudah dibayar, sehingga aman dijalankan ulang.
+   * @param {number} id
+   * @param {Date} now
+   * @returns {Promise<{ competition_id: number, already_settled: boolean, payouts: Array }>}
+   */
+  static async settleCompetition(id, now = new Date()) {
+    const transaction = await sequelize.transaction();
+    try {
+      const competition = await this.findCompetition(id, { transaction, lock: transaction.LOCK.UPDATE });
+
+      if (competition.settled_at) {
+        await transaction.commit();
+        return { competition_id: competition.id, already_settled: true, payouts: [] };
+      }
+
+      if (this.getCompetitionStatus(competition, now) !== 'closed') {
+        throw httpError('Only closed competitions can be settled.', 400);
+      }
+
+      const tiers = this.getRewardTiers(competition);
+      const { scores, ranks } = await this.getCompetitionStandings(competition, now);
+
+      const payouts = [];
+      for (const row of scores) {
+        const rank = ranks.get(row.user_id).rank;
+        const reward = this.getRewardForRank(tiers, rank);
+        if (!reward) continue;
+
+        // Kunci unik (leaderboard_id, user_id) menjaga agar pemenang tidak dibayar dua kali
+        const existing = await LeaderboardPayout.findOne({
+          where: { leaderboard_id: competition.id, user_id: row.user_id },
+          transaction
+        });
+        if (existing) continue;
+
+        const payout = await LeaderboardPayout.create({
+          leaderboard_id: competition.id,
+          user_id: row.user_id,
+          rank,
+          score: row.score,
+          coins: reward.coins,
+          achievement_id: reward.achievement_id
+        }, { transaction });
+
+        if (reward.coins > 0) {
+          await GamificationService.addCoins(row.user_id, reward.coins, { type: 'Leaderboard', id: competition.id }, transaction);
+        }
+
+        if (reward.achievement_id) {
+          const owned = await UserAchievement.findOne({
+            where: { user_id: row.user_id, achievement_id: reward.achievement_id, status: true },
+            transaction
+          });
+          if (!owned) {
+            await GamificationService.grantAchievement(row.user_id, reward.achievement_id, transaction);
+          }
+        }
+
+        payouts.push(payout);
+      }
+
+      await competition.update({ settled_at: now }, { transaction });
+      await transaction.commit();
+
+      return { competition_id: competition.id, already_settled: false, payouts };
+    } catch (error) {
+      if (!transaction.finished) await transaction.rollback();
+      throw error;
+    }
+  }
+
+  /**
+   * Kompetisi yang sudah ditutup tetapi belum dibayar.
+   * @param {Date} now
+   * @returns {Promise<Array<object>>}
+   */
+  static async findUnsettledCompetitions(now = new Date()) {
+    const competitions = await Leaderboard.findAll({
+      where: { status: true, settled_at: null },
+      order: [['id', 'ASC']]
+    });
+    return competitions.filter(competition => this.getCompetitionStatus(competition, now) === 'closed');
+  }
+}
+
+module.exports = LeaderboardService;
@@ -0,0 +1,135 @@
+const UserLevelUp = require('../models/UserLevelUp');
+const { LEVEL_CURVE, LEVEL_TITLES } = require('../config/gamification');
+
+/**
+ * LevelService
+ * Kurva level non-linear berbasis total EXP, judul level, dan pencatatan level-up
+ */
+class LevelService {
+  /**
+   * Total EXP yang dibutuhkan untuk mencapai sebuah level.
+   * @param {number} level
+   * @returns {number}
+   */
+  static expForLevel(level) {
+    const capped = Math.min(Math.max(1, level), LEVEL_CURVE.max_level);
+    return Math.round(LEVEL_CURVE.base_exp * Math.pow(capped - 1, LEVEL_CURVE.exponent));
+  }
+
+  /**
+   * Level untuk total EXP tertentu.
+   * @param {number} totalExp
+   * @returns {number}
+   */
+  static levelForExp(totalExp) {
+    let level = 1;
+    while (level < LEVEL_CURVE.max_level && (totalExp || 0) >= this.expForLevel(level + 1)) {
+      level++;
+    }
+    return level;
+  }
+
+  /**
+   * Judul untuk sebuah level.
+   * @param {number} level
+   * @returns {string}
+   */
+  static titleForLevel(level) {
+    return LEVEL_TITLES.reduce(
+      (title, entry) => (level >= entry.min_level ? entry.title : title),
+      LEVEL_TITLES[0].title
+    );
+  }
+
+  /**
+   * Ringkasan level & progres ke level berikutnya untuk total EXP tertentu.
+   * @param {number} totalExp
+   * @returns {{ level: number, title: string, total_exp: number, current_level_exp: number, next_level_exp: number|null, exp_to_next_level: number, progress: number, is_max_level: boolean }}
+   */
+  static getLevelInfo(totalExp) {
+    const exp = Math.max(0, totalExp || 0);
+    const level = this.levelForExp(exp);
+    const isMaxLevel = level >= LEVEL_CURVE.max_level;
+    const currentLevelExp = this.expForLevel(level);
+    const nextLevelExp = isMaxLevel ? null : this.expForLevel(level + 1);
+
+    return {
+      level,
+      title: this.titleForLevel(level),
+      total_exp: exp,
+      current_level_exp: currentLevelExp,
+      next_level_exp: nextLevelExp,
+      exp_to_next_level: isMaxLevel ? 0 : nextLevelExp - exp,
+      // Persentase progres di level saat ini (0-100)
+      progress: isMaxLevel
+        ? 100
+        : Math.floor(((exp - currentLevelExp) / (nextLevelExp - currentLevelExp)) * 100),
+      is_max_level: isMaxLevel,
+    };
+  }
+
+  /**
+   * Deskripsi lengkap kurva level untuk aplikasi.
+   * @returns {{ curve: object, titles: Array, levels: Array }}
+   */
+  static getCurve() {
+    const levels = [];
+    for (let level = 1; level <= LEVEL_CURVE.max_level; level++) {
+      levels.push({
+        level,
+        exp_required: this.expForLevel(level),
+        title: this.titleForLevel(level),
+      });
+    }
+
+    return {
+      curve: { ...LEVEL_CURVE },
+      titles: LEVEL_TITLES,
+      levels,
+    };
+  }
+
+  /**
+   * Sinkronkan users.level dengan total EXP baru dan catat level-up jika terjadi.
+   * Dipanggil di dalam transaction milik pemanggil setelah EXP pengguna berubah.
+   * Penurunan EXP (mis. reward ditarik) hanya menurunkan level tanpa dicatat.
+   * Level-up dihitung dari level EXP sebelumnya, bukan users.level: pengguna lama yang
+   * kolom level-nya belum pernah disinkronkan (default 1) tidak mendapat level-up palsu.
+   * @param {object} user - Instance User
+   * @param {number} previousExp - Total EXP pengguna sebelum perubahan
+   * @param {number} totalExp - Total EXP pengguna setelah perubahan
+   * @param {object|null} relatedObject - { type, id } sumber EXP
+   * @param {object} transaction
+   * @returns {Promise<{ from_level: number, to_level: number, title: string }|null>}
+   */
+  static async syncLevel(user, previousExp, totalExp, relatedObject, transaction) {
+    const storedLevel = user.level || 1;
+    const previousLevel = this.levelForExp(previousExp);
+    const newLevel = this.levelForExp(totalExp);
+
+    if (newLevel !== storedLevel) {
+      await user.update({ level: newLevel }, { transaction });
+    }
+
+    if (newLevel <= previousLevel) {
+      return null;
+    }
+
+    await UserLevelUp.create({
+      user_id: user.id,
+      from_level: previousLevel,
+      to_level: newLevel,
+      total_exp: totalExp,
+      related_to_id: relatedObject ? relatedObject.id : null,
+      related_to_type: relatedObject ? relatedObject.type : null,
+    }, { transaction });
+
+    return {
+      from_level: previousLevel,
+      to_level: newLevel,
+      title: this.titleForLevel(newLevel),
+    };
+  }
+}
+
+module.exports = LevelService;
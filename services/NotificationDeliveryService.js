@@ -0,0 +1,304 @@
+const { Op } = require('sequelize');
+const User = require('../models/User');
+const Notification = require('../models/Notification');
+const NotificationDelivery = require('../models/NotificationDelivery');
+const UserDevice = require('../models/UserDevice');
+const StreakService = require('./StreakService');
+const { getAdapter, getEnabledChannels } = require('./notificationAdapters');
+const { DELIVERY_RETRY } = require('../config/notifications');
+const { httpError } = require('../utils/errors');
+
+const DEVICE_PLATFORMS = ['android', 'ios', 'web'];
+const QUIET_HOURS_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+// A claimed delivery is hidden from other workers this long; a crashed worker's claim expires after it
+const CLAIM_LEASE_MS = 5 * 60 * 1000;
+
+/**
+ * Minutes since midnight of "HH:MM"
+ */
+const toMinutes = (time) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+/**
+ * NotificationDeliveryService
+ * Mengirim notifikasi ke luar aplikasi (push, email, webhook, log) lewat adapter per channel.
+ * Setiap pengiriman dicatat di notification_deliveries dan dicoba ulang dengan
+ * exponential backoff. Pengiriman mengikuti user_notification.push_notification dan
+ * ditunda selama quiet hours pengguna (user_notification.quiet_hours, zona waktu pengguna).
+ */
+class NotificationDeliveryService {
+  /**
+   * Validasi quiet hours: null untuk menonaktifkan, atau { start, end } dalam format HH:MM.
+   * @param {object|null} quietHours
+   * @returns {string|null} Pesan error, atau null jika valid
+   */
+  static validateQuietHours(quietHours) {
+    if (quietHours === null) {
+      return null;
+    }
+    if (!quietHours || typeof quietHours !== 'object' ||
+      !QUIET_HOURS_PATTERN.test(quietHours.start) || !QUIET_HOURS_PATTERN.test(quietHours.end)) {
+      return 'quiet_hours must be null or { start, end } in HH:MM format';
+    }
+    if (quietHours.start === quietHours.end) {
+      return 'quiet_hours start and end must differ';
+    }
+    return null;
+  }
+
+  /**
+   * Waktu berakhirnya quiet hours jika saat ini sedang quiet hours, selain itu null.
+   * Rentang boleh melewati tengah malam (mis. 22:00 - 07:00).
+   * @param {object} user - Instance User (butuh additionalInfo)
+   * @param {Date} now
+   * @returns {Date|null}
+   */
+  static getQuietHoursEnd(user, now = new Date()) {
+    const settings = ((user && user.additionalInfo) || {}).user_notification || {};
+    const quietHours = settings.quiet_hours;
+    if (!quietHours || this.validateQuietHours(quietHours)) {
+      return null;
+    }
+
+    const parts = new Intl.DateTimeFormat('en-GB', {
+      timeZone: StreakService.getTimezone(user),
+      hour: '2-digit',
+      minute: '2-digit',
+      hourCycle: 'h23'
+    }).formatToParts(now);
+    const current = parseInt(parts.find(part => part.type === 'hour').value, 10) * 60 +
+      parseInt(parts.find(part => part.type === 'minute').value, 10);
+
+    const start = toMinutes(quietHours.start);
+    const end = toMinutes(quietHours.end);
+    const inQuietHours = start < end
+      ? current >= start && current < end
+      : current >= start || current < end;
+    if (!inQuietHours) {
+      return null;
+    }
+
+    const minutesLeft = (end - current + 24 * 60) % (24 * 60);
+    const endsAt = new Date(now.getTime() + minutesLeft * 60 * 1000);
+    endsAt.setSeconds(0, 0);
+    return endsAt;
+  }
+
+  /**
+   * Jeda sebelum percobaan berikutnya setelah sejumlah percobaan gagal.
+   * @param {number} attempts
+   * @returns {number} Milidetik
+   */
+  static getBackoffDelay(attempts) {
+    const seconds = DELIVERY_RETRY.base_delay_seconds * Math.pow(2, Math.max(0, attempts - 1));
+    return Math.min(seconds, DELIVERY_RETRY.max_delay_seconds) * 1000;
+  }
+
+  /**
+   * Daftarkan device token push milik pengguna.
+   * Token yang sudah terdaftar dipindahkan ke pengguna ini (ganti akun di device yang sama).
+   * @param {number} user_id
+   * @param {{ token: string, platform: string }} device
+   * @returns {Promise<object>}
+   */
+  static async registerDevice(user_id, { token, platform } = {}) {
+    if (typeof token !== 'string' || token.trim().length === 0 || token.length > 512) {
+      throw httpError('token is required (max 512 characters)', 400);
+    }
+    if (!DEVICE_PLATFORMS.includes(platform)) {
+      throw httpError(`Invalid platform. Valid options: ${DEVICE_PLATFORMS.join(', ')}`, 400);
+    }
+
+    const now = new Date();
+    const existing = await UserDevice.findOne({ where: { token: token.trim() } });
+    if (existing) {
+      return existing.update({ user_id, platform, last_used_at: now });
+    }
+    return UserDevice.create({ user_id, token: token.trim(), platform, last_used_at: now });
+  }
+
+  /**
+   * Hapus device token milik pengguna (mis. saat logout).
+   * @param {number} user_id
+   * @param {string} token
+   * @returns {Promise<void>}
+   */
+  static async removeDevice(user_id, token) {
+    const removed = await UserDevice.destroy({ where: { user_id, token } });
+    if (removed === 0) {
+      throw httpError('Device not found', 404);
+    }
+  }
+
+  /**
+   * Device yang terdaftar untuk pengguna.
+   * @param {number} user_id
+   * @returns {Promise<Array<object>>}
+   */
+  static async getDevices(user_id) {
+    return UserDevice.findAll({
+      where: { user_id },
+      attributes: ['id', 'token', 'platform', 'last_used_at', 'created_at'],
+      order: [['created_at', 'DESC']]
+    });
+  }
+
+  /**
+   * Antrekan notifikasi ke setiap channel yang aktif sebagai baris pending.
+   * Tidak mengirim apa pun; pengiriman dilakukan dispatch atau job notificationDelivery.
+   * @param {object} notification - Instance Notification
+   * @param {object} user - Penerima (butuh additionalInfo)
+   * @param {Date} now
+   * @returns {Promise<Array<object>>} Baris notification_deliveries
+   */
+  static async enqueue(notification, user, now = new Date()) {
+    // Di-require di sini karena NotificationService juga memakai service ini
+    const NotificationService = require('./NotificationService');
+
+    if (!NotificationService.getPreferences(user).push_notification) {
+      return [];
+    }
+
+    const nextAttemptAt = this.getQuietHoursEnd(user, now) || now;
+    const deliveries = [];
+    for (const channel of getEnabledChannels()) {
+      deliveries.push(await NotificationDelivery.create({
+        notification_id: notification.id,
+        user_id: notification.user_id,
+        channel,
+        status: 'pending',
+        next_attempt_at: nextAttemptAt
+      }));
+    }
+    return deliveries;
+  }
+
+  /**
+   * Coba kirim pengiriman yang baru diantrekan tanpa menunggu job berikutnya.
+   * Dipanggil tanpa await; kegagalan hanya dicatat di log karena barisnya
+   * tetap pending dan akan diambil job notificationDelivery.
+   * @param {Array<object>} deliveries - Hasil enqueue
+   * @param {Date} now
+   * @returns {Promise<Array<object>>}
+   */
+  static async dispatch(deliveries, now = new Date()) {
+    const results = [];
+    for (const delivery of deliveries.filter(delivery => delivery.next_attempt_at <= now)) {
+      try {
+        results.push(await this.attempt(delivery, now));
+      } catch (error) {
+        console.error('Error dispatching notification delivery:', { delivery_id: delivery.id, error: error.message });
+      }
+    }
+    return results;
+  }
+
+  /**
+   * Satu percobaan pengiriman. Baris di-claim lebih dulu agar tidak dikirim dua
+   * kali oleh worker lain; gagal yang bisa dicoba ulang dijadwalkan dengan backoff.
+   * @param {object} delivery - Instance NotificationDelivery
+   * @param {Date} now
+   * @returns {Promise<object>}
+   */
+  static async attempt(delivery, now = new Date()) {
+    // Di-require di sini karena NotificationService juga memakai service ini
+    const NotificationService = require('./NotificationService');
+
+    const [claimed] = await NotificationDelivery.update(
+      { next_attempt_at: new Date(now.getTime() + CLAIM_LEASE_MS) },
+      { where: { id: delivery.id, status: 'pending', next_attempt_at: { [Op.lte]: now } } }
+    );
+    if (claimed === 0) {
+      return delivery.reload();
+    }
+
+    const [notification, user] = await Promise.all([
+      Notification.findByPk(delivery.notification_id, {
+        include: [{ model: User, as: 'actor', attributes: ['id', 'name', 'username', 'imageUrl'] }]
+      }),
+      User.findByPk(delivery.user_id, { attributes: ['id', 'name', 'email', 'additionalInfo'] })
+    ]);
+
+    if (!notification || !user) {
+      return delivery.update({ status: 'failed', last_error: 'Notification or user no longer exists' });
+    }
+    // Preferensi bisa berubah selama pengiriman menunggu di antrean
+    if (!NotificationService.getPreferences(user).push_notification) {
+      return delivery.update({ status: 'skipped', last_error: null });
+    }
+    const quietHoursEnd = this.getQuietHoursEnd(user, now);
+    if (quietHoursEnd) {
+      return delivery.update({ next_attempt_at: quietHoursEnd });
+    }
+
+    const adapter = getAdapter(delivery.channel);
+    if (!adapter) {
+      return delivery.update({ status: 'failed', last_error: `Unknown channel: ${delivery.channel}` });
+    }
+
+    const attempts = delivery.attempts + 1;
+    try {
+      const devices = adapter.requiresDevices ? await UserDevice.findAll({ where: { user_id: user.id } }) : [];
+      const result = await adapter.send({
+        notification: NotificationService.describe(notification),
+        user,
+        devices
+      }) || {};
+
+      if (result.invalid_tokens && result.invalid_tokens.length > 0) {
+        await UserDevice.destroy({ where: { token: result.invalid_tokens } });
+      }
+
+      return delivery.update({
+        status: result.skipped ? 'skipped' : 'sent',
+        attempts,
+        sent_at: result.skipped ? null : now,
+        last_error: null
+      });
+    } catch (error) {
+      const exhausted = error.retryable === false || attempts >= DELIVERY_RETRY.max_attempts;
+      console.error('Notification delivery failed:', {
+        delivery_id: delivery.id,
+        channel: delivery.channel,
+        attempts,
+        error: error.message
+      });
+
+      return delivery.update({
+        status: exhausted ? 'failed' : 'pending',
+        attempts,
+        next_attempt_at: exhausted ? null : new Date(now.getTime() + this.getBackoffDelay(attempts)),
+        last_error: error.message
+      });
+    }
+  }
+
+  /**
+   * Coba kirim semua pengiriman yang sudah jatuh tempo.
+   * @param {object} options - { now, limit }
+   * @returns {Promise<{ sent: number, skipped: number, failed: number, retrying: number }>}
+   */
+  static async processDue({ now = new Date(), limit = 100 } = {}) {
+    const due = await NotificationDelivery.findAll({
+      where: { status: 'pending', next_attempt_at: { [Op.lte]: now } },
+      order: [['next_attempt_at', 'ASC'], ['id', 'ASC']],
+      limit
+    });
+
+    const summary = { sent: 0, skipped: 0, failed: 0, retrying: 0 };
+    for (const delivery of due) {
+      const result = await this.attempt(delivery, now);
+      if (result.status === 'pending') {
+        summary.retrying++;
+      } else {
+        summary[result.status]++;
+      }
+    }
+    return summary;
+  }
+}
+
+module.exports = NotificationDeliveryService;
@@ -0,0 +1,257 @@
+const { Op } = require('sequelize');
+const User = require('../models/User');
+const Notification = require('../models/Notification');
+const NotificationDeliveryService = require('./NotificationDeliveryService');
+const { httpError } = require('../utils/errors');
+
+// Content that can be liked or commented on, as named in messages (data.content_type, default post)
+const CONTENT_LABELS = {
+  post: 'post',
+  review: 'review',
+  article: 'artikel'
+};
+
+const contentLabel = (data) => CONTENT_LABELS[data.content_type] || CONTENT_LABELS.post;
+
+/**
+ * Notification types and the message shown for each.
+ * actor is the user that triggered the notification (null for system events),
+ * data is the payload stored with the notification.
+ */
+const NOTIFICATION_TYPES = {
+  new_follower: (actor) => `${actor ? actor.name : 'Seseorang'} mulai mengikuti kamu.`,
+  post_like: (actor, data) => `${actor ? actor.name : 'Seseorang'} menyukai ${contentLabel(data)} kamu.`,
+  post_comment: (actor, data) => `${actor ? actor.name : 'Seseorang'} mengomentari ${contentLabel(data)} kamu.`,
+  comment_reply: (actor) => `${actor ? actor.name : 'Seseorang'} membalas komentar kamu.`,
+  achievement_unlocked: (actor, data) => `Kamu mendapatkan achievement ${data.name}.`,
+  challenge_completed: (actor, data) => `Kamu menyelesaikan challenge ${data.name}.`,
+  reward_redeemed: (actor, data) => `Kamu berhasil menukarkan ${data.name}.`
+};
+
+const ACTOR_ATTRIBUTES = ['id', 'name', 'username', 'imageUrl'];
+
+/**
+ * NotificationService
+ * Notifikasi in-app untuk aktivitas sosial & gamifikasi.
+ * Preferensi per tipe disimpan bersama pengaturan pengguna di
+ * users.additional_info.user_notification.types (default: aktif).
+ * Pengiriman ke luar aplikasi ditangani NotificationDeliveryService.
+ */
+class NotificationService {
+  /**
+   * Daftar tipe notifikasi yang didukung.
+   * @returns {Array<string>}
+   */
+  static getTypes() {
+    return Object.keys(NOTIFICATION_TYPES);
+  }
+
+  /**
+   * Preferensi notifikasi pengguna, lengkap untuk semua tipe.
+   * @param {object} user - Instance User (butuh additionalInfo)
+   * @returns {{ push_notification: boolean, quiet_hours: object|null, types: object }}
+   */
+  static getPreferences(user) {
+    const settings = ((user && user.additionalInfo) || {}).user_notification || {};
+    const types = settings.types || {};
+
+    return {
+      push_notification: settings.push_notification !== false,
+      quiet_hours: settings.quiet_hours || null,
+      types: Object.fromEntries(this.getTypes().map(type => [type, types[type] !== false]))
+    };
+  }
+
+  /**
+   * Perbarui preferensi notifikasi. Hanya field yang dikirim yang diubah.
+   * @param {number} user_id
+   * @param {{ push_notification?: boolean, quiet_hours?: object|null, types?: object }} preferences
+   * @returns {Promise<{ push_notification: boolean, quiet_hours: object|null, types: object }>}
+   */
+  static async updatePreferences(user_id, { push_notification, quiet_hours, types } = {}) {
+    if (push_notification !== undefined && typeof push_notification !== 'boolean') {
+      throw httpError('push_notification must be a boolean', 400);
+    }
+    if (quiet_hours !== undefined) {
+      const quietHoursError = NotificationDeliveryService.validateQuietHours(quiet_hours);
+      if (quietHoursError) {
+        throw httpError(quietHoursError, 400);
+      }
+    }
+    if (types !== undefined) {
+      if (!types || typeof types !== 'object' || Array.isArray(types)) {
+        throw httpError('types must be an object of type: boolean', 400);
+      }
+      for (const [type, enabled] of Object.entries(types)) {
+        if (!NOTIFICATION_TYPES[type]) {
+          throw httpError(`Invalid notification type "${type}". Valid options: ${this.getTypes().join(', ')}`, 400);
+        }
+        if (typeof enabled !== 'boolean') {
+          throw httpError(`Preference for "${type}" must be a boolean`, 400);
+        }
+      }
+    }
+
+    const user = await User.findByPk(user_id);
+    if (!user) {
+      throw httpError('User not found', 404);
+    }
+
+    const additionalInfo = user.additionalInfo || {};
+    const settings = additionalInfo.user_notification || {};
+    await user.update({
+      additionalInfo: {
+        ...additionalInfo,
+        user_notification: {
+          ...settings,
+          ...(push_notification !== undefined && { push_notification }),
+          ...(quiet_hours !== undefined && {
+            quiet_hours: quiet_hours && { start: quiet_hours.start, end: quiet_hours.end }
+          }),
+          types: { ...(settings.types || {}), ...(types || {}) }
+        }
+      }
+    });
+
+    return this.getPreferences(user);
+  }
+
+  /**
+   * Kirim notifikasi ke pengguna jika tipenya aktif di preferensinya, lalu
+   * antrekan pengirimannya ke channel push/email/webhook.
+   * Dipanggil setelah aksi utama di-commit; kegagalan dicatat di log dan tidak
+   * menggagalkan aksi tersebut.
+   * @param {number} user_id - Penerima
+   * @param {string} type
+   * @param {object} options - { actor_id, related: { type, id }, data }
+   * @returns {Promise<object|null>}
+   */
+  static async notify(user_id, type, { actor_id = null, related = null, data = {} } = {}) {
+    try {
+      if (!NOTIFICATION_TYPES[type]) {
+        throw new Error(`Unknown notification type: ${type}`);
+      }
+
+      // Aksi terhadap konten sendiri tidak perlu dinotifikasi
+      if (actor_id && parseInt(actor_id) === parseInt(user_id)) {
+        return null;
+      }
+
+      const recipient = await User.findByPk(user_id, { attributes: ['id', 'additionalInfo'] });
+      if (!recipient || !this.getPreferences(recipient).types[type]) {
+        return null;
+      }
+
+      const notification = await Notification.create({
+        user_id,
+        actor_id,
+        type,
+        related_to_id: related ? related.id : null,
+        related_to_type: related ? related.type : null,
+        data
+      });
+
+      // Notifikasi in-app tetap tersimpan walaupun pengirimannya gagal diantrekan
+      const deliveries = await NotificationDeliveryService.enqueue(notification, recipient).catch(error => {
+        console.error('Error queueing notification delivery:', { notification_id: notification.id, error: error.message });
+        return [];
+      });
+      // Sengaja tidak di-await agar request pengguna tidak menunggu HTTP call ke provider
+      NotificationDeliveryService.dispatch(deliveries);
+
+      return notification;
+    } catch (error) {
+      console.error('Error sending notification:', { user_id, type, error: error.message });
+      return null;
+    }
+  }
+
+  /**
+   * Bentuk respons notifikasi beserta pesannya.
+   * @param {object} notification - Instance Notification (dengan include actor)
+   * @returns {object}
+   */
+  static describe(notification) {
+    const data = notification.data || {};
+    return {
+      id: notification.id,
+      type: notification.type,
+      message: NOTIFICATION_TYPES[notification.type]
+        ? NOTIFICATION_TYPES[notification.type](notification.actor, data)
+        : null,
+      actor: notification.actor || null,
+      related_to_id: notification.related_to_id,
+      related_to_type: notification.related_to_type,
+      data,
+      is_read: notification.read_at !== null,
+      read_at: notification.read_at,
+      created_at: notification.created_at
+    };
+  }
+
+  /**
+   * Jumlah notifikasi yang belum dibaca.
+   * @param {number} user_id
+   * @returns {Promise<number>}
+   */
+  static async countUnread(user_id) {
+    return Notification.count({ where: { user_id, read_at: null } });
+  }
+
+  /**
+   * Notifikasi pengguna, terbaru lebih dulu, beserta jumlah yang belum dibaca.
+   * @param {number} user_id
+   * @param {object} options - { page, limit, unread_only }
+   * @returns {Promise<object>}
+   */
+  static async getNotifications(user_id, { page = 1, limit = 20, unread_only = false } = {}) {
+    const offset = (page - 1) * limit;
+    const where = { user_id, ...(unread_only && { read_at: null }) };
+
+    const [notifications, unreadCount] = await Promise.all([
+      Notification.findAndCountAll({
+        where,
+        include: [{ model: User, as: 'actor', attributes: ACTOR_ATTRIBUTES }],
+        order: [['created_at', 'DESC'], ['id', 'DESC']],
+        limit: parseInt(limit),
+        offset: parseInt(offset)
+      }),
+      this.countUnread(user_id)
+    ]);
+
+    const totalPages = Math.ceil(notifications.count / limit);
+    return {
+      notifications: notifications.rows.map(notification => this.describe(notification)),
+      unread_count: unreadCount,
+      pagination: {
+        current_page: parseInt(page),
+        total_pages: totalPages,
+        total_items: notifications.count,
+        items_per_page: parseInt(limit),
+        has_next: page < totalPages,
+        has_prev: page > 1
+      }
+    };
+  }
+
+  /**
+   * Tandai notifikasi sebagai sudah dibaca: yang ada di ids, atau semuanya jika ids kosong.
+   * @param {number} user_id
+   * @param {Array<number>|null} ids
+   * @returns {Promise<{ updated: number, unread_count: number }>}
+   */
+  static async markAsRead(user_id, ids = null) {
+    const where = { user_id, read_at: null };
+    if (ids && ids.length > 0) {
+      where.id = { [Op.in]: ids };
+    }
+
+    const [updated] = await Notification.update({ read_at: new Date() }, { where });
+    return {
+      updated,
+      unread_count: await this.countUnread(user_id)
+    };
+  }
+}
+
+module.exports = NotificationService;
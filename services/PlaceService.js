@@ -2,16 +2,49 @@ const BaseService = require("./BaseService");
 const Place = require("../models/Place");
 const Review = require("../models/Review");
 const User = require("../models/User");
+const AuditLog = require("../models/AuditLog");
+const SavedItemService = require("./SavedItemService");
+const SocialMediaService = require("./SocialMediaService");
+const SearchService = require("./SearchService");
+const { paginate } = require("../utils/pagination");
+const { httpError } = require("../utils/errors");
 const { Op } = require("sequelize");
 const { sequelize } = require("../config/database");
 
+// Fields an admin may set through the place console API
+const EDITABLE_FIELDS = [
+  "name",
+  "description",
+  "latitude",
+  "longitude",
+  "imageUrls",
+  "coinReward",
+  "expReward",
+  "minPrice",
+  "maxPrice",
+  "status",
+  "partnershipStatus",
+  "additionalInfo",
+];
+
+// Sub-documents merged into the stored value instead of replaced: other features keep
+// their settings in additionalInfo (staff_user_ids, checkin_radius, food_type, place_value)
+const MERGED_FIELDS = ["additionalInfo"];
+
+// Reviews embedded per place with include=reviews
+const EMBEDDED_REVIEWS_DEFAULT = 3;
+const EMBEDDED_REVIEWS_MAX = 10;
+
 class PlaceService extends BaseService {
   constructor() {
     super(Place);
   }
 
   /**
-   * Get places with multiple filters (for testing multi-parameter support)
+   * Get places with multiple filters.
+   * filters.search goes through the search index; without an explicit sort the results are
+   * ordered by relevance and carry search_score and highlight.
+   * filters.includeReviews embeds the latest filters.reviewsLimit reviews of each place.
    * @param {Object} filters Filter object
    * @param {number} perPage Number of places per page
    * @returns {Promise<Object>}
@@ -26,8 +59,11 @@ class PlaceService extends BaseService {
       // Base where clause
       const whereClause = {};
 
+      let searchResults = null;
       if (filters.search) {
-        whereClause.name = { [Op.iLike]: `%${filters.search}%` };
+        const ranked = await SearchService.rank(filters.search, ["place"]);
+        searchResults = new Map(ranked.map((result) => [result.id, result]));
+        whereClause.id = { [Op.in]: [...searchResults.keys()] };
       }
 
       if (filters.minRating) {
@@ -85,119 +121,111 @@ class PlaceService extends BaseService {
 
       // Sort handling
       const sort = filters.sort || null; // e.g., 'most_popular', 'avgRating', 'minPrice', 'name', 'createdAt', 'distance'
+      const reviewsCount = this.reviewsCountLiteral();
 
-      // Double-query for most_popular to avoid GROUP BY conflicts when including full reviews
-      if (sort === 'most_popular') {
-        const allPopular = await Place.findAll({
-          where: whereClause,
-          include: [
-            {
-              model: Review,
-              as: 'reviews',
-              attributes: [],
-              required: false,
-            },
-          ],
-          attributes: [[sequelize.fn('COUNT', sequelize.col('reviews.id')), 'reviews_count']],
-          group: ['Place.id'],
-          order: [[sequelize.literal('reviews_count'), 'DESC']],
-          subQuery: false,
-        });
-
-        const total = allPopular.length;
-        const pagedPopular = allPopular.slice(offset, offset + limit);
-        const placeIds = pagedPopular.map(p => p.id);
-        const countMap = new Map(pagedPopular.map(p => [p.id, parseInt(p.getDataValue('reviews_count')) || 0]));
-
-        const detailed = await Place.findAll({
-          where: { id: placeIds },
-          include: [
-            {
-              model: Review,
-              as: 'reviews',
-              include: [
-                {
-                  model: User,
-                  as: 'user',
-                  attributes: ['id', 'name', 'email', 'imageUrl'],
-                },
-              ],
-              attributes: ['id', 'rating', 'content', 'created_at', 'updated_at'],
-              required: false,
-            },
-          ],
-          subQuery: false,
-        });
-
-        // Reorder by popular order and attach reviews_count
-        const ordered = placeIds.map(id => detailed.find(d => d.id === id)).filter(Boolean);
-        const result = ordered.map(place => ({
-          ...place.toJSON(),
-          reviews_count: countMap.get(place.id) || 0,
-        }));
-
-        return {
-          data: result,
-          current_page: page,
-          per_page: limit,
-          total,
-          last_page: Math.ceil(total / limit),
-        };
-      }
-
-      // Single-query path for other sorts
       const order = [];
-      if (sort === 'avgRating') order.push(['avgRating', 'DESC']);
+      if (sort === 'most_popular') order.push([reviewsCount, 'DESC']);
+      else if (sort === 'avgRating') order.push(['avgRating', 'DESC']);
       else if (sort === 'minPrice') order.push(['minPrice', 'ASC']);
       else if (sort === 'name') order.push(['name', 'ASC']);
       else if (sort === 'createdAt') order.push(['createdAt', 'DESC']);
       else if (sort === 'distance' && hasNearby && distanceOrderLiteral) order.push(distanceOrderLiteral);
+      else if (searchResults) order.push([SearchService.relevanceOrder(Place, [...searchResults.keys()]), 'ASC']);
       else order.push(['createdAt', 'DESC']);
+      // Stable order across pages for ties
+      order.push(['id', 'DESC']);
 
-      const places = await Place.findAll({
-        where: whereClause,
-        include: [
-          {
-            model: Review,
-            as: 'reviews',
-            include: [
-              {
-                model: User,
-                as: 'user',
-                attributes: ['id', 'name', 'email', 'imageUrl'],
-              },
-            ],
-            attributes: ['id', 'rating', 'content', 'created_at', 'updated_at'],
-            required: false,
+      const [total, places] = await Promise.all([
+        Place.count({ where: whereClause }),
+        Place.findAll({
+          where: whereClause,
+          attributes: {
+            include: [[reviewsCount, 'reviews_count']],
           },
-        ],
-        attributes: {
-          include: [[sequelize.fn('COUNT', sequelize.col('reviews.id')), 'reviews_count']],
-        },
-        group: ['Place.id', 'reviews.id', 'reviews->user.id'],
-        order,
-        limit,
-        offset,
-        subQuery: false,
-      });
+          order,
+          limit,
+          offset,
+        }),
+      ]);
 
-      const result = places.map((place) => ({
-        ...place.toJSON(),
-        reviews_count: parseInt(place.getDataValue('reviews_count')) || 0,
-      }));
+      const reviewsByPlace = filters.includeReviews
+        ? await this.getLatestReviews(places.map((place) => place.id), filters.reviewsLimit)
+        : null;
+
+      const result = places.map((place) => {
+        const match = searchResults && searchResults.get(parseInt(place.id));
+        return {
+          ...place.toJSON(),
+          reviews_count: parseInt(place.getDataValue('reviews_count')) || 0,
+          ...(reviewsByPlace && { reviews: reviewsByPlace.get(parseInt(place.id)) || [] }),
+          ...(match && { search_score: match.score, highlight: match.highlight }),
+        };
+      });
 
       return {
         data: result,
         current_page: page,
         per_page: limit,
-        total: result.length,
-        last_page: Math.ceil(result.length / limit),
+        total,
+        last_page: Math.ceil(total / limit),
       };
     } catch (error) {
       throw new Error(`Error getting places with multiple filters: ${error.message}`);
     }
   }
 
+  /**
+   * Number of active reviews per place, as a correlated subquery usable in attributes and order
+   * @returns {Object} Sequelize literal
+   */
+  reviewsCountLiteral() {
+    const queryInterface = sequelize.getQueryInterface();
+    const placeId = `${queryInterface.quoteIdentifier("Place")}.${queryInterface.quoteIdentifier("id")}`;
+    return sequelize.literal(
+      `(SELECT COUNT(*) FROM ${queryInterface.quoteIdentifier("reviews")} AS r WHERE r.place_id = ${placeId} AND r.status = true)`
+    );
+  }
+
+  /**
+   * Latest active reviews for each place, at most `limit` per place.
+   * One query for all places; the cap is applied in SQL by counting newer reviews of the same place.
+   * @param {Array<number>} placeIds Place IDs
+   * @param {number} limit Reviews per place
+   * @returns {Promise<Map<number, Array<Object>>>}
+   */
+  async getLatestReviews(placeIds, limit = EMBEDDED_REVIEWS_DEFAULT) {
+    const perPlace = Math.min(Math.max(parseInt(limit) || EMBEDDED_REVIEWS_DEFAULT, 1), EMBEDDED_REVIEWS_MAX);
+    const latest = new Map(placeIds.map((placeId) => [parseInt(placeId), []]));
+    if (placeIds.length === 0) return latest;
+
+    const queryInterface = sequelize.getQueryInterface();
+    const column = (name) => `${queryInterface.quoteIdentifier("Review")}.${queryInterface.quoteIdentifier(name)}`;
+    const newerReviews = sequelize.literal(
+      `(SELECT COUNT(*) FROM ${queryInterface.quoteIdentifier("reviews")} AS r WHERE r.place_id = ${column("place_id")} AND r.status = true ` +
+      `AND (r.created_at > ${column("created_at")} OR (r.created_at = ${column("created_at")} AND r.id > ${column("id")})))`
+    );
+
+    const reviews = await Review.findAll({
+      where: {
+        place_id: { [Op.in]: placeIds },
+        status: true,
+        [Op.and]: [sequelize.where(newerReviews, { [Op.lt]: perPlace })],
+      },
+      include: [
+        {
+          model: User,
+          as: 'user',
+          attributes: ['id', 'name', 'email', 'imageUrl'],
+        },
+      ],
+      attributes: ['id', 'place_id', 'rating', 'content', 'created_at', 'updated_at'],
+      order: [['created_at', 'DESC'], ['id', 'DESC']],
+    });
+
+    reviews.forEach((review) => latest.get(parseInt(review.place_id)).push(review));
+    return latest;
+  }
+
   async getById(id) {
     try {
       const place = await Place.findByPk(id, {
@@ -217,14 +245,8 @@ class PlaceService extends BaseService {
           },
         ],
         attributes: {
-          include: [
-            [
-              sequelize.fn("COUNT", sequelize.col("reviews.id")),
-              "reviews_count",
-            ],
-          ],
+          include: [[this.reviewsCountLiteral(), "reviews_count"]],
         },
-        group: ["Place.id", "reviews.id", "reviews->user.id"],
       });
 
       if (!place) return null;
@@ -232,6 +254,7 @@ class PlaceService extends BaseService {
       const result = {
         ...place.toJSON(),
         reviews_count: parseInt(place.getDataValue("reviews_count")) || 0,
+        saved_count: await SavedItemService.countSaves("places", id),
       };
 
       return result;
@@ -240,12 +263,18 @@ class PlaceService extends BaseService {
     }
   }
 
-    async getReviewsByPlaceId(id, options = {}) {
+  /**
+   * Active reviews of a place with an is_liked flag for the requesting user.
+   * When sorted by created_at, a cursor (next_cursor of the previous page) can replace page.
+   * @param {number} id Place ID
+   * @param {Object} options { page, limit, sort_by, sort_order, user_id, cursor }
+   * @returns {Promise<Object>}
+   */
+  async getReviewsByPlaceId(id, options = {}) {
     try {
-      const { page = 1, limit = 10, sort_by = 'created_at', sort_order = 'DESC' } = options;
-      const offset = (page - 1) * limit;
-
-      const { count, rows: reviews } = await Review.findAndCountAll({
+      const { page = 1, limit = 10, sort_by = 'created_at', sort_order = 'DESC', user_id = null, cursor = null } = options;
+      const direction = String(sort_order).toUpperCase() === 'ASC' ? 'ASC' : 'DESC';
+      const query = {
         where: {
           place_id: id,
           status: true
@@ -257,21 +286,292 @@ class PlaceService extends BaseService {
             attributes: ["id", "name", "email", "image_url"],
           },
         ],
-        attributes: ["id", "rating", "content", "created_at", "updated_at", "image_urls", "additional_info"],
-        order: [[sort_by, sort_order]],
+        attributes: ["id", "rating", "content", "total_like", "created_at", "updated_at", "image_urls", "additional_info"],
+      };
+
+      let result;
+      if (sort_by === 'created_at') {
+        result = await paginate(Review, query, { page, limit, cursor, direction });
+      } else if (cursor) {
+        throw httpError('cursor is only supported when sorting by created_at', 400);
+      } else {
+        const { count, rows } = await Review.findAndCountAll({
+          ...query,
+          order: [[sort_by, direction], ["id", direction]],
+          limit,
+          offset: (page - 1) * limit
+        });
+        result = { rows, count, page, limit, next_cursor: null };
+      }
+
+      const likedIds = await SocialMediaService.getLikedIds("review", user_id, result.rows.map((review) => review.id));
+
+      return {
+        data: result.rows.map((review) => ({
+          ...review.toJSON(),
+          is_liked: likedIds.has(parseInt(review.id)),
+        })),
+        current_page: result.page,
+        per_page: limit,
+        total: result.count,
+        last_page: result.count === null ? null : Math.ceil(result.count / limit),
+        next_cursor: result.next_cursor
+      };
+    } catch (error) {
+      if (error.statusCode) throw error;
+      throw new Error(`Error getting reviews by place ID: ${error.message}`);
+    }
+  }
+
+  /**
+   * Pick editable place fields from a request body, coerced to the model's attribute types.
+   * With replace (PUT) every editable field is set: fields missing from the body fall back
+   * to the model default, or null. MERGED_FIELDS missing from the body are left untouched.
+   * @param {Object} data Request body
+   * @param {Object} options { replace }
+   * @returns {Object}
+   */
+  pickEditableFields(data = {}, { replace = false } = {}) {
+    const picked = EDITABLE_FIELDS.reduce((values, field) => {
+      if (data[field] !== undefined) {
+        values[field] = data[field];
+      } else if (replace && !MERGED_FIELDS.includes(field)) {
+        const { defaultValue } = Place.rawAttributes[field];
+        values[field] = defaultValue === undefined ? null : defaultValue;
+      }
+      return values;
+    }, {});
+    return this.coerceFields(picked);
+  }
+
+  /**
+   * Coerce request values to the place attribute types, so "true" and true
+   * (both accepted by the validators) are stored and diffed the same way
+   * @param {Object} values Editable field values
+   * @returns {Object}
+   */
+  coerceFields(values) {
+    return Object.keys(values).reduce((coerced, field) => {
+      const value = values[field];
+      const type = Place.rawAttributes[field].type.key;
+
+      if (value === null || value === "") {
+        coerced[field] = type === "STRING" || type === "TEXT" ? value : null;
+      } else if (type === "BOOLEAN") {
+        coerced[field] = value === true || value === 1 || value === "true" || value === "1";
+      } else if (type === "INTEGER" || type === "BIGINT") {
+        coerced[field] = parseInt(value, 10);
+      } else if (type === "DECIMAL" || type === "FLOAT" || type === "DOUBLE") {
+        coerced[field] = parseFloat(value);
+      } else {
+        coerced[field] = value;
+      }
+      return coerced;
+    }, {});
+  }
+
+  /**
+   * Merge MERGED_FIELDS sub-documents into the stored values of a place.
+   * Keys sent as null are removed; keys not sent are kept.
+   * @param {Object} place Place instance
+   * @param {Object} values Picked field values
+   * @returns {Object}
+   */
+  mergeSubDocuments(place, values) {
+    return MERGED_FIELDS.reduce((merged, field) => {
+      if (merged[field] && typeof merged[field] === "object") {
+        const combined = { ...(place.get(field) || {}), ...merged[field] };
+        for (const key of Object.keys(combined)) {
+          if (combined[key] === null) delete combined[key];
+        }
+        merged[field] = combined;
+      }
+      return merged;
+    }, { ...values });
+  }
+
+  /**
+   * Build a { field: { from, to } } diff between a place and new values
+   * @param {Object} place Place instance
+   * @param {Object} values New values
+   * @returns {Object}
+   */
+  diffFields(place, values) {
+    const normalize = (value) => {
+      if (value === null || value === undefined) return null;
+      // DECIMAL columns come back as strings
+      if (typeof value === "string" && value.trim() !== "" && !isNaN(value)) return parseFloat(value);
+      return value;
+    };
+
+    return Object.keys(values).reduce((changes, field) => {
+      const from = normalize(place.get(field));
+      const to = normalize(values[field]);
+      if (JSON.stringify(from) !== JSON.stringify(to)) {
+        changes[field] = { from, to };
+      }
+      return changes;
+    }, {});
+  }
+
+  /**
+   * Create a place and record it in the audit trail
+   * @param {Object} data Place data
+   * @param {number} actorId ID of the admin making the change
+   * @returns {Promise<Object>}
+   */
+  async createPlace(data, actorId) {
+    const transaction = await sequelize.transaction();
+    try {
+      const values = this.pickEditableFields(data);
+
+      const duplicate = await Place.findOne({
+        where: {
+          name: values.name,
+          latitude: values.latitude ?? null,
+          longitude: values.longitude ?? null,
+        },
+        attributes: ["id"],
+        transaction,
+      });
+      if (duplicate) {
+        throw httpError("Tempat dengan nama dan lokasi yang sama sudah ada", 400);
+      }
+
+      const place = await Place.create(values, { transaction });
+
+      await AuditLog.create({
+        user_id: actorId,
+        auditable_id: place.id,
+        auditable_type: "Place",
+        action: "create",
+        changes: Object.keys(values).reduce((changes, field) => {
+          changes[field] = { from: null, to: place.get(field) };
+          return changes;
+        }, {}),
+      }, { transaction });
+
+      await transaction.commit();
+      await SearchService.indexRecord("place", place);
+      return place;
+    } catch (error) {
+      await transaction.rollback();
+      if (error.statusCode) throw error;
+      throw new Error(`Error creating place: ${error.message}`);
+    }
+  }
+
+  /**
+   * Update a place and record changed fields in the audit trail
+   * @param {number} id Place ID
+   * @param {Object} data Fields to update
+   * @param {number} actorId ID of the admin making the change
+   * @param {Object} options { replace } - replace (PUT) resets fields missing from data,
+   *   except additionalInfo, which is always merged
+   * @returns {Promise<Object>}
+   */
+  async updatePlace(id, data, actorId, { replace = false } = {}) {
+    const transaction = await sequelize.transaction();
+    try {
+      const place = await Place.findByPk(id, { transaction });
+      if (!place) {
+        throw httpError("Place not found", 404);
+      }
+
+      const values = this.mergeSubDocuments(place, this.pickEditableFields(data, { replace }));
+      const changes = this.diffFields(place, values);
+
+      if (Object.keys(changes).length > 0) {
+        await place.update(values, { transaction });
+        await AuditLog.create({
+          user_id: actorId,
+          auditable_id: place.id,
+          auditable_type: "Place",
+          action: "update",
+          changes,
+        }, { transaction });
+      }
+
+      await transaction.commit();
+      if (Object.keys(changes).length > 0) {
+        await SearchService.indexRecord("place", place);
+      }
+      return { place, changes };
+    } catch (error) {
+      await transaction.rollback();
+      if (error.statusCode) throw error;
+      throw new Error(`Error updating place: ${error.message}`);
+    }
+  }
+
+  /**
+   * Soft-deactivate a place (status = false)
+   * @param {number} id Place ID
+   * @param {number} actorId ID of the admin making the change
+   * @returns {Promise<Object>}
+   */
+  async deactivatePlace(id, actorId) {
+    const transaction = await sequelize.transaction();
+    try {
+      const place = await Place.findByPk(id, { transaction });
+      if (!place) {
+        throw httpError("Place not found", 404);
+      }
+
+      if (place.status) {
+        await place.update({ status: false }, { transaction });
+        await AuditLog.create({
+          user_id: actorId,
+          auditable_id: place.id,
+          auditable_type: "Place",
+          action: "deactivate",
+          changes: { status: { from: true, to: false } },
+        }, { transaction });
+      }
+
+      await transaction.commit();
+      return place;
+    } catch (error) {
+      await transaction.rollback();
+      if (error.statusCode) throw error;
+      throw new Error(`Error deactivating place: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get the audit trail of a place, newest first
+   * @param {number} id Place ID
+   * @param {Object} options { page, limit }
+   * @returns {Promise<Object>}
+   */
+  async getPlaceAudits(id, options = {}) {
+    try {
+      const { page = 1, limit = 20 } = options;
+      const offset = (page - 1) * limit;
+
+      const { count, rows } = await AuditLog.findAndCountAll({
+        where: { auditable_type: "Place", auditable_id: id },
+        include: [
+          {
+            model: User,
+            as: "user",
+            attributes: ["id", "name", "username"],
+          },
+        ],
+        order: [["created_at", "DESC"], ["id", "DESC"]],
         limit,
-        offset
+        offset,
       });
 
       return {
-        data: reviews,
+        data: rows,
         current_page: page,
         per_page: limit,
         total: count,
-        last_page: Math.ceil(count / limit)
+        last_page: Math.ceil(count / limit),
       };
     } catch (error) {
-      throw new Error(`Error getting reviews by place ID: ${error.message}`);
+      throw new Error(`Error getting place audits: ${error.message}`);
     }
   }
 }
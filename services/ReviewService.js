@@ -2,7 +2,12 @@ const BaseService = require('./BaseService');
 const Review = require('../models/Review');
 const User = require('../models/User');
 const Place = require('../models/Place');
+const GamificationService = require('./GamificationService');
+const SocialMediaService = require('./SocialMediaService');
 const { Op } = require('sequelize');
+const { sequelize } = require('../config/database');
+const { paginate } = require('../utils/pagination');
+const { httpError } = require('../utils/errors');
 
 class ReviewService extends BaseService {
   constructor() {
@@ -25,7 +30,8 @@ class ReviewService extends BaseService {
         max_rating,
         status = true,
         sort_by = 'created_at',
-        sort_order = 'DESC'
+        sort_order = 'DESC',
+        cursor = null
       } = filters;
 
       const offset = (page - 1) * limit;
@@ -65,23 +71,42 @@ class ReviewService extends BaseService {
       const sortField = validSortFields.includes(sort_by) ? sort_by : 'created_at';
       const sortOrderValue = validSortOrders.includes(sort_order.toUpperCase()) ? sort_order.toUpperCase() : 'DESC';
 
+      const include = [
+        {
+          model: User,
+          as: 'user',
+          attributes: ['id', 'name', 'username', 'imageUrl']
+        },
+        {
+          model: Place,
+          as: 'place',
+          attributes: ['id', 'name', 'imageUrls']
+        }
+      ];
+
+      // Newest/oldest first pages on (created_at, id) so cursors stay stable
+      if (sortField === 'created_at') {
+        const result = await paginate(Review, { where: whereClause, include }, {
+          page,
+          limit,
+          cursor,
+          direction: sortOrderValue
+        });
+        return {
+          reviews: result.rows,
+          pagination: this.buildPagination(result.count, result.page, result.limit, result)
+        };
+      }
+      if (cursor) {
+        throw httpError('cursor is only supported when sorting by created_at', 400);
+      }
+
       const { count, rows: reviews } = await Review.findAndCountAll({
         where: whereClause,
-        include: [
-          {
-            model: User,
-            as: 'user',
-            attributes: ['id', 'name', 'username', 'imageUrl']
-          },
-          {
-            model: Place,
-            as: 'place',
-            attributes: ['id', 'name', 'imageUrls']
-          }
-        ],
+        include,
         limit: parseInt(limit),
         offset: parseInt(offset),
-        order: [[sortField, sortOrderValue]],
+        order: [[sortField, sortOrderValue], ['id', sortOrderValue]],
         distinct: true
       });
 
@@ -90,16 +115,20 @@ class ReviewService extends BaseService {
         pagination: this.buildPagination(count, page, limit)
       };
     } catch (error) {
+      if (error.statusCode) throw error;
       throw new Error(`Error getting reviews: ${error.message}`);
     }
   }
 
   /**
    * Create a new review
+   * Awards the place's coin_reward / exp_reward as transactions tied to the review,
+   * so deleting the review can reverse them.
    * @param {Object} reviewData - Review data
    * @returns {Promise<Object>}
    */
   async createReview(reviewData) {
+    const transaction = await sequelize.transaction();
     try {
       const { user_id, place_id, rating, content, image_urls, additional_info } = reviewData;
 
@@ -114,13 +143,13 @@ class ReviewService extends BaseService {
       }
 
       // Check if user exists
-      const user = await User.findByPk(user_id);
+      const user = await User.findByPk(user_id, { transaction });
       if (!user) {
         throw new Error('User not found');
       }
 
       // Check if place exists
-      const place = await Place.findByPk(place_id);
+      const place = await Place.findByPk(place_id, { transaction });
       if (!place) {
         throw new Error('Place not found');
       }
@@ -131,7 +160,8 @@ class ReviewService extends BaseService {
           user_id,
           place_id,
           status: true
-        }
+        },
+        transaction
       });
 
       if (existingReview) {
@@ -146,11 +176,26 @@ class ReviewService extends BaseService {
         image_urls: image_urls || [],
         additional_info: additional_info || {},
         status: true
-      });
+      }, { transaction });
+
+      await User.increment('totalReview', { by: 1, where: { id: user_id }, transaction });
+
+      // Rewards go through the ledger in the same transaction as the review
+      const relatedObject = { type: 'Review', id: review.id };
+      if (place.coinReward > 0) {
+        await GamificationService.addCoins(user_id, place.coinReward, relatedObject, transaction);
+      }
+      if (place.expReward > 0) {
+        await GamificationService.addExp(user_id, place.expReward, relatedObject, transaction);
+      }
+
+      await transaction.commit();
 
       // Update place statistics
       await this.updatePlaceStatistics(place_id);
 
+      await GamificationService.processActivity(user_id, 'review');
+
       return await Review.findByPk(review.id, {
         include: [
           {
@@ -166,45 +211,62 @@ class ReviewService extends BaseService {
         ]
       });
     } catch (error) {
+      if (!transaction.finished) await transaction.rollback();
       throw new Error(`Error creating review: ${error.message}`);
     }
   }
 
+  /**
+   * Find an active review, optionally scoped to a place
+   * @param {number} reviewId - Review ID
+   * @param {number|null} placeId - Place ID the review must belong to
+   * @param {Object} options - Query options
+   * @returns {Promise<Object>}
+   */
+  async findActiveReview(reviewId, placeId = null, options = {}) {
+    const review = await Review.findByPk(reviewId, options);
+    if (!review || !review.status || (placeId && parseInt(review.place_id) !== parseInt(placeId))) {
+      throw httpError('Review not found', 404);
+    }
+    return review;
+  }
+
   /**
    * Update a review
    * @param {number} reviewId - Review ID
    * @param {Object} updateData - Update data
    * @param {number} userId - User ID (for authorization)
+   * @param {number|null} placeId - Place ID the review must belong to
    * @returns {Promise<Object>}
    */
-  async updateReview(reviewId, updateData, userId) {
+  async updateReview(reviewId, updateData, userId, placeId = null) {
     try {
-      const review = await Review.findByPk(reviewId);
-      if (!review) {
-        throw new Error('Review not found');
-      }
+      const review = await this.findActiveReview(reviewId, placeId);
 
-      // Check if user owns the review
-      if (review.user_id !== userId) {
-        throw new Error('Unauthorized to update this review');
+      // Check if user owns the review (BIGINT ids may come back as strings)
+      if (parseInt(review.user_id) !== parseInt(userId)) {
+        throw httpError('You are not authorized to update this review', 403);
       }
 
-      const { rating, content, image_urls, additional_info } = updateData;
+      const { content, image_urls, additional_info } = updateData;
+      const rating = updateData.rating !== undefined ? parseInt(updateData.rating) : undefined;
 
       // Validate rating if provided
-      if (rating && (rating < 1 || rating > 5)) {
-        throw new Error('Rating must be between 1 and 5');
+      if (rating !== undefined && (isNaN(rating) || rating < 1 || rating > 5)) {
+        throw httpError('Rating must be between 1 and 5', 400);
       }
 
+      const previousRating = review.rating;
+
       const updatedReview = await review.update({
-        ...(rating && { rating }),
+        ...(rating !== undefined && { rating }),
         ...(content !== undefined && { content }),
         ...(image_urls && { image_urls }),
         ...(additional_info && { additional_info })
       });
 
       // Update place statistics if rating changed
-      if (rating && rating !== review.rating) {
+      if (rating !== undefined && rating !== previousRating) {
         await this.updatePlaceStatistics(review.place_id);
       }
 
@@ -223,35 +285,51 @@ class ReviewService extends BaseService {
         ]
       });
     } catch (error) {
+      if (error.statusCode) throw error;
       throw new Error(`Error updating review: ${error.message}`);
     }
   }
 
   /**
    * Delete a review (soft delete)
+   * Reverses the coins/EXP awarded for the review and the author's review counter.
    * @param {number} reviewId - Review ID
    * @param {number} userId - User ID (for authorization)
-   * @returns {Promise<boolean>}
+   * @param {number|null} placeId - Place ID the review must belong to
+   * @returns {Promise<Object>}
    */
-  async deleteReview(reviewId, userId) {
+  async deleteReview(reviewId, userId, placeId = null) {
+    const transaction = await sequelize.transaction();
     try {
-      const review = await Review.findByPk(reviewId);
-      if (!review) {
-        throw new Error('Review not found');
+      const review = await this.findActiveReview(reviewId, placeId, { transaction });
+
+      // Check if user owns the review (BIGINT ids may come back as strings)
+      if (parseInt(review.user_id) !== parseInt(userId)) {
+        throw httpError('You are not authorized to delete this review', 403);
       }
 
-      // Check if user owns the review
-      if (review.user_id !== userId) {
-        throw new Error('Unauthorized to delete this review');
+      await review.update({ status: false }, { transaction });
+
+      const reversed = await GamificationService.reverseRewards(
+        review.user_id,
+        { type: 'Review', id: review.id },
+        transaction
+      );
+
+      const user = await User.findByPk(review.user_id, { transaction });
+      if (user) {
+        await user.update({ totalReview: Math.max(0, (user.totalReview || 0) - 1) }, { transaction });
       }
 
-      await review.update({ status: false });
+      await transaction.commit();
 
       // Update place statistics
       await this.updatePlaceStatistics(review.place_id);
 
-      return true;
+      return reversed;
     } catch (error) {
+      await transaction.rollback();
+      if (error.statusCode) throw error;
       throw new Error(`Error deleting review: ${error.message}`);
     }
   }
@@ -269,6 +347,7 @@ class ReviewService extends BaseService {
         place_id: placeId
       });
     } catch (error) {
+      if (error.statusCode) throw error;
       throw new Error(`Error getting reviews by place: ${error.message}`);
     }
   }
@@ -297,8 +376,6 @@ class ReviewService extends BaseService {
    */
   async updatePlaceStatistics(placeId) {
     try {
-      const { sequelize } = require('../config/database');
-      
       const stats = await Review.findOne({
         attributes: [
           [sequelize.fn('AVG', sequelize.col('rating')), 'avgRating'],
@@ -333,25 +410,18 @@ class ReviewService extends BaseService {
    * Like/Unlike a review
    * @param {number} reviewId - Review ID
    * @param {number} userId - User ID
+   * @param {number|null} placeId - Place ID the review must belong to
    * @returns {Promise<Object>}
    */
-  async toggleLike(reviewId, userId) {
+  async toggleLike(reviewId, userId, placeId = null) {
     try {
-      const review = await Review.findByPk(reviewId);
-      if (!review) {
-        throw new Error('Review not found');
-      }
-
-      // This would require a separate UserLike model/table
-      // For now, just increment/decrement the total_like count
-      // In a real implementation, you'd check if user already liked and toggle accordingly
-      
-      const updatedReview = await review.update({
-        total_like: review.total_like + 1
-      });
+      const review = await this.findActiveReview(reviewId, placeId);
 
-      return updatedReview;
+      // Like review memakai jalur yang sama dengan like post (total_like dihitung ulang di sana)
+      const result = await SocialMediaService.toggleLike('review', userId, review.id);
+      return result.data;
     } catch (error) {
+      if (error.statusCode) throw error;
       throw new Error(`Error toggling review like: ${error.message}`);
     }
   }
@@ -0,0 +1,287 @@
+const crypto = require('crypto');
+const { Op } = require('sequelize');
+const { sequelize } = require('../config/database');
+const Place = require('../models/Place');
+const Reward = require('../models/Reward');
+const UserReward = require('../models/UserReward');
+const { ROLES } = require('../config/roles');
+const { VOUCHER_VALID_DAYS } = require('../config/gamification');
+const { httpError } = require('../utils/errors');
+
+// No 0/O or 1/I so codes can be read out loud; 32 symbols keep byte % 32 unbiased
+const CODE_ALPHABET = '23456789ABCDEFGHJKLMNPQRSTUVWXYZ';
+const CODE_LENGTH = 12;
+const CODE_GROUP = 4;
+
+const REDEMPTION_STATUSES = ['redeemed', 'claimed', 'expired', 'cancelled'];
+
+/**
+ * RewardService
+ * Siklus voucher reward: redeemed -> claimed, atau redeemed -> expired/cancelled (koin dikembalikan)
+ */
+class RewardService {
+  /**
+   * Buat kode voucher acak, mis. 7KQX-M2TD-9HZP (60 bit entropi).
+   * @returns {string}
+   */
+  static generateCode() {
+    const bytes = crypto.randomBytes(CODE_LENGTH);
+    let code = '';
+    for (let i = 0; i < CODE_LENGTH; i++) {
+      if (i > 0 && i % CODE_GROUP === 0) code += '-';
+      code += CODE_ALPHABET[bytes[i] % CODE_ALPHABET.length];
+    }
+    return code;
+  }
+
+  /**
+   * Normalisasi kode yang diketik staff (huruf kecil, tanpa tanda hubung, spasi).
+   * @param {string} input
+   * @returns {string}
+   */
+  static normalizeCode(input) {
+    const raw = String(input || '').toUpperCase().replace(/[^0-9A-Z]/g, '');
+    return (raw.match(new RegExp(`.{1,${CODE_GROUP}}`, 'g')) || []).join('-');
+  }
+
+  /**
+   * Buat kode voucher yang belum dipakai.
+   * @param {object} transaction
+   * @returns {Promise<string>}
+   */
+  static async generateUniqueCode(transaction) {
+    for (let attempt = 0; attempt < 5; attempt++) {
+      const code = this.generateCode();
+      const exists = await UserReward.count({ where: { code }, transaction });
+      if (!exists) return code;
+    }
+    throw new Error('Could not generate a unique voucher code');
+  }
+
+  /**
+   * Apakah reward ini item streak freeze (additional_info.item = 'streak_freeze').
+   * Streak freeze bukan voucher: tanpa kode, tidak kedaluwarsa, dan dipakai otomatis.
+   * @param {object} reward
+   * @returns {boolean}
+   */
+  static isStreakFreeze(reward) {
+    return ((reward && reward.additional_info) || {}).item === 'streak_freeze';
+  }
+
+  /**
+   * Tanggal kedaluwarsa voucher untuk sebuah reward.
+   * @param {object} reward
+   * @param {Date} now
+   * @returns {Date}
+   */
+  static getVoucherExpiry(reward, now = new Date()) {
+    const days = parseInt((reward.additional_info || {}).voucher_valid_days) || VOUCHER_VALID_DAYS;
+    return new Date(now.getTime() + days * 24 * 60 * 60 * 1000);
+  }
+
+  /**
+   * Tutup voucher yang belum dipakai (expired/cancelled) dan kembalikan koin serta stok.
+   * @param {object} userReward
+   * @param {string} status - expired atau cancelled
+   * @returns {Promise<object>}
+   */
+  static async closeVoucher(userReward, status) {
+    // Di-require di sini karena GamificationService juga memakai service ini
+    const GamificationService = require('./GamificationService');
+
+    const transaction = await sequelize.transaction();
+    try {
+      // Kunci user lebih dulu, lalu voucher dan reward: urutan yang sama dengan
+      // redeemReward (user, reward) dan StreakService.applyFreezes (user, voucher)
+      await GamificationService.lockUser(userReward.user_id, transaction);
+      const locked = await UserReward.findByPk(userReward.id, { transaction, lock: transaction.LOCK.UPDATE });
+      if (!locked || locked.redemption_status !== 'redeemed') {
+        throw httpError('Only unused vouchers can be closed.', 400);
+      }
+
+      await locked.update({
+        redemption_status: status,
+        status: false,
+        cancelled_at: status === 'cancelled' ? new Date() : null,
+      }, { transaction });
+
+      if (locked.coins_spent > 0) {
+        await GamificationService.addCoins(locked.user_id, locked.coins_spent, { type: 'Reward', id: locked.reward_id }, transaction);
+      }
+
+      const reward = await Reward.findByPk(locked.reward_id, { transaction, lock: transaction.LOCK.UPDATE });
+      if (reward && reward.stock !== null) {
+        await reward.increment('stock', { by: 1, transaction });
+      }
+
+      await transaction.commit();
+      return locked;
+    } catch (error) {
+      if (!transaction.finished) await transaction.rollback();
+      throw error;
+    }
+  }
+
+  /**
+   * Tandai voucher yang lewat masa berlaku sebagai expired (dengan refund).
+   * Dipanggil saat voucher dibaca sehingga tidak butuh scheduler.
+   * @param {object} where - Filter tambahan, mis. { user_id } atau { code }
+   * @returns {Promise<number>} Jumlah voucher yang di-expire
+   */
+  static async expireOverdue(where = {}) {
+    const overdue = await UserReward.findAll({
+      where: {
+        ...where,
+        redemption_status: 'redeemed',
+        expires_at: { [Op.lt]: new Date() },
+      },
+    });
+
+    let expired = 0;
+    for (const userReward of overdue) {
+      try {
+        await this.closeVoucher(userReward, 'expired');
+        expired++;
+      } catch (error) {
+        // Sudah diproses request lain
+        console.error('Error expiring voucher:', { user_reward_id: userReward.id, error: error.message });
+      }
+    }
+    return expired;
+  }
+
+  /**
+   * Daftar reward yang sudah ditukar pengguna beserta status vouchernya.
+   * @param {number} user_id
+   * @param {object} options - { status, page, limit }
+   * @returns {Promise<object>}
+   */
+  static async getRedeemedRewards(user_id, { status, page = 1, limit = 20 } = {}) {
+    if (status && !REDEMPTION_STATUSES.includes(status)) {
+      throw httpError(`Invalid status. Valid options: ${REDEMPTION_STATUSES.join(', ')}`, 400);
+    }
+
+    await this.expireOverdue({ user_id });
+
+    const offset = (page - 1) * limit;
+    const whereClause = { user_id };
+    if (status) whereClause.redemption_status = status;
+
+    const userRewards = await UserReward.findAndCountAll({
+      where: whereClause,
+      include: [
+        {
+          model: Reward,
+          as: 'reward',
+          attributes: ['id', 'name', 'description', 'image_url', 'coin_requirement'],
+        },
+      ],
+      limit: parseInt(limit),
+      offset: parseInt(offset),
+      order: [['created_at', 'DESC'], ['id', 'DESC']],
+    });
+
+    const totalPages = Math.ceil(userRewards.count / limit);
+    return {
+      rewards: userRewards.rows,
+      pagination: {
+        current_page: parseInt(page),
+        total_pages: totalPages,
+        total_items: userRewards.count,
+        items_per_page: parseInt(limit),
+        has_next: page < totalPages,
+        has_prev: page > 1,
+      },
+    };
+  }
+
+  /**
+   * Batalkan voucher milik sendiri yang belum dipakai; koin dikembalikan.
+   * @param {number} user_id
+   * @param {number} user_reward_id
+   * @returns {Promise<object>}
+   */
+  static async cancelRedeemedReward(user_id, user_reward_id) {
+    const userReward = await UserReward.findByPk(user_reward_id);
+    if (!userReward || parseInt(userReward.user_id) !== parseInt(user_id)) {
+      throw httpError('Redeemed reward not found', 404);
+    }
+    if (userReward.redemption_status !== 'redeemed') {
+      throw httpError(`This voucher is already ${userReward.redemption_status}.`, 400);
+    }
+
+    return await this.closeVoucher(userReward, 'cancelled');
+  }
+
+  /**
+   * Validasi (dan pakai) kode voucher oleh staff tempat partner.
+   * Staff terdaftar di places.additional_info.staff_user_ids; admin boleh di semua tempat.
+   * Reward dengan additional_info.place_id hanya berlaku di tempat tersebut.
+   * @param {object} staff - Instance User yang melakukan verifikasi
+   * @param {object} payload - { code, place_id, consume }
+   * @returns {Promise<object>}
+   */
+  static async verifyVoucher(staff, { code, place_id, consume = true }) {
+    const normalized = this.normalizeCode(code);
+    if (!normalized) {
+      throw httpError('Voucher code is required', 400);
+    }
+
+    const place = await Place.findByPk(place_id);
+    if (!place) {
+      throw httpError('Place not found', 404);
+    }
+
+    const staffIds = ((place.additionalInfo || {}).staff_user_ids || []).map((id) => parseInt(id));
+    if (!staff.hasRole(ROLES.ADMIN) && !staffIds.includes(parseInt(staff.id))) {
+      throw httpError('You are not registered as staff of this place', 403);
+    }
+
+    await this.expireOverdue({ code: normalized });
+
+    const transaction = await sequelize.transaction();
+    try {
+      const userReward = await UserReward.findOne({
+        where: { code: normalized },
+        transaction,
+        lock: transaction.LOCK.UPDATE,
+      });
+
+      if (!userReward) {
+        throw httpError('Voucher not found', 404);
+      }
+
+      const reward = await Reward.findByPk(userReward.reward_id, { transaction });
+      const rewardPlaceId = ((reward && reward.additional_info) || {}).place_id;
+      if (rewardPlaceId && parseInt(rewardPlaceId) !== parseInt(place.id)) {
+        throw httpError('This voucher is not valid at this place', 400);
+      }
+
+      if (userReward.redemption_status !== 'redeemed') {
+        throw httpError(`This voucher is already ${userReward.redemption_status}.`, 400);
+      }
+
+      if (consume) {
+        await userReward.update({
+          redemption_status: 'claimed',
+          claimed_at: new Date(),
+          claimed_by: staff.id,
+          claimed_place_id: place.id,
+        }, { transaction });
+      }
+
+      await transaction.commit();
+      return {
+        valid: true,
+        consumed: Boolean(consume),
+        voucher: userReward,
+        reward,
+      };
+    } catch (error) {
+      await transaction.rollback();
+      throw error;
+    }
+  }
+}
+
+module.exports = RewardService;
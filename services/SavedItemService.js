@@ -0,0 +1,277 @@
+const BaseService = require('./BaseService');
+const UserSavedItem = require('../models/UserSavedItem');
+const User = require('../models/User');
+const Place = require('../models/Place');
+const Post = require('../models/Post');
+const Article = require('../models/Article');
+const { sequelize } = require('../config/database');
+const { httpError } = require('../utils/errors');
+
+/**
+ * Saved item kinds as used in the URL, mapped to their model and
+ * the legacy list key inside users.additional_info.user_saved
+ */
+const SAVED_KINDS = {
+  places: {
+    type: 'Place',
+    model: Place,
+    savedKey: 'saved_places',
+    attributes: ['id', 'name', 'description', 'imageUrls', 'avgRating', 'totalReview', 'minPrice', 'maxPrice', 'partnershipStatus', 'status']
+  },
+  posts: {
+    type: 'Post',
+    model: Post,
+    savedKey: 'saved_posts',
+    where: { status: true },
+    include: [
+      {
+        model: User,
+        as: 'user',
+        attributes: ['id', 'name', 'username', 'imageUrl']
+      }
+    ]
+  },
+  articles: {
+    type: 'Article',
+    model: Article,
+    savedKey: 'saved_articles',
+    include: [
+      {
+        model: User,
+        as: 'author',
+        attributes: ['id', 'name', 'username', 'imageUrl']
+      }
+    ]
+  }
+};
+
+// Maximum number of saved items per kind for a single user
+const MAX_SAVED_PER_KIND = 500;
+
+class SavedItemService extends BaseService {
+  constructor() {
+    super(UserSavedItem);
+  }
+
+  /**
+   * Resolve a saved kind from the URL
+   * @param {string} kind - places, posts or articles
+   * @returns {Object}
+   */
+  resolveKind(kind) {
+    const config = SAVED_KINDS[kind];
+    if (!config) {
+      throw httpError(`Invalid saved kind. Valid options: ${Object.keys(SAVED_KINDS).join(', ')}`, 400);
+    }
+    return config;
+  }
+
+  /**
+   * Save a place, post or article for a user.
+   * Idempotent: saving an item that is already saved returns the existing entry with created = false,
+   * including when two requests race past the existence check and hit the unique index.
+   * @param {number} userId - User ID
+   * @param {string} kind - places, posts or articles
+   * @param {number} itemId - ID of the item to save
+   * @returns {Promise<Object>}
+   */
+  async saveItem(userId, kind, itemId) {
+    const config = this.resolveKind(kind);
+    const where = { user_id: userId, related_to_id: itemId, related_to_type: config.type };
+    const transaction = await sequelize.transaction();
+
+    try {
+      const target = await config.model.findOne({
+        where: { id: itemId, ...(config.where || {}) },
+        attributes: ['id'],
+        transaction
+      });
+      if (!target) {
+        throw httpError(`${config.type} not found`, 404);
+      }
+
+      const savedCount = await UserSavedItem.count({
+        where: { user_id: userId, related_to_type: config.type },
+        transaction
+      });
+
+      const existing = await UserSavedItem.findOne({ where, transaction });
+      if (existing) {
+        await transaction.commit();
+        return this.describeSavedItem(kind, itemId, existing, savedCount, false);
+      }
+
+      if (savedCount >= MAX_SAVED_PER_KIND) {
+        throw httpError(`You can save at most ${MAX_SAVED_PER_KIND} ${kind}`, 400);
+      }
+
+      const savedItem = await UserSavedItem.create(where, { transaction });
+      await this.syncLegacyList(userId, config, transaction);
+
+      await transaction.commit();
+
+      return this.describeSavedItem(kind, itemId, savedItem, savedCount + 1, true);
+    } catch (error) {
+      if (!transaction.finished) await transaction.rollback();
+
+      // A concurrent save of the same item won the race
+      if (error.name === 'SequelizeUniqueConstraintError') {
+        const existing = await UserSavedItem.findOne({ where });
+        if (existing) {
+          const savedCount = await UserSavedItem.count({ where: { user_id: userId, related_to_type: config.type } });
+          return this.describeSavedItem(kind, itemId, existing, savedCount, false);
+        }
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Response shape for a saved item
+   * @param {string} kind - places, posts or articles
+   * @param {number} itemId - ID of the saved item
+   * @param {Object} savedItem - UserSavedItem row
+   * @param {number} totalSaved - Saved items of this kind after the save
+   * @param {boolean} created - Whether this request created the entry
+   * @returns {Object}
+   */
+  describeSavedItem(kind, itemId, savedItem, totalSaved, created) {
+    return {
+      kind,
+      item_id: parseInt(itemId),
+      saved: true,
+      created,
+      saved_at: savedItem.created_at,
+      total_saved: totalSaved
+    };
+  }
+
+  /**
+   * Remove a saved place, post or article
+   * @param {number} userId - User ID
+   * @param {string} kind - places, posts or articles
+   * @param {number} itemId - ID of the saved item
+   * @returns {Promise<Object>}
+   */
+  async unsaveItem(userId, kind, itemId) {
+    const config = this.resolveKind(kind);
+    const transaction = await sequelize.transaction();
+
+    try {
+      const deleted = await UserSavedItem.destroy({
+        where: { user_id: userId, related_to_id: itemId, related_to_type: config.type },
+        transaction
+      });
+      if (!deleted) {
+        throw httpError(`${config.type} is not saved`, 404);
+      }
+
+      await this.syncLegacyList(userId, config, transaction);
+
+      await transaction.commit();
+
+      return {
+        kind,
+        item_id: parseInt(itemId),
+        saved: false
+      };
+    } catch (error) {
+      await transaction.rollback();
+      throw error;
+    }
+  }
+
+  /**
+   * Get a user's saved items of one kind, hydrated with the saved records
+   * @param {number} userId - User ID
+   * @param {Object} options - { kind, page, limit }
+   * @returns {Promise<Object>}
+   */
+  async getSavedItems(userId, options = {}) {
+    const { kind = 'places', page = 1, limit = 10 } = options;
+    const config = this.resolveKind(kind);
+    const offset = (page - 1) * limit;
+
+    try {
+      const { count, rows } = await UserSavedItem.findAndCountAll({
+        where: { user_id: userId, related_to_type: config.type },
+        limit: parseInt(limit),
+        offset: parseInt(offset),
+        order: [['created_at', 'DESC'], ['id', 'DESC']]
+      });
+
+      const ids = rows.map(row => row.related_to_id);
+      const records = ids.length > 0
+        ? await config.model.findAll({
+          where: { id: ids, ...(config.where || {}) },
+          ...(config.attributes && { attributes: config.attributes }),
+          ...(config.include && { include: config.include })
+        })
+        : [];
+
+      // Keep saved order; items removed since they were saved are skipped
+      const recordMap = new Map(records.map(record => [parseInt(record.id), record]));
+      const items = rows
+        .filter(row => recordMap.has(parseInt(row.related_to_id)))
+        .map(row => ({
+          ...recordMap.get(parseInt(row.related_to_id)).toJSON(),
+          saved_at: row.created_at
+        }));
+
+      return {
+        kind,
+        items,
+        pagination: this.buildPagination(count, page, limit)
+      };
+    } catch (error) {
+      throw new Error(`Error getting saved items: ${error.message}`);
+    }
+  }
+
+  /**
+   * Count how many users saved an item
+   * @param {string} kind - places, posts or articles
+   * @param {number} itemId - Item ID
+   * @returns {Promise<number>}
+   */
+  async countSaves(kind, itemId) {
+    const config = this.resolveKind(kind);
+    return await UserSavedItem.count({
+      where: { related_to_id: itemId, related_to_type: config.type }
+    });
+  }
+
+  /**
+   * Mirror saved IDs into users.additional_info.user_saved for older app versions
+   * @param {number} userId - User ID
+   * @param {Object} config - Resolved kind config
+   * @param {Object} transaction - Sequelize transaction
+   * @returns {Promise<void>}
+   */
+  async syncLegacyList(userId, config, transaction) {
+    const user = await User.findByPk(userId, { transaction });
+    if (!user) {
+      return;
+    }
+
+    const savedIds = await UserSavedItem.findAll({
+      where: { user_id: userId, related_to_type: config.type },
+      attributes: ['related_to_id'],
+      order: [['created_at', 'DESC'], ['id', 'DESC']],
+      transaction
+    });
+
+    const additionalInfo = user.additionalInfo || {};
+    await user.update({
+      additionalInfo: {
+        ...additionalInfo,
+        user_saved: {
+          ...(additionalInfo.user_saved || {}),
+          [config.savedKey]: savedIds.map(row => row.related_to_id)
+        }
+      }
+    }, { transaction });
+  }
+}
+
+module.exports = new SavedItemService();
@@ -0,0 +1,543 @@
+const { Op } = require('sequelize');
+const { sequelize } = require('../config/database');
+const Place = require('../models/Place');
+const Article = require('../models/Article');
+const SearchDocument = require('../models/SearchDocument');
+const {
+  SEARCH_FIELD_WEIGHTS,
+  SEARCH_MATCH_SCORES,
+  SEARCH_PHRASE_BONUS,
+  SEARCH_MAX_CANDIDATES,
+  SEARCH_SNIPPET_LENGTH,
+  SEARCH_HIGHLIGHT_TAGS
+} = require('../config/search');
+const { httpError } = require('../utils/errors');
+
+const REINDEX_BATCH_SIZE = 200;
+
+/**
+ * Lowercase, strip diacritics and turn everything but letters/digits into single spaces
+ */
+const normalize = (text) => String(text || '')
+  .normalize('NFD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .toLowerCase()
+  .replace(/[^a-z0-9]+/g, ' ')
+  .trim();
+
+const tokenize = (text) => {
+  const normalized = normalize(text);
+  return normalized ? normalized.split(' ') : [];
+};
+
+/**
+ * Tag values as a list; additionalInfo stores either an array or a comma separated string
+ */
+const toList = (value) => {
+  const values = Array.isArray(value) ? value : String(value || '').split(',');
+  return values.map(item => String(item).trim()).filter(Boolean);
+};
+
+const escapeHtml = (text) => String(text)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+/**
+ * Edit distance that allows adjacent transpositions ("ayma" -> "ayam" is 1),
+ * giving up early once it exceeds max
+ */
+const editDistance = (a, b, max) => {
+  if (Math.abs(a.length - b.length) > max) {
+    return max + 1;
+  }
+  let prevPrev = null;
+  let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const row = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      let value = Math.min(prev[j] + 1, row[j - 1] + 1, prev[j - 1] + cost);
+      if (prevPrev && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        value = Math.min(value, prevPrev[j - 2] + 1);
+      }
+      row.push(value);
+      rowMin = Math.min(rowMin, value);
+    }
+    if (rowMin > max) {
+      return max + 1;
+    }
+    prevPrev = prev;
+    prev = row;
+  }
+  return prev[b.length];
+};
+
+/**
+ * Typos allowed for a query token: none below 4 characters, 2 from 8 characters
+ */
+const maxTypos = (token) => (token.length >= 8 ? 2 : token.length >= 4 ? 1 : 0);
+
+/**
+ * Fragments used to find candidate rows with LIKE. One typo can break at most
+ * two bigrams / three trigrams, so at least one fragment of a token that is
+ * within its typo budget still matches.
+ */
+const candidateFragments = (token) => {
+  if (token.length <= 3) {
+    // Short tokens only match exactly or as a prefix
+    return [` ${token}`];
+  }
+  const size = token.length < 6 ? 2 : 3;
+  const fragments = new Set();
+  for (let i = 0; i + size <= token.length; i++) {
+    fragments.add(token.slice(i, i + size));
+  }
+  return [...fragments];
+};
+
+/**
+ * Match quality of a query token against a document token (0 when no match)
+ */
+const matchScore = (queryToken, token) => {
+  if (token === queryToken) {
+    return SEARCH_MATCH_SCORES.exact;
+  }
+  if (queryToken.length >= 3 && token.startsWith(queryToken)) {
+    return SEARCH_MATCH_SCORES.prefix;
+  }
+  const typos = maxTypos(queryToken);
+  if (typos > 0 && editDistance(queryToken, token, typos) <= typos) {
+    return SEARCH_MATCH_SCORES.typo;
+  }
+  return 0;
+};
+
+/**
+ * Escape text and wrap the words whose normalised form matched the query
+ */
+const highlight = (text, matched) => {
+  const [open, close] = SEARCH_HIGHLIGHT_TAGS;
+  let output = '';
+  let last = 0;
+  for (const match of String(text).matchAll(/[\p{L}\p{N}]+/gu)) {
+    output += escapeHtml(text.slice(last, match.index));
+    const word = escapeHtml(match[0]);
+    output += matched.has(normalize(match[0])) ? `${open}${word}${close}` : word;
+    last = match.index + match[0].length;
+  }
+  return output + escapeHtml(text.slice(last));
+};
+
+/**
+ * Window of the text around the first matched word, cut at word boundaries
+ */
+const snippet = (text, matched) => {
+  const source = String(text || '').replace(/\s+/g, ' ').trim();
+  if (source.length <= SEARCH_SNIPPET_LENGTH) {
+    return highlight(source, matched);
+  }
+
+  let start = 0;
+  for (const match of source.matchAll(/[\p{L}\p{N}]+/gu)) {
+    if (matched.has(normalize(match[0]))) {
+      start = Math.max(0, match.index - Math.floor(SEARCH_SNIPPET_LENGTH / 4));
+      break;
+    }
+  }
+  start = Math.min(start, source.length - SEARCH_SNIPPET_LENGTH);
+  let end = start + SEARCH_SNIPPET_LENGTH;
+  if (start > 0) {
+    const space = source.indexOf(' ', start);
+    start = space === -1 || space >= end ? start : space + 1;
+  }
+  if (end < source.length) {
+    const space = source.lastIndexOf(' ', end);
+    end = space > start ? space : end;
+  }
+
+  return `${start > 0 ? '…' : ''}${highlight(source.slice(start, end), matched)}${end < source.length ? '…' : ''}`;
+};
+
+/**
+ * Indexed document sources: title, body and tags per record.
+ * Inactive places are indexed too; callers filter on status.
+ */
+const SOURCES = {
+  place: {
+    document_type: 'Place',
+    model: () => Place,
+    fields: (place) => ({
+      title: place.name,
+      body: place.description,
+      tags: toList((place.additionalInfo || {}).food_type).join(', ')
+    })
+  },
+  article: {
+    document_type: 'Article',
+    model: () => Article,
+    fields: (article) => ({
+      title: article.title,
+      body: article.content,
+      tags: article.category
+    })
+  }
+};
+
+/**
+ * Global search groups: the result type of each group and the search it runs.
+ * Each search returns { items, total } through the owning service's own search path.
+ */
+const GLOBAL_GROUPS = {
+  places: {
+    type: 'place',
+    search: async (query, { page, limit }) => {
+      // Required here because PlaceService also uses this service
+      const PlaceService = require('./PlaceService');
+      const result = await PlaceService.getWithMultipleFilters({ search: query, status: 'true', page }, limit);
+      return { items: result.data, total: result.total };
+    }
+  },
+  users: {
+    type: 'user',
+    search: async (query, { page, limit }) => {
+      const UserService = require('./UserService');
+      const result = await UserService.searchUsers(query, { page, limit });
+      return { items: result.users, total: result.pagination.totalItems };
+    }
+  },
+  articles: {
+    type: 'article',
+    search: async (query, { page, limit }) => {
+      // Required here because ArticleService also uses this service
+      const ArticleService = require('./ArticleService');
+      const result = await ArticleService.searchArticles(query, { page, limit });
+      return { items: result.articles, total: result.pagination.totalItems };
+    }
+  },
+  posts: {
+    type: 'post',
+    search: async (query, { page, limit, user_id }) => {
+      const SocialMediaService = require('./SocialMediaService');
+      const result = await SocialMediaService.searchPosts(user_id, query, page, limit);
+      return { items: result.data.posts, total: result.data.pagination.total_items };
+    }
+  }
+};
+
+/**
+ * SearchService
+ * Full-text search for places and articles. Documents are stored in
+ * search_documents with normalised tokens; candidates are found with LIKE on
+ * token fragments (works on both Postgres and MySQL) and scored in the
+ * application: exact > prefix > typo, times the field weight (title > tags > body).
+ */
+class SearchService {
+  /**
+   * Source config for a type ('place' | 'article').
+   * @param {string} type
+   * @returns {object}
+   */
+  static getSource(type) {
+    const source = SOURCES[type];
+    if (!source) {
+      throw httpError(`Unsupported search type: ${type}`, 400);
+    }
+    return source;
+  }
+
+  /**
+   * Index document for a record.
+   * @param {string} type
+   * @param {object} record - Instance Place / Article
+   * @returns {object} { document_type, document_id, title, body, tags, terms }
+   */
+  static buildDocument(type, record) {
+    const source = this.getSource(type);
+    const { title, body, tags } = source.fields(record);
+    const terms = new Set([...tokenize(title), ...tokenize(tags), ...tokenize(body)]);
+    return {
+      document_type: source.document_type,
+      document_id: parseInt(record.id),
+      title: String(title || '').slice(0, 255),
+      body: body || null,
+      tags: tags || null,
+      terms: ` ${[...terms].join(' ')} `
+    };
+  }
+
+  /**
+   * Store the index document of a record. Failures are only logged so saving the
+   * place/article does not fail with it; a reindex repairs the index.
+   * @param {string} type
+   * @param {object} record
+   * @returns {Promise<void>}
+   */
+  static async indexRecord(type, record) {
+    try {
+      const document = this.buildDocument(type, record);
+      const existing = await SearchDocument.findOne({
+        where: { document_type: document.document_type, document_id: document.document_id }
+      });
+      if (existing) {
+        await existing.update(document);
+      } else {
+        await SearchDocument.create(document);
+      }
+    } catch (error) {
+      console.error(`Error indexing ${type} ${record && record.id}:`, error.message);
+    }
+  }
+
+  /**
+   * Remove the index document of a record.
+   * @param {string} type
+   * @param {number} id
+   * @returns {Promise<void>}
+   */
+  static async removeRecord(type, id) {
+    try {
+      await SearchDocument.destroy({
+        where: { document_type: this.getSource(type).document_type, document_id: parseInt(id) }
+      });
+    } catch (error) {
+      console.error(`Error removing ${type} ${id} from search index:`, error.message);
+    }
+  }
+
+  /**
+   * Rebuild the index of one type from its source table, in batches.
+   * Documents whose source no longer exists are removed.
+   * @param {string} type
+   * @returns {Promise<{ indexed: number, removed: number }>}
+   */
+  static async reindex(type) {
+    const source = this.getSource(type);
+    const Model = source.model();
+    const indexedIds = [];
+    let lastId = 0;
+
+    for (;;) {
+      const records = await Model.findAll({
+        where: { id: { [Op.gt]: lastId } },
+        order: [['id', 'ASC']],
+        limit: REINDEX_BATCH_SIZE
+      });
+      if (records.length === 0) {
+        break;
+      }
+      for (const record of records) {
+        await this.indexRecord(type, record);
+        indexedIds.push(parseInt(record.id));
+      }
+      lastId = records[records.length - 1].id;
+    }
+
+    const removed = await SearchDocument.destroy({
+      where: {
+        document_type: source.document_type,
+        ...(indexedIds.length > 0 && { document_id: { [Op.notIn]: indexedIds } })
+      }
+    });
+
+    return { indexed: indexedIds.length, removed };
+  }
+
+  /**
+   * Relevance score of a document for the query tokens.
+   * @param {object} document - search_documents row
+   * @param {Array<string>} queryTokens
+   * @param {string} phrase - Normalised query
+   * @returns {{ score: number, matched: Set<string> }}
+   */
+  static scoreDocument(document, queryTokens, phrase) {
+    const fields = {
+      title: tokenize(document.title),
+      tags: tokenize(document.tags),
+      body: tokenize(document.body)
+    };
+    const matched = new Set();
+    let total = 0;
+    let matchedTokens = 0;
+
+    for (const queryToken of queryTokens) {
+      let best = 0;
+      for (const [field, tokens] of Object.entries(fields)) {
+        for (const token of tokens) {
+          const quality = matchScore(queryToken, token);
+          if (quality > 0) {
+            matched.add(token);
+            best = Math.max(best, quality * SEARCH_FIELD_WEIGHTS[field]);
+          }
+        }
+      }
+      if (best > 0) {
+        total += best;
+        matchedTokens += 1;
+      }
+    }
+    if (matchedTokens === 0) {
+      return { score: 0, matched };
+    }
+
+    let score = total * (matchedTokens / queryTokens.length);
+    if (queryTokens.length > 1) {
+      if (` ${fields.title.join(' ')} `.includes(` ${phrase} `)) {
+        score += SEARCH_PHRASE_BONUS.title;
+      } else if (` ${fields.body.join(' ')} `.includes(` ${phrase} `)) {
+        score += SEARCH_PHRASE_BONUS.body;
+      }
+    }
+
+    return { score: Math.round(score * 1000) / 1000, matched };
+  }
+
+  /**
+   * Every matching result, sorted by score (highest first).
+   * @param {string} query
+   * @param {Array<string>} types - Subset of ['place', 'article']
+   * @returns {Promise<Array<object>>} [{ type, id, score, highlight: { title, snippet } }]
+   */
+  static async rank(query, types = Object.keys(SOURCES)) {
+    const queryTokens = [...new Set(tokenize(query))];
+    if (queryTokens.length === 0) {
+      return [];
+    }
+
+    const typeBySource = new Map(types.map(type => [this.getSource(type).document_type, type]));
+    // Candidates are fetched in tiers (exact, prefix, then token fragments) so the
+    // SEARCH_MAX_CANDIDATES cap never drops an older exact match
+    const tiers = [
+      queryTokens.map(token => `% ${token} %`),
+      queryTokens.map(token => `% ${token}%`),
+      [...new Set(queryTokens.flatMap(candidateFragments))].map(fragment => `%${fragment}%`)
+    ];
+    const candidates = [];
+    for (const patterns of tiers) {
+      const remaining = SEARCH_MAX_CANDIDATES - candidates.length;
+      if (remaining <= 0) {
+        break;
+      }
+      candidates.push(...await SearchDocument.findAll({
+        where: {
+          document_type: { [Op.in]: [...typeBySource.keys()] },
+          [Op.or]: patterns.map(pattern => ({ terms: { [Op.like]: pattern } })),
+          ...(candidates.length > 0 && { id: { [Op.notIn]: candidates.map(document => document.id) } })
+        },
+        order: [['updated_at', 'DESC'], ['id', 'DESC']],
+        limit: remaining,
+        raw: true
+      }));
+    }
+
+    const phrase = queryTokens.join(' ');
+    return candidates
+      .map(document => {
+        const { score, matched } = this.scoreDocument(document, queryTokens, phrase);
+        return {
+          type: typeBySource.get(document.document_type),
+          id: parseInt(document.document_id),
+          score,
+          highlight: {
+            title: highlight(document.title, matched),
+            snippet: snippet(document.body || document.tags, matched)
+          }
+        };
+      })
+      .filter(result => result.score > 0)
+      .sort((a, b) => b.score - a.score || b.id - a.id);
+  }
+
+  /**
+   * ORDER BY expression following the ID order of rank() (IDs outside the list last).
+   * Uses CASE so it is portable between Postgres and MySQL.
+   * @param {object} Model - Queried model (table alias = model name)
+   * @param {Array<number>} ids - Ordered IDs, best first
+   * @returns {object} Sequelize literal
+   */
+  static relevanceOrder(Model, ids) {
+    const queryInterface = sequelize.getQueryInterface();
+    const column = `${queryInterface.quoteIdentifier(Model.name)}.${queryInterface.quoteIdentifier('id')}`;
+    if (ids.length === 0) {
+      return sequelize.literal('0');
+    }
+    const cases = ids.map((id, index) => `WHEN ${parseInt(id)} THEN ${index}`).join(' ');
+    return sequelize.literal(`CASE ${column} ${cases} ELSE ${ids.length} END`);
+  }
+
+  /**
+   * Global search: run the search of every group in parallel and return the results
+   * per group with their counts. page/limit apply to each group.
+   * A failing group is logged and reported empty with failed: true so the other
+   * groups are still returned; when every group fails the search fails with 503.
+   * @param {string} query
+   * @param {object} options - { groups, page, limit, user_id }
+   * @returns {Promise<{ query: string, total: number, counts: object, results: object }>}
+   */
+  static async globalSearch(query, { groups = Object.keys(GLOBAL_GROUPS), page = 1, limit = 5, user_id = null } = {}) {
+    if (!normalize(query)) {
+      throw httpError('Search term is required', 400);
+    }
+    const invalid = groups.filter(group => !GLOBAL_GROUPS[group]);
+    if (invalid.length > 0) {
+      throw httpError(`Invalid types: ${invalid.join(', ')}. Valid options: ${Object.keys(GLOBAL_GROUPS).join(', ')}`, 400);
+    }
+
+    const found = await Promise.allSettled(groups.map(group => GLOBAL_GROUPS[group].search(query, { page, limit, user_id })));
+    if (found.every(result => result.status === 'rejected')) {
+      found.forEach((result, index) => console.error(`Error searching ${groups[index]}:`, result.reason.message));
+      throw httpError('Search is temporarily unavailable', 503);
+    }
+
+    const counts = {};
+    const results = {};
+    groups.forEach((group, index) => {
+      const { type } = GLOBAL_GROUPS[group];
+      const { status, value, reason } = found[index];
+      if (status === 'rejected') {
+        console.error(`Error searching ${group}:`, reason.message);
+      }
+      const { items, total } = status === 'fulfilled' ? value : { items: [], total: 0 };
+      counts[group] = total;
+      results[group] = {
+        type,
+        total,
+        failed: status === 'rejected',
+        items: items.map(item => ({ type, ...(item.toJSON ? item.toJSON() : item) }))
+      };
+    });
+
+    return {
+      query,
+      total: Object.values(counts).reduce((sum, count) => sum + count, 0),
+      counts,
+      results
+    };
+  }
+
+  /**
+   * One page of search results.
+   * @param {string} query
+   * @param {object} options - { types, page, limit }
+   * @returns {Promise<{ results: Array<object>, total: number }>}
+   */
+  static async search(query, { types = Object.keys(SOURCES), page = 1, limit = 10 } = {}) {
+    if (!normalize(query)) {
+      throw httpError('Search term is required', 400);
+    }
+    limit = parseInt(limit);
+    page = parseInt(page);
+
+    const ranked = await this.rank(query, types);
+    const offset = (page - 1) * limit;
+    return {
+      results: ranked.slice(offset, offset + limit),
+      total: ranked.length
+    };
+  }
+}
+
+module.exports = SearchService;
@@ -3,9 +3,53 @@ const { sequelize } = require("../config/database");
 const User = require("../models/User");
 const Place = require("../models/Place");
 const Post = require("../models/Post");
+const Review = require("../models/Review");
+const Article = require("../models/Article");
 const UserFollow = require("../models/UserFollow");
 const UserLike = require("../models/UserLike");
 const UserComment = require("../models/UserComment");
+const GamificationService = require("./GamificationService");
+const NotificationService = require("./NotificationService");
+const FeedService = require("./FeedService");
+const { paginate, buildPaginationMeta } = require("../utils/pagination");
+const { httpError } = require("../utils/errors");
+
+const COMMENT_USER_ATTRIBUTES = ["id", "name", "username", "imageUrl"];
+
+/**
+ * Content that can be liked and commented on.
+ * like_type / comment_type are the related_to_type values in user_likes / user_comments;
+ * like_counter / comment_counter are the columns kept in sync, when the table has one.
+ */
+const INTERACTION_TARGETS = {
+  post: {
+    label: "Post",
+    model: () => Post,
+    where: {},
+    like_type: "App\\Models\\Post",
+    comment_type: "Post",
+    like_counter: "total_like",
+    comment_counter: "total_comment",
+  },
+  review: {
+    label: "Review",
+    model: () => Review,
+    where: { status: true },
+    like_type: "App\\Models\\Review",
+    comment_type: "Review",
+    like_counter: "total_like",
+    comment_counter: null,
+  },
+  article: {
+    label: "Article",
+    model: () => Article,
+    where: {},
+    like_type: "App\\Models\\Article",
+    comment_type: "Article",
+    like_counter: null,
+    comment_counter: null,
+  },
+};
 
 /**
  * SocialMediaService
@@ -74,6 +118,13 @@ class SocialMediaService {
 
       await transaction.commit();
 
+      await GamificationService.processActivity(follower_id, "follow");
+      await GamificationService.processActivity(targetUser.id, "follow");
+      await NotificationService.notify(targetUser.id, "new_follower", {
+        actor_id: follower_id,
+        related: { type: "User", id: follower_id },
+      });
+
       return {
         success: true,
         message: "Successfully followed user",
@@ -151,15 +202,15 @@ class SocialMediaService {
   /**
    * Get user's followers
    * @param {number} user_id - ID pengguna
-   * @param {number} page - Halaman
+   * @param {number} page - Halaman (dipakai jika cursor kosong)
    * @param {number} limit - Limit per halaman
+   * @param {string|null} cursor - next_cursor dari halaman sebelumnya
    * @returns {Promise<object>}
    */
-  static async getUserFollowers(user_id, page = 1, limit = 20) {
-    try {
-      const offset = (page - 1) * limit;
-
-      const followers = await UserFollow.findAndCountAll({
+  static async getUserFollowers(user_id, page = 1, limit = 20, cursor = null) {
+    const result = await paginate(
+      UserFollow,
+      {
         where: { following_id: user_id },
         include: [
           {
@@ -168,45 +219,32 @@ class SocialMediaService {
             attributes: ["id", "name", "username", "imageUrl"],
           },
         ],
-        limit: parseInt(limit),
-        offset: parseInt(offset),
-        order: [["created_at", "DESC"]],
-      });
-
-      const totalPages = Math.ceil(followers.count / limit);
-
-      return {
-        success: true,
-        message: "Followers retrieved successfully",
-        data: {
-          followers: followers.rows,
-          pagination: {
-            current_page: parseInt(page),
-            total_pages: totalPages,
-            total_items: followers.count,
-            items_per_page: parseInt(limit),
-            has_next: page < totalPages,
-            has_prev: page > 1,
-          },
-        },
-      };
-    } catch (error) {
-      throw error;
-    }
+      },
+      { page, limit, cursor }
+    );
+
+    return {
+      success: true,
+      message: "Followers retrieved successfully",
+      data: {
+        followers: result.rows,
+        pagination: buildPaginationMeta(result),
+      },
+    };
   }
 
   /**
    * Get user's following
    * @param {number} user_id - ID pengguna
-   * @param {number} page - Halaman
+   * @param {number} page - Halaman (dipakai jika cursor kosong)
    * @param {number} limit - Limit per halaman
+   * @param {string|null} cursor - next_cursor dari halaman sebelumnya
    * @returns {Promise<object>}
    */
-  static async getUserFollowing(user_id, page = 1, limit = 20) {
-    try {
-      const offset = (page - 1) * limit;
-
-      const following = await UserFollow.findAndCountAll({
+  static async getUserFollowing(user_id, page = 1, limit = 20, cursor = null) {
+    const result = await paginate(
+      UserFollow,
+      {
         where: { follower_id: user_id },
         include: [
           {
@@ -215,31 +253,18 @@ class SocialMediaService {
             attributes: ["id", "name", "username", "imageUrl"],
           },
         ],
-        limit: parseInt(limit),
-        offset: parseInt(offset),
-        order: [["created_at", "DESC"]],
-      });
-
-      const totalPages = Math.ceil(following.count / limit);
-
-      return {
-        success: true,
-        message: "Following retrieved successfully",
-        data: {
-          following: following.rows,
-          pagination: {
-            current_page: parseInt(page),
-            total_pages: totalPages,
-            total_items: following.count,
-            items_per_page: parseInt(limit),
-            has_next: page < totalPages,
-            has_prev: page > 1,
-          },
-        },
-      };
-    } catch (error) {
-      throw error;
-    }
+      },
+      { page, limit, cursor }
+    );
+
+    return {
+      success: true,
+      message: "Following retrieved successfully",
+      data: {
+        following: result.rows,
+        pagination: buildPaginationMeta(result),
+      },
+    };
   }
 
   /**
@@ -278,6 +303,8 @@ class SocialMediaService {
         totalPost: user.totalPost + 1,
       });
 
+      await GamificationService.processActivity(user_id, "post");
+
       // Load the created post with user and place info
       const createdPost = await Post.findByPk(post.id, {
         include: [
@@ -306,98 +333,44 @@ class SocialMediaService {
   }
 
   /**
-   * Get posts feed
+   * Feed beranda yang dipersonalisasi (lihat FeedService)
    * @param {number} user_id - ID pengguna
-   * @param {number} page - Halaman
+   * @param {number} page - Halaman (dipakai jika cursor kosong)
    * @param {number} limit - Limit per halaman
+   * @param {string|null} cursor - next_cursor dari halaman sebelumnya
    * @returns {Promise<object>}
    */
-  static async getFeed(user_id, page = 1, limit = 10) {
-    try {
-      const offset = (page - 1) * limit;
-
-      // Get user's following list
-      // const following = await UserFollow.findAll({
-      //   where: { follower_id: user_id },
-      //   attributes: ['following_id']
-      // });
-
-      // const followingIds = following.map(f => f.following_id);
-      // followingIds.push(user_id); // Include user's own posts
-
-      const posts = await Post.findAndCountAll({
-        where: {
-          // user_id: { [Op.in]: followingIds },
-          status: true,
-        },
-        include: [
-          {
-            model: User,
-            as: "user",
-            attributes: ["id", "name", "username", "imageUrl"],
-          },
-          {
-            model: Place,
-            as: "place",
-            attributes: ["id", "name", "latitude", "longitude"],
-            required: false,
-          },
-          {
-            model: UserLike,
-            as: "likes",
-            where: { user_id },
-            required: false,
-          },
-        ],
-        limit: parseInt(limit),
-        offset: parseInt(offset),
-        order: [["created_at", "DESC"]],
-        distinct: true,
-      });
-
-      const totalPages = Math.ceil(posts.count / limit);
-
-      return {
-        success: true,
-        message: "Feed retrieved successfully",
-        data: {
-          posts: posts.rows,
-          pagination: {
-            current_page: parseInt(page),
-            total_pages: totalPages,
-            total_items: posts.count,
-            items_per_page: parseInt(limit),
-            has_next: page < totalPages,
-            has_prev: page > 1,
-          },
-        },
-      };
-    } catch (error) {
-      throw error;
-    }
+  static async getFeed(user_id, page = 1, limit = 10, cursor = null) {
+    const feed = await FeedService.getRankedFeed(user_id, { page, limit, cursor });
+
+    return {
+      success: true,
+      message: "Feed retrieved successfully",
+      data: feed,
+    };
   }
 
   /**
-   * Get following feed (posts from users you follow)
+   * Get following feed (posts from users you follow, newest first)
    * @param {number} user_id - ID pengguna
-   * @param {number} page - Halaman
+   * @param {number} page - Halaman (dipakai jika cursor kosong)
    * @param {number} limit - Limit per halaman
+   * @param {string|null} cursor - next_cursor dari halaman sebelumnya
    * @returns {Promise<object>}
    */
-  static async getFollowingFeed(user_id, page = 1, limit = 10) {
-    try {
-      const offset = (page - 1) * limit;
-
-      // Get user's following list
-      const following = await UserFollow.findAll({
-        where: { follower_id: user_id },
-        attributes: ['following_id']
-      });
-
-      const followingIds = following.map(f => f.following_id);
-      followingIds.push(parseInt(user_id)); // Include user's own posts
-
-      const posts = await Post.findAndCountAll({
+  static async getFollowingFeed(user_id, page = 1, limit = 10, cursor = null) {
+    // Get user's following list
+    const following = await UserFollow.findAll({
+      where: { follower_id: user_id },
+      attributes: ["following_id"],
+    });
+
+    const followingIds = following.map((f) => f.following_id);
+    followingIds.push(parseInt(user_id)); // Include user's own posts
+
+    const result = await paginate(
+      Post,
+      {
         where: {
           user_id: { [Op.in]: followingIds },
           status: true,
@@ -421,48 +394,62 @@ class SocialMediaService {
             required: false,
           },
         ],
-        limit: parseInt(limit),
-        offset: parseInt(offset),
-        order: [["created_at", "DESC"]],
-        distinct: true,
-      });
-
-      const totalPages = Math.ceil(posts.count / limit);
-
-      return {
-        success: true,
-        message: "Following feed retrieved successfully",
-        data: {
-          posts: posts.rows,
-          pagination: {
-            current_page: parseInt(page),
-            total_pages: totalPages,
-            total_items: posts.count,
-            items_per_page: parseInt(limit),
-            has_next: page < totalPages,
-            has_prev: page > 1,
-          },
-        },
-      };
-    } catch (error) {
-      throw error;
-    }
+      },
+      { page, limit, cursor }
+    );
+
+    return {
+      success: true,
+      message: "Following feed retrieved successfully",
+      data: {
+        posts: result.rows,
+        pagination: buildPaginationMeta(result),
+      },
+    };
   }
 
   /**
-   * Get trending feed (posts with most interactions)
+   * Get trending feed (engagement yang meluruh terhadap waktu, tanpa personalisasi)
    * @param {number} user_id - ID pengguna
+   * @param {number} page - Halaman (dipakai jika cursor kosong)
+   * @param {number} limit - Limit per halaman
+   * @param {string|null} cursor - next_cursor dari halaman sebelumnya
+   * @returns {Promise<object>}
+   */
+  static async getTrendingFeed(user_id, page = 1, limit = 10, cursor = null) {
+    const feed = await FeedService.getRankedFeed(user_id, { page, limit, cursor, personalised: false });
+
+    return {
+      success: true,
+      message: "Trending feed retrieved successfully",
+      data: feed,
+    };
+  }
+
+  /**
+   * Cari post aktif yang isinya memuat kata kunci (tanpa membedakan huruf besar/kecil), terbaru dulu.
+   * Memakai LOWER(...) LIKE agar jalan di Postgres maupun MySQL.
+   * @param {number} user_id - ID pengguna (untuk status like)
+   * @param {string} query - Kata kunci
    * @param {number} page - Halaman
    * @param {number} limit - Limit per halaman
    * @returns {Promise<object>}
    */
-  static async getTrendingFeed(user_id, page = 1, limit = 10) {
-    try {
-      const offset = (page - 1) * limit;
+  static async searchPosts(user_id, query, page = 1, limit = 10) {
+    const term = String(query || "").trim().toLowerCase();
+    if (!term) {
+      throw httpError("Search term is required", 400);
+    }
+    const pattern = `%${term.replace(/[\\%_]/g, (char) => `\\${char}`)}%`;
 
-      const posts = await Post.findAndCountAll({
+    const result = await paginate(
+      Post,
+      {
         where: {
           status: true,
+          [Op.and]: [
+            sequelize.where(sequelize.fn("LOWER", sequelize.col("Post.content")), { [Op.like]: pattern }),
+          ],
         },
         include: [
           {
@@ -483,35 +470,18 @@ class SocialMediaService {
             required: false,
           },
         ],
-        limit: parseInt(limit),
-        offset: parseInt(offset),
-        order: [
-          [sequelize.literal('(total_like + total_comment)'), 'DESC'], // Sort by total interactions
-          ["created_at", "DESC"] // Secondary sort by date
-        ],
-        distinct: true,
-      });
-
-      const totalPages = Math.ceil(posts.count / limit);
-
-      return {
-        success: true,
-        message: "Trending feed retrieved successfully",
-        data: {
-          posts: posts.rows,
-          pagination: {
-            current_page: parseInt(page),
-            total_pages: totalPages,
-            total_items: posts.count,
-            items_per_page: parseInt(limit),
-            has_next: page < totalPages,
-            has_prev: page > 1,
-          },
-        },
-      };
-    } catch (error) {
-      throw error;
-    }
+      },
+      { page, limit }
+    );
+
+    return {
+      success: true,
+      message: "Posts search completed successfully",
+      data: {
+        posts: result.rows,
+        pagination: buildPaginationMeta(result),
+      },
+    };
   }
 
   /**
@@ -559,110 +529,242 @@ class SocialMediaService {
   }
 
   /**
-   * Like/Unlike a post
+   * Konfigurasi konten yang bisa di-like dan dikomentari.
+   * @param {string} type - post | review | article
+   * @returns {object}
+   */
+  static getInteractionTarget(type) {
+    const target = INTERACTION_TARGETS[type];
+    if (!target) {
+      throw httpError(`Invalid content type. Valid options: ${Object.keys(INTERACTION_TARGETS).join(", ")}`, 400);
+    }
+    return target;
+  }
+
+  /**
+   * Cari konten yang aktif, opsional dengan lock baris.
+   * @param {string} type
+   * @param {number} id
+   * @param {object} transaction
+   * @returns {Promise<object>}
+   */
+  static async findInteractionTarget(type, id, transaction = null) {
+    const target = this.getInteractionTarget(type);
+    const record = await target.model().findOne({
+      where: { id, ...target.where },
+      transaction,
+      ...(transaction && { lock: transaction.LOCK.UPDATE }),
+    });
+    if (!record) {
+      throw httpError(`${target.label} not found`, 404);
+    }
+    return record;
+  }
+
+  /**
+   * Hitung ulang jumlah like konten dan simpan ke kolom penghitungnya (jika ada).
+   * Dipanggil di dalam transaction yang sudah me-lock konten.
+   * @param {string} type
+   * @param {object} record
+   * @param {object} transaction
+   * @returns {Promise<number>}
+   */
+  static async refreshLikeCount(type, record, transaction = null) {
+    const target = this.getInteractionTarget(type);
+    const totalLike = await UserLike.count({
+      where: { related_to_id: record.id, related_to_type: target.like_type },
+      transaction,
+    });
+    if (target.like_counter) {
+      await record.update({ [target.like_counter]: totalLike }, { transaction });
+    }
+    return totalLike;
+  }
+
+  /**
+   * Hitung ulang jumlah komentar konten yang belum dihapus (termasuk balasan)
+   * dan simpan ke kolom penghitungnya (jika ada).
+   * @param {string} type
+   * @param {object} record
+   * @param {object} transaction
+   * @returns {Promise<number>}
+   */
+  static async refreshCommentCount(type, record, transaction = null) {
+    const target = this.getInteractionTarget(type);
+    const totalComment = await UserComment.count({
+      where: {
+        related_to_id: record.id,
+        related_to_type: target.comment_type,
+        deleted_at: null,
+      },
+      transaction,
+    });
+    if (target.comment_counter) {
+      await record.update({ [target.comment_counter]: totalComment }, { transaction });
+    }
+    return totalComment;
+  }
+
+  /**
+   * ID konten yang sudah di-like pengguna dari daftar ID.
+   * @param {string} type
+   * @param {number} user_id
+   * @param {Array<number>} ids
+   * @returns {Promise<Set<number>>}
+   */
+  static async getLikedIds(type, user_id, ids) {
+    if (!user_id || ids.length === 0) {
+      return new Set();
+    }
+
+    const likes = await UserLike.findAll({
+      where: {
+        user_id,
+        related_to_id: { [Op.in]: ids },
+        related_to_type: this.getInteractionTarget(type).like_type,
+      },
+      attributes: ["related_to_id"],
+      raw: true,
+    });
+    return new Set(likes.map((like) => parseInt(like.related_to_id)));
+  }
+
+  /**
+   * Jumlah like & komentar sebuah konten beserta status like pengguna.
+   * @param {string} type
+   * @param {number} id
+   * @param {number} user_id
+   * @returns {Promise<{ is_liked: boolean, total_likes: number, total_comments: number }>}
+   */
+  static async getInteractionSummary(type, id, user_id = null) {
+    const target = this.getInteractionTarget(type);
+    const [likedIds, totalLikes, totalComments] = await Promise.all([
+      this.getLikedIds(type, user_id, [id]),
+      UserLike.count({ where: { related_to_id: id, related_to_type: target.like_type } }),
+      UserComment.count({ where: { related_to_id: id, related_to_type: target.comment_type, deleted_at: null } }),
+    ]);
+
+    return {
+      is_liked: likedIds.has(parseInt(id)),
+      total_likes: totalLikes,
+      total_comments: totalComments,
+    };
+  }
+
+  /**
+   * Like/Unlike konten (post, review, atau artikel)
+   * @param {string} type - post | review | article
    * @param {number} user_id - ID pengguna
-   * @param {number} post_id - ID post
+   * @param {number} id - ID konten
    * @returns {Promise<object>}
    */
-  static async togglePostLike(user_id, post_id) {
+  static async toggleLike(type, user_id, id) {
+    const target = this.getInteractionTarget(type);
     const transaction = await sequelize.transaction();
 
     try {
-      // Check if post exists
-      const post = await Post.findByPk(post_id, { transaction });
-      if (!post) {
-        throw new Error("Post not found");
-      }
+      // Lock konten agar jumlah like dihitung ulang berurutan
+      const record = await this.findInteractionTarget(type, id, transaction);
 
-      // Check if user already liked this post
       const existingLike = await UserLike.findOne({
         where: {
           user_id,
-          related_to_id: post_id,
-          related_to_type: "App\\Models\\Post",
+          related_to_id: record.id,
+          related_to_type: target.like_type,
         },
         transaction,
       });
 
-      let isLiked = false;
-      let newLikeCount = post.total_like;
-
+      const isLiked = !existingLike;
       if (existingLike) {
-        // Unlike the post
         await existingLike.destroy({ transaction });
-        newLikeCount = Math.max(0, post.total_like - 1);
-        isLiked = false;
       } else {
-        // Like the post
         await UserLike.create(
           {
             user_id,
-            related_to_id: post_id,
-            related_to_type: "App\\Models\\Post",
+            related_to_id: record.id,
+            related_to_type: target.like_type,
           },
           { transaction }
         );
-        newLikeCount = post.total_like + 1;
-        isLiked = true;
       }
 
-      // Update post like count
-      await post.update(
-        {
-          total_like: newLikeCount,
-        },
-        { transaction }
-      );
+      const newLikeCount = await this.refreshLikeCount(type, record, transaction);
 
       await transaction.commit();
 
+      if (isLiked) {
+        await NotificationService.notify(record.user_id, "post_like", {
+          actor_id: user_id,
+          related: { type: target.comment_type, id: record.id },
+          data: { content_type: type },
+        });
+      }
+
       return {
         success: true,
         message: isLiked
-          ? "Post liked successfully"
-          : "Post unliked successfully",
+          ? `${target.label} liked successfully`
+          : `${target.label} unliked successfully`,
         data: {
           is_liked: isLiked,
           total_likes: newLikeCount,
         },
       };
     } catch (error) {
-      await transaction.rollback();
+      if (!transaction.finished) await transaction.rollback();
       throw error;
     }
   }
 
   /**
-   * Add comment to post
+   * Like/Unlike a post
    * @param {number} user_id - ID pengguna
    * @param {number} post_id - ID post
+   * @returns {Promise<object>}
+   */
+  static async togglePostLike(user_id, post_id) {
+    return this.toggleLike("post", user_id, post_id);
+  }
+
+  /**
+   * Tambah komentar atau balasan pada konten
+   * @param {string} type - post | review | article
+   * @param {number} user_id - ID pengguna
+   * @param {number} id - ID konten
    * @param {object} commentData - Data komentar
    * @param {string} commentData.content - Konten komentar
-   * @param {number} commentData.parent_id - ID parent komentar (opsional)
+   * @param {number} commentData.parent_id - ID komentar yang dibalas (opsional)
    * @returns {Promise<object>}
    */
-  static async addPostComment(user_id, post_id, commentData) {
+  static async addComment(type, user_id, id, commentData) {
+    const target = this.getInteractionTarget(type);
+    const { content, parent_id } = commentData;
+    if (typeof content !== "string" || content.trim().length === 0 || content.length > 1000) {
+      throw httpError("Content must be between 1 and 1000 characters", 400);
+    }
+
     const transaction = await sequelize.transaction();
 
     try {
-      const { content, parent_id } = commentData;
 
-      // Check if post exists
-      const post = await Post.findByPk(post_id, { transaction });
-      if (!post) {
-        throw new Error("Post not found");
-      }
+      // Lock konten agar jumlah komentar dihitung ulang berurutan
+      const record = await this.findInteractionTarget(type, id, transaction);
 
-      // Check if parent comment exists (for replies)
+      // Check if parent comment exists (for replies); deleted comments can't be replied to
+      let parentComment = null;
       if (parent_id) {
-        const parentComment = await UserComment.findByPk(parent_id, {
+        parentComment = await UserComment.findOne({
+          where: {
+            id: parent_id,
+            related_to_id: record.id,
+            related_to_type: target.comment_type,
+            deleted_at: null,
+          },
           transaction,
         });
-        if (
-          !parentComment ||
-          parentComment.related_to_id !== parseInt(post_id)
-        ) {
-          throw new Error("Parent comment not found");
+        if (!parentComment) {
+          throw httpError("Parent comment not found", 404);
         }
       }
 
@@ -670,31 +772,41 @@ class SocialMediaService {
       const comment = await UserComment.create(
         {
           user_id,
-          related_to_id: post_id,
-          related_to_type: "Post",
+          related_to_id: record.id,
+          related_to_type: target.comment_type,
           content,
-          parent_id,
+          parent_id: parentComment ? parentComment.id : null,
         },
         { transaction }
       );
 
-      // Update post comment count
-      await post.update(
-        {
-          total_comment: post.total_comment + 1,
-        },
-        { transaction }
-      );
+      await this.refreshCommentCount(type, record, transaction);
 
       await transaction.commit();
 
+      // Balasan menotifikasi penulis komentar induk; pemilik konten cukup sekali
+      if (parentComment) {
+        await NotificationService.notify(parentComment.user_id, "comment_reply", {
+          actor_id: user_id,
+          related: { type: "Comment", id: comment.id },
+          data: { content_type: type, content_id: record.id, parent_id: parentComment.id },
+        });
+      }
+      if (!parentComment || parentComment.user_id !== record.user_id) {
+        await NotificationService.notify(record.user_id, "post_comment", {
+          actor_id: user_id,
+          related: { type: target.comment_type, id: record.id },
+          data: { content_type: type, comment_id: comment.id },
+        });
+      }
+
       // Load the created comment with user info
       const createdComment = await UserComment.findByPk(comment.id, {
         include: [
           {
             model: User,
             as: "user",
-            attributes: ["id", "name", "username", "imageUrl"],
+            attributes: COMMENT_USER_ATTRIBUTES,
           },
         ],
       });
@@ -702,131 +814,366 @@ class SocialMediaService {
       return {
         success: true,
         message: "Comment added successfully",
-        data: createdComment,
+        data: this.describeComment(createdComment),
       };
     } catch (error) {
-      await transaction.rollback();
+      if (!transaction.finished) await transaction.rollback();
       throw error;
     }
   }
 
   /**
-   * Get post comments
+   * Add comment to post
+   * @param {number} user_id - ID pengguna
    * @param {number} post_id - ID post
+   * @param {object} commentData - Data komentar ({ content, parent_id })
+   * @returns {Promise<object>}
+   */
+  static async addPostComment(user_id, post_id, commentData) {
+    return this.addComment("post", user_id, post_id, commentData);
+  }
+
+  /**
+   * Bentuk respons komentar. Komentar yang dihapus tetap tampil (tanpa isi dan
+   * penulis) agar balasannya tetap berada di thread yang sama.
+   * @param {object} comment - Instance UserComment (dengan include user)
+   * @param {object} replyCounts - Jumlah balasan per ID komentar
+   * @returns {object}
+   */
+  static describeComment(comment, replyCounts = {}) {
+    const isDeleted = comment.deleted_at !== null && comment.deleted_at !== undefined;
+    return {
+      id: comment.id,
+      related_to_type: comment.related_to_type,
+      related_to_id: comment.related_to_id,
+      parent_id: comment.parent_id,
+      user_id: isDeleted ? null : comment.user_id,
+      user: isDeleted ? null : comment.user || null,
+      content: isDeleted ? null : comment.content,
+      is_edited: !isDeleted && Boolean(comment.edited_at),
+      is_deleted: isDeleted,
+      reply_count: replyCounts[comment.id] || 0,
+      created_at: comment.created_at,
+      updated_at: comment.updated_at,
+    };
+  }
+
+  /**
+   * Jumlah balasan langsung untuk setiap komentar.
+   * @param {Array<number>} comment_ids
+   * @returns {Promise<object>} { [comment_id]: count }
+   */
+  static async countReplies(comment_ids) {
+    if (comment_ids.length === 0) {
+      return {};
+    }
+
+    const rows = await UserComment.findAll({
+      attributes: ["parent_id", [sequelize.fn("COUNT", sequelize.col("id")), "count"]],
+      where: { parent_id: { [Op.in]: comment_ids } },
+      group: ["parent_id"],
+      raw: true,
+    });
+
+    return Object.fromEntries(rows.map((row) => [row.parent_id, parseInt(row.count)]));
+  }
+
+  /**
+   * Cari komentar milik konten, termasuk yang sudah dihapus.
+   * @param {string} type
+   * @param {number} id - ID konten
+   * @param {number} comment_id
+   * @param {object} transaction
+   * @returns {Promise<object>}
+   */
+  static async findComment(type, id, comment_id, transaction = null) {
+    const comment = await UserComment.findOne({
+      where: {
+        id: comment_id,
+        related_to_id: id,
+        related_to_type: this.getInteractionTarget(type).comment_type,
+      },
+      include: [
+        {
+          model: User,
+          as: "user",
+          attributes: COMMENT_USER_ATTRIBUTES,
+        },
+      ],
+      transaction,
+    });
+    if (!comment) {
+      throw httpError("Comment not found", 404);
+    }
+    return comment;
+  }
+
+  /**
+   * Komentar utama konten (terbaru lebih dulu) beserta jumlah balasan dan beberapa
+   * balasan pertama. Balasan selanjutnya diambil lewat getCommentReplies.
+   * @param {string} type - post | review | article
+   * @param {number} id - ID konten
    * @param {number} page - Halaman
    * @param {number} limit - Limit per halaman
+   * @param {number} reply_limit - Jumlah balasan yang disertakan per komentar
+   * @param {string|null} cursor - next_cursor dari halaman sebelumnya
    * @returns {Promise<object>}
    */
-  static async getPostComments(post_id, page = 1, limit = 20) {
-    try {
-      const offset = (page - 1) * limit;
+  static async getComments(type, id, page = 1, limit = 20, reply_limit = 3, cursor = null) {
+    const target = this.getInteractionTarget(type);
+    const record = await this.findInteractionTarget(type, id);
 
-      const comments = await UserComment.findAndCountAll({
+    const comments = await paginate(
+      UserComment,
+      {
         where: {
-          related_to_id: post_id,
-          related_to_type: "Post",
+          related_to_id: record.id,
+          related_to_type: target.comment_type,
           parent_id: null, // Only get top-level comments
         },
         include: [
           {
             model: User,
             as: "user",
-            attributes: ["id", "name", "username", "imageUrl"],
+            attributes: COMMENT_USER_ATTRIBUTES,
           },
-          {
-            model: UserComment,
-            as: "replies",
+        ],
+      },
+      { page, limit, cursor }
+    );
+
+    const replies = reply_limit > 0
+      ? await Promise.all(
+        comments.rows.map((comment) =>
+          UserComment.findAll({
+            where: { parent_id: comment.id },
             include: [
               {
                 model: User,
                 as: "user",
-                attributes: ["id", "name", "username", "imageUrl"],
+                attributes: COMMENT_USER_ATTRIBUTES,
               },
             ],
-          },
-        ],
-        limit: parseInt(limit),
-        offset: parseInt(offset),
-        order: [["created_at", "DESC"]],
-      });
-
-      const totalPages = Math.ceil(comments.count / limit);
-
-      return {
-        success: true,
-        message: "Comments retrieved successfully",
-        data: {
-          comments: comments.rows,
-          pagination: {
-            current_page: parseInt(page),
-            total_pages: totalPages,
-            total_items: comments.count,
-            items_per_page: parseInt(limit),
-            has_next: page < totalPages,
-            has_prev: page > 1,
-          },
-        },
-      };
-    } catch (error) {
-      throw error;
-    }
+            order: [
+              ["created_at", "ASC"],
+              ["id", "ASC"],
+            ],
+            limit: parseInt(reply_limit),
+          })
+        )
+      )
+      : comments.rows.map(() => []);
+    const replyCounts = await this.countReplies([
+      ...comments.rows.map((comment) => comment.id),
+      ...replies.flat().map((reply) => reply.id),
+    ]);
+
+    return {
+      success: true,
+      message: "Comments retrieved successfully",
+      data: {
+        comments: comments.rows.map((comment, index) => {
+          const described = this.describeComment(comment, replyCounts);
+          return {
+            ...described,
+            replies: replies[index].map((reply) => this.describeComment(reply, replyCounts)),
+            has_more_replies: described.reply_count > replies[index].length,
+          };
+        }),
+        pagination: buildPaginationMeta(comments),
+      },
+    };
   }
 
   /**
-   * Get all likes for a post
+   * Get post comments
    * @param {number} post_id - ID post
    * @param {number} page - Halaman
    * @param {number} limit - Limit per halaman
+   * @param {number} reply_limit - Jumlah balasan yang disertakan per komentar
+   * @param {string|null} cursor - next_cursor dari halaman sebelumnya
    * @returns {Promise<object>}
    */
-  static async getPostLikes(post_id, page = 1, limit = 20) {
-    try {
-      const offset = (page - 1) * limit;
+  static async getPostComments(post_id, page = 1, limit = 20, reply_limit = 3, cursor = null) {
+    return this.getComments("post", post_id, page, limit, reply_limit, cursor);
+  }
 
-      // Check if post exists
-      const post = await Post.findByPk(post_id);
-      if (!post) {
-        throw new Error("Post not found");
-      }
+  /**
+   * Balasan langsung sebuah komentar (terlama lebih dulu), masing-masing dengan jumlah balasannya.
+   * @param {string} type - post | review | article
+   * @param {number} id - ID konten
+   * @param {number} comment_id - ID komentar induk
+   * @param {number} page - Halaman (dipakai jika cursor kosong)
+   * @param {number} limit - Limit per halaman
+   * @param {string|null} cursor - next_cursor dari halaman sebelumnya
+   * @returns {Promise<object>}
+   */
+  static async getCommentReplies(type, id, comment_id, page = 1, limit = 20, cursor = null) {
+    const parent = await this.findComment(type, id, comment_id);
 
-      const likes = await UserLike.findAndCountAll({
-        where: {
-          related_to_id: post_id,
-          related_to_type: "App\\Models\\Post",
-        },
+    const replies = await paginate(
+      UserComment,
+      {
+        where: { parent_id: parent.id },
         include: [
           {
             model: User,
             as: "user",
-            attributes: ["id", "name", "username", "imageUrl"],
+            attributes: COMMENT_USER_ATTRIBUTES,
           },
         ],
-        limit: parseInt(limit),
-        offset: parseInt(offset),
-        order: [["created_at", "DESC"]],
-      });
+      },
+      { page, limit, cursor, direction: "ASC" }
+    );
+
+    const replyCounts = await this.countReplies([
+      parent.id,
+      ...replies.rows.map((reply) => reply.id),
+    ]);
+
+    return {
+      success: true,
+      message: "Replies retrieved successfully",
+      data: {
+        comment: this.describeComment(parent, replyCounts),
+        replies: replies.rows.map((reply) => this.describeComment(reply, replyCounts)),
+        pagination: buildPaginationMeta(replies),
+      },
+    };
+  }
+
+  /**
+   * Edit komentar sendiri
+   * @param {string} type - post | review | article
+   * @param {number} user_id - ID pengguna
+   * @param {number} id - ID konten
+   * @param {number} comment_id - ID komentar
+   * @param {string} content - Konten baru
+   * @returns {Promise<object>}
+   */
+  static async updateComment(type, user_id, id, comment_id, content) {
+    if (typeof content !== "string" || content.trim().length === 0 || content.length > 1000) {
+      throw httpError("Content must be between 1 and 1000 characters", 400);
+    }
+
+    const comment = await this.findComment(type, id, comment_id);
+    if (comment.deleted_at) {
+      throw httpError("Comment not found", 404);
+    }
+    if (parseInt(comment.user_id) !== parseInt(user_id)) {
+      throw httpError("You can only edit your own comment", 403);
+    }
 
-      const totalPages = Math.ceil(likes.count / limit);
+    await comment.update({ content, edited_at: new Date() });
+    const replyCounts = await this.countReplies([comment.id]);
+
+    return {
+      success: true,
+      message: "Comment updated successfully",
+      data: this.describeComment(comment, replyCounts),
+    };
+  }
+
+  /**
+   * Hapus komentar (soft delete). Boleh dilakukan penulis komentar atau pemilik konten.
+   * @param {string} type - post | review | article
+   * @param {number} user_id - ID pengguna
+   * @param {number} id - ID konten
+   * @param {number} comment_id - ID komentar
+   * @returns {Promise<object>}
+   */
+  static async deleteComment(type, user_id, id, comment_id) {
+    const transaction = await sequelize.transaction();
+
+    try {
+      const record = await this.findInteractionTarget(type, id, transaction);
+
+      const comment = await this.findComment(type, record.id, comment_id, transaction);
+      if (comment.deleted_at) {
+        throw httpError("Comment not found", 404);
+      }
+      if (parseInt(comment.user_id) !== parseInt(user_id) && parseInt(record.user_id) !== parseInt(user_id)) {
+        throw httpError("You are not allowed to delete this comment", 403);
+      }
+
+      await comment.update({ deleted_at: new Date() }, { transaction });
+      const totalComment = await this.refreshCommentCount(type, record, transaction);
+
+      await transaction.commit();
 
       return {
         success: true,
-        message: "Post likes retrieved successfully",
+        message: "Comment deleted successfully",
         data: {
-          likes: likes.rows,
-          pagination: {
-            current_page: parseInt(page),
-            total_pages: totalPages,
-            total_items: likes.count,
-            items_per_page: parseInt(limit),
-            has_next: page < totalPages,
-            has_prev: page > 1,
-          },
+          id: comment.id,
+          total_comments: totalComment,
         },
       };
     } catch (error) {
+      if (!transaction.finished) await transaction.rollback();
       throw error;
     }
   }
+
+  /**
+   * Daftar pengguna yang me-like konten
+   * @param {string} type - post | review | article
+   * @param {number} id - ID konten
+   * @param {number} page - Halaman
+   * @param {number} limit - Limit per halaman
+   * @returns {Promise<object>}
+   */
+  static async getLikes(type, id, page = 1, limit = 20) {
+    const target = this.getInteractionTarget(type);
+    const offset = (page - 1) * limit;
+    const record = await this.findInteractionTarget(type, id);
+
+    const likes = await UserLike.findAndCountAll({
+      where: {
+        related_to_id: record.id,
+        related_to_type: target.like_type,
+      },
+      include: [
+        {
+          model: User,
+          as: "user",
+          attributes: ["id", "name", "username", "imageUrl"],
+        },
+      ],
+      limit: parseInt(limit),
+      offset: parseInt(offset),
+      order: [["created_at", "DESC"]],
+    });
+
+    const totalPages = Math.ceil(likes.count / limit);
+
+    return {
+      success: true,
+      message: `${target.label} likes retrieved successfully`,
+      data: {
+        likes: likes.rows,
+        pagination: {
+          current_page: parseInt(page),
+          total_pages: totalPages,
+          total_items: likes.count,
+          items_per_page: parseInt(limit),
+          has_next: page < totalPages,
+          has_prev: page > 1,
+        },
+      },
+    };
+  }
+
+  /**
+   * Get all likes for a post
+   * @param {number} post_id - ID post
+   * @param {number} page - Halaman
+   * @param {number} limit - Limit per halaman
+   * @returns {Promise<object>}
+   */
+  static async getPostLikes(post_id, page = 1, limit = 20) {
+    return this.getLikes("post", post_id, page, limit);
+  }
 }
 
 module.exports = SocialMediaService;
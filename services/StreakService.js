@@ -0,0 +1,363 @@
+const { Op } = require('sequelize');
+const { sequelize } = require('../config/database');
+const User = require('../models/User');
+const Checkin = require('../models/Checkin');
+const Review = require('../models/Review');
+const Reward = require('../models/Reward');
+const UserReward = require('../models/UserReward');
+const UserStreakReward = require('../models/UserStreakReward');
+const RewardService = require('./RewardService');
+const { DEFAULT_TIMEZONE, STREAK_MILESTONES } = require('../config/gamification');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Day keys (YYYY-MM-DD) are handled as whole day numbers since the epoch
+ * so consecutive days differ by exactly one regardless of DST.
+ */
+const toDayNumber = (dayKey) => Math.round(Date.parse(`${dayKey}T00:00:00Z`) / DAY_MS);
+const fromDayNumber = (dayNumber) => new Date(dayNumber * DAY_MS).toISOString().slice(0, 10);
+
+/**
+ * Week index of a day number; weeks start on Monday like the weekly leaderboard.
+ * Day 4 (1970-01-05) is the first Monday after the epoch.
+ */
+const toWeekNumber = (dayNumber) => Math.floor((dayNumber - 4) / 7);
+const weekStart = (weekNumber) => fromDayNumber(weekNumber * 7 + 4);
+
+/**
+ * Check whether a string is a timezone known to Intl
+ */
+const isValidTimezone = (timezone) => {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+/**
+ * StreakService
+ * Streak check-in & aktivitas (check-in + review) harian dan mingguan,
+ * dihitung dari timestamp Checkin/Review dalam zona waktu pengguna
+ * (users.additional_info.user_settings.timezone).
+ * Streak freeze adalah Reward dengan additional_info.item = 'streak_freeze' yang
+ * otomatis dipakai saat check-in untuk menutup hari yang terlewat pada streak check-in harian.
+ */
+class StreakService {
+  /**
+   * Zona waktu pengguna, atau DEFAULT_TIMEZONE jika belum diatur/tidak valid.
+   * @param {object} user
+   * @returns {string}
+   */
+  static getTimezone(user) {
+    const settings = ((user && user.additionalInfo) || {}).user_settings || {};
+    return settings.timezone && isValidTimezone(settings.timezone) ? settings.timezone : DEFAULT_TIMEZONE;
+  }
+
+  /**
+   * Nomor hari sebuah waktu dalam zona waktu tertentu.
+   * @param {Date} date
+   * @param {string} timezone
+   * @returns {number}
+   */
+  static dayNumber(date, timezone) {
+    // en-CA memformat tanggal sebagai YYYY-MM-DD
+    const dayKey = new Intl.DateTimeFormat('en-CA', {
+      timeZone: timezone,
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit'
+    }).format(new Date(date));
+    return toDayNumber(dayKey);
+  }
+
+  /**
+   * Hitung streak dari kumpulan unit (hari atau minggu) yang aktif.
+   * Unit jembatan (hari yang di-freeze) menyambung streak tetapi tidak menambah panjangnya.
+   * Streak masih berjalan jika unit terakhir adalah unit ini atau unit sebelumnya.
+   * @param {Set<number>} active
+   * @param {Set<number>} bridges
+   * @param {number} currentUnit
+   * @returns {{ current: number, longest: number, started: number|null, last_active: number|null }}
+   */
+  static computeStreak(active, bridges, currentUnit) {
+    const units = [...new Set([...active, ...bridges])]
+      .filter(unit => unit <= currentUnit)
+      .sort((a, b) => a - b);
+
+    let longest = 0;
+    let run = 0;
+    let started = null;
+    let previous = null;
+    let lastActive = null;
+
+    for (const unit of units) {
+      if (previous === null || unit !== previous + 1) {
+        run = 0;
+        started = null;
+      }
+      if (active.has(unit)) {
+        run++;
+        if (started === null) started = unit;
+        lastActive = unit;
+      }
+      longest = Math.max(longest, run);
+      previous = unit;
+    }
+
+    const alive = previous !== null && previous >= currentUnit - 1 && run > 0;
+    return {
+      current: alive ? run : 0,
+      longest,
+      started: alive ? started : null,
+      last_active: lastActive
+    };
+  }
+
+  /**
+   * Hari-hari aktif pengguna: hari dengan check-in, dan hari dengan check-in atau review.
+   * @param {number} user_id
+   * @param {string} timezone
+   * @param {object} transaction
+   * @returns {Promise<{ checkin: Set<number>, activity: Set<number> }>}
+   */
+  static async getActiveDays(user_id, timezone, transaction = null) {
+    const [checkins, reviews] = await Promise.all([
+      Checkin.findAll({ where: { user_id }, attributes: ['created_at'], raw: true, transaction }),
+      Review.findAll({ where: { user_id, status: true }, attributes: ['created_at'], raw: true, transaction })
+    ]);
+
+    const checkin = new Set(checkins.map(row => this.dayNumber(row.created_at, timezone)));
+    const activity = new Set([...checkin, ...reviews.map(row => this.dayNumber(row.created_at, timezone))]);
+    return { checkin, activity };
+  }
+
+  /**
+   * Streak freeze milik pengguna: yang belum dipakai dan hari yang sudah di-freeze.
+   * @param {number} user_id
+   * @param {object} options - { transaction, lock }
+   * @returns {Promise<{ available: Array<object>, frozen: Set<number> }>}
+   */
+  static async getFreezes(user_id, { transaction = null, lock = false } = {}) {
+    const rewards = await Reward.findAll({ attributes: ['id', 'additional_info'], transaction });
+    const freezeIds = rewards.filter(reward => RewardService.isStreakFreeze(reward)).map(reward => reward.id);
+    if (freezeIds.length === 0) {
+      return { available: [], frozen: new Set() };
+    }
+
+    const owned = await UserReward.findAll({
+      where: {
+        user_id,
+        reward_id: freezeIds,
+        redemption_status: { [Op.in]: ['redeemed', 'claimed'] }
+      },
+      order: [['created_at', 'ASC'], ['id', 'ASC']],
+      transaction,
+      ...(lock && transaction && { lock: transaction.LOCK.UPDATE })
+    });
+
+    return {
+      available: owned.filter(userReward => userReward.redemption_status === 'redeemed'),
+      frozen: new Set(owned
+        .filter(userReward => userReward.redemption_status === 'claimed' && (userReward.additional_info || {}).frozen_on)
+        .map(userReward => toDayNumber(userReward.additional_info.frozen_on)))
+    };
+  }
+
+  /**
+   * Hari-hari terlewat yang bisa ditutup freeze, dihitung dari hari aktif terakhir sebelum hari ini.
+   * Freeze hanya dipakai jika jumlahnya cukup menutup semua hari yang terlewat.
+   * @param {Set<number>} checkin - Hari dengan check-in
+   * @param {Set<number>} frozen - Hari yang sudah di-freeze
+   * @param {number} available - Jumlah freeze yang belum dipakai
+   * @param {number} today
+   * @returns {Array<number>}
+   */
+  static planFreezes(checkin, frozen, available, today) {
+    const days = [...checkin, ...frozen].filter(day => day < today);
+    if (days.length === 0) {
+      return [];
+    }
+
+    const last = Math.max(...days);
+    const missed = today - 1 - last;
+    if (missed <= 0 || missed > available || this.computeStreak(checkin, frozen, last).current === 0) {
+      return [];
+    }
+
+    return Array.from({ length: missed }, (_, i) => last + 1 + i);
+  }
+
+  /**
+   * Pakai streak freeze untuk hari-hari yang terlewat sebelum check-in hari ini.
+   * @param {object} user
+   * @param {Date} now
+   * @returns {Promise<Array<string>>} Hari yang di-freeze
+   */
+  static async applyFreezes(user, now = new Date()) {
+    const timezone = this.getTimezone(user);
+    const today = this.dayNumber(now, timezone);
+
+    const transaction = await sequelize.transaction();
+    try {
+      // Lock baris user agar dua request tidak memakai freeze yang sama
+      await User.findByPk(user.id, { transaction, lock: transaction.LOCK.UPDATE });
+
+      const [{ checkin }, { available, frozen }] = await Promise.all([
+        this.getActiveDays(user.id, timezone, transaction),
+        this.getFreezes(user.id, { transaction, lock: true })
+      ]);
+
+      const frozenDays = [];
+      const planned = this.planFreezes(checkin, frozen, available.length, today);
+      for (const [i, day] of planned.entries()) {
+        const frozenOn = fromDayNumber(day);
+        await available[i].update({
+          redemption_status: 'claimed',
+          claimed_at: now,
+          additional_info: { ...(available[i].additional_info || {}), frozen_on: frozenOn }
+        }, { transaction });
+        frozenDays.push(frozenOn);
+      }
+
+      await transaction.commit();
+      return frozenDays;
+    } catch (error) {
+      await transaction.rollback();
+      throw error;
+    }
+  }
+
+  /**
+   * Streak harian & mingguan pengguna. Hanya membaca: freeze yang cukup menutup hari
+   * yang terlewat ikut menyambung streak, tetapi baru dipakai saat check-in berikutnya.
+   * @param {object} user - Instance User (butuh id & additionalInfo)
+   * @param {Date} now
+   * @returns {Promise<object>}
+   */
+  static async getStreaks(user, now = new Date()) {
+    const timezone = this.getTimezone(user);
+    const today = this.dayNumber(now, timezone);
+    const [{ checkin, activity }, { available, frozen: usedFreezes }] = await Promise.all([
+      this.getActiveDays(user.id, timezone),
+      this.getFreezes(user.id)
+    ]);
+    const frozen = new Set([...usedFreezes, ...this.planFreezes(checkin, usedFreezes, available.length, today)]);
+
+    const describeDaily = (streak) => ({
+      current: streak.current,
+      longest: streak.longest,
+      started_on: streak.started !== null ? fromDayNumber(streak.started) : null,
+      last_active_on: streak.last_active !== null ? fromDayNumber(streak.last_active) : null
+    });
+    const describeWeekly = (days) => {
+      const streak = this.computeStreak(new Set([...days].map(toWeekNumber)), new Set(), toWeekNumber(today));
+      return {
+        current: streak.current,
+        longest: streak.longest,
+        started_on: streak.started !== null ? weekStart(streak.started) : null
+      };
+    };
+
+    const dailyCheckin = this.computeStreak(checkin, frozen, today);
+    const nextMilestone = STREAK_MILESTONES.find(milestone => milestone.days > dailyCheckin.current);
+
+    return {
+      timezone,
+      daily: {
+        checkin: describeDaily(dailyCheckin),
+        activity: describeDaily(this.computeStreak(activity, frozen, today))
+      },
+      weekly: {
+        checkin: describeWeekly(checkin),
+        activity: describeWeekly(activity)
+      },
+      freezes: {
+        available: available.length,
+        used: usedFreezes.size
+      },
+      next_milestone: nextMilestone
+        ? { ...nextMilestone, days_remaining: nextMilestone.days - dailyCheckin.current }
+        : null
+    };
+  }
+
+  /**
+   * Berikan bonus koin untuk milestone streak check-in yang tercapai.
+   * Setiap milestone dibayar sekali per streak (dikenali dari tanggal mulainya).
+   * @param {number} user_id
+   * @param {{ current: number, started_on: string|null }} streak - Streak check-in harian
+   * @returns {Promise<Array<{ days: number, coins: number }>>}
+   */
+  static async awardMilestones(user_id, streak) {
+    // Di-require di sini karena GamificationService juga memakai service ini
+    const GamificationService = require('./GamificationService');
+
+    const awarded = [];
+    if (!streak.started_on) {
+      return awarded;
+    }
+
+    for (const milestone of STREAK_MILESTONES) {
+      if (streak.current < milestone.days) {
+        continue;
+      }
+
+      const transaction = await sequelize.transaction();
+      try {
+        await GamificationService.lockUser(user_id, transaction);
+
+        const where = { user_id, streak_started_on: streak.started_on, milestone: milestone.days };
+        const existing = await UserStreakReward.findOne({ where, transaction });
+        if (existing) {
+          await transaction.commit();
+          continue;
+        }
+
+        const streakReward = await UserStreakReward.create({ ...where, coins: milestone.coins }, { transaction });
+        if (milestone.coins > 0) {
+          await GamificationService.addCoins(user_id, milestone.coins, { type: 'StreakReward', id: streakReward.id }, transaction);
+        }
+
+        await transaction.commit();
+        awarded.push({ days: milestone.days, coins: milestone.coins });
+      } catch (error) {
+        if (!transaction.finished) await transaction.rollback();
+        throw error;
+      }
+    }
+
+    return awarded;
+  }
+
+  /**
+   * Perbarui streak setelah check-in dan bayar milestone yang tercapai.
+   * Kegagalan dicatat di log dan tidak menggagalkan check-in.
+   * @param {number} user_id
+   * @returns {Promise<object|null>}
+   */
+  static async recordCheckin(user_id) {
+    try {
+      const user = await User.findByPk(user_id);
+      if (!user) {
+        return null;
+      }
+
+      await this.applyFreezes(user);
+      const streaks = await this.getStreaks(user);
+      const milestonesAwarded = await this.awardMilestones(user_id, streaks.daily.checkin);
+
+      return {
+        ...streaks,
+        milestones_awarded: milestonesAwarded
+      };
+    } catch (error) {
+      console.error('Error updating streak:', { user_id, error: error.message });
+      return null;
+    }
+  }
+}
+
+module.exports = StreakService;
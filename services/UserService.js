@@ -6,6 +6,8 @@ const Review = require('../models/Review');
 const Checkin = require('../models/Checkin');
 const { Op } = require('sequelize');
 const { sequelize } = require('../config/database');
+const LevelService = require('./LevelService');
+const StreakService = require('./StreakService');
 
 class UserService extends BaseService {
   constructor() {
@@ -18,23 +20,32 @@ class UserService extends BaseService {
    */
   getProfileAttributes() {
     return [
-      'id', 'name', 'username', 'email', 'imageUrl', 'totalCoin', 'totalExp',
+      'id', 'name', 'username', 'email', 'imageUrl', 'totalCoin', 'totalExp', 'level',
       'totalFollowing', 'totalFollower', 'totalCheckin', 'totalPost', 'totalArticle',
-      'totalReview', 'totalAchievement', 'totalChallenge', 'status', 'lastLoginAt',
+      'totalReview', 'totalAchievement', 'totalChallenge', 'status', 'role', 'lastLoginAt',
       'additionalInfo'
     ];
   }
 
   /**
-   * Get user by ID with profile attributes
+   * Get user by ID with profile attributes and level progress
    * @param {number} userId - User ID
    * @returns {Promise<Object|null>}
    */
   async getUserProfile(userId) {
     try {
-      return await User.findByPk(userId, {
+      const user = await User.findByPk(userId, {
         attributes: this.getProfileAttributes()
       });
+
+      if (!user) {
+        return null;
+      }
+
+      return {
+        ...user.toJSON(),
+        level_info: LevelService.getLevelInfo(user.totalExp)
+      };
     } catch (error) {
       throw new Error(`Error getting user profile: ${error.message}`);
     }
@@ -364,7 +375,7 @@ class UserService extends BaseService {
   }
 
   /**
-   * Get user statistics including totals and recent activity (last 30 days)
+   * Get user statistics including totals, recent activity (last 30 days) and streaks
    * @param {number} userId
    * @returns {Promise<Object>}
    */
@@ -374,7 +385,7 @@ class UserService extends BaseService {
         attributes: [
           'id', 'name', 'username', 'totalCoin', 'totalExp',
           'totalFollowing', 'totalFollower', 'totalPost',
-          'totalCheckin', 'totalReview'
+          'totalCheckin', 'totalReview', 'additionalInfo'
         ]
       });
 
@@ -382,6 +393,8 @@ class UserService extends BaseService {
         throw new Error('User not found');
       }
 
+      const streaks = await StreakService.getStreaks(user);
+
       const thirtyDaysAgo = new Date();
       thirtyDaysAgo.setDate(thirtyDaysAgo.getDate() - 30);
 
@@ -410,6 +423,11 @@ class UserService extends BaseService {
           posts_last_30_days: posts30,
           reviews_last_30_days: reviews30,
           checkins_last_30_days: checkins30
+        },
+        streaks: {
+          current_streak: streaks.daily.checkin.current,
+          longest_streak: streaks.daily.checkin.longest,
+          ...streaks
         }
       };
     } catch (error) {
@@ -438,15 +456,16 @@ class UserService extends BaseService {
       const sortField = validSortFields.includes(sort_by) ? sort_by : 'name';
       const sortOrderValue = validSortOrders.includes(String(sort_order).toUpperCase()) ? String(sort_order).toUpperCase() : 'ASC';
 
+      // LOWER + LIKE instead of iLike so the search also runs on MySQL
+      const pattern = `%${String(searchTerm).toLowerCase().replace(/[\\%_]/g, (char) => `\\${char}`)}%`;
+      const matches = (column) => sequelize.where(sequelize.fn('LOWER', sequelize.col(`User.${column}`)), { [Op.like]: pattern });
+
       const { count, rows: users } = await User.findAndCountAll({
         where: {
           [Op.and]: [
             { status: true },
             {
-              [Op.or]: [
-                { name: { [Op.iLike]: `%${searchTerm}%` } },
-                { username: { [Op.iLike]: `%${searchTerm}%` } }
-              ]
+              [Op.or]: [matches('name'), matches('username')]
             }
           ]
         },
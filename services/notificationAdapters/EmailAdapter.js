@@ -0,0 +1,37 @@
+const { NotificationAdapter, DeliveryError } = require('./NotificationAdapter');
+const { EMAIL_CONFIG, DELIVERY_HTTP_TIMEOUT_MS } = require('../../config/notifications');
+const { postJson } = require('../../utils/http');
+
+/**
+ * Sends the notification message to the user's email address through a
+ * transactional email HTTP API.
+ */
+class EmailAdapter extends NotificationAdapter {
+  constructor(config = EMAIL_CONFIG) {
+    super('email');
+    this.config = config;
+  }
+
+  async send({ notification, user }) {
+    if (!user.email) {
+      return { skipped: true };
+    }
+    if (!this.config.url) {
+      throw new DeliveryError('EMAIL_API_URL is not configured', { retryable: false });
+    }
+
+    const response = await postJson(this.config.url, {
+      from: this.config.from,
+      to: user.email,
+      subject: 'Notifikasi Snappie',
+      text: notification.message
+    }, {
+      headers: this.config.api_key ? { Authorization: `Bearer ${this.config.api_key}` } : {},
+      timeout: DELIVERY_HTTP_TIMEOUT_MS
+    });
+    this.checkResponse(response);
+    return {};
+  }
+}
+
+module.exports = EmailAdapter;
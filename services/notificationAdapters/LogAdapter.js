@@ -0,0 +1,33 @@
+const fs = require('fs');
+const { NotificationAdapter } = require('./NotificationAdapter');
+const { NOTIFICATION_LOG_FILE } = require('../../config/notifications');
+
+/**
+ * Development/test channel: appends each notification as a JSON line to
+ * NOTIFICATION_LOG_FILE, or prints it to the console when no file is set.
+ */
+class LogAdapter extends NotificationAdapter {
+  constructor(file = NOTIFICATION_LOG_FILE) {
+    super('log');
+    this.requiresDevices = true;
+    this.file = file;
+  }
+
+  async send({ notification, user, devices = [] }) {
+    if (!this.file) {
+      console.log(`🔔 Notification for user ${user.id}: ${notification.message}`);
+      return {};
+    }
+
+    const line = JSON.stringify({
+      user_id: user.id,
+      devices: devices.map(device => device.token),
+      notification,
+      logged_at: new Date().toISOString()
+    });
+    await fs.promises.appendFile(this.file, `${line}\n`);
+    return {};
+  }
+}
+
+module.exports = LogAdapter;
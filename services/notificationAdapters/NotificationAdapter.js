@@ -0,0 +1,54 @@
+/**
+ * Delivery failure; retryable failures are put back on the retry queue
+ */
+class DeliveryError extends Error {
+  constructor(message, { retryable = true } = {}) {
+    super(message);
+    this.name = 'DeliveryError';
+    this.retryable = retryable;
+  }
+}
+
+/**
+ * Base class for notification delivery channels.
+ * send() resolves when the notification was handed over, resolves with
+ * { skipped: true } when there is nothing to deliver to (e.g. no device tokens),
+ * and throws a DeliveryError otherwise.
+ */
+class NotificationAdapter {
+  /**
+   * @param {string} channel - Channel name used in NOTIFICATION_CHANNELS and notification_deliveries.channel
+   */
+  constructor(channel) {
+    this.channel = channel;
+    // Push adapters receive the recipient's registered devices
+    this.requiresDevices = false;
+  }
+
+  /**
+   * Deliver a notification
+   * @param {Object} payload - { notification, user, devices }
+   * @returns {Promise<{ skipped?: boolean, invalid_tokens?: Array<string> }>}
+   */
+  async send(payload) {
+    throw new Error(`${this.constructor.name} must implement send()`);
+  }
+
+  /**
+   * Turn a non-2xx HTTP response into a DeliveryError.
+   * Timeouts, rate limits and server errors are retryable; other client errors are not.
+   * @param {{ status: number, body: any }} response
+   */
+  checkResponse(response) {
+    if (response.status >= 200 && response.status < 300) {
+      return;
+    }
+    const retryable = response.status === 408 || response.status === 429 || response.status >= 500;
+    throw new DeliveryError(`${this.channel} responded with HTTP ${response.status}`, { retryable });
+  }
+}
+
+module.exports = {
+  NotificationAdapter,
+  DeliveryError
+};
@@ -0,0 +1,70 @@
+const { NotificationAdapter, DeliveryError } = require('./NotificationAdapter');
+const { PUSH_CONFIG, DELIVERY_HTTP_TIMEOUT_MS } = require('../../config/notifications');
+const { postJson } = require('../../utils/http');
+
+// Per-token errors meaning the device token will never work again
+const INVALID_TOKEN_ERRORS = ['NotRegistered', 'InvalidRegistration', 'Unregistered', 'BadDeviceToken'];
+
+/**
+ * FCM/APNs-style HTTP push: one request per registered device token.
+ * Tokens the gateway reports as unregistered are returned in invalid_tokens
+ * so they can be removed from the registry.
+ */
+class PushAdapter extends NotificationAdapter {
+  constructor(config = PUSH_CONFIG) {
+    super('push');
+    this.requiresDevices = true;
+    this.config = config;
+  }
+
+  async send({ notification, devices = [] }) {
+    if (devices.length === 0) {
+      return { skipped: true };
+    }
+    if (!this.config.server_key) {
+      throw new DeliveryError('PUSH_SERVER_KEY is not configured', { retryable: false });
+    }
+
+    const invalidTokens = [];
+    let retryableError = null;
+
+    for (const device of devices) {
+      try {
+        const response = await postJson(this.config.url, {
+          to: device.token,
+          notification: {
+            title: 'Snappie',
+            body: notification.message
+          },
+          data: {
+            notification_id: notification.id,
+            type: notification.type,
+            related_to_type: notification.related_to_type,
+            related_to_id: notification.related_to_id
+          }
+        }, {
+          headers: { Authorization: `key=${this.config.server_key}` },
+          timeout: DELIVERY_HTTP_TIMEOUT_MS
+        });
+
+        const result = response.body && Array.isArray(response.body.results) ? response.body.results[0] : null;
+        if (response.status === 404 || response.status === 410 || (result && INVALID_TOKEN_ERRORS.includes(result.error))) {
+          invalidTokens.push(device.token);
+          continue;
+        }
+        this.checkResponse(response);
+      } catch (error) {
+        if (error.retryable === false) throw error;
+        retryableError = error;
+      }
+    }
+
+    // Retry the whole delivery if any device failed temporarily
+    if (retryableError) {
+      throw new DeliveryError(retryableError.message);
+    }
+    return { invalid_tokens: invalidTokens };
+  }
+}
+
+module.exports = PushAdapter;
@@ -0,0 +1,37 @@
+const crypto = require('crypto');
+const { NotificationAdapter, DeliveryError } = require('./NotificationAdapter');
+const { WEBHOOK_CONFIG, DELIVERY_HTTP_TIMEOUT_MS } = require('../../config/notifications');
+const { postJson } = require('../../utils/http');
+
+/**
+ * POSTs every notification to NOTIFICATION_WEBHOOK_URL.
+ * With a secret set, X-Snappie-Signature carries sha256=<HMAC of the raw body>.
+ */
+class WebhookAdapter extends NotificationAdapter {
+  constructor(config = WEBHOOK_CONFIG) {
+    super('webhook');
+    this.config = config;
+  }
+
+  async send({ notification, user }) {
+    if (!this.config.url) {
+      throw new DeliveryError('NOTIFICATION_WEBHOOK_URL is not configured', { retryable: false });
+    }
+
+    const body = JSON.stringify({
+      event: 'notification.created',
+      user_id: user.id,
+      notification
+    });
+    const headers = {};
+    if (this.config.secret) {
+      headers['X-Snappie-Signature'] = `sha256=${crypto.createHmac('sha256', this.config.secret).update(body).digest('hex')}`;
+    }
+
+    const response = await postJson(this.config.url, body, { headers, timeout: DELIVERY_HTTP_TIMEOUT_MS });
+    this.checkResponse(response);
+    return {};
+  }
+}
+
+module.exports = WebhookAdapter;
@@ -0,0 +1,60 @@
+const { NotificationAdapter, DeliveryError } = require('./NotificationAdapter');
+const LogAdapter = require('./LogAdapter');
+const PushAdapter = require('./PushAdapter');
+const EmailAdapter = require('./EmailAdapter');
+const WebhookAdapter = require('./WebhookAdapter');
+const { NOTIFICATION_CHANNELS } = require('../../config/notifications');
+
+const ADAPTERS = {
+  log: LogAdapter,
+  push: PushAdapter,
+  email: EmailAdapter,
+  webhook: WebhookAdapter
+};
+
+const instances = {};
+
+/**
+ * Adapter instance for a channel, or null for unknown channels
+ * @param {string} channel
+ * @returns {NotificationAdapter|null}
+ */
+const getAdapter = (channel) => {
+  if (!ADAPTERS[channel]) {
+    return null;
+  }
+  if (!instances[channel]) {
+    instances[channel] = new ADAPTERS[channel]();
+  }
+  return instances[channel];
+};
+
+/**
+ * Channels enabled through NOTIFICATION_CHANNELS; unknown names are ignored
+ * @returns {Array<string>}
+ */
+const getEnabledChannels = () => NOTIFICATION_CHANNELS.filter(channel => {
+  if (!ADAPTERS[channel]) {
+    console.warn(`⚠️  Unknown notification channel "${channel}" ignored`);
+    return false;
+  }
+  return true;
+});
+
+/**
+ * Replace the adapter used for a channel (custom gateways, tests)
+ * @param {string} channel
+ * @param {NotificationAdapter} adapter
+ */
+const setAdapter = (channel, adapter) => {
+  ADAPTERS[channel] = ADAPTERS[channel] || adapter.constructor;
+  instances[channel] = adapter;
+};
+
+module.exports = {
+  NotificationAdapter,
+  DeliveryError,
+  getAdapter,
+  getEnabledChannels,
+  setAdapter
+};
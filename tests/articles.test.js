@@ -361,7 +361,7 @@ describe('Articles Endpoints', () => {
     });
   });
 
-  describe('PUT /api/v1/articles/:id', () => {
+  describe('PUT /api/v1/articles/id/:article_id', () => {
     it('should update article successfully', async () => {
       const updateData = {
         title: 'Updated Article Title',
@@ -373,7 +373,7 @@ describe('Articles Endpoints', () => {
       };
 
       const response = await request(app)
-        .put(`/api/v1/articles/${testArticle.id}`)
+        .put(`/api/v1/articles/id/${testArticle.id}`)
         .set('Authorization', `Bearer ${authToken}`)
         .send(updateData)
         .expect(200);
@@ -393,7 +393,7 @@ describe('Articles Endpoints', () => {
       };
 
       const response = await request(app)
-        .put(`/api/v1/articles/${testArticle.id}`)
+        .put(`/api/v1/articles/id/${testArticle.id}`)
         .set('Authorization', `Bearer ${authToken}`)
         .send(updateData)
         .expect(200);
@@ -409,7 +409,7 @@ describe('Articles Endpoints', () => {
       };
 
       const response = await request(app)
-        .put('/api/v1/articles/99999')
+        .put('/api/v1/articles/id/99999')
         .set('Authorization', `Bearer ${authToken}`)
         .send(updateData)
         .expect(404);
@@ -424,7 +424,7 @@ describe('Articles Endpoints', () => {
       };
 
       const response = await request(app)
-        .put(`/api/v1/articles/${testArticle.id}`)
+        .put(`/api/v1/articles/id/${testArticle.id}`)
         .send(updateData)
         .expect(401);
 
@@ -451,13 +451,13 @@ describe('Articles Endpoints', () => {
       };
 
       const response = await request(app)
-        .put(`/api/v1/articles/${testArticle.id}`)
+        .put(`/api/v1/articles/id/${testArticle.id}`)
         .set('Authorization', `Bearer ${authToken2}`)
         .send(updateData)
         .expect(403);
 
       expect(response.body.success).toBe(false);
-      expect(response.body.message).toContain('tidak diizinkan');
+      expect(response.body.message).toContain('not authorized');
 
       // Clean up
       await User.destroy({ where: { email: 'testuser2@example.com' } });
@@ -469,7 +469,7 @@ describe('Articles Endpoints', () => {
       };
 
       const response = await request(app)
-        .put('/api/v1/articles/invalid-id')
+        .put('/api/v1/articles/id/invalid-id')
         .set('Authorization', `Bearer ${authToken}`)
         .send(updateData)
         .expect(400);
@@ -478,10 +478,10 @@ describe('Articles Endpoints', () => {
     });
   });
 
-  describe('DELETE /api/v1/articles/:id', () => {
+  describe('DELETE /api/v1/articles/id/:article_id', () => {
     it('should delete article successfully', async () => {
       const response = await request(app)
-        .delete(`/api/v1/articles/${testArticle.id}`)
+        .delete(`/api/v1/articles/id/${testArticle.id}`)
         .set('Authorization', `Bearer ${authToken}`)
         .expect(200);
 
@@ -490,7 +490,7 @@ describe('Articles Endpoints', () => {
 
       // Verify article is deleted
       const getResponse = await request(app)
-        .get(`/api/v1/articles/${testArticle.id}`)
+        .get(`/api/v1/articles/id/${testArticle.id}`)
         .expect(404);
 
       expect(getResponse.body.success).toBe(false);
@@ -498,7 +498,7 @@ describe('Articles Endpoints', () => {
 
     it('should return error for non-existent article', async () => {
       const response = await request(app)
-        .delete('/api/v1/articles/99999')
+        .delete('/api/v1/articles/id/99999')
         .set('Authorization', `Bearer ${authToken}`)
         .expect(404);
 
@@ -508,7 +508,7 @@ describe('Articles Endpoints', () => {
 
     it('should return error for unauthenticated request', async () => {
       const response = await request(app)
-        .delete(`/api/v1/articles/${testArticle.id}`)
+        .delete(`/api/v1/articles/id/${testArticle.id}`)
         .expect(401);
 
       expect(response.body.success).toBe(false);
@@ -530,12 +530,12 @@ describe('Articles Endpoints', () => {
       const authToken2 = registerResponse2.body.data.token;
 
       const response = await request(app)
-        .delete(`/api/v1/articles/${testArticle.id}`)
+        .delete(`/api/v1/articles/id/${testArticle.id}`)
         .set('Authorization', `Bearer ${authToken2}`)
         .expect(403);
 
       expect(response.body.success).toBe(false);
-      expect(response.body.message).toContain('tidak diizinkan');
+      expect(response.body.message).toContain('not authorized');
 
       // Clean up
       await User.destroy({ where: { email: 'testuser2@example.com' } });
@@ -543,11 +543,134 @@ describe('Articles Endpoints', () => {
 
     it('should return error for invalid article ID format', async () => {
       const response = await request(app)
-        .delete('/api/v1/articles/invalid-id')
+        .delete('/api/v1/articles/id/invalid-id')
         .set('Authorization', `Bearer ${authToken}`)
         .expect(400);
 
       expect(response.body.success).toBe(false);
     });
   });
-});
\ No newline at end of file
+
+  describe('Article search', () => {
+    const SearchDocument = require('../models/SearchDocument');
+    const articles = {};
+
+    const search = (term, query = {}) => request(app)
+      .get('/api/v1/articles')
+      .query({ search: term, ...query })
+      .set('Authorization', `Bearer ${authToken}`)
+      .expect(200);
+
+    beforeEach(async () => {
+      const fixtures = [
+        ['title', { title: 'Panduan Mie Ayam Jakarta', category: 'Kuliner', content: 'Daftar warung favorit di ibu kota.' }],
+        ['content', { title: 'Jalan-jalan ke Bogor', category: 'Wisata', content: `${'Kebun raya dan udara sejuk. '.repeat(10)}Jangan lupa mampir makan mie ayam di dekat stasiun. ${'Pulang sore hari. '.repeat(10)}` }]
+      ];
+      for (const [key, data] of fixtures) {
+        const response = await request(app)
+          .post('/api/v1/articles')
+          .set('Authorization', `Bearer ${authToken}`)
+          .send(data);
+        articles[key] = response.body.data;
+      }
+    });
+
+    afterEach(async () => {
+      await SearchDocument.destroy({ where: { document_type: 'Article', document_id: Object.values(articles).map(article => article.id) } });
+    });
+
+    it('should rank title matches above content matches', async () => {
+      const response = await search('mie ayam');
+
+      expect(response.body.data.map(article => article.id)).toEqual([articles.title.id, articles.content.id]);
+      expect(response.body.data[0].search_score).toBeGreaterThan(response.body.data[1].search_score);
+    });
+
+    it('should return a highlighted snippet around the match', async () => {
+      const response = await search('mie ayma');
+      const article = response.body.data.find(item => item.id === articles.content.id);
+
+      expect(article.highlight.snippet).toContain('<mark>mie</mark> <mark>ayam</mark>');
+      expect(article.highlight.snippet.startsWith('…')).toBe(true);
+      expect(article.highlight.snippet.length).toBeLessThan(articles.content.content.length);
+    });
+
+    it('should drop an article from the results once it is deleted', async () => {
+      await request(app)
+        .delete(`/api/v1/articles/id/${articles.title.id}`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+
+      const response = await search('mie ayam');
+      expect(response.body.data.map(article => article.id)).toEqual([articles.content.id]);
+      expect(await SearchDocument.count({ where: { document_type: 'Article', document_id: articles.title.id } })).toBe(0);
+    });
+  });
+
+  describe('Article ownership', () => {
+    let otherToken;
+
+    beforeEach(async () => {
+      await User.destroy({ where: { email: 'testuser2@example.com' } });
+
+      const registerResponse2 = await request(app)
+        .post('/api/v1/auth/register')
+        .send({
+          name: 'Test User 2',
+          username: 'testuser2',
+          email: 'testuser2@example.com',
+          password: 'password123'
+        });
+
+      otherToken = registerResponse2.body.data.token;
+    });
+
+    afterEach(async () => {
+      await User.destroy({ where: { email: 'testuser2@example.com' } });
+    });
+
+    it('should not change the article when a non-owner edits it', async () => {
+      await request(app)
+        .put(`/api/v1/articles/id/${testArticle.id}`)
+        .set('Authorization', `Bearer ${otherToken}`)
+        .send({ title: 'Hijacked Title' })
+        .expect(403);
+
+      const article = await Article.findByPk(testArticle.id);
+      expect(article.title).toBe(testArticle.title);
+    });
+
+    it('should keep the article when a non-owner deletes it', async () => {
+      await request(app)
+        .delete(`/api/v1/articles/id/${testArticle.id}`)
+        .set('Authorization', `Bearer ${otherToken}`)
+        .expect(403);
+
+      const article = await Article.findByPk(testArticle.id);
+      expect(article).not.toBeNull();
+    });
+
+    it('should keep the author totalArticle in sync', async () => {
+      const before = await User.findByPk(testUser.id);
+
+      await request(app)
+        .delete(`/api/v1/articles/id/${testArticle.id}`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+
+      const after = await User.findByPk(testUser.id);
+      expect(after.totalArticle).toBe(Math.max(0, before.totalArticle - 1));
+    });
+
+    it('should return validation error for empty title on create', async () => {
+      const response = await request(app)
+        .post('/api/v1/articles')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ title: '', category: 'Technology', content: 'Content' })
+        .expect(422);
+
+      expect(response.body.success).toBe(false);
+      expect(response.body.errors).toHaveProperty('title');
+    });
+  });
+});
@@ -34,22 +34,15 @@ describe('Gamification Endpoints', () => {
     testUser = registerResponse.body.data.user;
     authToken = registerResponse.body.data.token;
 
-    // Create test place
-    const placeData = {
+    // Create test place directly; place management is admin only
+    testPlace = (await Place.create({
       name: 'Test Place',
       description: 'A test place for gamification',
-      address: 'Test Address',
       latitude: -6.2088,
       longitude: 106.8456,
-      category: 'restaurant'
-    };
-
-    const placeResponse = await request(app)
-      .post('/api/v1/places')
-      .set('Authorization', `Bearer ${authToken}`)
-      .send(placeData);
-
-    testPlace = placeResponse.body.data.place;
+      coinReward: 20,
+      expReward: 10
+    })).toJSON();
   });
 
   afterAll(async () => {
@@ -59,6 +52,157 @@ describe('Gamification Endpoints', () => {
     await sequelize.close();
   });
 
+  describe('Check-in rewards', () => {
+    const checkin = () => request(app)
+      .post('/api/v1/gamification/checkin')
+      .set('Authorization', `Bearer ${authToken}`)
+      .send({ place_id: testPlace.id, latitude: -6.2088, longitude: 106.8456 });
+
+    it('should take rewards from the place and apply the first visit multiplier', async () => {
+      const response = await checkin().expect(201);
+
+      const { rewards } = response.body.data;
+      expect(rewards.base_coins).toBe(20);
+      expect(rewards.base_exp).toBe(10);
+      expect(rewards.multipliers).toEqual([{ type: 'first_visit', value: 2 }]);
+      expect(rewards.coins_earned).toBe(40);
+      expect(rewards.exp_earned).toBe(20);
+    });
+
+    it('should stack the partner multiplier', async () => {
+      await Place.update({ partnershipStatus: true }, { where: { id: testPlace.id } });
+
+      const response = await checkin().expect(201);
+
+      const { rewards } = response.body.data;
+      expect(rewards.multipliers.map(m => m.type)).toEqual(['partner', 'first_visit']);
+      expect(rewards.total_multiplier).toBe(3);
+      expect(rewards.coins_earned).toBe(60);
+      expect(rewards.exp_earned).toBe(30);
+    });
+
+    it('should credit the computed coins to the user', async () => {
+      await checkin().expect(201);
+
+      const user = await User.findByPk(testUser.id);
+      expect(user.totalCoin).toBe(40);
+      expect(user.totalExp).toBe(20);
+    });
+  });
+
+  describe('Check-in geofence', () => {
+    const Checkin = require('../models/Checkin');
+    const checkinAt = (latitude, longitude) => request(app)
+      .post('/api/v1/gamification/checkin')
+      .set('Authorization', `Bearer ${authToken}`)
+      .send({ place_id: testPlace.id, latitude, longitude });
+
+    it('should store the measured distance on the checkin', async () => {
+      // ~133 m south of the place
+      const response = await checkinAt(-6.2100, 106.8456).expect(201);
+
+      const checkin = await Checkin.findByPk(response.body.data.checkin.id);
+      expect(parseFloat(checkin.distance)).toBeCloseTo(133.43, 0);
+    });
+
+    it('should reject check-ins outside the default radius', async () => {
+      // ~1.3 km away
+      const response = await checkinAt(-6.2200, 106.8456).expect(400);
+
+      expect(response.body.success).toBe(false);
+      expect(response.body.code).toBe('CHECKIN_OUT_OF_RANGE');
+      expect(response.body.details.radius).toBe(150);
+      expect(await Checkin.count({ where: { user_id: testUser.id } })).toBe(0);
+    });
+
+    it('should honour a per-place radius from additional_info', async () => {
+      await Place.update(
+        { additionalInfo: { checkin_radius: 2000 } },
+        { where: { id: testPlace.id } }
+      );
+
+      await checkinAt(-6.2200, 106.8456).expect(201);
+    });
+
+    it('should reject check-ins without a location', async () => {
+      const response = await request(app)
+        .post('/api/v1/gamification/checkin')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ place_id: testPlace.id })
+        .expect(400);
+
+      expect(response.body.code).toBe('CHECKIN_LOCATION_REQUIRED');
+    });
+  });
+
+  describe('Levels', () => {
+    const UserLevelUp = require('../models/UserLevelUp');
+
+    it('should describe the level curve', async () => {
+      const response = await request(app)
+        .get('/api/v1/gamification/levels')
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+
+      const { levels, titles, current } = response.body.data;
+      expect(levels[0]).toEqual({ level: 1, exp_required: 0, title: 'Newcomer' });
+      expect(levels[1].exp_required).toBe(100);
+      // Non-linear: each level needs more EXP than the previous one
+      expect(levels[2].exp_required - levels[1].exp_required).toBeGreaterThan(100);
+      expect(titles.length).toBeGreaterThan(0);
+      expect(current.level).toBe(1);
+    });
+
+    it('should record a level-up when a check-in crosses the threshold', async () => {
+      await User.update({ totalExp: 90 }, { where: { id: testUser.id } });
+
+      const response = await request(app)
+        .post('/api/v1/gamification/checkin')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ place_id: testPlace.id, latitude: -6.2088, longitude: 106.8456 })
+        .expect(201);
+
+      expect(response.body.data.rewards.new_level).toBe(2);
+      expect(response.body.data.rewards.level_up).toMatchObject({ from_level: 1, to_level: 2 });
+
+      const user = await User.findByPk(testUser.id);
+      expect(user.level).toBe(2);
+
+      const levelUp = await UserLevelUp.findOne({ where: { user_id: testUser.id } });
+      expect(levelUp.related_to_type).toBe('Checkin');
+      expect(levelUp.total_exp).toBe(110);
+    });
+
+    it('should not record a level-up for a stale stored level', async () => {
+      const LevelService = require('../services/LevelService');
+      // Existing users keep the default level 1 until their first EXP change
+      await User.update({ totalExp: 5000, level: 1 }, { where: { id: testUser.id } });
+
+      const response = await request(app)
+        .post('/api/v1/gamification/checkin')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ place_id: testPlace.id, latitude: -6.2088, longitude: 106.8456 })
+        .expect(201);
+
+      expect(response.body.data.rewards.level_up).toBeNull();
+
+      const user = await User.findByPk(testUser.id);
+      expect(user.level).toBe(LevelService.levelForExp(user.totalExp));
+      expect(await UserLevelUp.count({ where: { user_id: testUser.id } })).toBe(0);
+    });
+
+    it('should include level progress in the leaderboard', async () => {
+      const response = await request(app)
+        .get('/api/v1/leaderboard/top-users')
+        .expect(200);
+
+      const entry = response.body.data.leaderboard[0];
+      expect(entry.level_info).toHaveProperty('level');
+      expect(entry.level_info).toHaveProperty('title');
+      expect(entry.level_info).toHaveProperty('progress');
+    });
+  });
+
   describe('POST /api/v1/gamification/checkin', () => {
     it('should create checkin successfully', async () => {
       const checkinData = {
@@ -282,6 +426,52 @@ describe('Gamification Endpoints', () => {
       expect(response.body.data.pagination.page).toBe(1);
       expect(response.body.data.pagination.limit).toBe(5);
     });
+
+    it('should page with next_cursor without duplicates when rows are inserted', async () => {
+      const CoinTransaction = require('../models/CoinTransaction');
+      const rows = await CoinTransaction.bulkCreate([1, 2, 3, 4, 5].map(amount => ({
+        user_id: testUser.id,
+        related_to_id: testPlace.id,
+        related_to_type: 'Test',
+        amount
+      })));
+      // Same timestamp for every row, so the order falls back to id
+      await CoinTransaction.update({ created_at: new Date('2026-01-01T00:00:00Z') }, {
+        where: { id: rows.map(row => row.id) },
+        silent: true
+      });
+
+      const seen = [];
+      let cursor = null;
+      do {
+        const response = await request(app)
+          .get('/api/v1/gamification/coins/transactions')
+          .query({ limit: 2, ...(cursor && { cursor }) })
+          .set('Authorization', `Bearer ${authToken}`)
+          .expect(200);
+        seen.push(...response.body.data.transactions.map(transaction => transaction.id));
+        cursor = response.body.data.pagination.next_cursor;
+
+        if (seen.length === 2) {
+          // A new transaction must not shift the following pages
+          await CoinTransaction.create({ user_id: testUser.id, related_to_id: testPlace.id, related_to_type: 'Test', amount: 6 });
+        }
+      } while (cursor);
+
+      const inserted = rows.map(row => row.id);
+      expect(seen.filter(id => inserted.includes(id))).toEqual([...inserted].sort((a, b) => b - a));
+      expect(new Set(seen).size).toBe(seen.length);
+
+      await CoinTransaction.destroy({ where: { user_id: testUser.id, related_to_type: 'Test' } });
+    });
+
+    it('should reject a malformed cursor', async () => {
+      await request(app)
+        .get('/api/v1/gamification/coins/transactions')
+        .query({ cursor: 'not-a-cursor' })
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(400);
+    });
   });
 
   describe('GET /api/v1/gamification/exp/transactions', () => {
@@ -340,6 +530,65 @@ describe('Gamification Endpoints', () => {
     });
   });
 
+  describe('Automatic achievements', () => {
+    const Achievement = require('../models/Achievement');
+    const UserAchievement = require('../models/UserAchievement');
+    let firstCheckin;
+    let explorer;
+
+    beforeEach(async () => {
+      await Achievement.destroy({ where: { name: ['Test First Check-in', 'Test Explorer'] } });
+      firstCheckin = await Achievement.create({
+        name: 'Test First Check-in',
+        coin_reward: 5,
+        additional_info: { criteria: [{ metric: 'totalCheckin', target: 1 }] }
+      });
+      explorer = await Achievement.create({
+        name: 'Test Explorer',
+        coin_reward: 0,
+        additional_info: { criteria: [{ metric: 'distinct_places_checked_in', target: 3 }] }
+      });
+    });
+
+    afterAll(async () => {
+      await Achievement.destroy({ where: { name: ['Test First Check-in', 'Test Explorer'] } });
+    });
+
+    it('should unlock achievements whose criteria are met after a check-in', async () => {
+      const response = await request(app)
+        .post('/api/v1/gamification/checkin')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ place_id: testPlace.id, latitude: -6.2088, longitude: 106.8456 })
+        .expect(201);
+
+      expect(response.body.data.achievements_unlocked.map(a => a.id)).toEqual([firstCheckin.id]);
+
+      const owned = await UserAchievement.findOne({ where: { user_id: testUser.id, achievement_id: firstCheckin.id } });
+      expect(owned.status).toBe(true);
+    });
+
+    it('should report per-achievement progress', async () => {
+      await request(app)
+        .post('/api/v1/gamification/checkin')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ place_id: testPlace.id, latitude: -6.2088, longitude: 106.8456 })
+        .expect(201);
+
+      const response = await request(app)
+        .get('/api/v1/gamification/achievements')
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+
+      const explorerEntry = response.body.data.find(a => a.id === explorer.id);
+      expect(explorerEntry.is_unlocked).toBe(false);
+      expect(explorerEntry.progress).toMatchObject({ current: 1, target: 3, percent: 33, completed: false });
+
+      const firstEntry = response.body.data.find(a => a.id === firstCheckin.id);
+      expect(firstEntry.is_unlocked).toBe(true);
+      expect(firstEntry.progress.percent).toBe(100);
+    });
+  });
+
   describe('GET /api/v1/gamification/challenges', () => {
     it('should get available challenges', async () => {
       const response = await request(app)
@@ -360,6 +609,418 @@ describe('Gamification Endpoints', () => {
     });
   });
 
+  describe('Challenge progress', () => {
+    const Challenge = require('../models/Challenge');
+    const UserChallenge = require('../models/UserChallenge');
+    const names = ['Test Daily Check-in', 'Test Expired Challenge', 'Test Manual Challenge'];
+    let daily;
+    let expired;
+    let manual;
+
+    const checkin = () => request(app)
+      .post('/api/v1/gamification/checkin')
+      .set('Authorization', `Bearer ${authToken}`)
+      .send({ place_id: testPlace.id, latitude: -6.2088, longitude: 106.8456 });
+
+    beforeEach(async () => {
+      await Challenge.destroy({ where: { name: names } });
+      const yesterday = new Date(Date.now() - 24 * 60 * 60 * 1000);
+      const nextMonth = new Date(Date.now() + 30 * 24 * 60 * 60 * 1000);
+
+      daily = await Challenge.create({
+        name: names[0],
+        challenge_type: 'daily',
+        exp_reward: 15,
+        started_at: yesterday,
+        ended_at: nextMonth,
+        additional_info: { criteria: { event: 'checkin', target: 1 } }
+      });
+      expired = await Challenge.create({
+        name: names[1],
+        challenge_type: 'special',
+        exp_reward: 15,
+        started_at: new Date('2020-01-01'),
+        ended_at: new Date('2020-02-01')
+      });
+      manual = await Challenge.create({
+        name: names[2],
+        challenge_type: 'weekly',
+        exp_reward: 5,
+        started_at: yesterday,
+        ended_at: nextMonth
+      });
+    });
+
+    afterAll(async () => {
+      await Challenge.destroy({ where: { name: names } });
+    });
+
+    it('should count activity and complete the challenge for the current period', async () => {
+      const response = await checkin().expect(201);
+
+      expect(response.body.data.challenges_completed.map(c => c.id)).toEqual([daily.id]);
+
+      const rows = await UserChallenge.findAll({ where: { user_id: testUser.id, challenge_id: daily.id } });
+      expect(rows).toHaveLength(1);
+      expect(rows[0].status).toBe(true);
+      expect(rows[0].progress).toBe(1);
+    });
+
+    it('should allow a daily challenge again in the next period', async () => {
+      await UserChallenge.create({
+        user_id: testUser.id,
+        challenge_id: daily.id,
+        period_key: '2000-01-01',
+        status: true,
+        progress: 1
+      });
+
+      await request(app)
+        .post(`/api/v1/gamification/challenges/${daily.id}/complete`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(400);
+
+      await checkin().expect(201);
+
+      const completed = await UserChallenge.count({ where: { user_id: testUser.id, challenge_id: daily.id, status: true } });
+      expect(completed).toBe(2);
+    });
+
+    it('should reject challenges outside their window', async () => {
+      const response = await request(app)
+        .post(`/api/v1/gamification/challenges/${expired.id}/complete`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(400);
+
+      expect(response.body.message).toContain('not active');
+    });
+
+    it('should let challenges without criteria be completed once per period', async () => {
+      await request(app)
+        .post(`/api/v1/gamification/challenges/${manual.id}/complete`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+
+      await request(app)
+        .post(`/api/v1/gamification/challenges/${manual.id}/complete`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(400);
+    });
+
+    it('should list progress and time remaining', async () => {
+      const response = await request(app)
+        .get('/api/v1/gamification/challenges')
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+
+      const entry = response.body.data.find(c => c.id === daily.id);
+      expect(entry.progress).toMatchObject({ event: 'checkin', current: 0, target: 1, completed: false });
+      expect(entry.progress.time_remaining_seconds).toBeGreaterThan(0);
+      expect(entry.progress.time_remaining_seconds).toBeLessThanOrEqual(24 * 60 * 60);
+      expect(response.body.data.find(c => c.id === expired.id)).toBeUndefined();
+    });
+  });
+
+  describe('Reward vouchers', () => {
+    const Reward = require('../models/Reward');
+    const UserReward = require('../models/UserReward');
+    const PersonalAccessToken = require('../models/PersonalAccessToken');
+    const { abilitiesForRole } = require('../config/roles');
+    let reward;
+    let staff;
+    let staffToken;
+
+    const redeem = () => request(app)
+      .post(`/api/v1/gamification/rewards/${reward.id}/redeem`)
+      .set('Authorization', `Bearer ${authToken}`);
+
+    beforeEach(async () => {
+      await Reward.destroy({ where: { name: 'Test Voucher' } });
+      await User.destroy({ where: { email: 'staff@example.com' } });
+
+      reward = await Reward.create({ name: 'Test Voucher', coin_requirement: 50, stock: 5 });
+      await User.update({ totalCoin: 100 }, { where: { id: testUser.id } });
+
+      staff = await User.create({
+        name: 'Staff',
+        username: 'teststaff',
+        email: 'staff@example.com',
+        role: 'partner'
+      });
+      staffToken = (await PersonalAccessToken.createToken(staff, 'API Login', abilitiesForRole('partner'))).token;
+      await Place.update(
+        { additionalInfo: { staff_user_ids: [staff.id] } },
+        { where: { id: testPlace.id } }
+      );
+    });
+
+    afterAll(async () => {
+      await Reward.destroy({ where: { name: 'Test Voucher' } });
+      await User.destroy({ where: { email: 'staff@example.com' } });
+    });
+
+    it('should issue a unique voucher code', async () => {
+      const first = await redeem().expect(200);
+      const second = await redeem().expect(200);
+
+      expect(first.body.data.code).toMatch(/^[2-9A-HJ-NP-Z]{4}-[2-9A-HJ-NP-Z]{4}-[2-9A-HJ-NP-Z]{4}$/);
+      expect(first.body.data.code).not.toBe(second.body.data.code);
+      expect(first.body.data.redemption_status).toBe('redeemed');
+      expect(first.body.data.expires_at).toBeDefined();
+    });
+
+    it('should let partner staff claim a voucher exactly once', async () => {
+      const { body } = await redeem().expect(200);
+
+      const claim = await request(app)
+        .post('/api/v1/gamification/rewards/verify')
+        .set('Authorization', `Bearer ${staffToken}`)
+        .send({ code: body.data.code.toLowerCase().replace(/-/g, ''), place_id: testPlace.id })
+        .expect(200);
+
+      expect(claim.body.data.consumed).toBe(true);
+      expect(claim.body.data.voucher.redemption_status).toBe('claimed');
+
+      await request(app)
+        .post('/api/v1/gamification/rewards/verify')
+        .set('Authorization', `Bearer ${staffToken}`)
+        .send({ code: body.data.code, place_id: testPlace.id })
+        .expect(400);
+    });
+
+    it('should forbid regular users and staff of other places', async () => {
+      const { body } = await redeem().expect(200);
+
+      await request(app)
+        .post('/api/v1/gamification/rewards/verify')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ code: body.data.code, place_id: testPlace.id })
+        .expect(403);
+
+      await Place.update({ additionalInfo: {} }, { where: { id: testPlace.id } });
+      await request(app)
+        .post('/api/v1/gamification/rewards/verify')
+        .set('Authorization', `Bearer ${staffToken}`)
+        .send({ code: body.data.code, place_id: testPlace.id })
+        .expect(403);
+    });
+
+    it('should refund coins and stock when a voucher is cancelled', async () => {
+      const { body } = await redeem().expect(200);
+
+      await request(app)
+        .post(`/api/v1/gamification/rewards/redeemed/${body.data.id}/cancel`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+
+      const user = await User.findByPk(testUser.id);
+      expect(user.totalCoin).toBe(100);
+      expect((await Reward.findByPk(reward.id)).stock).toBe(5);
+    });
+
+    it('should expire overdue vouchers with a refund when listing', async () => {
+      const { body } = await redeem().expect(200);
+      await UserReward.update({ expires_at: new Date(Date.now() - 1000) }, { where: { id: body.data.id } });
+
+      const response = await request(app)
+        .get('/api/v1/gamification/rewards/redeemed')
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+
+      expect(response.body.data.rewards[0].redemption_status).toBe('expired');
+      expect((await User.findByPk(testUser.id)).totalCoin).toBe(100);
+    });
+
+    it('should not overspend coins on concurrent redemptions', async () => {
+      const responses = await Promise.all([redeem(), redeem(), redeem()]);
+
+      expect(responses.filter(r => r.status === 200)).toHaveLength(2);
+      expect(responses.filter(r => r.status === 400)).toHaveLength(1);
+      expect((await User.findByPk(testUser.id)).totalCoin).toBe(0);
+      expect((await Reward.findByPk(reward.id)).stock).toBe(3);
+    });
+
+    it('should not oversell stock on concurrent redemptions', async () => {
+      await reward.update({ stock: 1 });
+
+      const responses = await Promise.all([redeem(), redeem()]);
+
+      expect(responses.filter(r => r.status === 200)).toHaveLength(1);
+      expect((await User.findByPk(testUser.id)).totalCoin).toBe(50);
+      expect((await Reward.findByPk(reward.id)).stock).toBe(0);
+    });
+  });
+
+  describe('Streaks', () => {
+    const Checkin = require('../models/Checkin');
+    const Reward = require('../models/Reward');
+    const UserReward = require('../models/UserReward');
+    const UserStreakReward = require('../models/UserStreakReward');
+    const StreakService = require('../services/StreakService');
+    const DAY_MS = 24 * 60 * 60 * 1000;
+    let otherPlace;
+    let freeze;
+
+    const checkinDaysAgo = (...days) => Promise.all(days.map(days => Checkin.create({
+      user_id: testUser.id,
+      place_id: otherPlace.id,
+      latitude: -6.2,
+      longitude: 106.8,
+      created_at: new Date(Date.now() - days * DAY_MS)
+    })));
+
+    const stats = () => request(app)
+      .get(`/api/v1/users/id/${testUser.id}/stats`)
+      .set('Authorization', `Bearer ${authToken}`)
+      .expect(200);
+
+    beforeEach(async () => {
+      otherPlace = await Place.create({ name: 'Test Place Streak', latitude: -6.2, longitude: 106.8 });
+      freeze = await Reward.create({
+        name: 'Test Streak Freeze',
+        coin_requirement: 10,
+        stock: null,
+        additional_info: { item: 'streak_freeze' }
+      });
+      await User.update({ totalCoin: 100 }, { where: { id: testUser.id } });
+    });
+
+    afterEach(async () => {
+      await UserStreakReward.destroy({ where: { user_id: testUser.id } });
+      await UserReward.destroy({ where: { user_id: testUser.id } });
+      await Checkin.destroy({ where: { user_id: testUser.id } });
+      await Reward.destroy({ where: { name: 'Test Streak Freeze' } });
+      await Place.destroy({ where: { name: 'Test Place Streak' } });
+    });
+
+    it('should compute current and longest daily check-in streaks', async () => {
+      await checkinDaysAgo(0, 1, 2, 5, 6, 7, 8);
+
+      const response = await stats();
+
+      expect(response.body.data.streaks.current_streak).toBe(3);
+      expect(response.body.data.streaks.longest_streak).toBe(4);
+      expect(response.body.data.streaks.weekly.checkin.current).toBeGreaterThanOrEqual(1);
+    });
+
+    it('should keep the streak alive until the end of the next day', async () => {
+      await checkinDaysAgo(1, 2);
+
+      const response = await stats();
+      expect(response.body.data.streaks.current_streak).toBe(2);
+    });
+
+    it('should use day boundaries of the user timezone', () => {
+      const evening = new Date('2024-01-01T20:00:00Z');
+
+      expect(StreakService.dayNumber(evening, 'Asia/Jakarta'))
+        .toBe(StreakService.dayNumber(evening, 'America/New_York') + 1);
+      expect(StreakService.getTimezone({ additionalInfo: { user_settings: { timezone: 'Not/AZone' } } }))
+        .toBe('Asia/Jakarta');
+    });
+
+    it('should sell streak freezes without a voucher code', async () => {
+      const redeem = () => request(app)
+        .post(`/api/v1/gamification/rewards/${freeze.id}/redeem`)
+        .set('Authorization', `Bearer ${authToken}`);
+
+      const response = await redeem().expect(200);
+      expect(response.body.data.code).toBeNull();
+      expect(response.body.data.expires_at).toBeNull();
+
+      await redeem().expect(200);
+      // At most two unused freezes can be held
+      await redeem().expect(400);
+    });
+
+    it('should count a held freeze toward the streak without spending it on read', async () => {
+      await checkinDaysAgo(2, 3);
+      await request(app)
+        .post(`/api/v1/gamification/rewards/${freeze.id}/redeem`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+
+      const response = await stats();
+
+      expect(response.body.data.streaks.current_streak).toBe(2);
+      expect(response.body.data.streaks.freezes).toEqual({ available: 1, used: 0 });
+      expect(await UserReward.count({ where: { user_id: testUser.id, redemption_status: 'redeemed' } })).toBe(1);
+    });
+
+    it('should spend a freeze to bridge a missed day when checking in', async () => {
+      await checkinDaysAgo(2, 3);
+      await request(app)
+        .post(`/api/v1/gamification/rewards/${freeze.id}/redeem`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+
+      const response = await request(app)
+        .post('/api/v1/gamification/checkin')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ place_id: testPlace.id, latitude: -6.2088, longitude: 106.8456 })
+        .expect(201);
+
+      expect(response.body.data.streak.daily.checkin.current).toBe(3);
+      expect(response.body.data.streak.freezes).toEqual({ available: 0, used: 1 });
+
+      const spent = await UserReward.findOne({ where: { user_id: testUser.id, reward_id: freeze.id } });
+      expect(spent.redemption_status).toBe('claimed');
+      expect(spent.additional_info.frozen_on).toBe(
+        new Intl.DateTimeFormat('en-CA', { timeZone: 'Asia/Jakarta' }).format(new Date(Date.now() - DAY_MS))
+      );
+    });
+
+    it('should break the streak when there are not enough freezes', async () => {
+      await checkinDaysAgo(3, 4);
+
+      const response = await stats();
+      expect(response.body.data.streaks.current_streak).toBe(0);
+      expect(response.body.data.streaks.longest_streak).toBe(2);
+    });
+
+    it('should pay the 7 day milestone once', async () => {
+      await checkinDaysAgo(1, 2, 3, 4, 5, 6);
+
+      const response = await request(app)
+        .post('/api/v1/gamification/checkin')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ place_id: testPlace.id, latitude: -6.2088, longitude: 106.8456 })
+        .expect(201);
+
+      expect(response.body.data.streak.daily.checkin.current).toBe(7);
+      expect(response.body.data.streak.milestones_awarded).toEqual([{ days: 7, coins: 50 }]);
+
+      const user = await User.findByPk(testUser.id);
+      await StreakService.recordCheckin(testUser.id);
+      expect((await User.findByPk(testUser.id)).totalCoin).toBe(user.totalCoin);
+    });
+  });
+
+  describe('Coin reconciliation', () => {
+    const { reconcileCoinBalances } = require('../jobs/coinReconciliation');
+
+    it('should report balances that drift from the ledger and fix them on request', async () => {
+      await User.update({ totalCoin: 0 }, { where: { id: testUser.id } });
+      await request(app)
+        .post('/api/v1/gamification/checkin')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ place_id: testPlace.id, latitude: -6.2088, longitude: 106.8456 })
+        .expect(201);
+
+      const clean = await reconcileCoinBalances();
+      expect(clean.mismatches.find(m => parseInt(m.user_id) === parseInt(testUser.id))).toBeUndefined();
+
+      await User.increment('totalCoin', { by: 15, where: { id: testUser.id } });
+
+      const drifted = await reconcileCoinBalances({ fix: true });
+      const mismatch = drifted.mismatches.find(m => parseInt(m.user_id) === parseInt(testUser.id));
+      expect(mismatch.difference).toBe(15);
+
+      const user = await User.findByPk(testUser.id);
+      expect(user.totalCoin).toBe(mismatch.ledger_total);
+    });
+  });
+
   describe('GET /api/v1/gamification/rewards', () => {
     it('should get available rewards', async () => {
       const response = await request(app)
@@ -379,4 +1040,74 @@ describe('Gamification Endpoints', () => {
       expect(response.body.success).toBe(false);
     });
   });
-});
\ No newline at end of file
+
+  describe('Admin-only endpoints', () => {
+    const PersonalAccessToken = require('../models/PersonalAccessToken');
+    const { abilitiesForRole } = require('../config/roles');
+
+    it('should forbid regular users from POST /api/v1/gamification/test-grant', async () => {
+      const response = await request(app)
+        .post('/api/v1/gamification/test-grant')
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(403);
+
+      expect(response.body.success).toBe(false);
+    });
+
+    it('should forbid regular users from granting achievements', async () => {
+      const response = await request(app)
+        .post('/api/v1/gamification/achievements/1/grant')
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(403);
+
+      expect(response.body.success).toBe(false);
+    });
+
+    it('should allow admins with an admin token', async () => {
+      const admin = await User.findByPk(testUser.id);
+      await admin.update({ role: 'admin' });
+      await PersonalAccessToken.revokeAllUserTokens(admin.id);
+      const tokenRecord = await PersonalAccessToken.createToken(admin, 'API Login', abilitiesForRole('admin'));
+
+      const response = await request(app)
+        .post('/api/v1/gamification/test-grant')
+        .set('Authorization', `Bearer ${tokenRecord.token}`)
+        .expect(200);
+
+      expect(response.body.success).toBe(true);
+    });
+
+    it('should return 404 when granting an achievement to an unknown user', async () => {
+      const Achievement = require('../models/Achievement');
+      const admin = await User.findByPk(testUser.id);
+      await admin.update({ role: 'admin' });
+      await PersonalAccessToken.revokeAllUserTokens(admin.id);
+      const tokenRecord = await PersonalAccessToken.createToken(admin, 'API Login', abilitiesForRole('admin'));
+      const achievement = await Achievement.create({ name: 'Test Grant Unknown User', coin_reward: 0 });
+
+      try {
+        const response = await request(app)
+          .post(`/api/v1/gamification/achievements/${achievement.id}/grant`)
+          .set('Authorization', `Bearer ${tokenRecord.token}`)
+          .send({ user_id: 999999999 })
+          .expect(404);
+
+        expect(response.body.message).toBe('User not found');
+      } finally {
+        await achievement.destroy();
+      }
+    });
+
+    it('should forbid an admin using a token issued before promotion', async () => {
+      const user = await User.findByPk(testUser.id);
+      await PersonalAccessToken.revokeAllUserTokens(user.id);
+      const tokenRecord = await PersonalAccessToken.createToken(user, 'API Login', abilitiesForRole('user'));
+      await user.update({ role: 'admin' });
+
+      await request(app)
+        .post('/api/v1/gamification/test-grant')
+        .set('Authorization', `Bearer ${tokenRecord.token}`)
+        .expect(403);
+    });
+  });
+});
@@ -247,6 +247,259 @@ describe('Leaderboard Endpoints', () => {
     });
   });
 
+  describe('Period leaderboards', () => {
+    const ExpTransaction = require('../models/ExpTransaction');
+    const LeaderboardService = require('../services/LeaderboardService');
+    let users;
+
+    const award = (user, amount, created_at) => ExpTransaction.create({
+      user_id: user.id,
+      amount,
+      related_to_id: user.id,
+      related_to_type: 'Test',
+      created_at
+    });
+
+    beforeEach(async () => {
+      users = testUsers.slice(-3);
+      const lastWeek = LeaderboardService.getPeriodRange('weekly', new Date(), -1).start;
+
+      // Lifetime totals favour user 2, this week user 3 earned the most
+      await award(users[0], 50, new Date());
+      await award(users[2], 80, new Date());
+      await award(users[0], 100, lastWeek);
+      await award(users[2], 20, lastWeek);
+    });
+
+    afterEach(async () => {
+      await ExpTransaction.destroy({ where: { related_to_type: 'Test' } });
+    });
+
+    it('should rank by EXP earned this week instead of lifetime totals', async () => {
+      const response = await request(app)
+        .get('/api/v1/leaderboard/weekly')
+        .query({ metric: 'totalExp' })
+        .expect(200);
+
+      const ids = response.body.data.leaderboard.map(entry => entry.id);
+      const third = response.body.data.leaderboard.find(entry => entry.id === users[2].id);
+
+      expect(ids.indexOf(users[2].id)).toBeLessThan(ids.indexOf(users[0].id));
+      expect(ids).not.toContain(users[1].id);
+      expect(third.score).toBe(80);
+      expect(third.previous_score).toBe(20);
+      expect(third.score_change).toBe(60);
+      expect(response.body.data.metadata.previous_period).toBeDefined();
+    });
+
+    it('should report the authenticated user position and change vs last week', async () => {
+      const response = await request(app)
+        .get('/api/v1/leaderboard/weekly')
+        .set('Authorization', `Bearer ${authToken}`)
+        .query({ metric: 'totalExp' })
+        .expect(200);
+
+      const me = response.body.data.current_user;
+      expect(me.score).toBe(50);
+      expect(me.previous_score).toBe(100);
+      expect(me.score_change).toBe(-50);
+      expect(me.rank).toBeGreaterThan(1);
+      expect(me.rank_change).toBe(me.previous_rank - me.rank);
+    });
+
+    it('should leave current_user empty for anonymous requests', async () => {
+      const response = await request(app)
+        .get('/api/v1/leaderboard/monthly')
+        .query({ metric: 'totalExp' })
+        .expect(200);
+
+      expect(response.body.data.current_user).toBeNull();
+      expect(response.body.data.metadata.type).toBe('monthly');
+    });
+
+    it('should reject unknown metrics', async () => {
+      await request(app)
+        .get('/api/v1/leaderboard/weekly')
+        .query({ metric: 'totalFollower' })
+        .expect(400);
+    });
+  });
+
+  describe('Following scope', () => {
+    const UserFollow = require('../models/UserFollow');
+    let users;
+
+    beforeEach(async () => {
+      users = testUsers.slice(-3);
+      await UserFollow.create({ follower_id: users[0].id, following_id: users[2].id });
+    });
+
+    afterEach(async () => {
+      await UserFollow.destroy({ where: { follower_id: users[0].id } });
+    });
+
+    it('should rank only followed users and the caller', async () => {
+      const response = await request(app)
+        .get('/api/v1/leaderboard/top-users')
+        .set('Authorization', `Bearer ${authToken}`)
+        .query({ metric: 'totalExp', scope: 'following' })
+        .expect(200);
+
+      const ids = response.body.data.leaderboard.map(entry => entry.id);
+      expect(ids).toEqual([users[0].id, users[2].id]);
+      expect(response.body.data.metadata.scope).toBe('following');
+    });
+
+    it('should rank a user among the people the caller follows', async () => {
+      const response = await request(app)
+        .get(`/api/v1/leaderboard/user-rank/id/${users[2].id}`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .query({ metric: 'totalExp', scope: 'following' })
+        .expect(200);
+
+      expect(response.body.data.user_rank.rank).toBe(2);
+      expect(response.body.data.user_rank.total_users).toBe(2);
+    });
+
+    it('should require login for scope=following', async () => {
+      await request(app)
+        .get('/api/v1/leaderboard/weekly')
+        .query({ metric: 'totalExp', scope: 'following' })
+        .expect(401);
+    });
+
+    it('should reject unknown scopes', async () => {
+      await request(app)
+        .get('/api/v1/leaderboard/top-users')
+        .query({ metric: 'totalExp', scope: 'friends' })
+        .expect(400);
+    });
+  });
+
+  describe('Competitions', () => {
+    const ExpTransaction = require('../models/ExpTransaction');
+    const CoinTransaction = require('../models/CoinTransaction');
+    const Leaderboard = require('../models/Leaderboard');
+    const LeaderboardPayout = require('../models/LeaderboardPayout');
+    const { settleClosedCompetitions } = require('../jobs/competitionSettlement');
+    let users;
+    let competition;
+
+    beforeEach(async () => {
+      users = testUsers.slice(-3);
+      const hour = 60 * 60 * 1000;
+
+      competition = await Leaderboard.create({
+        name: 'Test Sprint',
+        type: 'custom',
+        metric: 'total_exp',
+        start_date: new Date(Date.now() - 48 * hour),
+        end_date: new Date(Date.now() - hour),
+        max_participants: 10,
+        reward_config: { payouts: [{ rank_from: 1, rank_to: 1, coins: 300 }, { rank_from: 2, rank_to: 2, coins: 100 }] }
+      });
+
+      for (const [user, amount] of [[users[0], 40], [users[1], 90], [users[2], 10]]) {
+        await ExpTransaction.create({
+          user_id: user.id,
+          amount,
+          related_to_id: user.id,
+          related_to_type: 'Test',
+          created_at: new Date(Date.now() - 24 * hour)
+        });
+      }
+    });
+
+    afterEach(async () => {
+      await LeaderboardPayout.destroy({ where: { leaderboard_id: competition.id } });
+      await CoinTransaction.destroy({ where: { related_to_type: 'Leaderboard', related_to_id: competition.id } });
+      await Leaderboard.destroy({ where: { name: 'Test Sprint' } });
+      await ExpTransaction.destroy({ where: { related_to_type: 'Test' } });
+    });
+
+    it('should list competitions with their status', async () => {
+      const response = await request(app)
+        .get('/api/v1/leaderboard/competitions')
+        .query({ status: 'closed' })
+        .expect(200);
+
+      const entry = response.body.data.competitions.find(c => c.id === competition.id);
+      expect(entry.competition_status).toBe('closed');
+      expect(entry.rewards).toHaveLength(2);
+    });
+
+    it('should rank participants by activity within the competition window', async () => {
+      const response = await request(app)
+        .get(`/api/v1/leaderboard/competitions/${competition.id}`)
+        .expect(200);
+
+      const [first, second] = response.body.data.leaderboard;
+      expect(first.id).toBe(users[1].id);
+      expect(first.score).toBe(90);
+      expect(first.reward.coins).toBe(300);
+      expect(second.id).toBe(users[0].id);
+    });
+
+    it('should return the authenticated user position', async () => {
+      const response = await request(app)
+        .get(`/api/v1/leaderboard/competitions/${competition.id}/me`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+
+      expect(response.body.data.rank).toBe(2);
+      expect(response.body.data.reward.coins).toBe(100);
+
+      await request(app)
+        .get(`/api/v1/leaderboard/competitions/${competition.id}/me`)
+        .expect(401);
+    });
+
+    it('should pay out winners exactly once', async () => {
+      const before = await User.findByPk(users[1].id);
+
+      await settleClosedCompetitions();
+      await settleClosedCompetitions();
+
+      const after = await User.findByPk(users[1].id);
+      expect(after.totalCoin - before.totalCoin).toBe(300);
+      expect(await LeaderboardPayout.count({ where: { leaderboard_id: competition.id } })).toBe(2);
+      expect((await Leaderboard.findByPk(competition.id)).settled_at).not.toBeNull();
+
+      const response = await request(app)
+        .get(`/api/v1/leaderboard/competitions/${competition.id}`)
+        .expect(200);
+      expect(response.body.data.competition.competition_status).toBe('settled');
+      expect(response.body.data.leaderboard[0].payout.coins).toBe(300);
+    });
+
+    it('should close an undated weekly competition after the week it was created in', async () => {
+      const weekly = await Leaderboard.create({
+        name: 'Test Sprint',
+        type: 'weekly',
+        metric: 'total_exp',
+        reward_config: { payouts: [{ rank_from: 1, rank_to: 1, coins: 50 }] }
+      });
+      await sequelize.getQueryInterface().bulkUpdate(
+        'leaderboards',
+        { created_at: new Date(Date.now() - 14 * 24 * 60 * 60 * 1000) },
+        { id: weekly.id }
+      );
+
+      const response = await request(app)
+        .get(`/api/v1/leaderboard/competitions/${weekly.id}`)
+        .expect(200);
+
+      expect(response.body.data.competition.competition_status).toBe('closed');
+      expect(new Date(response.body.data.competition.period.end).getTime()).toBeLessThan(Date.now());
+    });
+
+    it('should return 404 for unknown competitions', async () => {
+      await request(app)
+        .get('/api/v1/leaderboard/competitions/999999')
+        .expect(404);
+    });
+  });
+
   describe('GET /api/v1/leaderboard/categories', () => {
     it('should get leaderboard categories', async () => {
       const response = await request(app)
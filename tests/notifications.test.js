@@ -0,0 +1,424 @@
+const request = require('supertest');
+const app = require('../server');
+const { sequelize } = require('../config/database');
+const User = require('../models/User');
+const Post = require('../models/Post');
+const Place = require('../models/Place');
+const Notification = require('../models/Notification');
+const NotificationDelivery = require('../models/NotificationDelivery');
+const UserDevice = require('../models/UserDevice');
+const NotificationService = require('../services/NotificationService');
+const NotificationDeliveryService = require('../services/NotificationDeliveryService');
+const { setAdapter, DeliveryError } = require('../services/notificationAdapters');
+const LogAdapter = require('../services/notificationAdapters/LogAdapter');
+const { DELIVERY_RETRY } = require('../config/notifications');
+
+describe('Notification Endpoints', () => {
+  let testUser1;
+  let testUser2;
+  let authToken1;
+  let authToken2;
+  let testPlace;
+  let testPost;
+
+  beforeAll(async () => {
+    // Ensure database connection
+    await sequelize.authenticate();
+
+    testPlace = await Place.create({
+      name: 'Test Notification Place',
+      latitude: -6.2088,
+      longitude: 106.8456
+    });
+  });
+
+  beforeEach(async () => {
+    // Clean up test data
+    await User.destroy({ where: { email: { [require('sequelize').Op.like]: 'testuser%@example.com' } } });
+    await Post.destroy({ where: { content: { [require('sequelize').Op.like]: 'Test post%' } } });
+
+    const registerResponse1 = await request(app)
+      .post('/api/v1/auth/register')
+      .send({
+        name: 'Test User 1',
+        username: 'testuser1',
+        email: 'testuser1@example.com',
+        password: 'password123'
+      });
+
+    const registerResponse2 = await request(app)
+      .post('/api/v1/auth/register')
+      .send({
+        name: 'Test User 2',
+        username: 'testuser2',
+        email: 'testuser2@example.com',
+        password: 'password123'
+      });
+
+    testUser1 = registerResponse1.body.data.user;
+    testUser2 = registerResponse2.body.data.user;
+    authToken1 = registerResponse1.body.data.token;
+    authToken2 = registerResponse2.body.data.token;
+
+    await Notification.destroy({ where: { user_id: [testUser1.id, testUser2.id] } });
+
+    testPost = await Post.create({
+      user_id: testUser1.id,
+      place_id: testPlace.id,
+      content: 'Test post for notifications'
+    });
+  });
+
+  afterAll(async () => {
+    // Clean up and close database connection
+    await Post.destroy({ where: { content: { [require('sequelize').Op.like]: 'Test post%' } } });
+    await User.destroy({ where: { email: { [require('sequelize').Op.like]: 'testuser%@example.com' } } });
+    await Place.destroy({ where: { name: 'Test Notification Place' } });
+    await sequelize.close();
+  });
+
+  describe('Events', () => {
+    it('should notify the post author when their post is liked', async () => {
+      await request(app)
+        .post(`/api/v1/social/posts/id/${testPost.id}/like`)
+        .set('Authorization', `Bearer ${authToken2}`);
+
+      const notifications = await Notification.findAll({ where: { user_id: testUser1.id } });
+      expect(notifications).toHaveLength(1);
+      expect(notifications[0].type).toBe('post_like');
+      expect(notifications[0].actor_id).toBe(testUser2.id);
+      expect(notifications[0].related_to_id).toBe(testPost.id);
+    });
+
+    it('should not notify users about their own actions', async () => {
+      await request(app)
+        .post(`/api/v1/social/posts/id/${testPost.id}/like`)
+        .set('Authorization', `Bearer ${authToken1}`);
+
+      const count = await Notification.count({ where: { user_id: testUser1.id } });
+      expect(count).toBe(0);
+    });
+
+    it('should notify the followed user', async () => {
+      await request(app)
+        .post(`/api/v1/social/follow/id/${testUser1.id}`)
+        .set('Authorization', `Bearer ${authToken2}`);
+
+      const notification = await Notification.findOne({ where: { user_id: testUser1.id } });
+      expect(notification.type).toBe('new_follower');
+    });
+
+    it('should notify the parent comment author about replies', async () => {
+      const comment = await request(app)
+        .post(`/api/v1/social/posts/id/${testPost.id}/comments`)
+        .set('Authorization', `Bearer ${authToken1}`)
+        .send({ content: 'First comment' });
+
+      await request(app)
+        .post(`/api/v1/social/posts/id/${testPost.id}/comments`)
+        .set('Authorization', `Bearer ${authToken2}`)
+        .send({ content: 'A reply', parent_id: comment.body.data.id });
+
+      const types = (await Notification.findAll({ where: { user_id: testUser1.id } })).map(n => n.type);
+      expect(types).toEqual(['comment_reply']);
+    });
+
+    it('should skip notification types the user turned off', async () => {
+      await request(app)
+        .put('/api/v1/notifications/preferences')
+        .set('Authorization', `Bearer ${authToken1}`)
+        .send({ types: { post_like: false } })
+        .expect(200);
+
+      await request(app)
+        .post(`/api/v1/social/posts/id/${testPost.id}/like`)
+        .set('Authorization', `Bearer ${authToken2}`);
+
+      const count = await Notification.count({ where: { user_id: testUser1.id } });
+      expect(count).toBe(0);
+    });
+  });
+
+  describe('GET /api/v1/notifications', () => {
+    beforeEach(async () => {
+      await Notification.bulkCreate([
+        { user_id: testUser1.id, actor_id: testUser2.id, type: 'new_follower', related_to_id: testUser2.id, related_to_type: 'User' },
+        { user_id: testUser1.id, actor_id: testUser2.id, type: 'post_like', related_to_id: testPost.id, related_to_type: 'Post', read_at: new Date() }
+      ]);
+    });
+
+    it('should list notifications with the unread count', async () => {
+      const response = await request(app)
+        .get('/api/v1/notifications')
+        .set('Authorization', `Bearer ${authToken1}`)
+        .expect(200);
+
+      expect(response.body.success).toBe(true);
+      expect(response.body.data.notifications).toHaveLength(2);
+      expect(response.body.data.unread_count).toBe(1);
+      expect(response.body.data.notifications[0]).toHaveProperty('message');
+      expect(response.body.data.notifications[0].actor.id).toBe(testUser2.id);
+      expect(response.body.data.pagination.total_items).toBe(2);
+    });
+
+    it('should filter unread notifications', async () => {
+      const response = await request(app)
+        .get('/api/v1/notifications?unread_only=true')
+        .set('Authorization', `Bearer ${authToken1}`)
+        .expect(200);
+
+      expect(response.body.data.notifications).toHaveLength(1);
+      expect(response.body.data.notifications[0].is_read).toBe(false);
+    });
+
+    it('should return error for unauthenticated request', async () => {
+      await request(app)
+        .get('/api/v1/notifications')
+        .expect(401);
+    });
+  });
+
+  describe('POST /api/v1/notifications/read', () => {
+    let notifications;
+
+    beforeEach(async () => {
+      notifications = await Notification.bulkCreate([
+        { user_id: testUser1.id, actor_id: testUser2.id, type: 'new_follower' },
+        { user_id: testUser1.id, actor_id: testUser2.id, type: 'post_comment' }
+      ]);
+    });
+
+    it('should mark the given notifications as read', async () => {
+      const response = await request(app)
+        .post('/api/v1/notifications/read')
+        .set('Authorization', `Bearer ${authToken1}`)
+        .send({ ids: [notifications[0].id] })
+        .expect(200);
+
+      expect(response.body.data.updated).toBe(1);
+      expect(response.body.data.unread_count).toBe(1);
+    });
+
+    it('should mark all notifications as read', async () => {
+      const response = await request(app)
+        .post('/api/v1/notifications/read')
+        .set('Authorization', `Bearer ${authToken1}`)
+        .expect(200);
+
+      expect(response.body.data.unread_count).toBe(0);
+    });
+
+    it('should not touch other users\' notifications', async () => {
+      const response = await request(app)
+        .post('/api/v1/notifications/read')
+        .set('Authorization', `Bearer ${authToken2}`)
+        .send({ ids: notifications.map(n => n.id) })
+        .expect(200);
+
+      expect(response.body.data.updated).toBe(0);
+    });
+
+    it('should reject invalid ids', async () => {
+      await request(app)
+        .post('/api/v1/notifications/read')
+        .set('Authorization', `Bearer ${authToken1}`)
+        .send({ ids: 'all' })
+        .expect(400);
+    });
+  });
+
+  describe('Notification preferences', () => {
+    it('should enable every type by default', async () => {
+      const response = await request(app)
+        .get('/api/v1/notifications/preferences')
+        .set('Authorization', `Bearer ${authToken1}`)
+        .expect(200);
+
+      expect(response.body.data.push_notification).toBe(true);
+      expect(Object.values(response.body.data.types).every(Boolean)).toBe(true);
+    });
+
+    it('should keep other user settings when toggling a type', async () => {
+      await request(app)
+        .put('/api/v1/notifications/preferences')
+        .set('Authorization', `Bearer ${authToken1}`)
+        .send({ types: { new_follower: false } })
+        .expect(200);
+
+      const user = await User.findByPk(testUser1.id);
+      expect(user.additionalInfo.user_notification.types.new_follower).toBe(false);
+      expect(user.additionalInfo.user_notification.push_notification).toBe(true);
+      expect(user.additionalInfo.user_settings.language).toBe('id');
+    });
+
+    it('should reject unknown types', async () => {
+      await request(app)
+        .put('/api/v1/notifications/preferences')
+        .set('Authorization', `Bearer ${authToken1}`)
+        .send({ types: { newsletter: false } })
+        .expect(400);
+    });
+  });
+
+  describe('Delivery', () => {
+    const sent = [];
+    let failure = null;
+
+    beforeEach(() => {
+      sent.length = 0;
+      failure = null;
+      setAdapter('log', {
+        channel: 'log',
+        requiresDevices: true,
+        send: async (payload) => {
+          if (failure) throw failure;
+          sent.push(payload);
+          return { invalid_tokens: payload.devices.filter(d => d.token.startsWith('test-dead')).map(d => d.token) };
+        }
+      });
+    });
+
+    afterEach(async () => {
+      setAdapter('log', new LogAdapter());
+      await UserDevice.destroy({ where: { user_id: testUser1.id } });
+    });
+
+    // notify does not wait for delivery, so wait for the dispatch it kicks off
+    const notifyFollow = async () => {
+      const dispatch = jest.spyOn(NotificationDeliveryService, 'dispatch');
+      try {
+        const notification = await NotificationService.notify(testUser1.id, 'new_follower', {
+          actor_id: testUser2.id,
+          related: { type: 'User', id: testUser2.id }
+        });
+        await Promise.all(dispatch.mock.results.map(result => result.value));
+        return notification;
+      } finally {
+        dispatch.mockRestore();
+      }
+    };
+
+    it('should only queue deliveries while creating the notification', async () => {
+      const deliveries = await NotificationDeliveryService.enqueue(
+        await Notification.create({ user_id: testUser1.id, actor_id: testUser2.id, type: 'new_follower' }),
+        await User.findByPk(testUser1.id)
+      );
+
+      expect(deliveries.map(delivery => delivery.status)).toEqual(deliveries.map(() => 'pending'));
+      expect(deliveries.every(delivery => delivery.attempts === 0)).toBe(true);
+      expect(sent).toHaveLength(0);
+    });
+
+    it('should deliver new notifications with the message and devices', async () => {
+      await UserDevice.create({ user_id: testUser1.id, token: 'test-live-token', platform: 'android' });
+      const notification = await notifyFollow();
+
+      const delivery = await NotificationDelivery.findOne({ where: { notification_id: notification.id } });
+      expect(delivery.status).toBe('sent');
+      expect(delivery.attempts).toBe(1);
+      expect(sent[0].notification.message).toContain('Test User 2');
+      expect(sent[0].devices.map(d => d.token)).toEqual(['test-live-token']);
+    });
+
+    it('should remove device tokens reported as invalid', async () => {
+      await UserDevice.create({ user_id: testUser1.id, token: 'test-dead-token', platform: 'ios' });
+      await notifyFollow();
+
+      expect(await UserDevice.count({ where: { token: 'test-dead-token' } })).toBe(0);
+    });
+
+    it('should not deliver when push notifications are off', async () => {
+      await NotificationService.updatePreferences(testUser1.id, { push_notification: false });
+      const notification = await notifyFollow();
+
+      expect(notification).not.toBeNull();
+      expect(await NotificationDelivery.count({ where: { notification_id: notification.id } })).toBe(0);
+      expect(sent).toHaveLength(0);
+    });
+
+    it('should hold deliveries until quiet hours end', async () => {
+      const now = new Date('2026-03-02T16:00:00Z'); // 23:00 in Asia/Jakarta
+      const user = await User.findByPk(testUser1.id);
+      user.additionalInfo = {
+        ...user.additionalInfo,
+        user_notification: { push_notification: true, quiet_hours: { start: '22:00', end: '07:00' } }
+      };
+
+      const endsAt = NotificationDeliveryService.getQuietHoursEnd(user, now);
+      expect(endsAt.toISOString()).toBe('2026-03-03T00:00:00.000Z');
+      expect(NotificationDeliveryService.getQuietHoursEnd(user, new Date('2026-03-02T05:00:00Z'))).toBeNull();
+    });
+
+    it('should queue deliveries during quiet hours instead of sending them', async () => {
+      await NotificationService.updatePreferences(testUser1.id, { quiet_hours: { start: '00:00', end: '23:59' } });
+      const notification = await notifyFollow();
+
+      const delivery = await NotificationDelivery.findOne({ where: { notification_id: notification.id } });
+      expect(delivery.status).toBe('pending');
+      expect(delivery.attempts).toBe(0);
+      expect(sent).toHaveLength(0);
+    });
+
+    it('should retry failed deliveries with exponential backoff', async () => {
+      failure = new DeliveryError('gateway unavailable');
+      const notification = await notifyFollow();
+
+      let delivery = await NotificationDelivery.findOne({ where: { notification_id: notification.id } });
+      expect(delivery.status).toBe('pending');
+      expect(delivery.attempts).toBe(1);
+      expect(delivery.last_error).toBe('gateway unavailable');
+
+      // Not due yet: nothing is retried
+      await NotificationDeliveryService.processDue({ now: new Date() });
+      await delivery.reload();
+      expect(delivery.attempts).toBe(1);
+
+      failure = null;
+      await NotificationDeliveryService.processDue({ now: new Date(delivery.next_attempt_at.getTime() + 1000) });
+      await delivery.reload();
+      expect(delivery.status).toBe('sent');
+      expect(delivery.attempts).toBe(2);
+    });
+
+    it('should give up after the maximum number of attempts', async () => {
+      failure = new DeliveryError('gateway unavailable');
+      const notification = await notifyFollow();
+      const delivery = await NotificationDelivery.findOne({ where: { notification_id: notification.id } });
+
+      let now = new Date();
+      while (delivery.status === 'pending') {
+        now = new Date(delivery.next_attempt_at.getTime() + 1000);
+        await NotificationDeliveryService.processDue({ now });
+        await delivery.reload();
+      }
+
+      expect(delivery.status).toBe('failed');
+      expect(delivery.attempts).toBe(DELIVERY_RETRY.max_attempts);
+    });
+
+    it('should not retry permanent failures', async () => {
+      failure = new DeliveryError('invalid api key', { retryable: false });
+      const notification = await notifyFollow();
+
+      const delivery = await NotificationDelivery.findOne({ where: { notification_id: notification.id } });
+      expect(delivery.status).toBe('failed');
+      expect(delivery.attempts).toBe(1);
+    });
+
+    it('should double the retry delay up to the maximum', () => {
+      const base = DELIVERY_RETRY.base_delay_seconds * 1000;
+      expect(NotificationDeliveryService.getBackoffDelay(1)).toBe(base);
+      expect(NotificationDeliveryService.getBackoffDelay(2)).toBe(base * 2);
+      expect(NotificationDeliveryService.getBackoffDelay(3)).toBe(base * 4);
+      expect(NotificationDeliveryService.getBackoffDelay(30)).toBe(DELIVERY_RETRY.max_delay_seconds * 1000);
+    });
+
+    it('should reject malformed quiet hours', async () => {
+      await request(app)
+        .put('/api/v1/notifications/preferences')
+        .set('Authorization', `Bearer ${authToken1}`)
+        .send({ quiet_hours: { start: '25:00', end: '07:00' } })
+        .expect(400);
+    });
+  });
+});
@@ -3,10 +3,14 @@ const app = require('../server');
 const { sequelize } = require('../config/database');
 const User = require('../models/User');
 const Place = require('../models/Place');
+const PersonalAccessToken = require('../models/PersonalAccessToken');
+const AuditLog = require('../models/AuditLog');
+const { abilitiesForRole } = require('../config/roles');
 
 describe('Places Endpoints', () => {
   let testUser;
   let authToken;
+  let userToken;
   let testPlace;
 
   beforeAll(async () => {
@@ -32,7 +36,13 @@ describe('Places Endpoints', () => {
       .send(userData);
 
     testUser = registerResponse.body.data.user;
-    authToken = registerResponse.body.data.token;
+    userToken = registerResponse.body.data.token;
+
+    // Place management is admin only
+    const admin = await User.findByPk(testUser.id);
+    await admin.update({ role: 'admin' });
+    const tokenRecord = await PersonalAccessToken.createToken(admin, 'API Login', abilitiesForRole('admin'));
+    authToken = tokenRecord.token;
 
     // Create test place
     const placeData = {
@@ -105,6 +115,136 @@ describe('Places Endpoints', () => {
     });
   });
 
+  describe('Place listing counts', () => {
+    const Review = require('../models/Review');
+    const SearchService = require('../services/SearchService');
+    let places;
+
+    const list = (query) => request(app)
+      .get('/api/v1/places')
+      .query({ search: 'Test Place Listing', ...query })
+      .set('Authorization', `Bearer ${userToken}`)
+      .expect(200);
+
+    beforeEach(async () => {
+      places = [];
+      for (const [suffix, reviewCount] of [['A', 0], ['B', 1], ['C', 3]]) {
+        const place = await Place.create({ name: `Test Place Listing ${suffix}`, latitude: -6.2088, longitude: 106.8456 });
+        await SearchService.indexRecord('place', place);
+        for (let i = 1; i <= reviewCount; i++) {
+          await Review.create({ user_id: testUser.id, place_id: place.id, rating: 4, content: `Test review ${i}`, status: true });
+        }
+        places.push(place);
+      }
+      // Deleted reviews don't count
+      await Review.create({ user_id: testUser.id, place_id: places[0].id, rating: 1, content: 'Test review deleted', status: false });
+    });
+
+    afterEach(async () => {
+      await Review.destroy({ where: { place_id: places.map(place => place.id) } });
+    });
+
+    it('should count every matching place, not just the current page', async () => {
+      const response = await list({ per_page: 2 });
+
+      expect(response.body.data).toHaveLength(2);
+      expect(response.body.pagination.total).toBe(3);
+      expect(response.body.pagination.last_page).toBe(2);
+    });
+
+    it('should sort by active review count with most_popular', async () => {
+      const response = await list({ sort: 'most_popular' });
+
+      expect(response.body.data.map(place => place.name)).toEqual([
+        'Test Place Listing C',
+        'Test Place Listing B',
+        'Test Place Listing A'
+      ]);
+      expect(response.body.data.map(place => place.reviews_count)).toEqual([3, 1, 0]);
+      expect(response.body.pagination.total).toBe(3);
+    });
+
+    it('should embed only the latest reviews with include=reviews', async () => {
+      const withoutReviews = await list({ sort: 'most_popular' });
+      expect(withoutReviews.body.data[0]).not.toHaveProperty('reviews');
+
+      const response = await list({ sort: 'most_popular', include: 'reviews', reviews_limit: 2 });
+      const [popular] = response.body.data;
+      expect(popular.reviews.map(review => review.content)).toEqual(['Test review 3', 'Test review 2']);
+      expect(popular.reviews_count).toBe(3);
+    });
+  });
+
+  describe('Place search', () => {
+    const SearchDocument = require('../models/SearchDocument');
+    const places = {};
+
+    const search = (term, query = {}) => request(app)
+      .get('/api/v1/places')
+      .query({ search: term, ...query })
+      .set('Authorization', `Bearer ${userToken}`)
+      .expect(200);
+
+    beforeEach(async () => {
+      const fixtures = [
+        ['title', { name: 'Test Place Mie Ayam Pak Kumis', description: 'Warung sederhana dekat stasiun' }],
+        ['description', { name: 'Test Place Warung Kemang', description: 'Menu andalan mie ayam jamur dan bakso urat di Kemang' }],
+        ['tags', { name: 'Test Place Kedai Bu Tini', description: 'Sarapan pagi', additionalInfo: { food_type: ['Mie Ayam', 'Bubur'] } }]
+      ];
+      for (const [key, data] of fixtures) {
+        const response = await request(app)
+          .post('/api/v1/places')
+          .set('Authorization', `Bearer ${authToken}`)
+          .send({ latitude: -6.2088, longitude: 106.8456, ...data });
+        places[key] = response.body.data.place;
+      }
+    });
+
+    afterEach(async () => {
+      await SearchDocument.destroy({ where: { document_type: 'Place', document_id: Object.values(places).map(place => place.id) } });
+    });
+
+    it('should match description and food_type tags, ranking name matches first', async () => {
+      const response = await search('mie ayam');
+      const ids = response.body.data.map(place => place.id);
+
+      expect(ids).toEqual(expect.arrayContaining([places.title.id, places.description.id, places.tags.id]));
+      expect(ids[0]).toBe(places.title.id);
+      expect(ids.indexOf(places.tags.id)).toBeLessThan(ids.indexOf(places.description.id));
+      expect(response.body.data[0].search_score).toBeGreaterThan(response.body.data[1].search_score);
+    });
+
+    it('should tolerate typos and highlight the matched words', async () => {
+      const response = await search('bakso urta kemnag');
+      const [place] = response.body.data;
+
+      expect(place.id).toBe(places.description.id);
+      expect(place.highlight.title).toBe('Test Place Warung <mark>Kemang</mark>');
+      expect(place.highlight.snippet).toContain('<mark>bakso</mark> <mark>urat</mark>');
+    });
+
+    it('should keep an explicit sort over relevance', async () => {
+      const response = await search('mie ayam', { sort: 'name' });
+
+      expect(response.body.data.map(place => place.name)).toEqual([
+        'Test Place Kedai Bu Tini',
+        'Test Place Mie Ayam Pak Kumis',
+        'Test Place Warung Kemang'
+      ]);
+    });
+
+    it('should reindex a place when it is updated', async () => {
+      await request(app)
+        .patch(`/api/v1/places/id/${places.tags.id}`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ description: 'Nasi uduk betawi' })
+        .expect(200);
+
+      const response = await search('nasi uduk');
+      expect(response.body.data.map(place => place.id)).toEqual([places.tags.id]);
+    });
+  });
+
   describe('GET /api/v1/places/search', () => {
     it('should search places by name', async () => {
       const response = await request(app)
@@ -286,10 +426,8 @@ describe('Places Endpoints', () => {
       expect(response.body.data.place).toHaveProperty('id');
       expect(response.body.data.place.name).toBe(placeData.name);
       expect(response.body.data.place.description).toBe(placeData.description);
-      expect(response.body.data.place.address).toBe(placeData.address);
       expect(response.body.data.place.latitude).toBe(placeData.latitude);
       expect(response.body.data.place.longitude).toBe(placeData.longitude);
-      expect(response.body.data.place.category).toBe(placeData.category);
     });
 
     it('should return error for missing required fields', async () => {
@@ -302,7 +440,7 @@ describe('Places Endpoints', () => {
         .post('/api/v1/places')
         .set('Authorization', `Bearer ${authToken}`)
         .send(placeData)
-        .expect(400);
+        .expect(422);
 
       expect(response.body.success).toBe(false);
       expect(response.body.errors).toBeDefined();
@@ -322,7 +460,7 @@ describe('Places Endpoints', () => {
         .post('/api/v1/places')
         .set('Authorization', `Bearer ${authToken}`)
         .send(placeData)
-        .expect(400);
+        .expect(422);
 
       expect(response.body.success).toBe(false);
       expect(response.body.errors).toBeDefined();
@@ -342,7 +480,7 @@ describe('Places Endpoints', () => {
         .post('/api/v1/places')
         .set('Authorization', `Bearer ${authToken}`)
         .send(placeData)
-        .expect(400);
+        .expect(422);
 
       expect(response.body.success).toBe(false);
       expect(response.body.errors).toBeDefined();
@@ -366,6 +504,26 @@ describe('Places Endpoints', () => {
       expect(response.body.success).toBe(false);
     });
 
+    it('should forbid non-admin users', async () => {
+      const response = await request(app)
+        .post('/api/v1/places')
+        .set('Authorization', `Bearer ${userToken}`)
+        .send({ name: 'Test Place 7' })
+        .expect(403);
+
+      expect(response.body.success).toBe(false);
+    });
+
+    it('should record the creation in the audit trail', async () => {
+      const audit = await AuditLog.findOne({
+        where: { auditable_type: 'Place', auditable_id: testPlace.id, action: 'create' }
+      });
+
+      expect(audit).not.toBeNull();
+      expect(parseInt(audit.user_id)).toBe(parseInt(testUser.id));
+      expect(audit.changes.name.to).toBe('Test Place');
+    });
+
     it('should return error for duplicate place name at same location', async () => {
       const placeData = {
         name: 'Test Place', // Same name as existing place
@@ -386,4 +544,361 @@ describe('Places Endpoints', () => {
       expect(response.body.message).toContain('sudah ada');
     });
   });
-});
\ No newline at end of file
+
+  describe('Admin place management', () => {
+    it('should patch only the given fields and audit the diff', async () => {
+      const response = await request(app)
+        .patch(`/api/v1/places/id/${testPlace.id}`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ coinReward: 25, name: 'Test Place Renamed' })
+        .expect(200);
+
+      expect(response.body.success).toBe(true);
+      expect(response.body.data.place.coinReward).toBe(25);
+      expect(response.body.data.changes.name).toEqual({ from: 'Test Place', to: 'Test Place Renamed' });
+
+      const audit = await AuditLog.findOne({
+        where: { auditable_type: 'Place', auditable_id: testPlace.id, action: 'update' }
+      });
+      expect(Object.keys(audit.changes).sort()).toEqual(['coinReward', 'name']);
+    });
+
+    it('should not write an audit row when nothing changed', async () => {
+      await request(app)
+        .patch(`/api/v1/places/id/${testPlace.id}`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ latitude: testPlace.latitude })
+        .expect(200);
+
+      const count = await AuditLog.count({
+        where: { auditable_type: 'Place', auditable_id: testPlace.id, action: 'update' }
+      });
+      expect(count).toBe(0);
+    });
+
+    it('should not audit boolean strings that match the stored value', async () => {
+      const response = await request(app)
+        .patch(`/api/v1/places/id/${testPlace.id}`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ status: 'true', partnershipStatus: 'false', coinReward: String(testPlace.coinReward || 0) })
+        .expect(200);
+
+      expect(response.body.data.changes).toEqual({});
+      const count = await AuditLog.count({
+        where: { auditable_type: 'Place', auditable_id: testPlace.id, action: 'update' }
+      });
+      expect(count).toBe(0);
+    });
+
+    it('should replace every editable field on PUT', async () => {
+      await request(app)
+        .patch(`/api/v1/places/id/${testPlace.id}`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ coinReward: 25 })
+        .expect(200);
+
+      const response = await request(app)
+        .put(`/api/v1/places/id/${testPlace.id}`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ name: 'Test Place Replaced' })
+        .expect(200);
+
+      expect(response.body.data.place.name).toBe('Test Place Replaced');
+      expect(response.body.data.place.description).toBeNull();
+      expect(response.body.data.place.coinReward).toBe(0);
+      expect(response.body.data.changes.description).toEqual({ from: 'A test place for testing', to: null });
+    });
+
+    it('should merge additionalInfo instead of replacing it', async () => {
+      await Place.update(
+        { additionalInfo: { staff_user_ids: [1], checkin_radius: 150, food_type: 'kopi' } },
+        { where: { id: testPlace.id } }
+      );
+
+      await request(app)
+        .put(`/api/v1/places/id/${testPlace.id}`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ name: 'Test Place Replaced' })
+        .expect(200);
+      expect((await Place.findByPk(testPlace.id)).additionalInfo)
+        .toEqual({ staff_user_ids: [1], checkin_radius: 150, food_type: 'kopi' });
+
+      await request(app)
+        .put(`/api/v1/places/id/${testPlace.id}`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ name: 'Test Place Replaced', additionalInfo: { food_type: 'bakso', checkin_radius: null } })
+        .expect(200);
+      expect((await Place.findByPk(testPlace.id)).additionalInfo)
+        .toEqual({ staff_user_ids: [1], food_type: 'bakso' });
+    });
+
+    it('should require a name on PUT', async () => {
+      await request(app)
+        .put(`/api/v1/places/id/${testPlace.id}`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ description: 'No name' })
+        .expect(422);
+    });
+
+    it('should deactivate instead of deleting', async () => {
+      const response = await request(app)
+        .delete(`/api/v1/places/id/${testPlace.id}`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+
+      expect(response.body.data.place.status).toBe(false);
+
+      const place = await Place.findByPk(testPlace.id);
+      expect(place).not.toBeNull();
+      expect(place.status).toBe(false);
+
+      const audits = await request(app)
+        .get(`/api/v1/places/id/${testPlace.id}/audits`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+      expect(audits.body.data.data[0].action).toBe('deactivate');
+    });
+
+    it('should forbid non-admin users from changing places', async () => {
+      await request(app)
+        .patch(`/api/v1/places/id/${testPlace.id}`)
+        .set('Authorization', `Bearer ${userToken}`)
+        .send({ coinReward: 999 })
+        .expect(403);
+
+      await request(app)
+        .delete(`/api/v1/places/id/${testPlace.id}`)
+        .set('Authorization', `Bearer ${userToken}`)
+        .expect(403);
+    });
+
+    it('should return 404 for unknown places', async () => {
+      await request(app)
+        .patch('/api/v1/places/id/999999')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ coinReward: 1 })
+        .expect(404);
+    });
+  });
+
+  describe('Review actions on /api/v1/places/id/:place_id/reviews/:review_id', () => {
+    const Review = require('../models/Review');
+    const CoinTransaction = require('../models/CoinTransaction');
+    const ExpTransaction = require('../models/ExpTransaction');
+    let testReview;
+
+    beforeEach(async () => {
+      await Place.update({ coinReward: 10, expReward: 20 }, { where: { id: testPlace.id } });
+      const reviewResponse = await request(app)
+        .post('/api/v1/gamification/review')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({
+          place_id: testPlace.id,
+          rating: 4,
+          content: 'Test review content'
+        });
+
+      testReview = reviewResponse.body.data;
+    });
+
+    afterEach(async () => {
+      await Review.destroy({ where: { place_id: testPlace.id } });
+    });
+
+    it('should update own review and recompute place rating', async () => {
+      const response = await request(app)
+        .put(`/api/v1/places/id/${testPlace.id}/reviews/${testReview.id}`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ rating: 2, content: 'Fixed typo' })
+        .expect(200);
+
+      expect(response.body.success).toBe(true);
+      expect(response.body.data.rating).toBe(2);
+      expect(response.body.data.content).toBe('Fixed typo');
+
+      const place = await Place.findByPk(testPlace.id);
+      expect(parseFloat(place.avgRating)).toBe(2);
+    });
+
+    it('should return validation error for rating out of range', async () => {
+      const response = await request(app)
+        .put(`/api/v1/places/id/${testPlace.id}/reviews/${testReview.id}`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ rating: 6 })
+        .expect(422);
+
+      expect(response.body.success).toBe(false);
+      expect(response.body.errors).toHaveProperty('rating');
+    });
+
+    it('should return 404 when the review belongs to another place', async () => {
+      const response = await request(app)
+        .put(`/api/v1/places/id/99999/reviews/${testReview.id}`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ content: 'Wrong place' })
+        .expect(404);
+
+      expect(response.body.success).toBe(false);
+    });
+
+    it('should award the place rewards to the review', async () => {
+      const where = { related_to_type: 'Review', related_to_id: testReview.id };
+
+      expect(await CoinTransaction.sum('amount', { where })).toBe(10);
+      expect(await ExpTransaction.sum('amount', { where })).toBe(20);
+    });
+
+    it('should delete own review, update place counters and reverse rewards', async () => {
+      const userBefore = await User.findByPk(testUser.id);
+
+      const response = await request(app)
+        .delete(`/api/v1/places/id/${testPlace.id}/reviews/${testReview.id}`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+
+      expect(response.body.success).toBe(true);
+      expect(response.body.data).toEqual({ coins_reversed: 10, exp_reversed: 20 });
+
+      const place = await Place.findByPk(testPlace.id);
+      expect(place.totalReview).toBe(0);
+
+      const where = { related_to_type: 'Review', related_to_id: testReview.id };
+      const coinReversal = await CoinTransaction.findOne({ where: { ...where, amount: -10 } });
+      const expReversal = await ExpTransaction.findOne({ where: { ...where, amount: -20 } });
+      expect(coinReversal).not.toBeNull();
+      expect(expReversal).not.toBeNull();
+      expect(await CoinTransaction.sum('amount', { where })).toBe(0);
+
+      const userAfter = await User.findByPk(testUser.id);
+      expect(userAfter.totalCoin).toBe(userBefore.totalCoin - 10);
+      expect(userAfter.totalExp).toBe(userBefore.totalExp - 20);
+      expect(userAfter.totalReview).toBe(userBefore.totalReview - 1);
+    });
+
+    it('should not allow deleting a review twice', async () => {
+      await request(app)
+        .delete(`/api/v1/places/id/${testPlace.id}/reviews/${testReview.id}`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+
+      await request(app)
+        .delete(`/api/v1/places/id/${testPlace.id}/reviews/${testReview.id}`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(404);
+    });
+
+    it('should return 403 when editing or deleting another user review', async () => {
+      await User.destroy({ where: { email: 'testuser2@example.com' } });
+      const registerResponse2 = await request(app)
+        .post('/api/v1/auth/register')
+        .send({
+          name: 'Test User 2',
+          username: 'testuser2',
+          email: 'testuser2@example.com',
+          password: 'password123'
+        });
+      const authToken2 = registerResponse2.body.data.token;
+
+      await request(app)
+        .put(`/api/v1/places/id/${testPlace.id}/reviews/${testReview.id}`)
+        .set('Authorization', `Bearer ${authToken2}`)
+        .send({ content: 'Not mine' })
+        .expect(403);
+
+      await request(app)
+        .delete(`/api/v1/places/id/${testPlace.id}/reviews/${testReview.id}`)
+        .set('Authorization', `Bearer ${authToken2}`)
+        .expect(403);
+
+      await User.destroy({ where: { email: 'testuser2@example.com' } });
+    });
+
+    it('should toggle review like', async () => {
+      const likeResponse = await request(app)
+        .post(`/api/v1/places/id/${testPlace.id}/reviews/${testReview.id}/like`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+
+      expect(likeResponse.body.data).toEqual({ is_liked: true, total_likes: 1 });
+
+      const unlikeResponse = await request(app)
+        .post(`/api/v1/places/id/${testPlace.id}/reviews/${testReview.id}/like`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+
+      expect(unlikeResponse.body.data).toEqual({ is_liked: false, total_likes: 0 });
+    });
+
+    it('should flag liked reviews in the place review listing', async () => {
+      await request(app)
+        .post(`/api/v1/places/id/${testPlace.id}/reviews/${testReview.id}/like`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+
+      const response = await request(app)
+        .get(`/api/v1/places/id/${testPlace.id}/reviews`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+
+      const review = response.body.data.find(r => r.id === testReview.id);
+      expect(review.is_liked).toBe(true);
+      expect(review.total_like).toBe(1);
+    });
+  });
+
+  describe('GET /api/v1/places/id/:place_id/leaderboard', () => {
+    const Checkin = require('../models/Checkin');
+    let visitor;
+
+    beforeEach(async () => {
+      await User.destroy({ where: { email: 'visitor@example.com' } });
+      visitor = await User.create({ name: 'Visitor', username: 'testvisitor', email: 'visitor@example.com' });
+
+      const otherPlace = await Place.create({ name: 'Test Place Other', latitude: -6.2, longitude: 106.8 });
+      const visit = (user_id, place_id) => Checkin.create({ user_id, place_id, latitude: -6.2088, longitude: 106.8456 });
+
+      await visit(visitor.id, testPlace.id);
+      await visit(visitor.id, testPlace.id);
+      await visit(testUser.id, testPlace.id);
+      // Check-ins elsewhere do not count
+      await visit(testUser.id, otherPlace.id);
+      await visit(testUser.id, otherPlace.id);
+    });
+
+    afterEach(async () => {
+      await Checkin.destroy({ where: { user_id: [testUser.id, visitor.id] } });
+      await User.destroy({ where: { email: 'visitor@example.com' } });
+    });
+
+    it('should rank visitors by check-ins at this place', async () => {
+      const response = await request(app)
+        .get(`/api/v1/places/id/${testPlace.id}/leaderboard`)
+        .set('Authorization', `Bearer ${userToken}`)
+        .query({ metric: 'totalCheckin' })
+        .expect(200);
+
+      const [first, second] = response.body.data.leaderboard;
+      expect(first.id).toBe(visitor.id);
+      expect(first.score).toBe(2);
+      expect(first.rank).toBe(1);
+      expect(second.id).toBe(testUser.id);
+      expect(second.score).toBe(1);
+      expect(response.body.data.metadata.total_users).toBe(2);
+    });
+
+    it('should reject metrics that getTopUsers does not support', async () => {
+      await request(app)
+        .get(`/api/v1/places/id/${testPlace.id}/leaderboard`)
+        .set('Authorization', `Bearer ${userToken}`)
+        .query({ metric: 'totalFollower' })
+        .expect(400);
+    });
+
+    it('should return 404 for unknown places', async () => {
+      await request(app)
+        .get('/api/v1/places/id/999999/leaderboard')
+        .set('Authorization', `Bearer ${userToken}`)
+        .expect(404);
+    });
+  });
+});
@@ -0,0 +1,219 @@
+const request = require('supertest');
+const app = require('../server');
+const { sequelize } = require('../config/database');
+const { Op } = require('sequelize');
+const User = require('../models/User');
+const Place = require('../models/Place');
+const Post = require('../models/Post');
+const Article = require('../models/Article');
+const SearchDocument = require('../models/SearchDocument');
+const SearchService = require('../services/SearchService');
+
+describe('Search Endpoints', () => {
+  let testUser;
+  let authToken;
+  let testPlace;
+  let testArticle;
+  let testPost;
+
+  const search = (query) => request(app)
+    .get('/api/v1/search')
+    .query(query)
+    .set('Authorization', `Bearer ${authToken}`);
+
+  beforeAll(async () => {
+    // Ensure database connection
+    await sequelize.authenticate();
+  });
+
+  beforeEach(async () => {
+    // Clean up test data
+    await User.destroy({ where: { email: 'testsearch@example.com' } });
+    await Place.destroy({ where: { name: { [Op.like]: 'Test Place Zanzibar%' } } });
+
+    const registerResponse = await request(app)
+      .post('/api/v1/auth/register')
+      .send({
+        name: 'Test Zanzibar Traveller',
+        username: 'testsearch',
+        email: 'testsearch@example.com',
+        password: 'password123'
+      });
+
+    testUser = registerResponse.body.data.user;
+    authToken = registerResponse.body.data.token;
+
+    testPlace = await Place.create({
+      name: 'Test Place Zanzibar Kopi',
+      description: 'Kopi tubruk dan roti bakar',
+      latitude: -6.2088,
+      longitude: 106.8456,
+      status: true
+    });
+    await SearchService.indexRecord('place', testPlace);
+
+    testArticle = await Article.create({
+      user_id: testUser.id,
+      title: 'Test Article Kopi Zanzibar',
+      category: 'Kuliner',
+      content: 'Catatan perjalanan mencari kopi terbaik.'
+    });
+    await SearchService.indexRecord('article', testArticle);
+
+    testPost = await Post.create({
+      user_id: testUser.id,
+      place_id: testPlace.id,
+      content: 'Test post ngopi sore di Zanzibar'
+    });
+  });
+
+  afterEach(async () => {
+    await Post.destroy({ where: { id: testPost.id } });
+    await Article.destroy({ where: { id: testArticle.id } });
+    await SearchDocument.destroy({
+      where: {
+        [Op.or]: [
+          { document_type: 'Place', document_id: testPlace.id },
+          { document_type: 'Article', document_id: testArticle.id }
+        ]
+      }
+    });
+  });
+
+  afterAll(async () => {
+    await User.destroy({ where: { email: 'testsearch@example.com' } });
+    await Place.destroy({ where: { name: { [Op.like]: 'Test Place Zanzibar%' } } });
+    await sequelize.close();
+  });
+
+  describe('GET /api/v1/search', () => {
+    it('should return typed results grouped per type with counts', async () => {
+      const response = await search({ q: 'zanzibar' }).expect(200);
+      const { results, counts, total } = response.body.data;
+
+      expect(Object.keys(results)).toEqual(['places', 'users', 'articles', 'posts']);
+      expect(results.places.type).toBe('place');
+      expect(results.places.items.map(item => item.id)).toContain(testPlace.id);
+      expect(results.users.items.map(item => item.id)).toContain(testUser.id);
+      expect(results.articles.items.map(item => item.id)).toContain(testArticle.id);
+      expect(results.posts.items.map(item => item.id)).toContain(testPost.id);
+      expect(results.posts.items.every(item => item.type === 'post')).toBe(true);
+
+      Object.keys(results).forEach(group => {
+        expect(counts[group]).toBe(results[group].total);
+        expect(counts[group]).toBeGreaterThanOrEqual(results[group].items.length);
+      });
+      expect(total).toBe(Object.values(counts).reduce((sum, count) => sum + count, 0));
+    });
+
+    it('should use the same ranking and highlights as place and article search', async () => {
+      const response = await search({ q: 'zanzibr', types: 'places,articles' }).expect(200);
+      const { results } = response.body.data;
+
+      const place = results.places.items.find(item => item.id === testPlace.id);
+      expect(place.highlight.title).toBe('Test Place <mark>Zanzibar</mark> Kopi');
+      expect(results.articles.items.find(item => item.id === testArticle.id).search_score).toBeGreaterThan(0);
+    });
+
+    it('should narrow the groups with types', async () => {
+      const response = await search({ q: 'zanzibar', types: 'users,posts' }).expect(200);
+
+      expect(Object.keys(response.body.data.results)).toEqual(['users', 'posts']);
+      expect(Object.keys(response.body.data.counts)).toEqual(['users', 'posts']);
+    });
+
+    it('should apply limit to every group', async () => {
+      await Post.create({ user_id: testUser.id, place_id: testPlace.id, content: 'Test post zanzibar lagi' });
+
+      const response = await search({ q: 'zanzibar', types: 'posts', limit: 1 }).expect(200);
+      const { posts } = response.body.data.results;
+
+      expect(posts.items).toHaveLength(1);
+      expect(posts.total).toBeGreaterThanOrEqual(2);
+      await Post.destroy({ where: { content: 'Test post zanzibar lagi' } });
+    });
+
+    it('should not return inactive places', async () => {
+      await testPlace.update({ status: false });
+
+      const response = await search({ q: 'zanzibar', types: 'places' }).expect(200);
+      expect(response.body.data.results.places.items.map(item => item.id)).not.toContain(testPlace.id);
+    });
+
+    it('should report a failing group without failing the others', async () => {
+      const SocialMediaService = require('../services/SocialMediaService');
+      const searchPosts = jest.spyOn(SocialMediaService, 'searchPosts').mockRejectedValue(new Error('posts unavailable'));
+
+      try {
+        const response = await search({ q: 'zanzibar', types: 'places,posts' }).expect(200);
+        const { results, counts } = response.body.data;
+
+        expect(results.posts).toEqual({ type: 'post', total: 0, failed: true, items: [] });
+        expect(counts.posts).toBe(0);
+        expect(results.places.failed).toBe(false);
+        expect(results.places.items.map(item => item.id)).toContain(testPlace.id);
+      } finally {
+        searchPosts.mockRestore();
+      }
+    });
+
+    it('should fail with 503 when every requested group fails', async () => {
+      const SocialMediaService = require('../services/SocialMediaService');
+      const searchPosts = jest.spyOn(SocialMediaService, 'searchPosts').mockRejectedValue(new Error('posts unavailable'));
+
+      try {
+        const response = await search({ q: 'zanzibar', types: 'posts' }).expect(503);
+        expect(response.body.success).toBe(false);
+      } finally {
+        searchPosts.mockRestore();
+      }
+    });
+
+    it('should reject unknown types', async () => {
+      const response = await search({ q: 'zanzibar', types: 'places,reviews' }).expect(400);
+
+      expect(response.body.success).toBe(false);
+      expect(response.body.message).toContain('reviews');
+    });
+
+    it('should require a query of at least 2 characters', async () => {
+      const response = await search({ q: 'z' }).expect(400);
+
+      expect(response.body.success).toBe(false);
+    });
+
+    it('should require authentication', async () => {
+      await request(app)
+        .get('/api/v1/search')
+        .query({ q: 'zanzibar' })
+        .expect(401);
+    });
+  });
+
+  describe('Candidate selection', () => {
+    const { SEARCH_MAX_CANDIDATES } = require('../config/search');
+    const FAKE_ID_START = 900000;
+
+    afterEach(async () => {
+      await SearchDocument.destroy({ where: { document_type: 'Place', document_id: { [Op.gte]: FAKE_ID_START } } });
+    });
+
+    it('should keep an old exact match when newer fuzzy matches fill the cap', async () => {
+      await sequelize.getQueryInterface().bulkUpdate(
+        'search_documents',
+        { updated_at: new Date('2020-01-01T00:00:00Z') },
+        { document_type: 'Place', document_id: testPlace.id }
+      );
+      await SearchDocument.bulkCreate(Array.from({ length: SEARCH_MAX_CANDIDATES }, (_, i) => ({
+        document_type: 'Place',
+        document_id: FAKE_ID_START + i,
+        title: 'Test Zanzibat',
+        terms: ' test zanzibat '
+      })));
+
+      const ranked = await SearchService.rank('zanzibar', ['place']);
+
+      expect(ranked.map(result => result.id)).toContain(testPlace.id);
+    });
+  });
+});
@@ -664,4 +664,466 @@ describe('Social Media Endpoints', () => {
       expect(response.body.data.pagination.limit).toBe(5);
     });
   });
-});
\ No newline at end of file
+
+  describe('Comment threads', () => {
+    const Place = require('../models/Place');
+    const UserComment = require('../models/UserComment');
+    let threadPlace;
+    let threadPost;
+
+    const comment = (token, content, parent_id) => request(app)
+      .post(`/api/v1/social/posts/id/${threadPost.id}/comments`)
+      .set('Authorization', `Bearer ${token}`)
+      .send({ content, parent_id });
+
+    beforeEach(async () => {
+      threadPlace = await Place.create({ name: 'Test Thread Place', latitude: -6.2088, longitude: 106.8456 });
+      threadPost = await Post.create({ user_id: testUser1.id, place_id: threadPlace.id, content: 'Test post for threads' });
+    });
+
+    afterEach(async () => {
+      await UserComment.destroy({ where: { related_to_id: threadPost.id, related_to_type: 'Post' } });
+      await Post.destroy({ where: { id: threadPost.id } });
+      await Place.destroy({ where: { name: 'Test Thread Place' } });
+    });
+
+    it('should reply to a comment and count replies', async () => {
+      const root = await comment(authToken2, 'Root comment').expect(201);
+      const reply = await comment(authToken1, 'A reply', root.body.data.id).expect(201);
+      expect(reply.body.data.parent_id).toBe(root.body.data.id);
+
+      const response = await request(app)
+        .get(`/api/v1/social/posts/id/${threadPost.id}/comments`)
+        .set('Authorization', `Bearer ${authToken1}`)
+        .expect(200);
+
+      expect(response.body.data.comments).toHaveLength(1);
+      expect(response.body.data.comments[0].reply_count).toBe(1);
+      expect(response.body.data.comments[0].replies[0].content).toBe('A reply');
+      expect(response.body.data.pagination.total_items).toBe(1);
+
+      await threadPost.reload();
+      expect(threadPost.total_comment).toBe(2);
+    });
+
+    it('should paginate replies', async () => {
+      const root = await comment(authToken2, 'Root comment');
+      for (let i = 1; i <= 5; i++) {
+        await comment(authToken1, `Reply ${i}`, root.body.data.id);
+      }
+
+      const preview = await request(app)
+        .get(`/api/v1/social/posts/id/${threadPost.id}/comments`)
+        .query({ reply_limit: 2 })
+        .set('Authorization', `Bearer ${authToken1}`)
+        .expect(200);
+      expect(preview.body.data.comments[0].replies.map(r => r.content)).toEqual(['Reply 1', 'Reply 2']);
+      expect(preview.body.data.comments[0].has_more_replies).toBe(true);
+
+      const page2 = await request(app)
+        .get(`/api/v1/social/posts/id/${threadPost.id}/comments/id/${root.body.data.id}/replies`)
+        .query({ page: 2, limit: 2 })
+        .set('Authorization', `Bearer ${authToken1}`)
+        .expect(200);
+      expect(page2.body.data.replies.map(r => r.content)).toEqual(['Reply 3', 'Reply 4']);
+      expect(page2.body.data.comment.reply_count).toBe(5);
+      expect(page2.body.data.pagination.total_items).toBe(5);
+    });
+
+    it('should page comments and replies with next_cursor', async () => {
+      for (let i = 1; i <= 3; i++) {
+        await comment(authToken2, `Comment ${i}`);
+      }
+
+      const first = await request(app)
+        .get(`/api/v1/social/posts/id/${threadPost.id}/comments`)
+        .query({ limit: 2 })
+        .set('Authorization', `Bearer ${authToken1}`)
+        .expect(200);
+      expect(first.body.data.comments.map(c => c.content)).toEqual(['Comment 3', 'Comment 2']);
+
+      await comment(authToken2, 'Comment 4');
+
+      const second = await request(app)
+        .get(`/api/v1/social/posts/id/${threadPost.id}/comments`)
+        .query({ limit: 2, cursor: first.body.data.pagination.next_cursor })
+        .set('Authorization', `Bearer ${authToken1}`)
+        .expect(200);
+      expect(second.body.data.comments.map(c => c.content)).toEqual(['Comment 1']);
+      expect(second.body.data.pagination.has_next).toBe(false);
+      expect(second.body.data.pagination.next_cursor).toBeNull();
+    });
+
+    it('should not reply to a comment on another post', async () => {
+      const otherPost = await Post.create({ user_id: testUser2.id, place_id: threadPlace.id, content: 'Test post other thread' });
+      const other = await UserComment.create({ user_id: testUser2.id, related_to_id: otherPost.id, related_to_type: 'Post', content: 'Elsewhere' });
+
+      await comment(authToken1, 'Wrong thread', other.id).expect(404);
+
+      await other.destroy();
+      await otherPost.destroy();
+    });
+
+    it('should let authors edit their own comment only', async () => {
+      const root = await comment(authToken2, 'Original');
+      const path = `/api/v1/social/posts/id/${threadPost.id}/comments/id/${root.body.data.id}`;
+
+      const response = await request(app)
+        .put(path)
+        .set('Authorization', `Bearer ${authToken2}`)
+        .send({ content: 'Edited' })
+        .expect(200);
+      expect(response.body.data.content).toBe('Edited');
+      expect(response.body.data.is_edited).toBe(true);
+
+      await request(app)
+        .put(path)
+        .set('Authorization', `Bearer ${authToken1}`)
+        .send({ content: 'Hijacked' })
+        .expect(403);
+    });
+
+    it('should soft delete a comment and keep its replies', async () => {
+      const root = await comment(authToken2, 'Root comment');
+      await comment(authToken1, 'A reply', root.body.data.id);
+
+      const response = await request(app)
+        .delete(`/api/v1/social/posts/id/${threadPost.id}/comments/id/${root.body.data.id}`)
+        .set('Authorization', `Bearer ${authToken2}`)
+        .expect(200);
+      expect(response.body.data.total_comments).toBe(1);
+
+      const list = await request(app)
+        .get(`/api/v1/social/posts/id/${threadPost.id}/comments`)
+        .set('Authorization', `Bearer ${authToken1}`)
+        .expect(200);
+      const [thread] = list.body.data.comments;
+      expect(thread.is_deleted).toBe(true);
+      expect(thread.content).toBeNull();
+      expect(thread.user).toBeNull();
+      expect(thread.replies[0].content).toBe('A reply');
+
+      await threadPost.reload();
+      expect(threadPost.total_comment).toBe(1);
+    });
+
+    it('should let the post author remove comments on their post', async () => {
+      const root = await comment(authToken2, 'Unwanted comment');
+
+      await request(app)
+        .delete(`/api/v1/social/posts/id/${threadPost.id}/comments/id/${root.body.data.id}`)
+        .set('Authorization', `Bearer ${authToken1}`)
+        .expect(200);
+
+      await threadPost.reload();
+      expect(threadPost.total_comment).toBe(0);
+    });
+
+    it('should not let other users delete a comment', async () => {
+      const root = await comment(authToken1, 'Author comment');
+
+      await request(app)
+        .delete(`/api/v1/social/posts/id/${threadPost.id}/comments/id/${root.body.data.id}`)
+        .set('Authorization', `Bearer ${authToken2}`)
+        .expect(403);
+    });
+
+    it('should not edit or reply to deleted comments', async () => {
+      const root = await comment(authToken2, 'Root comment');
+      const path = `/api/v1/social/posts/id/${threadPost.id}/comments/id/${root.body.data.id}`;
+      await request(app).delete(path).set('Authorization', `Bearer ${authToken2}`).expect(200);
+
+      await request(app).put(path).set('Authorization', `Bearer ${authToken2}`).send({ content: 'Back' }).expect(404);
+      await request(app).delete(path).set('Authorization', `Bearer ${authToken2}`).expect(404);
+      await comment(authToken1, 'Late reply', root.body.data.id).expect(404);
+    });
+  });
+
+  describe('Review and article interactions', () => {
+    const Place = require('../models/Place');
+    const Review = require('../models/Review');
+    const Article = require('../models/Article');
+    const UserLike = require('../models/UserLike');
+    const UserComment = require('../models/UserComment');
+    let interactionPlace;
+    let review;
+    let article;
+
+    beforeEach(async () => {
+      interactionPlace = await Place.create({ name: 'Test Interaction Place', latitude: -6.2088, longitude: 106.8456 });
+      review = await Review.create({ user_id: testUser1.id, place_id: interactionPlace.id, rating: 5, content: 'Test review for likes', status: true });
+      article = await Article.create({ user_id: testUser1.id, title: 'Test interaction article', category: 'Kuliner', content: 'Test article for likes' });
+    });
+
+    afterEach(async () => {
+      await UserLike.destroy({ where: { related_to_id: review.id, related_to_type: 'App\\Models\\Review' } });
+      await UserLike.destroy({ where: { related_to_id: article.id, related_to_type: 'App\\Models\\Article' } });
+      await UserComment.destroy({ where: { related_to_id: review.id, related_to_type: 'Review' } });
+      await UserComment.destroy({ where: { related_to_id: article.id, related_to_type: 'Article' } });
+      await review.destroy();
+      await article.destroy();
+      await Place.destroy({ where: { name: 'Test Interaction Place' } });
+    });
+
+    it('should like a review and keep total_like in sync', async () => {
+      const like = await request(app)
+        .post(`/api/v1/social/reviews/id/${review.id}/like`)
+        .set('Authorization', `Bearer ${authToken2}`)
+        .expect(200);
+      expect(like.body.message).toBe('Review liked successfully');
+      expect(like.body.data).toEqual({ is_liked: true, total_likes: 1 });
+
+      await review.reload();
+      expect(review.total_like).toBe(1);
+
+      const likes = await request(app)
+        .get(`/api/v1/social/reviews/id/${review.id}/likes`)
+        .set('Authorization', `Bearer ${authToken1}`)
+        .expect(200);
+      expect(likes.body.data.likes).toHaveLength(1);
+      expect(likes.body.data.pagination.total_items).toBe(1);
+
+      const unlike = await request(app)
+        .post(`/api/v1/social/reviews/id/${review.id}/like`)
+        .set('Authorization', `Bearer ${authToken2}`)
+        .expect(200);
+      expect(unlike.body.data).toEqual({ is_liked: false, total_likes: 0 });
+
+      await review.reload();
+      expect(review.total_like).toBe(0);
+    });
+
+    it('should thread comments on an article', async () => {
+      const root = await request(app)
+        .post(`/api/v1/social/articles/id/${article.id}/comments`)
+        .set('Authorization', `Bearer ${authToken2}`)
+        .send({ content: 'Nice article' })
+        .expect(201);
+      expect(root.body.data.related_to_type).toBe('Article');
+
+      await request(app)
+        .post(`/api/v1/social/articles/id/${article.id}/comments`)
+        .set('Authorization', `Bearer ${authToken1}`)
+        .send({ content: 'Thanks', parent_id: root.body.data.id })
+        .expect(201);
+
+      const list = await request(app)
+        .get(`/api/v1/social/articles/id/${article.id}/comments`)
+        .set('Authorization', `Bearer ${authToken1}`)
+        .expect(200);
+      expect(list.body.data.comments).toHaveLength(1);
+      expect(list.body.data.comments[0].replies[0].content).toBe('Thanks');
+
+      // The article author may remove comments on their article
+      await request(app)
+        .delete(`/api/v1/social/articles/id/${article.id}/comments/id/${root.body.data.id}`)
+        .set('Authorization', `Bearer ${authToken1}`)
+        .expect(200);
+    });
+
+    it('should include is_liked and counts in article detail', async () => {
+      await request(app)
+        .post(`/api/v1/social/articles/id/${article.id}/like`)
+        .set('Authorization', `Bearer ${authToken2}`)
+        .expect(200);
+      await request(app)
+        .post(`/api/v1/social/articles/id/${article.id}/comments`)
+        .set('Authorization', `Bearer ${authToken2}`)
+        .send({ content: 'Great read' })
+        .expect(201);
+
+      const liker = await request(app)
+        .get(`/api/v1/articles/id/${article.id}`)
+        .set('Authorization', `Bearer ${authToken2}`)
+        .expect(200);
+      expect(liker.body.data.is_liked).toBe(true);
+      expect(liker.body.data.total_likes).toBe(1);
+      expect(liker.body.data.total_comments).toBe(1);
+
+      const author = await request(app)
+        .get(`/api/v1/articles/id/${article.id}`)
+        .set('Authorization', `Bearer ${authToken1}`)
+        .expect(200);
+      expect(author.body.data.is_liked).toBe(false);
+    });
+
+    it('should return 404 for missing or inactive reviews', async () => {
+      await review.update({ status: false });
+
+      await request(app)
+        .post(`/api/v1/social/reviews/id/${review.id}/like`)
+        .set('Authorization', `Bearer ${authToken2}`)
+        .expect(404);
+      await request(app)
+        .get(`/api/v1/social/reviews/id/${review.id}/comments`)
+        .set('Authorization', `Bearer ${authToken2}`)
+        .expect(404);
+    });
+  });
+
+  describe('Ranked feed', () => {
+    const Place = require('../models/Place');
+    const UserFollow = require('../models/UserFollow');
+    const UserLike = require('../models/UserLike');
+    let feedPlace;
+
+    const likePost = (user, post) => UserLike.create({
+      user_id: user.id,
+      related_to_id: post.id,
+      related_to_type: 'App\\Models\\Post'
+    });
+
+    const createPost = async (user, content, { hoursAgo = 0, likedBy = [] } = {}) => {
+      const post = await Post.create({ user_id: user.id, place_id: feedPlace.id, content, total_like: likedBy.length });
+      for (const liker of likedBy) {
+        await likePost(liker, post);
+      }
+      if (hoursAgo > 0) {
+        await sequelize.query('UPDATE posts SET created_at = ? WHERE id = ?', {
+          replacements: [new Date(Date.now() - hoursAgo * 60 * 60 * 1000), post.id]
+        });
+      }
+      return post;
+    };
+
+    const positions = (posts, ids) => ids.map(id => posts.findIndex(post => post.id === id));
+
+    beforeEach(async () => {
+      feedPlace = await Place.create({ name: 'Test Feed Place', latitude: -6.2088, longitude: 106.8456 });
+    });
+
+    afterEach(async () => {
+      const feedPosts = await Post.findAll({ where: { place_id: feedPlace.id }, attributes: ['id'] });
+      await UserLike.destroy({ where: { related_to_id: feedPosts.map(post => post.id), related_to_type: 'App\\Models\\Post' } });
+      await UserFollow.destroy({ where: { follower_id: testUser1.id } });
+      await Post.destroy({ where: { place_id: feedPlace.id } });
+      await Place.destroy({ where: { name: 'Test Feed Place' } });
+    });
+
+    it('should rank posts from followed users above others', async () => {
+      const stranger = await createPost(testUser2, 'Test post stranger');
+      await UserFollow.create({ follower_id: testUser1.id, following_id: testUser2.id });
+      const followedResponse = await request(app)
+        .get('/api/v1/social/posts')
+        .query({ limit: 100 })
+        .set('Authorization', `Bearer ${authToken1}`)
+        .expect(200);
+      await UserFollow.destroy({ where: { follower_id: testUser1.id } });
+      const unfollowedResponse = await request(app)
+        .get('/api/v1/social/posts')
+        .query({ limit: 100 })
+        .set('Authorization', `Bearer ${authToken1}`)
+        .expect(200);
+
+      const [followedPosition] = positions(followedResponse.body.data.posts, [stranger.id]);
+      const [unfollowedPosition] = positions(unfollowedResponse.body.data.posts, [stranger.id]);
+      expect(followedPosition).toBeGreaterThanOrEqual(0);
+      expect(followedPosition).toBeLessThanOrEqual(unfollowedPosition);
+    });
+
+    it('should decay engagement over time in the trending feed', async () => {
+      const old = await createPost(testUser2, 'Test post old popular', { hoursAgo: 96, likedBy: [testUser1, testUser2] });
+      const fresh = await createPost(testUser2, 'Test post fresh');
+
+      const response = await request(app)
+        .get('/api/v1/social/posts/trending')
+        .query({ limit: 100 })
+        .set('Authorization', `Bearer ${authToken1}`)
+        .expect(200);
+
+      const [freshPosition, oldPosition] = positions(response.body.data.posts, [fresh.id, old.id]);
+      expect(freshPosition).toBeGreaterThanOrEqual(0);
+      expect(freshPosition).toBeLessThan(oldPosition);
+    });
+
+    it('should paginate with a cursor without shifting when new posts arrive', async () => {
+      for (let i = 1; i <= 3; i++) {
+        await createPost(testUser2, `Test post cursor ${i}`, { hoursAgo: i });
+      }
+
+      const first = await request(app)
+        .get('/api/v1/social/posts')
+        .query({ limit: 1 })
+        .set('Authorization', `Bearer ${authToken1}`)
+        .expect(200);
+      const { next_cursor } = first.body.data.pagination;
+      expect(next_cursor).toBeTruthy();
+
+      await createPost(testUser2, 'Test post arrived later');
+
+      const second = await request(app)
+        .get('/api/v1/social/posts')
+        .query({ limit: 1, cursor: next_cursor })
+        .set('Authorization', `Bearer ${authToken1}`)
+        .expect(200);
+
+      expect(second.body.data.posts).toHaveLength(1);
+      expect(second.body.data.posts[0].id).not.toBe(first.body.data.posts[0].id);
+      expect(second.body.data.posts[0].content).not.toBe('Test post arrived later');
+      expect(second.body.data.pagination.has_prev).toBe(true);
+    });
+
+    it('should not reorder later pages when likes arrive after the first page', async () => {
+      const created = [];
+      for (let i = 1; i <= 3; i++) {
+        created.push(await createPost(testUser2, `Test post liked later ${i}`, { hoursAgo: i }));
+      }
+
+      const first = await request(app)
+        .get('/api/v1/social/posts')
+        .query({ limit: 1 })
+        .set('Authorization', `Bearer ${authToken1}`)
+        .expect(200);
+      const ids = first.body.data.posts.map(post => post.id);
+
+      // Likes after the first page must not lift a post above the cursor
+      await likePost(testUser1, created[2]);
+      await likePost(testUser2, created[2]);
+
+      let cursor = first.body.data.pagination.next_cursor;
+      while (cursor) {
+        const response = await request(app)
+          .get('/api/v1/social/posts')
+          .query({ limit: 20, cursor })
+          .set('Authorization', `Bearer ${authToken1}`)
+          .expect(200);
+        ids.push(...response.body.data.posts.map(post => post.id));
+        cursor = response.body.data.pagination.next_cursor;
+      }
+
+      created.forEach(post => expect(ids.filter(id => id === post.id)).toHaveLength(1));
+    });
+
+    it('should follow the ranked posts with older posts by recency', async () => {
+      const recent = await createPost(testUser2, 'Test post recent');
+      const old = await createPost(testUser2, 'Test post outside window', { hoursAgo: 24 * 60 });
+      const older = await createPost(testUser2, 'Test post far outside window', { hoursAgo: 24 * 90 });
+
+      const ids = [];
+      let cursor;
+      do {
+        const response = await request(app)
+          .get('/api/v1/social/posts')
+          .query({ limit: 20, ...(cursor && { cursor }) })
+          .set('Authorization', `Bearer ${authToken1}`)
+          .expect(200);
+        ids.push(...response.body.data.posts.map(post => post.id));
+        cursor = response.body.data.pagination.next_cursor;
+      } while (cursor);
+
+      const [recentIndex, oldIndex, olderIndex] = [recent.id, old.id, older.id].map(id => ids.indexOf(id));
+      expect(recentIndex).toBeGreaterThanOrEqual(0);
+      expect(oldIndex).toBeGreaterThan(recentIndex);
+      expect(olderIndex).toBeGreaterThan(oldIndex);
+      expect(new Set(ids).size).toBe(ids.length);
+    });
+
+    it('should reject a malformed cursor', async () => {
+      await request(app)
+        .get('/api/v1/social/posts')
+        .query({ cursor: 'not-a-cursor' })
+        .set('Authorization', `Bearer ${authToken1}`)
+        .expect(400);
+    });
+  });
+});
@@ -288,4 +288,195 @@ describe('Users Endpoints', () => {
       expect(response.body.success).toBe(false);
     });
   });
-});
\ No newline at end of file
+
+  describe('Saved items /api/v1/users/saved', () => {
+    const Place = require('../models/Place');
+    const UserSavedItem = require('../models/UserSavedItem');
+    let testPlace;
+
+    beforeEach(async () => {
+      testPlace = await Place.create({
+        name: 'Test Place Saved',
+        latitude: -6.2088,
+        longitude: 106.8456
+      });
+    });
+
+    afterEach(async () => {
+      await UserSavedItem.destroy({ where: { related_to_type: 'Place', related_to_id: testPlace.id } });
+      await Place.destroy({ where: { id: testPlace.id } });
+    });
+
+    it('should save a place and list it hydrated', async () => {
+      const saveResponse = await request(app)
+        .post(`/api/v1/users/saved/places/${testPlace.id}`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(201);
+
+      expect(saveResponse.body.success).toBe(true);
+      expect(saveResponse.body.data).toHaveProperty('saved', true);
+
+      const listResponse = await request(app)
+        .get('/api/v1/users/saved')
+        .query({ kind: 'places' })
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+
+      expect(listResponse.body.data.items).toBeInstanceOf(Array);
+      expect(listResponse.body.data.items[0]).toHaveProperty('id', testPlace.id);
+      expect(listResponse.body.data.items[0]).toHaveProperty('name', 'Test Place Saved');
+      expect(listResponse.body.data.items[0]).toHaveProperty('saved_at');
+      expect(listResponse.body.data.pagination).toHaveProperty('totalItems', 1);
+    });
+
+    it('should mirror saved place ids into user additionalInfo', async () => {
+      await request(app)
+        .post(`/api/v1/users/saved/places/${testPlace.id}`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(201);
+
+      const user = await User.findByPk(testUser.id);
+      expect(user.additionalInfo.user_saved.saved_places).toContain(testPlace.id);
+    });
+
+    it('should count how many users saved a place', async () => {
+      await request(app)
+        .post(`/api/v1/users/saved/places/${testPlace.id}`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(201);
+
+      const response = await request(app)
+        .get(`/api/v1/places/id/${testPlace.id}`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+
+      expect(response.body.data).toHaveProperty('saved_count', 1);
+    });
+
+    it('should return the existing entry when saving the same place twice', async () => {
+      const first = await request(app)
+        .post(`/api/v1/users/saved/places/${testPlace.id}`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(201);
+
+      const response = await request(app)
+        .post(`/api/v1/users/saved/places/${testPlace.id}`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+
+      expect(response.body.success).toBe(true);
+      expect(response.body.data).toMatchObject({ saved: true, created: false, total_saved: 1 });
+      expect(response.body.data.saved_at).toBe(first.body.data.saved_at);
+    });
+
+    it('should not fail when the same place is saved concurrently', async () => {
+      const responses = await Promise.all([1, 2, 3].map(() => request(app)
+        .post(`/api/v1/users/saved/places/${testPlace.id}`)
+        .set('Authorization', `Bearer ${authToken}`)));
+
+      expect(responses.map(response => response.status).sort()).toEqual([200, 200, 201]);
+      const count = await UserSavedItem.count({ where: { user_id: testUser.id, related_to_type: 'Place', related_to_id: testPlace.id } });
+      expect(count).toBe(1);
+    });
+
+    it('should remove a saved place', async () => {
+      await request(app)
+        .post(`/api/v1/users/saved/places/${testPlace.id}`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(201);
+
+      await request(app)
+        .delete(`/api/v1/users/saved/places/${testPlace.id}`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+
+      const count = await UserSavedItem.count({ where: { user_id: testUser.id, related_to_type: 'Place' } });
+      expect(count).toBe(0);
+    });
+
+    it('should return 404 for a non-existent target', async () => {
+      const response = await request(app)
+        .post('/api/v1/users/saved/articles/99999')
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(404);
+
+      expect(response.body.success).toBe(false);
+    });
+
+    it('should return 400 for an unknown kind', async () => {
+      const response = await request(app)
+        .post(`/api/v1/users/saved/reviews/${testPlace.id}`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(400);
+
+      expect(response.body.success).toBe(false);
+    });
+  });
+
+  describe('Devices /api/v1/users/devices', () => {
+    const UserDevice = require('../models/UserDevice');
+
+    afterEach(async () => {
+      await UserDevice.destroy({ where: { token: ['test-device-token', 'test-shared-token'] } });
+    });
+
+    it('should register a device token', async () => {
+      const response = await request(app)
+        .post('/api/v1/users/devices')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ token: 'test-device-token', platform: 'android' })
+        .expect(201);
+
+      expect(response.body.data.user_id).toBe(testUser.id);
+      expect(response.body.data.platform).toBe('android');
+
+      const list = await request(app)
+        .get('/api/v1/users/devices')
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+      expect(list.body.data.map(device => device.token)).toContain('test-device-token');
+    });
+
+    it('should move a token to the user that registered it last', async () => {
+      await UserDevice.create({ user_id: testUser2.id, token: 'test-shared-token', platform: 'ios' });
+
+      await request(app)
+        .post('/api/v1/users/devices')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ token: 'test-shared-token', platform: 'ios' })
+        .expect(201);
+
+      const devices = await UserDevice.findAll({ where: { token: 'test-shared-token' } });
+      expect(devices).toHaveLength(1);
+      expect(devices[0].user_id).toBe(testUser.id);
+    });
+
+    it('should reject unknown platforms', async () => {
+      await request(app)
+        .post('/api/v1/users/devices')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ token: 'test-device-token', platform: 'symbian' })
+        .expect(400);
+    });
+
+    it('should remove a device token', async () => {
+      await UserDevice.create({ user_id: testUser.id, token: 'test-device-token', platform: 'web' });
+
+      await request(app)
+        .delete('/api/v1/users/devices/test-device-token')
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+
+      expect(await UserDevice.count({ where: { token: 'test-device-token' } })).toBe(0);
+    });
+
+    it('should not remove another user\'s device', async () => {
+      await UserDevice.create({ user_id: testUser2.id, token: 'test-device-token', platform: 'web' });
+
+      await request(app)
+        .delete('/api/v1/users/devices/test-device-token')
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(404);
+    });
+  });
+});
@@ -0,0 +1,35 @@
+/**
+ * Error helpers shared by services and controllers
+ */
+
+/**
+ * Build an error with an HTTP status code
+ * @param {string} message
+ * @param {number} statusCode
+ * @param {Object} extra - Extra fields for the client, e.g. { code, details }
+ * @returns {Error}
+ */
+const httpError = (message, statusCode, extra = {}) => {
+  const err = new Error(message);
+  err.statusCode = statusCode;
+  return Object.assign(err, extra);
+};
+
+/**
+ * Send an error response using the error's statusCode when it has one
+ * @param {Object} res - Express response
+ * @param {Error} error
+ */
+const respondWithError = (res, error) => {
+  const status = error.statusCode || 500;
+  res.status(status).json({
+    success: false,
+    message: status === 500 ? 'Internal server error' : error.message,
+    error: process.env.NODE_ENV === 'development' ? error.message : undefined
+  });
+};
+
+module.exports = {
+  httpError,
+  respondWithError
+};
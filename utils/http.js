@@ -0,0 +1,51 @@
+/**
+ * Minimal HTTP client for outgoing integrations
+ */
+
+const http = require('http');
+const https = require('https');
+
+/**
+ * POST a JSON body
+ * HTTP error statuses resolve normally; network errors and timeouts reject.
+ * @param {string} url
+ * @param {Object|string} body - Object to serialize, or an already serialized string
+ * @param {Object} options - { headers, timeout }
+ * @returns {Promise<{ status: number, body: any }>}
+ */
+const postJson = (url, body, { headers = {}, timeout = 10000 } = {}) => new Promise((resolve, reject) => {
+  const target = new URL(url);
+  const payload = typeof body === 'string' ? body : JSON.stringify(body);
+  const client = target.protocol === 'http:' ? http : https;
+
+  const request = client.request(target, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'Content-Length': Buffer.byteLength(payload),
+      ...headers
+    },
+    timeout
+  }, (response) => {
+    let data = '';
+    response.setEncoding('utf8');
+    response.on('data', chunk => { data += chunk; });
+    response.on('end', () => {
+      let parsed = data || null;
+      try {
+        parsed = data ? JSON.parse(data) : null;
+      } catch (error) {
+        // Not JSON; keep the raw text
+      }
+      resolve({ status: response.statusCode, body: parsed });
+    });
+  });
+
+  request.on('timeout', () => request.destroy(new Error(`Request to ${target.host} timed out`)));
+  request.on('error', reject);
+  request.end(payload);
+});
+
+module.exports = {
+  postJson
+};
@@ -0,0 +1,158 @@
+const { Op } = require('sequelize');
+const { httpError } = require('./errors');
+
+/**
+ * Pagination utilities
+ * Listings accept either page/limit (offset) or an opaque cursor taken from the
+ * previous page's next_cursor. Cursors are keyed on (created_at, id), so rows
+ * inserted while a client pages through a list neither shift nor repeat items.
+ */
+
+/**
+ * Error for a cursor that can't be decoded (400)
+ */
+const invalidCursor = () => httpError('Invalid cursor', 400);
+
+/**
+ * Encode a position as an opaque cursor
+ * @param {Object} position - JSON-serialisable position
+ * @returns {string}
+ */
+const encodeCursor = (position) => Buffer.from(JSON.stringify(position)).toString('base64url');
+
+/**
+ * Decode a cursor from encodeCursor
+ * @param {string} cursor
+ * @returns {Object}
+ * @throws {Error} 400 when the cursor is malformed
+ */
+const decodeCursor = (cursor) => {
+  try {
+    const position = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    if (position && typeof position === 'object') {
+      return position;
+    }
+  } catch (error) {
+    // Fall through to the 400 below
+  }
+  throw invalidCursor();
+};
+
+/**
+ * Cursor pointing after a row, keyed on (created_at, id)
+ * @param {Object} row - Model instance or plain row
+ * @returns {string}
+ */
+const encodeRowCursor = (row) => {
+  const createdAt = row.get ? row.get('created_at') : row.created_at;
+  return encodeCursor({ created_at: new Date(createdAt).toISOString(), id: parseInt(row.id) });
+};
+
+/**
+ * Decode a (created_at, id) cursor
+ * @param {string} cursor
+ * @returns {{ created_at: Date, id: number }}
+ */
+const decodeRowCursor = (cursor) => {
+  const position = decodeCursor(cursor);
+  const createdAt = new Date(position.created_at);
+  if (isNaN(createdAt.getTime()) || !Number.isInteger(position.id)) {
+    throw invalidCursor();
+  }
+  return { created_at: createdAt, id: position.id };
+};
+
+/**
+ * Where clause for rows after a cursor position in (created_at, id) order
+ * @param {{ created_at: Date, id: number }} position
+ * @param {string} direction - DESC (newest first) or ASC
+ * @returns {Object}
+ */
+const keysetWhere = (position, direction = 'DESC') => {
+  const op = direction === 'ASC' ? Op.gt : Op.lt;
+  return {
+    [Op.or]: [
+      { created_at: { [op]: position.created_at } },
+      { created_at: position.created_at, id: { [op]: position.id } }
+    ]
+  };
+};
+
+/**
+ * Run a listing query ordered by (created_at, id), paged by cursor when one is given
+ * and by page/offset otherwise. Cursor pages skip the total count.
+ * @param {Object} model - Sequelize model
+ * @param {Object} options - findAll options (where, include, attributes, ...) without order/limit/offset
+ * @param {Object} params - { page, limit, cursor, direction }
+ * @returns {Promise<{ rows: Array, count: number|null, page: number|null, limit: number, has_next: boolean, has_prev: boolean, next_cursor: string|null }>}
+ */
+const paginate = async (model, options = {}, { page = 1, limit = 20, cursor = null, direction = 'DESC' } = {}) => {
+  limit = parseInt(limit);
+  page = parseInt(page) || 1;
+  const order = [['created_at', direction], ['id', direction]];
+
+  if (cursor) {
+    const where = options.where
+      ? { [Op.and]: [options.where, keysetWhere(decodeRowCursor(cursor), direction)] }
+      : keysetWhere(decodeRowCursor(cursor), direction);
+    // One extra row tells whether there is a next page
+    const rows = await model.findAll({ ...options, where, order, limit: limit + 1 });
+    const hasNext = rows.length > limit;
+    const pageRows = rows.slice(0, limit);
+
+    return {
+      rows: pageRows,
+      count: null,
+      page: null,
+      limit,
+      has_next: hasNext,
+      has_prev: true,
+      next_cursor: hasNext ? encodeRowCursor(pageRows[pageRows.length - 1]) : null
+    };
+  }
+
+  const { count, rows } = await model.findAndCountAll({
+    ...options,
+    order,
+    limit,
+    offset: (page - 1) * limit,
+    distinct: true
+  });
+  const hasNext = page < Math.ceil(count / limit);
+
+  return {
+    rows,
+    count,
+    page,
+    limit,
+    has_next: hasNext,
+    has_prev: page > 1,
+    next_cursor: hasNext && rows.length > 0 ? encodeRowCursor(rows[rows.length - 1]) : null
+  };
+};
+
+/**
+ * Pagination metadata for a paginate() result.
+ * total_pages/total_items/current_page are null on cursor pages.
+ * @param {Object} result - Result of paginate()
+ * @returns {Object}
+ */
+const buildPaginationMeta = (result) => ({
+  current_page: result.page,
+  total_pages: result.count === null ? null : Math.ceil(result.count / result.limit),
+  total_items: result.count,
+  items_per_page: result.limit,
+  has_next: result.has_next,
+  has_prev: result.has_prev,
+  next_cursor: result.next_cursor
+});
+
+module.exports = {
+  encodeCursor,
+  decodeCursor,
+  encodeRowCursor,
+  decodeRowCursor,
+  keysetWhere,
+  paginate,
+  buildPaginationMeta
+};